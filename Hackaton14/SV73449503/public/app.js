@@ -1,29 +1,208 @@
-const socket = io();
+const TOKEN_KEY = 'chat-session-token';
 
+const authForm = document.getElementById('auth-form');
+const usernameInput = document.getElementById('username');
+const passwordInput = document.getElementById('password');
+const registerBtn = document.getElementById('register-btn');
+const sessionBox = document.getElementById('session-box');
+const sessionUser = document.getElementById('session-user');
+const logoutBtn = document.getElementById('logout-btn');
+const auditBtn = document.getElementById('audit-btn');
+const auditPanel = document.getElementById('audit-panel');
+const auditList = document.getElementById('audit-list');
+const searchForm = document.getElementById('search-form');
+const searchInput = document.getElementById('search-input');
+const searchKind = document.getElementById('search-kind');
+const searchResults = document.getElementById('search-results');
+const presenceList = document.getElementById('presence-list');
+const typingIndicator = document.getElementById('typing-indicator');
 const form = document.getElementById('chat-form');
-const authorInput = document.getElementById('author');
 const messageInput = document.getElementById('message');
+const attachBtn = document.getElementById('attach-btn');
+const fileInput = document.getElementById('file-input');
+const pendingList = document.getElementById('pending-attachments');
 const messagesList = document.getElementById('messages');
 const clearBtn = document.getElementById('clear-btn');
+const roomForm = document.getElementById('room-form');
+const roomNameInput = document.getElementById('room-name');
+const roomsList = document.getElementById('rooms');
+const currentRoomLabel = document.getElementById('current-room');
+const leaveBtn = document.getElementById('leave-btn');
+const promptBtn = document.getElementById('prompt-btn');
+const chatError = document.getElementById('chat-error');
+
+let socket = null;
+let currentUser = null;
+let rooms = [];
+let currentRoom = null;
+// Presencia por userId, cursores de lectura de la sala actual y quién escribe en ella.
+const presence = new Map();
+const readCursors = new Map();
+const typingUsers = new Map();
+// El cliente avisa typing_start como mucho cada TYPING_THROTTLE_MS y typing_stop tras TYPING_IDLE_MS quieto.
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_IDLE_MS = 3000;
+let lastTypingStart = 0;
+let typingIdleTimer = null;
+// Mensaje al que saltar cuando llegue el historial de su sala (resultado de búsqueda).
+let pendingJumpId = null;
+// Adjuntos ya subidos que se mandarán con el próximo mensaje.
+let pendingAttachments = [];
+const MAX_ATTACHMENTS = 5;
+
+function showError(message) {
+  chatError.textContent = message;
+  chatError.hidden = !message;
+}
+
+// Igual que en el servidor: en la general solo los moderadores; en las demás, también el dueño.
+function isRoomAdmin(room) {
+  return currentUser.role === 'moderator' || (room.owner !== null && room.owner.toLowerCase() === currentUser.username.toLowerCase());
+}
+
+function renderRooms() {
+  roomsList.innerHTML = '';
+  rooms.forEach((room) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = `#${room.name} (${room.members})`;
+    button.className = currentRoom && currentRoom.id === room.id ? 'active' : '';
+    button.addEventListener('click', () => {
+      if (socket) {
+        socket.emit('join_room', { roomId: room.id });
+      }
+    });
+    item.appendChild(button);
+    roomsList.appendChild(item);
+  });
+}
+
+function upsertRoom(room) {
+  const index = rooms.findIndex((existing) => existing.id === room.id);
+  if (index === -1) {
+    if (room.name) {
+      rooms.push(room);
+    }
+  } else {
+    rooms[index] = { ...rooms[index], ...room };
+  }
+  renderRooms();
+}
 
 function formatDate(isoDate) {
   const date = new Date(isoDate);
   return date.toLocaleString();
 }
 
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(0)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// <img> y los enlaces no mandan la cabecera Authorization: cada adjunto trae URLs firmadas que
+// vencen en linksExpireAt.
+function attachmentUrl(attachment, { thumbnail = false, download = false } = {}) {
+  const url = thumbnail ? attachment.thumbnailUrl : attachment.url;
+  return download ? `${url}&download=1` : url;
+}
+
+function linksExpired(attachment) {
+  return Date.parse(attachment.linksExpireAt) <= Date.now();
+}
+
+async function refreshAttachmentLinks(attachment) {
+  Object.assign(attachment, await callApi(`/api/attachments/${attachment.id}/links`));
+}
+
+function createAttachmentsElement(attachments) {
+  const container = document.createElement('div');
+  container.className = 'message-attachments';
+  attachments.forEach((attachment) => {
+    const link = document.createElement('a');
+    link.href = attachmentUrl(attachment);
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.title = `${attachment.name} (${formatSize(attachment.size)})`;
+    // Un mensaje que lleva rato en pantalla puede tener las URLs vencidas: se piden otras.
+    link.addEventListener('click', async (event) => {
+      if (!linksExpired(attachment)) {
+        return;
+      }
+      event.preventDefault();
+      try {
+        await refreshAttachmentLinks(attachment);
+        link.href = attachmentUrl(attachment);
+        window.open(link.href, '_blank', 'noopener');
+      } catch (error) {
+        showError(error.message);
+      }
+    });
+
+    if (attachment.hasThumbnail) {
+      const image = document.createElement('img');
+      image.src = attachmentUrl(attachment, { thumbnail: true });
+      image.alt = attachment.name;
+      image.loading = 'lazy';
+      image.addEventListener('error', () => {
+        if (!linksExpired(attachment)) {
+          return;
+        }
+        refreshAttachmentLinks(attachment)
+          .then(() => {
+            link.href = attachmentUrl(attachment);
+            image.src = attachmentUrl(attachment, { thumbnail: true });
+          })
+          .catch(() => {});
+      });
+      link.appendChild(image);
+    } else {
+      link.className = 'file-link';
+      link.textContent = `📄 ${attachment.name} (${formatSize(attachment.size)})`;
+    }
+    container.appendChild(link);
+  });
+  return container;
+}
+
 function createMessageElement(message) {
   const item = document.createElement('li');
   item.className = `message ${message.isBot ? 'bot' : ''}`;
   item.dataset.id = String(message.id);
+  item.dataset.userId = String(message.userId);
 
   const header = document.createElement('div');
   header.className = 'message-header';
   header.textContent = `${message.author} • ${formatDate(message.createdAt)}`;
 
+  // Un mensaje borrado se queda en su sitio como lápida.
+  if (message.deletedAt) {
+    item.classList.add('deleted');
+    const tombstone = document.createElement('div');
+    tombstone.className = 'message-text';
+    tombstone.textContent = `Mensaje eliminado por ${message.deletedBy} • ${formatDate(message.deletedAt)}`;
+    item.appendChild(header);
+    item.appendChild(tombstone);
+    return item;
+  }
+
   const text = document.createElement('div');
   text.className = 'message-text';
   text.textContent = message.text;
 
+  if (message.revisionCount > 0) {
+    const editedBtn = document.createElement('button');
+    editedBtn.type = 'button';
+    editedBtn.className = 'edited-link';
+    editedBtn.textContent = `(editado ${message.revisionCount} ${message.revisionCount === 1 ? 'vez' : 'veces'})`;
+    editedBtn.addEventListener('click', () => {
+      socket.emit('get_revisions', { id: message.id });
+    });
+    header.appendChild(editedBtn);
+  }
+
   const actions = document.createElement('div');
   actions.className = 'message-actions';
 
@@ -51,21 +230,91 @@ function createMessageElement(message) {
     }
   });
 
-  if (!message.isBot) {
+  // Respuesta del bot en curso: quien la pidió o un moderador pueden detenerla.
+  if (message.streaming) {
+    item.classList.add('streaming');
+    const canCancel = Boolean(currentUser) && (message.requesterId === currentUser.id || currentUser.role === 'moderator');
+    if (canCancel) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = 'Detener';
+      cancelBtn.type = 'button';
+      cancelBtn.addEventListener('click', () => {
+        socket.emit('cancel_bot', { id: message.id });
+      });
+      actions.appendChild(cancelBtn);
+      item.appendChild(header);
+      item.appendChild(text);
+      item.appendChild(actions);
+      return item;
+    }
+  }
+
+  // Solo el autor puede editar o borrar; el servidor lo vuelve a comprobar.
+  const isOwn = Boolean(currentUser) && message.userId === currentUser.id;
+
+  if (isOwn) {
     actions.appendChild(editBtn);
     actions.appendChild(deleteBtn);
   }
 
   item.appendChild(header);
-  item.appendChild(text);
+  if (message.text) {
+    item.appendChild(text);
+  }
+  if (message.attachments && message.attachments.length > 0) {
+    item.appendChild(createAttachmentsElement(message.attachments));
+  }
 
-  if (!message.isBot) {
+  if (isOwn) {
     item.appendChild(actions);
+    item.classList.add('own');
+    const seen = document.createElement('div');
+    seen.className = 'message-seen';
+    item.appendChild(seen);
   }
 
   return item;
 }
 
+// "Visto por N" en los mensajes propios: cursores de otros usuarios que llegaron hasta ellos.
+function updateSeenMarkers() {
+  messagesList.querySelectorAll('.message.own').forEach((item) => {
+    const id = Number(item.dataset.id);
+    const readers = [...readCursors.values()].filter(
+      (cursor) => cursor.messageId >= id && cursor.userId !== currentUser.id
+    );
+    item.querySelector('.message-seen').textContent = readers.length > 0 ? `Visto por ${readers.length}` : '';
+  });
+}
+
+// Avanza el cursor hasta el último mensaje de la sala si la pestaña está a la vista.
+function markLatestRead() {
+  const messages = messagesList.querySelectorAll('.message[data-id]');
+  const latest = messages[messages.length - 1];
+  if (socket && latest && document.visibilityState === 'visible') {
+    socket.emit('mark_read', { messageId: Number(latest.dataset.id) });
+  }
+}
+
+function renderPresence() {
+  presenceList.innerHTML = '';
+  [...presence.values()]
+    .sort((a, b) => Number(b.online) - Number(a.online) || a.username.localeCompare(b.username))
+    .forEach((entry) => {
+      const item = document.createElement('li');
+      item.className = entry.online ? 'online' : 'offline';
+      item.textContent = entry.online ? entry.username : `${entry.username} • visto ${formatDate(entry.lastSeenAt)}`;
+      presenceList.appendChild(item);
+    });
+}
+
+function renderTyping() {
+  const names = [...typingUsers.values()];
+  typingIndicator.hidden = names.length === 0;
+  typingIndicator.textContent =
+    names.length === 1 ? `${names[0]} está escribiendo…` : `${names.join(', ')} están escribiendo…`;
+}
+
 function renderMessages(messages) {
   messagesList.innerHTML = '';
   messages.forEach((message) => {
@@ -73,6 +322,94 @@ function renderMessages(messages) {
   });
 }
 
+function jumpToMessage(id) {
+  const target = messagesList.querySelector(`[data-id="${id}"]`);
+  if (!target) {
+    showError('El mensaje ya no está en el historial.');
+    return;
+  }
+
+  messagesList.querySelectorAll('.message.highlight').forEach((item) => item.classList.remove('highlight'));
+  target.classList.add('highlight');
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function renderSearchResults(hits) {
+  searchResults.innerHTML = '';
+  searchResults.hidden = false;
+
+  if (hits.length === 0) {
+    const empty = document.createElement('li');
+    empty.textContent = 'Sin resultados.';
+    searchResults.appendChild(empty);
+    return;
+  }
+
+  hits.forEach((hit) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    const roomLabel = document.createElement('strong');
+    roomLabel.textContent = `#${hit.roomName} • `;
+    // El servidor escapa el fragmento y solo agrega <mark> alrededor de las coincidencias.
+    const snippet = document.createElement('span');
+    snippet.innerHTML = hit.snippet;
+    button.append(roomLabel, snippet);
+    button.title = `${hit.author} • ${formatDate(hit.createdAt)}`;
+    button.addEventListener('click', () => {
+      if (currentRoom && currentRoom.id === hit.roomId) {
+        jumpToMessage(hit.id);
+        return;
+      }
+      pendingJumpId = hit.id;
+      socket.emit('join_room', { roomId: hit.roomId });
+    });
+    item.appendChild(button);
+    searchResults.appendChild(item);
+  });
+}
+
+// Respuestas de comandos y avisos: se muestran en la lista pero no son mensajes guardados.
+function addNotice(text, className) {
+  const item = document.createElement('li');
+  item.className = `message notice ${className}`;
+  const body = document.createElement('div');
+  body.className = 'message-text';
+  body.textContent = text;
+  item.appendChild(body);
+  messagesList.appendChild(item);
+  item.scrollIntoView({ block: 'end' });
+}
+
+function renderPoll(poll) {
+  const item = document.createElement('li');
+  item.className = 'message notice poll';
+  item.dataset.pollId = String(poll.id);
+
+  const header = document.createElement('div');
+  header.className = 'message-header';
+  header.textContent = `Encuesta ${poll.id} de ${poll.createdBy}`;
+
+  const question = document.createElement('div');
+  question.className = 'message-text';
+  question.textContent = poll.question;
+
+  const actions = document.createElement('div');
+  actions.className = 'message-actions';
+  poll.options.forEach((option, index) => {
+    const voteBtn = document.createElement('button');
+    voteBtn.type = 'button';
+    voteBtn.textContent = `${option.label} (${option.votes})`;
+    voteBtn.addEventListener('click', () => {
+      socket.emit('send_message', { text: `/poll votar ${poll.id} ${index + 1}` });
+    });
+    actions.appendChild(voteBtn);
+  });
+
+  item.append(header, question, actions);
+  return item;
+}
+
 function addMessage(message) {
   messagesList.appendChild(createMessageElement(message));
 }
@@ -80,52 +417,445 @@ function addMessage(message) {
 form.addEventListener('submit', (event) => {
   event.preventDefault();
 
-  const author = authorInput.value.trim() || 'Anónimo';
   const text = messageInput.value.trim();
 
-  if (!text) {
+  if ((!text && pendingAttachments.length === 0) || !socket) {
     return;
   }
 
-  socket.emit('send_message', { author, text });
+  // Al enviar, el servidor ya apaga el indicador.
+  clearTimeout(typingIdleTimer);
+  lastTypingStart = 0;
+
+  socket.emit('send_message', { text, attachmentIds: pendingAttachments.map((attachment) => attachment.id) });
   messageInput.value = '';
+  pendingAttachments = [];
+  renderPendingAttachments();
   messageInput.focus();
 });
 
+function renderPendingAttachments() {
+  pendingList.innerHTML = '';
+  pendingList.hidden = pendingAttachments.length === 0;
+  pendingAttachments.forEach((attachment) => {
+    const item = document.createElement('li');
+    item.textContent = `${attachment.name} (${formatSize(attachment.size)})`;
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'secondary';
+    removeBtn.textContent = 'Quitar';
+    removeBtn.addEventListener('click', () => {
+      pendingAttachments = pendingAttachments.filter((pending) => pending.id !== attachment.id);
+      renderPendingAttachments();
+    });
+    item.appendChild(removeBtn);
+    pendingList.appendChild(item);
+  });
+}
+
+// El cuerpo de la subida es el archivo tal cual; el nombre va en ?name=.
+async function uploadFile(file) {
+  const response = await fetch(`/api/attachments?name=${encodeURIComponent(file.name)}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': file.type || 'application/octet-stream',
+      Authorization: `Bearer ${localStorage.getItem(TOKEN_KEY)}`,
+    },
+    body: file,
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`${file.name}: ${data.error || 'Error del servidor.'}`);
+  }
+  return data;
+}
+
+attachBtn.addEventListener('click', () => {
+  fileInput.click();
+});
+
+fileInput.addEventListener('change', async () => {
+  const files = [...fileInput.files];
+  fileInput.value = '';
+  showError('');
+
+  for (const file of files) {
+    if (pendingAttachments.length >= MAX_ATTACHMENTS) {
+      showError(`Un mensaje admite hasta ${MAX_ATTACHMENTS} adjuntos.`);
+      break;
+    }
+    try {
+      pendingAttachments.push(await uploadFile(file));
+      renderPendingAttachments();
+    } catch (error) {
+      showError(error.message);
+    }
+  }
+});
+
+messageInput.addEventListener('input', () => {
+  if (!socket) {
+    return;
+  }
+
+  if (Date.now() - lastTypingStart > TYPING_THROTTLE_MS) {
+    lastTypingStart = Date.now();
+    socket.emit('typing_start');
+  }
+  clearTimeout(typingIdleTimer);
+  typingIdleTimer = setTimeout(() => {
+    lastTypingStart = 0;
+    socket.emit('typing_stop');
+  }, TYPING_IDLE_MS);
+});
+
+document.addEventListener('visibilitychange', markLatestRead);
+
 clearBtn.addEventListener('click', () => {
-  const confirmed = confirm('¿Seguro que quieres borrar TODO el historial?');
+  const confirmed = confirm('¿Seguro que quieres borrar TODO el historial de esta sala?');
   if (confirmed) {
     socket.emit('clear_history');
   }
 });
 
-socket.on('message_history', (messages) => {
-  renderMessages(messages);
-});
+roomForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+
+  const name = roomNameInput.value.trim();
+  if (!name || !socket) {
+    return;
+  }
 
-socket.on('new_message', (message) => {
-  addMessage(message);
+  socket.emit('create_room', { name });
+  roomNameInput.value = '';
 });
 
-socket.on('message_edited', (updatedMessage) => {
-  const existing = messagesList.querySelector(`[data-id="${updatedMessage.id}"]`);
+leaveBtn.addEventListener('click', () => {
+  if (currentRoom && socket) {
+    socket.emit('leave_room', { roomId: currentRoom.id });
+  }
+});
 
-  if (!existing) {
+// El prompt de sistema del bot es por sala; vacío vuelve al de por defecto.
+promptBtn.addEventListener('click', async () => {
+  if (!currentRoom || !socket) {
     return;
   }
 
-  const replacement = createMessageElement(updatedMessage);
-  existing.replaceWith(replacement);
+  try {
+    const current = await callApi(`/api/rooms/${currentRoom.id}/system-prompt`);
+    const systemPrompt = prompt(`Prompt del bot en #${currentRoom.name}:`, current.systemPrompt);
+    if (systemPrompt !== null) {
+      socket.emit('set_system_prompt', { systemPrompt: systemPrompt.trim() });
+    }
+  } catch (error) {
+    showError(error.message);
+  }
+});
+
+// El token de sesión va en el handshake; sin token válido el servidor rechaza la conexión.
+function connectSocket(token) {
+  socket = io({ auth: { token } });
+
+  socket.on('connect_error', (error) => {
+    showError(error.message);
+    if (error.message.startsWith('No autorizado')) {
+      endSession();
+    }
+  });
+
+  socket.on('room_list', (roomList) => {
+    rooms = roomList;
+    renderRooms();
+  });
+
+  socket.on('room_created', (room) => {
+    upsertRoom(room);
+  });
+
+  socket.on('room_joined', (room) => {
+    currentRoom = room;
+    typingUsers.clear();
+    renderTyping();
+    currentRoomLabel.textContent = room.name;
+    leaveBtn.hidden = room.owner === null;
+    clearBtn.hidden = !isRoomAdmin(room);
+    showError('');
+    upsertRoom(room);
+  });
+
+  socket.on('room_left', ({ roomId }) => {
+    const room = rooms.find((existing) => existing.id === roomId);
+    if (room) {
+      upsertRoom({ ...room, members: Math.max(0, room.members - 1) });
+    }
+  });
+
+  socket.on('member_joined', ({ roomId, members }) => {
+    upsertRoom({ id: roomId, members });
+  });
+
+  socket.on('member_left', ({ roomId, members }) => {
+    upsertRoom({ id: roomId, members });
+  });
+
+  socket.on('chat_error', ({ message }) => {
+    showError(message);
+  });
+
+  socket.on('command_reply', ({ text }) => {
+    addNotice(text, 'private');
+  });
+
+  socket.on('command_notice', ({ roomId, text }) => {
+    if (currentRoom && currentRoom.id === roomId) {
+      addNotice(text, 'public');
+    }
+  });
+
+  socket.on('poll_updated', (poll) => {
+    const existing = messagesList.querySelector(`[data-poll-id="${poll.id}"]`);
+    if (existing) {
+      existing.replaceWith(renderPoll(poll));
+    } else {
+      messagesList.appendChild(renderPoll(poll));
+    }
+  });
+
+  socket.on('presence_list', (entries) => {
+    presence.clear();
+    entries.forEach((entry) => presence.set(entry.userId, entry));
+    renderPresence();
+  });
+
+  socket.on('presence_update', (entry) => {
+    presence.set(entry.userId, entry);
+    renderPresence();
+  });
+
+  socket.on('typing', ({ roomId, userId, username, typing }) => {
+    if (!currentRoom || currentRoom.id !== roomId) {
+      return;
+    }
+    if (typing) {
+      typingUsers.set(userId, username);
+    } else {
+      typingUsers.delete(userId);
+    }
+    renderTyping();
+  });
+
+  socket.on('read_cursors', ({ roomId, cursors }) => {
+    if (!currentRoom || currentRoom.id !== roomId) {
+      return;
+    }
+    readCursors.clear();
+    cursors.forEach((cursor) => readCursors.set(cursor.userId, cursor));
+    updateSeenMarkers();
+  });
+
+  socket.on('read_cursor_updated', (cursor) => {
+    if (currentRoom && currentRoom.id === cursor.roomId) {
+      readCursors.set(cursor.userId, cursor);
+      updateSeenMarkers();
+    }
+  });
+
+  socket.on('message_history', (messages) => {
+    renderMessages(messages);
+    updateSeenMarkers();
+    markLatestRead();
+    if (pendingJumpId !== null) {
+      jumpToMessage(pendingJumpId);
+      pendingJumpId = null;
+    }
+  });
+
+  socket.on('new_message', (message) => {
+    addMessage(message);
+    typingUsers.delete(message.userId);
+    renderTyping();
+    updateSeenMarkers();
+    markLatestRead();
+  });
+
+  socket.on('bot_message_chunk', ({ id, delta }) => {
+    const text = messagesList.querySelector(`[data-id="${id}"] .message-text`);
+    if (text) {
+      text.textContent += delta;
+    }
+  });
+
+  socket.on('bot_message_done', (message) => {
+    const existing = messagesList.querySelector(`[data-id="${message.id}"]`);
+    if (existing) {
+      existing.replaceWith(createMessageElement(message));
+    }
+  });
+
+  socket.on('message_edited', (updatedMessage) => {
+    const existing = messagesList.querySelector(`[data-id="${updatedMessage.id}"]`);
+
+    if (!existing) {
+      return;
+    }
+
+    const replacement = createMessageElement(updatedMessage);
+    existing.replaceWith(replacement);
+    updateSeenMarkers();
+  });
+
+  socket.on('message_deleted', (tombstone) => {
+    const existing = messagesList.querySelector(`[data-id="${tombstone.id}"]`);
+
+    if (existing) {
+      existing.replaceWith(createMessageElement(tombstone));
+    }
+  });
+
+  socket.on('message_revisions', ({ message, revisions }) => {
+    const existing = messagesList.querySelector(`[data-id="${message.id}"]`);
+
+    if (!existing) {
+      return;
+    }
+
+    const previous = existing.querySelector('.message-revisions');
+    if (previous) {
+      previous.remove();
+      return;
+    }
+
+    const list = document.createElement('ol');
+    list.className = 'message-revisions';
+    revisions.forEach((revision) => {
+      const item = document.createElement('li');
+      item.textContent = `${revision.text} (cambiado por ${revision.editor} • ${formatDate(revision.editedAt)})`;
+      list.appendChild(item);
+    });
+    existing.appendChild(list);
+  });
+
+  socket.on('history_cleared', () => {
+    messagesList.innerHTML = '';
+  });
+}
+
+async function callApi(path, { method = 'GET', body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(path, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  const data = response.status === 204 ? null : await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Error del servidor.');
+  }
+  return data;
+}
+
+function startSession(token, user) {
+  localStorage.setItem(TOKEN_KEY, token);
+  currentUser = user;
+  sessionUser.textContent = `${user.username} (${user.role === 'moderator' ? 'moderador' : 'miembro'})`;
+  authForm.hidden = true;
+  sessionBox.hidden = false;
+  clearBtn.hidden = !currentRoom || !isRoomAdmin(currentRoom);
+  auditBtn.hidden = user.role !== 'moderator';
+  showError('');
+
+  if (socket) {
+    socket.disconnect();
+  }
+  connectSocket(token);
+}
+
+function endSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  currentUser = null;
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+  authForm.hidden = false;
+  sessionBox.hidden = true;
+  clearBtn.hidden = true;
+  auditBtn.hidden = true;
+  auditPanel.hidden = true;
+  messagesList.innerHTML = '';
+  roomsList.innerHTML = '';
+  presence.clear();
+  presenceList.innerHTML = '';
+  pendingAttachments = [];
+  renderPendingAttachments();
+  typingUsers.clear();
+  renderTyping();
+}
+
+async function authenticate(path) {
+  try {
+    const session = await callApi(path, {
+      method: 'POST',
+      body: { username: usernameInput.value.trim(), password: passwordInput.value },
+    });
+    passwordInput.value = '';
+    startSession(session.token, session.user);
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+authForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  authenticate('/api/auth/login');
+});
+
+registerBtn.addEventListener('click', () => {
+  authenticate('/api/auth/register');
 });
 
-socket.on('message_deleted', ({ id }) => {
-  const existing = messagesList.querySelector(`[data-id="${id}"]`);
+logoutBtn.addEventListener('click', async () => {
+  await callApi('/api/auth/logout', { method: 'POST' }).catch(() => {});
+  endSession();
+});
+
+searchForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
 
-  if (existing) {
-    existing.remove();
+  const params = new URLSearchParams({ q: searchInput.value.trim() });
+  if (searchKind.value) {
+    params.set('isBot', searchKind.value);
+  }
+
+  try {
+    renderSearchResults(await callApi(`/api/messages/search?${params}`));
+  } catch (error) {
+    showError(error.message);
   }
 });
 
-socket.on('history_cleared', () => {
-  messagesList.innerHTML = '';
+auditBtn.addEventListener('click', async () => {
+  try {
+    const entries = await callApi('/api/audit?limit=50');
+    auditList.innerHTML = '';
+    entries.forEach((entry) => {
+      const item = document.createElement('li');
+      const target = entry.messageId ? ` mensaje ${entry.messageId}` : '';
+      item.textContent = `${formatDate(entry.createdAt)} • ${entry.actor} • ${entry.action}${target} • sala ${entry.roomId} • ${entry.outcome === 'allowed' ? 'permitido' : 'rechazado'}`;
+      auditList.appendChild(item);
+    });
+    auditPanel.hidden = false;
+  } catch (error) {
+    showError(error.message);
+  }
 });
+
+// Retoma la sesión guardada si el token sigue vigente.
+const savedToken = localStorage.getItem(TOKEN_KEY);
+if (savedToken) {
+  callApi('/api/auth/me')
+    .then((user) => startSession(savedToken, user))
+    .catch(() => endSession());
+}
@@ -0,0 +1,22 @@
+// Alta de una cuenta desde el servidor, para los usuarios de CHAT_MODERATORS (el registro web
+// los rechaza). Uso: echo 'contraseña' | node scripts/create-user.js <usuario>
+// Usa la misma base que el servidor: respeta CHAT_DB_FILE.
+require('dotenv').config();
+const fs = require('fs');
+const authService = require('../src/authService');
+
+async function main() {
+  const username = process.argv[2];
+  if (!username) {
+    throw new Error('Uso: echo \'contraseña\' | node scripts/create-user.js <usuario>');
+  }
+
+  const password = fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '');
+  const user = await authService.createAccount({ username, password });
+  console.log(`Usuario ${user.username} creado (id ${user.id}). El rol se toma de CHAT_MODERATORS al iniciar sesión.`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -1,7 +1,28 @@
+const { execFileSync, spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Jimp } = require('jimp');
 const { io } = require('socket.io-client');
 
-const BASE_URL = 'http://127.0.0.1:3000';
+// El script levanta su propio servidor, con una base y un directorio de adjuntos temporales que
+// borra al terminar. El moderador se reconoce por CHAT_MODERATORS; su cuenta la crea
+// scripts/create-user.js sobre la misma base.
+const PORT = 3100;
+const BASE_URL = `http://127.0.0.1:${PORT}`;
 const TIMEOUT_MS = 5000;
+const SERVER_START_TIMEOUT_MS = 10000;
+const MODERATOR = 'e2e-moderador';
+const PASSWORD = 'secreto-e2e';
+const E2E_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-e2e-'));
+process.once('exit', () => fs.rmSync(E2E_DIR, { recursive: true, force: true }));
+Object.assign(process.env, {
+  PORT: String(PORT),
+  CHAT_DB_FILE: path.join(E2E_DIR, 'chat.db'),
+  CHAT_UPLOADS_DIR: path.join(E2E_DIR, 'uploads'),
+  CHAT_MODERATORS: MODERATOR,
+  BOT_PROVIDER: 'mock',
+});
 
 function waitFor(socket, eventName, predicate, timeoutMs = TIMEOUT_MS) {
   return new Promise((resolve, reject) => {
@@ -28,31 +49,227 @@ function waitFor(socket, eventName, predicate, timeoutMs = TIMEOUT_MS) {
   });
 }
 
-async function run() {
-  const socket = io(BASE_URL, {
+// Falla si el evento llega antes de timeoutMs.
+function expectSilence(socket, eventName, timeoutMs = 300) {
+  return new Promise((resolve, reject) => {
+    const handler = (payload) => {
+      clearTimeout(timeout);
+      reject(new Error(`No se esperaba ${eventName}: ${JSON.stringify(payload)}`));
+    };
+    const timeout = setTimeout(() => {
+      socket.off(eventName, handler);
+      resolve();
+    }, timeoutMs);
+    socket.on(eventName, handler);
+  });
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: se esperaba ${JSON.stringify(expected)} y llegó ${JSON.stringify(actual)}`);
+  }
+}
+
+// Arranca src/server.js con el entorno de la prueba y espera a que escuche.
+function startServer() {
+  const server = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'server.js')], {
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  // Si el script cae por un error no capturado, el servidor no queda huérfano.
+  process.once('exit', () => server.kill());
+  let output = '';
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      server.kill();
+      reject(new Error(`El servidor no arrancó en ${SERVER_START_TIMEOUT_MS} ms:\n${output}`));
+    }, SERVER_START_TIMEOUT_MS);
+    const onExit = (code) => {
+      clearTimeout(timeout);
+      reject(new Error(`El servidor terminó (código ${code}) antes de arrancar:\n${output}`));
+    };
+    server.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    server.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('Servidor ejecutándose')) {
+        clearTimeout(timeout);
+        server.off('exit', onExit);
+        resolve(server);
+      }
+    });
+    server.once('exit', onExit);
+  });
+}
+
+function stopServer(server) {
+  if (server.exitCode !== null || server.signalCode !== null) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    server.once('exit', resolve);
+    server.kill();
+  });
+}
+
+async function request(method, pathname, body, token) {
+  const headers = body ? { 'Content-Type': 'application/json' } : {};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${BASE_URL}${pathname}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = response.status === 204 ? null : await response.json();
+  return { status: response.status, data };
+}
+
+// Sube el cuerpo tal cual a /api/attachments con el Content-Type indicado.
+async function upload(name, contentType, body, token) {
+  const response = await fetch(`${BASE_URL}/api/attachments?name=${encodeURIComponent(name)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType, Authorization: `Bearer ${token}` },
+    body,
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+// Descarga un adjunto con la cabecera Authorization o, sin token, con su URL firmada como lo
+// hace un <img>.
+async function download(pathname, token) {
+  const response = await fetch(`${BASE_URL}${pathname}`, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+  return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()) };
+}
+
+// Registra al usuario o, si ya existe de otra ejecución, inicia sesión.
+async function signIn(username) {
+  const registered = await request('POST', '/api/auth/register', { username, password: PASSWORD });
+  if (registered.status === 201) {
+    return registered.data;
+  }
+  assertEqual(registered.status, 409, `registro de ${username}`);
+  const logged = await request('POST', '/api/auth/login', { username, password: PASSWORD });
+  assertEqual(logged.status, 200, `login de ${username}`);
+  return logged.data;
+}
+
+// El registro web rechaza los nombres de CHAT_MODERATORS: la primera vez la cuenta se crea con
+// el script del administrador.
+async function signInModerator() {
+  const logged = await request('POST', '/api/auth/login', { username: MODERATOR, password: PASSWORD });
+  if (logged.status === 200) {
+    return logged.data;
+  }
+  const registered = await request('POST', '/api/auth/register', { username: MODERATOR, password: PASSWORD });
+  assertEqual(registered.status, 403, 'registro web de un moderador');
+
+  execFileSync(process.execPath, [path.join(__dirname, 'create-user.js'), MODERATOR], {
+    input: `${PASSWORD}\n`,
+    stdio: ['pipe', 'ignore', 'inherit'],
+  });
+  const created = await request('POST', '/api/auth/login', { username: MODERATOR, password: PASSWORD });
+  assertEqual(created.status, 200, 'login del moderador creado por el administrador');
+  return created.data;
+}
+
+function openSocket(token) {
+  return io(BASE_URL, {
     transports: ['websocket'],
     reconnection: false,
     timeout: TIMEOUT_MS,
+    auth: token ? { token } : {},
   });
+}
 
+async function connect(token) {
+  const socket = openSocket(token);
+
+  const sessionPromise = waitFor(socket, 'session', (user) => user && user.id);
+  const presencePromise = waitFor(socket, 'presence_list', (entries) => Array.isArray(entries));
+  const historyPromise = waitFor(socket, 'message_history', (messages) => Array.isArray(messages));
+  const roomPromise = waitFor(socket, 'room_joined', (room) => room && room.name === 'general');
   await new Promise((resolve, reject) => {
     socket.on('connect', resolve);
     socket.on('connect_error', reject);
   });
+  const [history, , user, presence] = await Promise.all([historyPromise, roomPromise, sessionPromise, presencePromise]);
+  return { socket, history, user, presence };
+}
 
-  const historyPromise = waitFor(socket, 'message_history', (messages) => Array.isArray(messages));
-  const initialHistory = await historyPromise;
+async function run() {
+  const suffix = Date.now().toString(36);
+  const tester = await signIn(`tester-${suffix}`);
+  const guest = await signIn(`invitado-${suffix}`);
+  const moderator = await signInModerator();
+  assertEqual(tester.user.role, 'member', 'rol del usuario nuevo');
+  assertEqual(moderator.user.role, 'moderator', 'rol del moderador (¿falta CHAT_MODERATORS?)');
 
-  socket.emit('clear_history');
-  await waitFor(socket, 'history_cleared', () => true);
+  const duplicateUser = await request('POST', '/api/auth/register', { username: tester.user.username, password: PASSWORD });
+  assertEqual(duplicateUser.status, 409, 'usuario duplicado');
+  const badLogin = await request('POST', '/api/auth/login', { username: tester.user.username, password: 'otra-clave' });
+  assertEqual(badLogin.status, 401, 'contraseña incorrecta');
+  const anonymousRooms = await request('GET', '/api/rooms');
+  assertEqual(anonymousRooms.status, 401, 'REST sin token');
+  const me = await request('GET', '/api/auth/me', null, tester.token);
+  assertEqual(me.data.username, tester.user.username, 'usuario de /api/auth/me');
 
+  // Sin token el handshake se rechaza.
+  const rejected = await new Promise((resolve) => {
+    const anonymous = openSocket(null);
+    anonymous.on('connect', () => {
+      anonymous.disconnect();
+      resolve(null);
+    });
+    anonymous.on('connect_error', (error) => resolve(error.message));
+  });
+  assertEqual(Boolean(rejected && rejected.startsWith('No autorizado')), true, 'socket sin token');
+
+  const { socket, history: initialHistory, user: sessionUser } = await connect(tester.token);
+  assertEqual(sessionUser.username, tester.user.username, 'usuario de la sesión del socket');
+  const { socket: observer } = await connect(moderator.token);
+  // Sin una sala en común (general no cuenta) la presencia de los demás no se ve.
+  const strangerSilence = expectSilence(socket, 'presence_update');
+  const { socket: intruder, presence: guestPresence } = await connect(guest.token);
+  await strangerSilence;
+  assertEqual(guestPresence.some((entry) => entry.userId === tester.user.id), false, 'presencia sin salas en común');
+  assertEqual(guestPresence.some((entry) => entry.userId === guest.user.id && entry.online), true, 'presencia propia');
+  // Unirse a la general deja una fila de miembro, pero tampoco la convierte en sala en común.
+  assertEqual((await request('POST', '/api/rooms/1/join', {}, tester.token)).status, 200, 'unirse a la general');
+  const generalSilence = expectSilence(socket, 'presence_update');
+  await request('POST', '/api/rooms/1/join', {}, guest.token);
+  await generalSilence;
+  const generalPresence = await request('GET', '/api/presence', null, guest.token);
+  assertEqual(generalPresence.data.some((entry) => entry.userId === tester.user.id), false, 'presencia compartiendo solo la general');
+  const roomName = `e2e-${Date.now()}`;
+
+  const createdRoomPromise = waitFor(observer, 'room_created', (room) => room && room.name === roomName);
+  const joinedPromise = waitFor(socket, 'room_joined', (room) => room && room.name === roomName);
+  const roomHistoryPromise = waitFor(socket, 'message_history', (messages) => Array.isArray(messages));
+  socket.emit('create_room', { name: roomName });
+  const room = await joinedPromise;
+  await createdRoomPromise;
+  assertEqual((await roomHistoryPromise).length, 0, 'historial de sala nueva');
+  assertEqual(room.owner, tester.user.username, 'dueño de la sala');
+
+  const duplicateError = waitFor(socket, 'chat_error', (error) => error.action === 'create_room');
+  socket.emit('create_room', { name: roomName.toUpperCase() });
+  await duplicateError;
+
+  // El observador sigue en general: no recibe los mensajes de la sala.
+  const observerSilence = expectSilence(observer, 'new_message');
   const newMsgPromise = waitFor(
     socket,
     'new_message',
-    (msg) => msg && msg.author === 'Tester' && msg.text === 'mensaje inicial' && !msg.isBot
+    (msg) => msg && msg.author === tester.user.username && msg.text === 'mensaje inicial' && !msg.isBot
   );
-  socket.emit('send_message', { author: 'Tester', text: 'mensaje inicial' });
+  // El autor sale de la sesión, no del payload.
+  socket.emit('send_message', { author: 'Suplantado', text: 'mensaje inicial' });
   const created = await newMsgPromise;
+  assertEqual(created.roomId, room.id, 'sala del mensaje');
+  assertEqual(created.userId, tester.user.id, 'usuario del mensaje');
+  await observerSilence;
 
   const editedPromise = waitFor(
     socket,
@@ -60,38 +277,443 @@ async function run() {
     (msg) => msg && msg.id === created.id && msg.text === 'mensaje editado'
   );
   socket.emit('edit_message', { id: created.id, newText: 'mensaje editado' });
-  await editedPromise;
+  const edited = await editedPromise;
+  assertEqual(edited.revisionCount, 1, 'versiones tras editar');
+
+  const revisionsPromise = waitFor(socket, 'message_revisions', ({ message }) => message.id === created.id);
+  socket.emit('get_revisions', { id: created.id });
+  const socketRevisions = await revisionsPromise;
+  assertEqual(socketRevisions.revisions.length, 1, 'versiones por socket');
+  assertEqual(socketRevisions.revisions[0].text, 'mensaje inicial', 'texto de la versión anterior');
+  assertEqual(socketRevisions.revisions[0].editor, tester.user.username, 'editor de la versión');
+
+  // Otro miembro de la sala no puede editar ni borrar mensajes ajenos.
+  const intruderJoined = waitFor(intruder, 'room_joined', (joined) => joined.id === room.id);
+  const guestOnline = waitFor(socket, 'presence_update', (entry) => entry.userId === guest.user.id && entry.online);
+  const sharedPresence = waitFor(intruder, 'presence_list', (entries) => entries.some((entry) => entry.userId === tester.user.id));
+  intruder.emit('join_room', { roomId: room.id });
+  await intruderJoined;
+  await guestOnline;
+  assertEqual(
+    (await sharedPresence).some((entry) => entry.userId === tester.user.id && entry.online && entry.lastSeenAt),
+    true,
+    'presencia al compartir sala'
+  );
+  const foreignEdit = waitFor(intruder, 'chat_error', (error) => error.action === 'edit_message');
+  intruder.emit('edit_message', { id: created.id, newText: 'hackeado' });
+  assertEqual((await foreignEdit).message, 'Solo el autor puede modificar este mensaje.', 'editar mensaje ajeno');
+  const foreignDelete = await request('DELETE', `/api/rooms/${room.id}/messages/${created.id}`, null, guest.token);
+  assertEqual(foreignDelete.status, 403, 'borrar mensaje ajeno por REST');
 
   const deletedPromise = waitFor(socket, 'message_deleted', ({ id }) => id === created.id);
   socket.emit('delete_message', { id: created.id });
-  await deletedPromise;
+  const tombstone = await deletedPromise;
+  assertEqual(tombstone.text, null, 'lápida sin texto');
+  assertEqual(tombstone.deletedBy, tester.user.username, 'quién borró el mensaje');
+
+  const editDeleted = waitFor(socket, 'chat_error', (error) => error.action === 'edit_message');
+  socket.emit('edit_message', { id: created.id, newText: 'revivido' });
+  assertEqual((await editDeleted).message, 'El mensaje fue eliminado.', 'editar mensaje borrado');
+  const deletedRevisions = await request('GET', `/api/rooms/${room.id}/messages/${created.id}/revisions`, null, tester.token);
+  assertEqual(deletedRevisions.status, 410, 'versiones de mensaje borrado');
 
   const botUserMsgPromise = waitFor(
     socket,
     'new_message',
-    (msg) => msg && msg.author === 'Tester' && msg.text === '/bot hola bot'
+    (msg) => msg && msg.author === tester.user.username && msg.text === '/bot hola bot'
   );
-  const botReplyPromise = waitFor(
+  const botStartPromise = waitFor(
     socket,
     'new_message',
-    (msg) => msg && msg.author === 'Bot' && msg.isBot === 1
+    (msg) => msg && msg.author === 'Bot' && msg.isBot === 1 && msg.roomId === room.id && msg.streaming
   );
-  socket.emit('send_message', { author: 'Tester', text: '/bot hola bot' });
+  // La respuesta llega por fragmentos y al final se guarda completa.
+  const chunks = [];
+  const collectChunk = ({ delta }) => chunks.push(delta);
+  socket.on('bot_message_chunk', collectChunk);
+  const botDonePromise = waitFor(socket, 'bot_message_done', (msg) => msg.roomId === room.id);
+  socket.emit('send_message', { text: '/bot hola bot' });
   await botUserMsgPromise;
-  const botReply = await botReplyPromise;
+  const botStart = await botStartPromise;
+  assertEqual(botStart.text, '', 'la respuesta del bot empieza vacía');
+  const botReply = await botDonePromise;
+  socket.off('bot_message_chunk', collectChunk);
+  assertEqual(botReply.id, botStart.id, 'la respuesta completa el mismo mensaje');
+  assertEqual(botReply.cancelled, false, 'respuesta no cancelada');
+  assertEqual(chunks.length > 1, true, 'la respuesta llega en varios fragmentos');
+  assertEqual(chunks.join('').trim(), botReply.text, 'los fragmentos forman el texto guardado');
+
+  // Cancelar: solo quien la pidió (o un moderador); corta el stream y guarda lo recibido.
+  // Se pide con el alias /ia: la memoria del bot lo recibe sin el comando.
+  const slowStartPromise = waitFor(socket, 'new_message', (msg) => msg && msg.isBot === 1 && msg.streaming);
+  socket.emit('send_message', { text: '/ia cuéntame algo largo sobre bases de datos' });
+  const slowStart = await slowStartPromise;
+  await waitFor(socket, 'bot_message_chunk', ({ id }) => id === slowStart.id);
+  const foreignCancel = waitFor(intruder, 'chat_error', (error) => error.action === 'cancel_bot');
+  intruder.emit('cancel_bot', { id: slowStart.id });
+  assertEqual((await foreignCancel).message, 'Solo quien pidió la respuesta o un moderador puede cancelarla.', 'cancelar respuesta ajena');
+  const cancelledPromise = waitFor(socket, 'bot_message_done', (msg) => msg.id === slowStart.id);
+  socket.emit('cancel_bot', { id: slowStart.id });
+  const cancelled = await cancelledPromise;
+  assertEqual(cancelled.cancelled, true, 'respuesta cancelada');
+  assertEqual(cancelled.text.endsWith('[respuesta cancelada]'), true, 'texto parcial guardado');
+  const lateCancel = waitFor(socket, 'chat_error', (error) => error.action === 'cancel_bot');
+  socket.emit('cancel_bot', { id: slowStart.id });
+  await lateCancel;
+
+  // Memoria: el bot recibe los mensajes anteriores de la sala.
+  const memoryPromise = waitFor(
+    socket,
+    'bot_message_done',
+    (msg) => msg.roomId === room.id && msg.text.startsWith('Antes me dijiste')
+  );
+  socket.emit('send_message', { text: '/bot ¿qué te dije antes?' });
+  const memoryReply = await memoryPromise;
+  assertEqual(memoryReply.text, 'Antes me dijiste: "cuéntame algo largo sobre bases de datos".', 'memoria del bot');
+
+  // Prompt de sistema por sala: lo cambia el dueño (o un moderador) y queda guardado.
+  const promptPath = `/api/rooms/${room.id}/system-prompt`;
+  const defaultPrompt = await request('GET', promptPath, null, tester.token);
+  assertEqual(defaultPrompt.data.isDefault, true, 'prompt por defecto');
+  const foreignPrompt = await request('PUT', promptPath, { systemPrompt: 'Responde en inglés.' }, guest.token);
+  assertEqual(foreignPrompt.status, 403, 'prompt cambiado por quien no es dueño');
+  const promptUpdated = waitFor(intruder, 'system_prompt_updated', (update) => update.roomId === room.id);
+  socket.emit('set_system_prompt', { systemPrompt: 'Eres un tutor de bases de datos.' });
+  assertEqual((await promptUpdated).systemPrompt, 'Eres un tutor de bases de datos.', 'prompt de la sala');
+  const storedPrompt = await request('GET', promptPath, null, guest.token);
+  assertEqual(storedPrompt.data.isDefault, false, 'prompt guardado');
+
+  // Comandos: las respuestas son privadas y un comando desconocido no se publica.
+  const unknownSilence = expectSilence(intruder, 'new_message');
+  const unknownCommand = waitFor(socket, 'chat_error', (error) => error.action === 'send_message');
+  socket.emit('send_message', { text: '/nope algo' });
+  assertEqual((await unknownCommand).message.startsWith('Comando desconocido: /nope'), true, 'comando desconocido');
+  await unknownSilence;
+
+  const helpReply = waitFor(socket, 'command_reply', (reply) => reply.command === 'help');
+  socket.emit('send_message', { text: '/ayuda' });
+  const helpText = (await helpReply).text;
+  assertEqual(helpText.includes('/poll') && !helpText.includes('/mute'), true, '/help sin comandos de moderador');
+  assertEqual(helpText.includes('/clear'), true, '/help con /clear para el dueño de la sala');
+  const moderatorHelp = await request('POST', '/api/rooms/1/messages', { text: '/help clear' }, moderator.token);
+  assertEqual(moderatorHelp.status, 200, 'comando por REST');
+  assertEqual(moderatorHelp.data.replies[0].startsWith('/clear:'), true, '/help de un comando');
+
+  const toEditPromise = waitFor(socket, 'new_message', (msg) => msg.text === 'para editar');
+  socket.emit('send_message', { text: 'para editar' });
+  const toEdit = await toEditPromise;
+  const commandEdit = waitFor(intruder, 'message_edited', (msg) => msg.id === toEdit.id);
+  socket.emit('send_message', { text: `/edit ${toEdit.id} editado con comando` });
+  assertEqual((await commandEdit).text, 'editado con comando', '/edit');
+
+  // Escribiendo: un solo typing: true aunque lleguen varios typing_start, y se apaga al enviar.
+  const typingOn = waitFor(intruder, 'typing', (event) => event.userId === tester.user.id && event.typing);
+  socket.emit('typing_start');
+  await typingOn;
+  const noRepeat = expectSilence(intruder, 'typing');
+  socket.emit('typing_start');
+  await noRepeat;
+  const typingOff = waitFor(intruder, 'typing', (event) => event.userId === tester.user.id && !event.typing);
+  socket.emit('typing_stop');
+  await typingOff;
+  const typingAgain = waitFor(intruder, 'typing', (event) => event.userId === tester.user.id && event.typing);
+  socket.emit('typing_start');
+  await typingAgain;
+  const stoppedBySend = waitFor(intruder, 'typing', (event) => event.userId === tester.user.id && !event.typing);
+  socket.emit('send_message', { text: '/help who' });
+  await stoppedBySend;
+
+  // Cursores de lectura: avanzan, no retroceden, y /api/messages/:id/readers lista a quien leyó.
+  const cursorUpdated = waitFor(socket, 'read_cursor_updated', (cursor) => cursor.userId === guest.user.id);
+  intruder.emit('mark_read', { messageId: toEdit.id });
+  assertEqual((await cursorUpdated).messageId, toEdit.id, 'cursor de lectura');
+  const noRewind = expectSilence(socket, 'read_cursor_updated');
+  intruder.emit('mark_read', { messageId: toEdit.id - 1 });
+  await noRewind;
+  const readers = await request('GET', `/api/messages/${toEdit.id}/readers`, null, tester.token);
+  assertEqual(JSON.stringify(readers.data.map((reader) => reader.username)), JSON.stringify([guest.user.username]), 'lectores del mensaje');
+  const outsiderReaders = await request('GET', `/api/messages/${toEdit.id}/readers`, null, moderator.token);
+  assertEqual(outsiderReaders.status, 403, 'lectores sin ser miembro');
+  const cursors = await request('GET', `/api/rooms/${room.id}/read-cursors`, null, tester.token);
+  assertEqual(cursors.data.length, 1, 'cursores de la sala');
+
+  const whoReply = waitFor(socket, 'command_reply', (reply) => reply.command === 'who');
+  socket.emit('send_message', { text: '/who' });
+  const whoText = (await whoReply).text;
+  assertEqual(whoText.includes(guest.user.username) && whoText.includes(`Miembros: ${tester.user.username}`), true, '/who');
+
+  const pollCreated = waitFor(intruder, 'poll_updated', (poll) => poll.roomId === room.id);
+  socket.emit('send_message', { text: '/poll ¿SQL o NoSQL? | SQL | NoSQL' });
+  const poll = await pollCreated;
+  assertEqual(poll.options.length, 2, 'opciones de la encuesta');
+  const ownBeforeMutePromise = waitFor(socket, 'new_message', (msg) => msg.text === 'antes del silencio');
+  intruder.emit('send_message', { text: 'antes del silencio' });
+  const ownBeforeMute = await ownBeforeMutePromise;
+
+  const deniedMute = waitFor(socket, 'chat_error', (error) => error.action === 'send_message');
+  socket.emit('send_message', { text: `/mute ${guest.user.username}` });
+  assertEqual((await deniedMute).message, 'No tienes permiso para usar /mute.', '/mute sin ser moderador');
+  const muteNotice = waitFor(socket, 'command_notice', (notice) => notice.roomId === room.id);
+  await request('POST', `/api/rooms/${room.id}/messages`, { text: `/mute ${guest.user.username} 5` }, moderator.token);
+  assertEqual((await muteNotice).text, `${guest.user.username} fue silenciado por 5 minutos.`, 'aviso de /mute');
+  const mutedError = waitFor(intruder, 'chat_error', (error) => error.action === 'send_message');
+  intruder.emit('send_message', { text: 'no me pueden callar' });
+  assertEqual((await mutedError).message.startsWith('Estás silenciado'), true, 'mensaje de usuario silenciado');
+  // El silencio también frena ediciones, encuestas y votos.
+  const mutedEdit = waitFor(intruder, 'chat_error', (error) => error.action === 'edit_message');
+  intruder.emit('edit_message', { id: ownBeforeMute.id, newText: 'editado en silencio' });
+  assertEqual((await mutedEdit).message.startsWith('Estás silenciado'), true, 'edición de usuario silenciado');
+  for (const text of ['/poll ¿Me callan? | Sí | No', `/poll votar ${poll.id} 1`]) {
+    const mutedCommand = waitFor(intruder, 'chat_error', (error) => error.action === 'send_message');
+    intruder.emit('send_message', { text });
+    assertEqual((await mutedCommand).message.startsWith('Estás silenciado'), true, `${text.split(' ').slice(0, 2).join(' ')} de usuario silenciado`);
+  }
+  await request('POST', `/api/rooms/${room.id}/messages`, { text: `/mute ${guest.user.username} 0` }, moderator.token);
+  const unmutedPromise = waitFor(socket, 'new_message', (msg) => msg.author === guest.user.username);
+  intruder.emit('send_message', { text: 'ya puedo escribir' });
+  await unmutedPromise;
+
+  const pollVoted = waitFor(socket, 'poll_updated', (updated) => updated.id === poll.id && updated.options[1].votes === 1);
+  intruder.emit('send_message', { text: `/poll votar ${poll.id} 2` });
+  await pollVoted;
+  const badVote = waitFor(intruder, 'chat_error', (error) => error.action === 'send_message');
+  intruder.emit('send_message', { text: `/poll votar ${poll.id} 9` });
+  assertEqual((await badVote).message, 'Elige una opción del 1 al 2.', 'voto fuera de rango');
 
-  socket.emit('clear_history');
-  await waitFor(socket, 'history_cleared', () => true);
+  const reminderAck = waitFor(socket, 'command_reply', (reply) => reply.command === 'remind');
+  const reminder = waitFor(socket, 'command_reply', (reply) => reply.text === 'Recordatorio: revisar la encuesta');
+  socket.emit('send_message', { text: '/remind 1s revisar la encuesta' });
+  assertEqual((await reminderAck).text, 'Te lo recordaré en 1s.', 'confirmación de /remind');
+  await reminder;
+
+  // Los recordatorios son temporizadores en memoria: plazo máximo y tope de pendientes por usuario.
+  const tooLate = waitFor(socket, 'chat_error', (error) => error.action === 'send_message');
+  socket.emit('send_message', { text: '/remind 25h demasiado tarde' });
+  assertEqual((await tooLate).message, 'Un recordatorio puede ser de hasta 24 h.', 'plazo máximo de /remind');
+  for (let index = 1; index <= 5; index += 1) {
+    const pendingAck = waitFor(socket, 'command_reply', (reply) => reply.command === 'remind');
+    socket.emit('send_message', { text: `/remind 1h pendiente ${index}` });
+    await pendingAck;
+  }
+  const overLimit = waitFor(socket, 'chat_error', (error) => error.action === 'send_message');
+  socket.emit('send_message', { text: '/remind 1h uno más' });
+  assertEqual(
+    (await overLimit).message,
+    'Ya tienes 5 recordatorios pendientes; espera a que llegue alguno.',
+    'tope de recordatorios pendientes'
+  );
+
+  // API REST equivalente a los eventos.
+  const rooms = await request('GET', '/api/rooms', null, tester.token);
+  assertEqual(rooms.data.some((item) => item.id === room.id && item.members === 2), true, 'sala en /api/rooms');
+  const forbiddenHistory = await request('GET', `/api/rooms/${room.id}/messages`, null, moderator.token);
+  assertEqual(forbiddenHistory.status, 403, 'historial sin ser miembro');
+  const botSearchPath = `/api/messages/search?q=${encodeURIComponent(botReply.text)}&isBot=true&roomId=${room.id}`;
+  const outsiderSearch = await request('GET', botSearchPath, null, moderator.token);
+  assertEqual(outsiderSearch.data.length, 0, 'búsqueda sin ser miembro de la sala');
+  const joinedByRest = await request('POST', `/api/rooms/${room.id}/join`, {}, moderator.token);
+  assertEqual(joinedByRest.data.members, 3, 'miembros tras unirse por REST');
+  const restMessagePromise = waitFor(socket, 'new_message', (msg) => msg && msg.author === MODERATOR);
+  const restMessage = await request('POST', `/api/rooms/${room.id}/messages`, { text: 'hola por REST' }, moderator.token);
+  assertEqual(restMessage.status, 201, 'mensaje por REST');
+  await restMessagePromise;
+  const roomHistory = await request('GET', `/api/rooms/${room.id}/messages`, null, moderator.token);
+  assertEqual(roomHistory.data.length, 11, 'historial de la sala por REST');
+  assertEqual(roomHistory.data[0].deletedAt !== null, true, 'la lápida sigue en el historial');
+  const restEdit = await request('PATCH', `/api/rooms/${room.id}/messages/${restMessage.data.id}`, { newText: 'hola editado' }, moderator.token);
+  assertEqual(restEdit.data.revisionCount, 1, 'versiones tras editar por REST');
+  const restRevisions = await request('GET', `/api/rooms/${room.id}/messages/${restMessage.data.id}/revisions`, null, moderator.token);
+  assertEqual(restRevisions.data.revisions[0].text, 'hola por REST', 'versión anterior por REST');
+
+  // Búsqueda de texto completo: el índice sigue a las ediciones y omite los borrados.
+  const botSearch = await request('GET', botSearchPath, null, tester.token);
+  assertEqual(botSearch.data[0].id, botReply.id, 'respuesta del bot encontrada');
+  assertEqual(botSearch.data[0].snippet.includes('<mark>'), true, 'fragmento resaltado');
+  const peopleOnly = await request('GET', `${botSearchPath.replace('isBot=true', 'isBot=false')}`, null, tester.token);
+  assertEqual(peopleOnly.data.some((hit) => hit.id === botReply.id), false, 'filtro isBot=false');
+  const byAuthor = await request('GET', `/api/messages/search?q=editado&author=${MODERATOR}&roomId=${room.id}`, null, tester.token);
+  assertEqual(JSON.stringify(byAuthor.data.map((hit) => hit.id)), JSON.stringify([restMessage.data.id]), 'búsqueda por autor tras editar');
+  const oldText = await request('GET', `/api/messages/search?q=REST&roomId=${room.id}`, null, tester.token);
+  assertEqual(oldText.data.length, 0, 'el texto reemplazado ya no aparece');
+  const futureOnly = await request('GET', `/api/messages/search?q=editado&roomId=${room.id}&from=2999-01-01`, null, tester.token);
+  assertEqual(futureOnly.data.length, 0, 'filtro por fecha');
+  const badSearch = await request('GET', '/api/messages/search?q=%22%20*', null, tester.token);
+  assertEqual(badSearch.status, 400, 'búsqueda vacía');
+  const badDate = await request('GET', '/api/messages/search?q=hola&to=ayer', null, tester.token);
+  assertEqual(badDate.status, 400, 'fecha inválida');
+
+  // Adjuntos: el tipo se valida por el contenido, las imágenes traen miniatura y los archivos
+  // desaparecen al borrar el mensaje o vaciar la sala.
+  const png = await new Jimp({ width: 640, height: 480, color: 0x3366ffff }).getBuffer('image/png');
+  const pdf = Buffer.from('%PDF-1.4\n1 0 obj << >> endobj\ntrailer << >>\n%%EOF\n');
+  const image = await upload('diagrama ñ.png', 'image/png', png, tester.token);
+  assertEqual(image.status, 201, 'subir imagen');
+  assertEqual(`${image.data.width}x${image.data.height}:${image.data.hasThumbnail}`, '640x480:true', 'dimensiones y miniatura');
+  const pdfUpload = await upload('apuntes.pdf', 'application/pdf', pdf, tester.token);
+  assertEqual(pdfUpload.data.hasThumbnail, false, 'un PDF no tiene miniatura');
+  assertEqual((await upload('nota.txt', 'text/plain', 'hola', tester.token)).status, 415, 'tipo no admitido');
+  assertEqual((await upload('falso.png', 'image/png', pdf, tester.token)).status, 415, 'contenido distinto al tipo declarado');
+  const oversize = await upload('grande.pdf', 'application/pdf', Buffer.alloc(6 * 1024 * 1024), tester.token);
+  assertEqual(oversize.status, 413, 'archivo demasiado grande');
+  // Cabecera PNG que declara 50000x50000 en pocos bytes: se rechaza sin decodificarla.
+  const hugeHeader = Buffer.alloc(33);
+  png.copy(hugeHeader, 0, 0, 16);
+  hugeHeader.writeUInt32BE(50000, 16);
+  hugeHeader.writeUInt32BE(50000, 20);
+  hugeHeader.set([8, 6, 0, 0, 0], 24);
+  assertEqual((await upload('bomba.png', 'image/png', hugeHeader, tester.token)).status, 413, 'imagen con demasiados píxeles');
+  const pendingByOther = await download(`/api/attachments/${image.data.id}`, moderator.token);
+  assertEqual(pendingByOther.status, 404, 'adjunto pendiente de otro usuario');
+
+  const attachedPromise = waitFor(socket, 'new_message', (msg) => msg && msg.attachments && msg.attachments.length === 2);
+  socket.emit('send_message', { text: '', attachmentIds: [image.data.id, pdfUpload.data.id] });
+  const attached = await attachedPromise;
+  assertEqual(attached.text, '', 'mensaje solo con adjuntos');
+  const reusedAttachment = waitFor(socket, 'chat_error', (error) => error.action === 'send_message');
+  socket.emit('send_message', { text: 'otra vez', attachmentIds: [image.data.id] });
+  assertEqual((await reusedAttachment).message, 'Algún adjunto no existe o ya fue enviado.', 'adjunto ya enviado');
+  const commandWithFile = waitFor(socket, 'chat_error', (error) => error.action === 'send_message');
+  socket.emit('send_message', { text: '/who', attachmentIds: [pdfUpload.data.id] });
+  assertEqual((await commandWithFile).message, 'Los comandos no admiten adjuntos.', 'comando con adjuntos');
+
+  const imageFile = await download(`/api/attachments/${image.data.id}`, moderator.token);
+  assertEqual(imageFile.headers.get('content-type'), 'image/png', 'tipo de la imagen');
+  assertEqual(
+    imageFile.headers.get('content-disposition'),
+    `inline; filename="diagrama _.png"; filename*=UTF-8''${encodeURIComponent('diagrama ñ.png')}`,
+    'content-disposition de la imagen'
+  );
+  assertEqual(imageFile.body.equals(png), true, 'imagen descargada intacta');
+  const pdfDownload = await download(`/api/attachments/${pdfUpload.data.id}?download=1`, moderator.token);
+  assertEqual(pdfDownload.headers.get('content-disposition').startsWith('attachment; filename="apuntes.pdf"'), true, 'descarga forzada');
+  const thumbnail = await download(`/api/attachments/${image.data.id}/thumbnail`, moderator.token);
+  const thumbnailImage = await Jimp.read(thumbnail.body);
+  assertEqual(`${thumbnailImage.bitmap.width}x${thumbnailImage.bitmap.height}`, '320x240', 'tamaño de la miniatura');
+  assertEqual((await download(`/api/attachments/${pdfUpload.data.id}/thumbnail`, moderator.token)).status, 404, 'miniatura de un PDF');
+  assertEqual((await fetch(`${BASE_URL}/api/attachments/${image.data.id}`)).status, 401, 'descarga sin token');
+  assertEqual((await download(`/api/attachments/${image.data.id}?token=${moderator.token}`)).status, 401, 'token de sesión en la URL');
+
+  // <img> y enlaces: URLs firmadas por adjunto, sin el token de sesión.
+  const [signedImage, signedPdf] = attached.attachments;
+  assertEqual(signedImage.url.includes(moderator.token), false, 'la URL firmada no lleva el token');
+  assertEqual((await download(signedImage.url)).body.equals(png), true, 'imagen por URL firmada');
+  assertEqual((await download(signedImage.thumbnailUrl)).headers.get('content-type'), 'image/png', 'miniatura por URL firmada');
+  assertEqual(signedPdf.thumbnailUrl, null, 'un PDF no trae URL de miniatura');
+  const forgedUrl = signedImage.url.replace(`/api/attachments/${image.data.id}?`, `/api/attachments/${pdfUpload.data.id}?`);
+  assertEqual((await download(forgedUrl)).status, 403, 'URL firmada de otro adjunto');
+  const thumbnailWithFileSig = signedImage.url.replace('?', '/thumbnail?');
+  assertEqual((await download(thumbnailWithFileSig)).status, 403, 'firma del archivo usada en la miniatura');
+  const expiredUrl = signedImage.url.replace(/expires=\d+/, `expires=${Date.now() - 1000}`);
+  assertEqual((await download(expiredUrl)).status, 403, 'URL firmada vencida');
+  const freshLinks = await request('GET', `/api/attachments/${image.data.id}/links`, null, tester.token);
+  assertEqual((await download(freshLinks.data.url)).status, 200, 'URLs firmadas renovadas');
+  const outsider = await signIn(`ajeno-${suffix}`);
+  const outsiderLinks = await request('GET', `/api/attachments/${image.data.id}/links`, null, outsider.token);
+  assertEqual(outsiderLinks.status, 404, 'URLs firmadas sin acceso a la sala');
+
+  const keptUpload = await upload('captura.png', 'image/png', png, moderator.token);
+  const restAttachment = await request('POST', `/api/rooms/${room.id}/messages`, { text: 'con adjunto', attachmentIds: [keptUpload.data.id] }, moderator.token);
+  assertEqual(restAttachment.data.attachments[0].name, 'captura.png', 'adjunto por REST');
+
+  const attachmentDeleted = waitFor(socket, 'message_deleted', (msg) => msg.id === attached.id);
+  socket.emit('delete_message', { id: attached.id });
+  assertEqual((await attachmentDeleted).attachments.length, 0, 'la lápida no conserva adjuntos');
+  assertEqual((await download(`/api/attachments/${image.data.id}`, tester.token)).status, 404, 'adjunto de un mensaje borrado');
+  assertEqual((await download(signedImage.url)).status, 404, 'URL firmada de un mensaje borrado');
+
+  const moderatorDeletedRevisions = await request('GET', `/api/rooms/${room.id}/messages/${created.id}/revisions`, null, moderator.token);
+  assertEqual(moderatorDeletedRevisions.data.revisions.length, 1, 'el moderador ve versiones de mensajes borrados');
+  const generalHistory = await request('GET', '/api/messages', null, tester.token);
+  assertEqual(generalHistory.data.some((msg) => msg.roomId === room.id), false, 'historial general sin la sala');
+
+  // Vaciar el historial es cosa del dueño de la sala o de un moderador, y es un borrado lógico.
+  const memberClear = await request('DELETE', `/api/rooms/${room.id}/messages`, null, guest.token);
+  assertEqual(memberClear.status, 403, 'borrar historial sin ser dueño ni moderador');
+  assertEqual(memberClear.data.error, 'Solo el dueño de la sala o un moderador puede borrar el historial.', 'mensaje al borrar historial sin permiso');
+  const memberAudit = await request('GET', '/api/audit', null, tester.token);
+  assertEqual(memberAudit.status, 403, 'auditoría sin ser moderador');
+
+  const clearedPromise = waitFor(socket, 'history_cleared', ({ roomId }) => roomId === room.id);
+  const ownerClear = await request('DELETE', `/api/rooms/${room.id}/messages`, null, tester.token);
+  assertEqual(ownerClear.data.deleted, 11, 'mensajes borrados por el dueño');
+  await clearedPromise;
+  const clearedHistory = await request('GET', `/api/rooms/${room.id}/messages`, null, tester.token);
+  assertEqual(clearedHistory.data.length, 0, 'historial tras borrar');
+  const clearedRevisions = await request('GET', `/api/rooms/${room.id}/messages/${toEdit.id}/revisions`, null, moderator.token);
+  assertEqual(clearedRevisions.data.message.deletedBy, tester.user.username, 'lápida tras vaciar el historial');
+  assertEqual(clearedRevisions.data.revisions.length > 0, true, 'versiones conservadas tras vaciar el historial');
+  const moderatorClear = await request('DELETE', `/api/rooms/${room.id}/messages`, null, moderator.token);
+  assertEqual(moderatorClear.data.deleted, 0, 'el moderador vacía una sala ya vacía');
+  const searchAfterClear = await request('GET', botSearchPath, null, tester.token);
+  assertEqual(searchAfterClear.data.length, 0, 'búsqueda tras borrar el historial');
+  assertEqual((await download(`/api/attachments/${keptUpload.data.id}`, moderator.token)).status, 404, 'adjunto tras borrar el historial');
+
+  const audit = await request('GET', `/api/audit?roomId=${room.id}`, null, moderator.token);
+  const auditSummary = audit.data.map((entry) => `${entry.action}:${entry.outcome}:${entry.actor}`).reverse();
+  assertEqual(
+    JSON.stringify(auditSummary),
+    JSON.stringify([
+      `edit_message:allowed:${tester.user.username}`,
+      `edit_message:denied:${guest.user.username}`,
+      `delete_message:denied:${guest.user.username}`,
+      `delete_message:allowed:${tester.user.username}`,
+      `set_system_prompt:allowed:${tester.user.username}`,
+      `edit_message:allowed:${tester.user.username}`,
+      `command:denied:${tester.user.username}`,
+      `mute_user:allowed:${MODERATOR}`,
+      `mute_user:allowed:${MODERATOR}`,
+      `edit_message:allowed:${MODERATOR}`,
+      `delete_message:allowed:${tester.user.username}`,
+      `clear_history:denied:${guest.user.username}`,
+      `clear_history:allowed:${tester.user.username}`,
+      `clear_history:allowed:${MODERATOR}`,
+    ]),
+    'registro de auditoría'
+  );
+  assertEqual(audit.data[audit.data.length - 1].detail.previousText, 'mensaje inicial', 'texto previo en la auditoría');
+
+  const leftByRest = await request('POST', `/api/rooms/${room.id}/leave`, {}, moderator.token);
+  assertEqual(leftByRest.data.members, 2, 'miembros tras salir por REST');
+
+  const logout = await request('POST', '/api/auth/logout', {}, guest.token);
+  assertEqual(logout.status, 204, 'cerrar sesión');
+  const afterLogout = await request('GET', '/api/auth/me', null, guest.token);
+  assertEqual(afterLogout.status, 401, 'token tras cerrar sesión');
+
+  const guestOffline = waitFor(socket, 'presence_update', (entry) => entry.userId === guest.user.id && !entry.online);
+  intruder.disconnect();
+  assertEqual(Boolean((await guestOffline).lastSeenAt), true, 'última conexión al desconectarse');
+  const presence = await request('GET', '/api/presence', null, tester.token);
+  assertEqual(presence.data.find((entry) => entry.userId === guest.user.id).online, false, 'presencia por REST');
+
+  const backToGeneral = waitFor(socket, 'room_joined', (joined) => joined.name === 'general');
+  socket.emit('leave_room', { roomId: room.id });
+  await waitFor(socket, 'room_left', ({ roomId }) => roomId === room.id);
+  await backToGeneral;
+  const presenceAfterLeave = await request('GET', '/api/presence', null, tester.token);
+  assertEqual(presenceAfterLeave.data.some((entry) => entry.userId === guest.user.id), false, 'presencia tras salir de la sala');
 
   socket.disconnect();
+  observer.disconnect();
 
   console.log('E2E_OK');
   console.log(`history_inicial=${initialHistory.length}`);
+  console.log(`sala=${room.id}`);
   console.log(`mensaje_id=${created.id}`);
+  console.log(`auditoria=${audit.data.length}`);
   console.log(`bot_respuesta=${JSON.stringify(botReply.text).slice(0, 120)}`);
 }
 
-run().catch((error) => {
+async function main() {
+  const server = await startServer();
+  try {
+    await run();
+  } finally {
+    await stopServer(server);
+  }
+}
+
+main().catch((error) => {
   console.error('E2E_FAIL', error.message);
   process.exit(1);
 });
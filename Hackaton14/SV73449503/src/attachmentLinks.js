@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// <img src> y los enlaces no pueden mandar la cabecera Authorization. En vez de poner el token de
+// sesión en la URL (queda en el historial, en los logs y en el Referer), cada adjunto trae URLs
+// firmadas que solo abren ese archivo y vencen pronto.
+// Sin CHAT_ATTACHMENT_URL_SECRET la clave es aleatoria y las URLs mueren al reiniciar.
+const SECRET = process.env.CHAT_ATTACHMENT_URL_SECRET || crypto.randomBytes(32).toString('hex');
+const URL_TTL_MS = Number(process.env.CHAT_ATTACHMENT_URL_TTL_MINUTES || 15) * 60 * 1000;
+
+function sign(id, kind, expires) {
+  return crypto.createHmac('sha256', SECRET).update(`${id}:${kind}:${expires}`).digest('base64url');
+}
+
+function signedPath(id, kind, expires) {
+  const params = new URLSearchParams({ expires: String(expires), sig: sign(id, kind, expires) });
+  return `/api/attachments/${id}${kind === 'thumbnail' ? '/thumbnail' : ''}?${params}`;
+}
+
+// El vencimiento se redondea a bloques de URL_TTL_MS para que la URL no cambie en cada mensaje
+// y el navegador pueda cachear la imagen: dura entre una y dos veces URL_TTL_MS.
+function linksFor(attachment) {
+  const expires = (Math.floor(Date.now() / URL_TTL_MS) + 2) * URL_TTL_MS;
+  return {
+    url: signedPath(attachment.id, 'file', expires),
+    thumbnailUrl: attachment.thumbnailName ? signedPath(attachment.id, 'thumbnail', expires) : null,
+    linksExpireAt: new Date(expires).toISOString(),
+  };
+}
+
+function verify({ id, kind, expires, signature }) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt <= Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(sign(Number(id), kind, expiresAt));
+  const actual = Buffer.from(String(signature || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  linksFor,
+  verify,
+};
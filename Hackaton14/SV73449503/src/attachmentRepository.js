@@ -0,0 +1,128 @@
+const db = require('./database');
+const attachmentLinks = require('./attachmentLinks');
+
+const ATTACHMENT_COLUMNS = `
+  id, message_id AS messageId, uploader_id AS uploaderId, original_name AS name,
+  mime_type AS mimeType, size, storage_name AS storageName, thumbnail_name AS thumbnailName,
+  width, height, created_at AS createdAt,
+  (SELECT room_id FROM messages WHERE messages.id = attachments.message_id) AS roomId
+`;
+
+// Lo que el cliente ve de un adjunto: sin los nombres de archivo en disco y con URLs firmadas.
+function toPublicAttachment(attachment) {
+  return {
+    id: attachment.id,
+    name: attachment.name,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    width: attachment.width,
+    height: attachment.height,
+    hasThumbnail: Boolean(attachment.thumbnailName),
+    ...attachmentLinks.linksFor(attachment),
+  };
+}
+
+class AttachmentRepository {
+  constructor(database) {
+    this.db = database;
+
+    this.insertStmt = this.db.prepare(`
+      INSERT INTO attachments
+        (uploader_id, original_name, mime_type, size, storage_name, thumbnail_name, width, height, created_at)
+      VALUES
+        (@uploaderId, @name, @mimeType, @size, @storageName, @thumbnailName, @width, @height, @createdAt)
+    `);
+
+    this.selectByIdStmt = this.db.prepare(`SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE id = ?`);
+
+    this.selectByMessagesStmt = this.db.prepare(`
+      SELECT ${ATTACHMENT_COLUMNS}
+      FROM attachments
+      WHERE message_id IN (SELECT value FROM json_each(?))
+      ORDER BY id ASC
+    `);
+
+    this.selectByRoomStmt = this.db.prepare(`
+      SELECT ${ATTACHMENT_COLUMNS}
+      FROM attachments
+      WHERE message_id IN (SELECT id FROM messages WHERE room_id = ?)
+    `);
+
+    // Subidos y nunca enviados antes de la fecha dada.
+    this.selectStalePendingStmt = this.db.prepare(`
+      SELECT ${ATTACHMENT_COLUMNS}
+      FROM attachments
+      WHERE message_id IS NULL AND created_at < ?
+    `);
+
+    this.countPendingStmt = this.db.prepare(`
+      SELECT COUNT(*) AS total
+      FROM attachments
+      WHERE id IN (SELECT value FROM json_each(@ids)) AND uploader_id = @uploaderId AND message_id IS NULL
+    `);
+
+    this.attachStmt = this.db.prepare(`
+      UPDATE attachments SET message_id = @messageId
+      WHERE id = @id AND uploader_id = @uploaderId AND message_id IS NULL
+    `);
+
+    this.deleteByIdStmt = this.db.prepare('DELETE FROM attachments WHERE id = ?');
+    this.deleteByMessageStmt = this.db.prepare('DELETE FROM attachments WHERE message_id = ?');
+    this.deleteByRoomStmt = this.db.prepare(`
+      DELETE FROM attachments
+      WHERE message_id IN (SELECT id FROM messages WHERE room_id = ?)
+    `);
+  }
+
+  create(attachment) {
+    const result = this.insertStmt.run({ ...attachment, createdAt: new Date().toISOString() });
+    return this.getById(result.lastInsertRowid);
+  }
+
+  getById(id) {
+    return this.selectByIdStmt.get(id) || null;
+  }
+
+  getByMessageIds(messageIds) {
+    return this.selectByMessagesStmt.all(JSON.stringify(messageIds));
+  }
+
+  getByRoom(roomId) {
+    return this.selectByRoomStmt.all(roomId);
+  }
+
+  getStalePending(before) {
+    return this.selectStalePendingStmt.all(before);
+  }
+
+  // Cuántos de los ids son adjuntos del usuario todavía sin mensaje.
+  countPending({ uploaderId, attachmentIds }) {
+    if (attachmentIds.length === 0) {
+      return 0;
+    }
+    return this.countPendingStmt.get({ ids: JSON.stringify(attachmentIds), uploaderId }).total;
+  }
+
+  // Vincula los adjuntos pendientes del usuario al mensaje. Devuelve cuántos se vincularon.
+  attachToMessage({ messageId, uploaderId, attachmentIds }) {
+    return attachmentIds.reduce(
+      (total, id) => total + this.attachStmt.run({ id, messageId, uploaderId }).changes,
+      0
+    );
+  }
+
+  deleteById(id) {
+    return this.deleteByIdStmt.run(id).changes > 0;
+  }
+
+  deleteByMessage(messageId) {
+    return this.deleteByMessageStmt.run(messageId).changes;
+  }
+
+  deleteByRoom(roomId) {
+    return this.deleteByRoomStmt.run(roomId).changes;
+  }
+}
+
+module.exports = new AttachmentRepository(db);
+module.exports.toPublicAttachment = toPublicAttachment;
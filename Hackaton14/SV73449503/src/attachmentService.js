@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Jimp } = require('jimp');
+const attachmentLinks = require('./attachmentLinks');
+const attachmentRepository = require('./attachmentRepository');
+const { ChatError } = require('./errors');
+
+const uploadsDir = process.env.CHAT_UPLOADS_DIR || path.join(__dirname, '..', 'data', 'uploads');
+const MAX_UPLOAD_BYTES = Number(process.env.CHAT_MAX_UPLOAD_BYTES || 5 * 1024 * 1024);
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const MAX_NAME_LENGTH = 120;
+const THUMBNAIL_SIZE = 320;
+// Pocos bytes comprimidos pueden declarar una imagen enorme: se rechaza antes de decodificarla.
+const MAX_IMAGE_PIXELS = Number(process.env.CHAT_MAX_IMAGE_PIXELS || 25 * 1000 * 1000);
+// Un adjunto subido y nunca enviado se borra pasado este tiempo.
+const PENDING_TTL_MS = Number(process.env.CHAT_ATTACHMENT_TTL_MINUTES || 60) * 60 * 1000;
+
+// Tipos admitidos, reconocidos por sus primeros bytes y no por la extensión ni por lo que
+// declare el cliente.
+const FILE_TYPES = [
+  { mimeType: 'image/png', image: true, magic: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', image: true, magic: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', image: true, magic: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'application/pdf', image: false, magic: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+];
+
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+function detectFileType(buffer) {
+  return FILE_TYPES.find((type) => type.magic.every((byte, index) => buffer[index] === byte)) || null;
+}
+
+function isImage(mimeType) {
+  return FILE_TYPES.some((type) => type.mimeType === mimeType && type.image);
+}
+
+// Sin rutas ni caracteres de control: el nombre solo se usa para mostrarlo y en la descarga.
+function cleanFileName(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'));
+  const cleaned = base.replace(/[\u0000-\u001f\u007f"]/g, '').trim().slice(0, MAX_NAME_LENGTH);
+  return cleaned || 'archivo';
+}
+
+function storagePath(storageName) {
+  return path.join(uploadsDir, storageName);
+}
+
+function randomStorageName(extension) {
+  return `${crypto.randomBytes(16).toString('hex')}${extension}`;
+}
+
+// JPEG: recorre los segmentos hasta el SOF (marcadores C0-CF salvo C4, C8 y CC).
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+    } else if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+    } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    } else if (marker === 0xd9 || marker === 0xda) {
+      return null;
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+// Dimensiones declaradas en la cabecera (IHDR de PNG, SOF de JPEG, pantalla lógica de GIF),
+// sin decodificar la imagen. null si la cabecera no se puede leer.
+function readImageSize(buffer, mimeType) {
+  if (mimeType === 'image/png') {
+    if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (mimeType === 'image/gif') {
+    if (buffer.length < 10) return null;
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  return readJpegSize(buffer);
+}
+
+async function createThumbnail(buffer) {
+  const image = await Jimp.read(buffer);
+  const { width, height } = image.bitmap;
+  image.scaleToFit({ w: THUMBNAIL_SIZE, h: THUMBNAIL_SIZE });
+  const thumbnailName = randomStorageName('.png');
+  await fs.promises.writeFile(storagePath(thumbnailName), await image.getBuffer('image/png'));
+  return { thumbnailName, width, height };
+}
+
+function removeFiles(attachments) {
+  attachments.forEach((attachment) => {
+    [attachment.storageName, attachment.thumbnailName].filter(Boolean).forEach((name) => {
+      fs.rm(storagePath(name), { force: true }, (error) => {
+        if (error) {
+          console.error(`No se pudo borrar el adjunto ${name}: ${error.message}`);
+        }
+      });
+    });
+  });
+}
+
+function purgeStalePending() {
+  const before = new Date(Date.now() - PENDING_TTL_MS).toISOString();
+  const stale = attachmentRepository.getStalePending(before);
+  stale.forEach((attachment) => attachmentRepository.deleteById(attachment.id));
+  removeFiles(stale);
+  return stale.length;
+}
+
+// declaredType es el Content-Type de la subida: tiene que coincidir con el contenido real.
+async function saveUpload({ user, buffer, name, declaredType }) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new ChatError('El archivo está vacío.');
+  }
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw new ChatError(`El archivo supera el máximo de ${MAX_UPLOAD_BYTES} bytes.`, 413);
+  }
+
+  const type = detectFileType(buffer);
+  if (!type) {
+    throw new ChatError('Tipo de archivo no admitido. Se aceptan PNG, JPEG, GIF y PDF.', 415);
+  }
+  const declared = String(declaredType || '').split(';')[0].trim().toLowerCase();
+  if (declared && declared !== 'application/octet-stream' && declared !== type.mimeType) {
+    throw new ChatError(`El contenido no corresponde al tipo declarado (${declared}).`, 415);
+  }
+
+  purgeStalePending();
+
+  let preview = { thumbnailName: null, width: null, height: null };
+  if (type.image) {
+    const size = readImageSize(buffer, type.mimeType);
+    if (!size || !size.width || !size.height) {
+      throw new ChatError('La imagen está dañada o no se puede leer.', 415);
+    }
+    if (size.width * size.height > MAX_IMAGE_PIXELS) {
+      throw new ChatError(`La imagen supera el máximo de ${MAX_IMAGE_PIXELS} píxeles.`, 413);
+    }
+    try {
+      preview = await createThumbnail(buffer);
+    } catch (error) {
+      throw new ChatError('La imagen está dañada o no se puede leer.', 415);
+    }
+  }
+
+  const storageName = randomStorageName('');
+  await fs.promises.writeFile(storagePath(storageName), buffer);
+
+  const attachment = attachmentRepository.create({
+    uploaderId: user.id,
+    name: cleanFileName(name),
+    mimeType: type.mimeType,
+    size: buffer.length,
+    storageName,
+    ...preview,
+  });
+  return attachmentRepository.toPublicAttachment(attachment);
+}
+
+// Ids únicos y enteros, como mucho MAX_ATTACHMENTS_PER_MESSAGE.
+function parseAttachmentIds(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw new ChatError('attachmentIds debe ser una lista de ids.');
+  }
+
+  const ids = [...new Set(value.map(Number))];
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+    throw new ChatError('attachmentIds debe ser una lista de ids.');
+  }
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new ChatError(`Un mensaje admite hasta ${MAX_ATTACHMENTS_PER_MESSAGE} adjuntos.`);
+  }
+  return ids;
+}
+
+// canReadRoom(roomId) decide el acceso a un adjunto ya enviado; uno pendiente solo lo ve
+// quien lo subió.
+function getReadable({ user, id, canReadRoom }) {
+  const attachment = attachmentRepository.getById(Number(id));
+  const allowed = attachment && (attachment.messageId === null
+    ? attachment.uploaderId === user.id
+    : canReadRoom(attachment.roomId));
+  if (!allowed) {
+    throw new ChatError('El adjunto no existe.', 404);
+  }
+  return attachment;
+}
+
+function fileFor(attachment, thumbnail) {
+  if (thumbnail && !attachment.thumbnailName) {
+    throw new ChatError('El adjunto no tiene miniatura.', 404);
+  }
+
+  const file = storagePath(thumbnail ? attachment.thumbnailName : attachment.storageName);
+  if (!fs.existsSync(file)) {
+    throw new ChatError('El archivo del adjunto ya no existe.', 404);
+  }
+  return {
+    attachment,
+    file,
+    mimeType: thumbnail ? 'image/png' : attachment.mimeType,
+    inline: thumbnail || isImage(attachment.mimeType) || attachment.mimeType === 'application/pdf',
+  };
+}
+
+function getForDownload({ user, id, thumbnail = false, canReadRoom }) {
+  return fileFor(getReadable({ user, id, canReadRoom }), thumbnail);
+}
+
+// Adjunto con URLs firmadas nuevas, para cuando las que tiene el cliente vencieron.
+function getLinks({ user, id, canReadRoom }) {
+  return attachmentRepository.toPublicAttachment(getReadable({ user, id, canReadRoom }));
+}
+
+// Descarga con una URL firmada (expires y sig): el acceso se comprobó al emitirla.
+function getSignedDownload({ id, thumbnail = false, expires, signature }) {
+  const valid = attachmentLinks.verify({ id, kind: thumbnail ? 'thumbnail' : 'file', expires, signature });
+  if (!valid) {
+    throw new ChatError('El enlace del adjunto no es válido o ya venció.', 403);
+  }
+  const attachment = attachmentRepository.getById(Number(id));
+  if (!attachment) {
+    throw new ChatError('El adjunto no existe.', 404);
+  }
+  return fileFor(attachment, thumbnail);
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  saveUpload,
+  parseAttachmentIds,
+  getForDownload,
+  getLinks,
+  getSignedDownload,
+  removeFiles,
+  purgeStalePending,
+};
@@ -0,0 +1,46 @@
+const db = require('./database');
+
+class AuditRepository {
+  constructor(database) {
+    this.db = database;
+
+    this.insertStmt = this.db.prepare(`
+      INSERT INTO audit_log (action, outcome, actor_id, actor, room_id, message_id, detail, created_at)
+      VALUES (@action, @outcome, @actorId, @actor, @roomId, @messageId, @detail, @createdAt)
+    `);
+
+    // Filtros opcionales: un parámetro NULL no filtra.
+    this.selectStmt = this.db.prepare(`
+      SELECT id, action, outcome, actor_id AS actorId, actor, room_id AS roomId,
+             message_id AS messageId, detail, created_at AS createdAt
+      FROM audit_log
+      WHERE (@roomId IS NULL OR room_id = @roomId)
+        AND (@action IS NULL OR action = @action)
+        AND (@actor IS NULL OR actor = @actor COLLATE NOCASE)
+        AND (@beforeId IS NULL OR id < @beforeId)
+      ORDER BY id DESC
+      LIMIT @limit
+    `);
+  }
+
+  record({ action, outcome, user, roomId = null, messageId = null, detail = null }) {
+    this.insertStmt.run({
+      action,
+      outcome,
+      actorId: user.id,
+      actor: user.username,
+      roomId,
+      messageId,
+      detail: detail === null ? null : JSON.stringify(detail),
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  list({ roomId = null, action = null, actor = null, beforeId = null, limit }) {
+    return this.selectStmt
+      .all({ roomId, action, actor, beforeId, limit })
+      .map((entry) => ({ ...entry, detail: entry.detail === null ? null : JSON.parse(entry.detail) }));
+  }
+}
+
+module.exports = new AuditRepository(db);
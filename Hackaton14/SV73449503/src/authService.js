@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const userRepository = require('./userRepository');
+const { ChatError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_HOURS = Number(process.env.CHAT_SESSION_TTL_HOURS || 24);
+const USERNAME_PATTERN = /^[\p{L}\p{N}_.-]{3,30}$/u;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Usuarios con rol moderator, separados por comas. El rol se recalcula en cada inicio de sesión y
+// en cada petición autenticada: quitar un nombre de la lista le quita el rol.
+function configuredModerators() {
+  return String(process.env.CHAT_MODERATORS || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function roleFor(username) {
+  return configuredModerators().includes(username.toLowerCase()) ? 'moderator' : 'member';
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// En la base solo se guarda el hash del token.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function openSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  userRepository.createSession({ tokenHash: hashToken(token), userId: user.id, expiresAt });
+  return { token, expiresAt, user };
+}
+
+// Deja el rol guardado igual al que corresponde según CHAT_MODERATORS, en ambos sentidos.
+function syncRole(user) {
+  const role = roleFor(user.username);
+  return user.role === role ? user : userRepository.updateRole(user.id, role);
+}
+
+// Crea la cuenta sin abrir sesión. El registro público la usa y también scripts/create-user.js,
+// que es el paso explícito del administrador para dar de alta a los moderadores.
+async function createAccount({ username, password }) {
+  const name = String(username || '').trim();
+  const secret = String(password || '');
+
+  if (!USERNAME_PATTERN.test(name)) {
+    throw new ChatError('El usuario debe tener de 3 a 30 letras, números, punto, guion o guion bajo.');
+  }
+  if (secret.length < MIN_PASSWORD_LENGTH) {
+    throw new ChatError(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`);
+  }
+  if (userRepository.getCredentials(name)) {
+    throw new ChatError('Ese usuario ya existe.', 409);
+  }
+
+  return userRepository.create({ username: name, passwordHash: await hashPassword(secret), role: 'member' });
+}
+
+// Un nombre listado en CHAT_MODERATORS no se puede registrar desde la web: cualquiera que llegara
+// antes que el moderador real se quedaría con el rol.
+async function register({ username, password }) {
+  if (roleFor(String(username || '').trim()) === 'moderator') {
+    throw new ChatError('Ese usuario está reservado: la cuenta la crea el administrador.', 403);
+  }
+  return openSession(await createAccount({ username, password }));
+}
+
+async function login({ username, password }) {
+  const credentials = userRepository.getCredentials(String(username || '').trim());
+  if (!credentials || !(await verifyPassword(String(password || ''), credentials.passwordHash))) {
+    throw new ChatError('Usuario o contraseña incorrectos.', 401);
+  }
+
+  return openSession(syncRole(userRepository.getById(credentials.id)));
+}
+
+function authenticate(token) {
+  if (!token) {
+    return null;
+  }
+  const user = userRepository.getSessionUser(hashToken(String(token)));
+  return user && syncRole(user);
+}
+
+function logout(token) {
+  return userRepository.deleteSession(hashToken(String(token || '')));
+}
+
+module.exports = {
+  createAccount,
+  register,
+  login,
+  authenticate,
+  logout,
+};
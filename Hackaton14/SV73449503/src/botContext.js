@@ -0,0 +1,125 @@
+// Arma la conversación que se manda al bot: prompt de sistema de la sala, resumen de los
+// turnos viejos y los mensajes recientes que entren en el presupuesto de tokens.
+
+const botCommand = require('./commands/bot');
+
+const DEFAULT_SYSTEM_PROMPT =
+  'Eres un asistente breve para un chat universitario. Responde en español con claridad y máximo 3 oraciones.';
+
+const CONTEXT_TOKENS = Number(process.env.BOT_CONTEXT_TOKENS || 1500);
+// Parte del presupuesto reservada al resumen cuando el historial no entra completo.
+const SUMMARY_SHARE = 0.25;
+// Cada mensaje suma algo por el rol y los separadores, aunque esté vacío.
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const SUMMARY_WORDS_PER_TURN = 16;
+
+// Estimación local, sin tokenizer del proveedor: una palabra cuenta un token cada 4
+// caracteres y cada signo de puntuación cuenta uno.
+function estimateTokens(text) {
+  const pieces = String(text || '').match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+  return pieces.reduce((total, piece) => total + Math.ceil(piece.length / 4), 0);
+}
+
+function messageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// Cualquier forma de llamar al bot: @bot y /bot con sus alias (/ia).
+const BOT_TRIGGER_PATTERN = new RegExp(
+  `^(?:@bot|/(?:${[botCommand.name, ...(botCommand.aliases || [])].join('|')}))(?:\\s+|$)`,
+  'i'
+);
+
+function stripBotTrigger(text) {
+  return text.replace(BOT_TRIGGER_PATTERN, '');
+}
+
+// El bot no ve los archivos: solo sus nombres.
+function describeAttachments(message) {
+  const names = (message.attachments || []).map((attachment) => attachment.name);
+  return names.length > 0 ? ` [adjuntos: ${names.join(', ')}]` : '';
+}
+
+// En una sala hablan varias personas: el nombre va delante del texto.
+function toTurn(message) {
+  if (message.isBot) {
+    return { role: 'assistant', content: message.text };
+  }
+  const text = `${stripBotTrigger(message.text)}${describeAttachments(message)}`.trim();
+  return { role: 'user', content: `${message.author}: ${text}` };
+}
+
+function firstWords(text, count) {
+  const words = text.split(/\s+/).filter(Boolean);
+  return words.length > count ? `${words.slice(0, count).join(' ')}…` : words.join(' ');
+}
+
+// Resumen local de los turnos que no entran: una línea recortada por turno, de los más
+// nuevos hacia atrás mientras quepan en el presupuesto.
+function summarizeTurns(turns, budget) {
+  const header = 'Resumen de la conversación anterior en la sala:';
+  let used = messageTokens({ content: header });
+  const lines = [];
+
+  for (let index = turns.length - 1; index >= 0; index -= 1) {
+    const turn = turns[index];
+    const speaker = turn.role === 'assistant' ? 'Bot: ' : '';
+    const line = `- ${speaker}${firstWords(turn.content, SUMMARY_WORDS_PER_TURN)}`;
+    const cost = estimateTokens(line) + 1;
+    if (used + cost > budget) {
+      break;
+    }
+    lines.unshift(line);
+    used += cost;
+  }
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const omitted = turns.length - lines.length;
+  const prefix = omitted > 0 ? [`(${omitted} mensajes más antiguos omitidos)`] : [];
+  return { role: 'system', content: [header, ...prefix, ...lines].join('\n') };
+}
+
+// history: mensajes de la sala (más viejo primero) sin el que pide la respuesta.
+function buildBotContext({ systemPrompt, history, author, prompt, budget = CONTEXT_TOKENS }) {
+  const system = { role: 'system', content: systemPrompt || DEFAULT_SYSTEM_PROMPT };
+  const current = { role: 'user', content: `${author}: ${prompt}` };
+  const turns = history
+    .filter((message) => message.text || (message.attachments && message.attachments.length > 0))
+    .map(toTurn);
+
+  const fixedTokens = messageTokens(system) + messageTokens(current);
+  const historyTokens = turns.reduce((total, turn) => total + messageTokens(turn), 0);
+
+  let recent = turns;
+  let summary = null;
+
+  if (fixedTokens + historyTokens > budget) {
+    const summaryBudget = Math.floor(budget * SUMMARY_SHARE);
+    let remaining = budget - fixedTokens - summaryBudget;
+    let firstKept = turns.length;
+
+    while (firstKept > 0 && messageTokens(turns[firstKept - 1]) <= remaining) {
+      remaining -= messageTokens(turns[firstKept - 1]);
+      firstKept -= 1;
+    }
+
+    recent = turns.slice(firstKept);
+    summary = summarizeTurns(turns.slice(0, firstKept), summaryBudget);
+  }
+
+  const messages = [system, ...(summary ? [summary] : []), ...recent, current];
+  return {
+    messages,
+    estimatedTokens: messages.reduce((total, message) => total + messageTokens(message), 0),
+    summarizedTurns: turns.length - recent.length,
+  };
+}
+
+module.exports = {
+  DEFAULT_SYSTEM_PROMPT,
+  estimateTokens,
+  buildBotContext,
+};
@@ -14,11 +14,91 @@ function buildMockReply(userText) {
   return `Mensaje recibido: "${userText}". Si configuras una API KEY, podré responder con IA real.`;
 }
 
-async function callOpenAICompatible({ baseUrl, apiKey, model, userText }) {
+const MOCK_CHUNK_DELAY_MS = Number(process.env.BOT_MOCK_DELAY_MS || 40);
+
+// Los turnos de usuario llegan como "autor: texto" (ver botContext).
+function withoutAuthor(content) {
+  return content.replace(/^[^:]+:\s*/, '');
+}
+
+function normalize(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// El mock usa la memoria solo para una cosa: repetir lo último que se le dijo antes.
+function buildMockConversationReply(messages) {
+  const userTurns = messages.filter((message) => message.role === 'user');
+  const userText = withoutAuthor(userTurns[userTurns.length - 1].content);
+  const normalized = normalize(userText);
+
+  if (normalized.includes('que te dije') || normalized.includes('que te pregunte')) {
+    const previous = userTurns[userTurns.length - 2];
+    return previous
+      ? `Antes me dijiste: "${withoutAuthor(previous.content)}".`
+      : 'No recuerdo mensajes anteriores en esta sala.';
+  }
+
+  return buildMockReply(userText);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+// El mock parte la respuesta en palabras con una pausa entre ellas, como un stream real.
+async function streamMockReply(messages, { signal, onToken }) {
+  const tokens = buildMockConversationReply(messages).match(/\S+\s*/g) || [];
+  for (const token of tokens) {
+    await wait(MOCK_CHUNK_DELAY_MS, signal);
+    onToken(token);
+  }
+}
+
+// Lee el cuerpo de la respuesta línea a línea (SSE o NDJSON).
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) {
+        yield line.trim();
+      }
+    }
+  }
+
+  if (buffer.trim()) {
+    yield buffer.trim();
+  }
+}
+
+async function ensureOk(response) {
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Error ${response.status}: ${errorText}`);
+  }
+}
+
+// /chat/completions con stream: true responde eventos SSE "data: {...}" y termina con "data: [DONE]".
+async function streamOpenAICompatible({ baseUrl, apiKey, model, messages, signal, onToken }) {
   const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
 
   const response = await fetch(url, {
     method: 'POST',
+    signal,
     headers: {
       'Content-Type': 'application/json',
       Authorization: `Bearer ${apiKey}`,
@@ -26,35 +106,60 @@ async function callOpenAICompatible({ baseUrl, apiKey, model, userText }) {
     body: JSON.stringify({
       model,
       temperature: 0.7,
-      messages: [
-        {
-          role: 'system',
-          content:
-            'Eres un asistente breve para un chat universitario. Responde en español con claridad y máximo 3 oraciones.',
-        },
-        { role: 'user', content: userText },
-      ],
+      stream: true,
+      messages,
     }),
   });
+  await ensureOk(response);
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Error ${response.status}: ${errorText}`);
+  for await (const line of readLines(response.body)) {
+    if (!line.startsWith('data:')) {
+      continue;
+    }
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') {
+      return;
+    }
+    const content = JSON.parse(data)?.choices?.[0]?.delta?.content;
+    if (content) {
+      onToken(content);
+    }
   }
+}
 
-  const data = await response.json();
-  const content = data?.choices?.[0]?.message?.content;
+// Ollama (/api/chat) responde una línea JSON por fragmento, con done: true al final.
+async function streamOllama({ baseUrl, model, messages, signal, onToken }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/api/chat`;
 
-  if (!content) {
-    throw new Error('La API no devolvió contenido en choices[0].message.content');
-  }
+  const response = await fetch(url, {
+    method: 'POST',
+    signal,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model,
+      stream: true,
+      messages,
+    }),
+  });
+  await ensureOk(response);
 
-  return content.trim();
+  for await (const line of readLines(response.body)) {
+    const data = JSON.parse(line);
+    if (data.error) {
+      throw new Error(data.error);
+    }
+    if (data.message?.content) {
+      onToken(data.message.content);
+    }
+    if (data.done) {
+      return;
+    }
+  }
 }
 
-async function generateBotReply(userText) {
+async function streamFromProvider(messages, { signal, onToken }) {
   if (provider === 'mock') {
-    return buildMockReply(userText);
+    return streamMockReply(messages, { signal, onToken });
   }
 
   if (provider === 'openai') {
@@ -63,10 +168,10 @@ async function generateBotReply(userText) {
     const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
 
     if (!apiKey) {
-      return 'Falta OPENAI_API_KEY en .env. Estoy respondiendo en modo seguro.';
+      return onToken('Falta OPENAI_API_KEY en .env. Estoy respondiendo en modo seguro.');
     }
 
-    return callOpenAICompatible({ baseUrl, apiKey, model, userText });
+    return streamOpenAICompatible({ baseUrl, apiKey, model, messages, signal, onToken });
   }
 
   if (provider === 'deepseek') {
@@ -75,15 +180,41 @@ async function generateBotReply(userText) {
     const baseUrl = process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com/v1';
 
     if (!apiKey) {
-      return 'Falta DEEPSEEK_API_KEY en .env. Estoy respondiendo en modo seguro.';
+      return onToken('Falta DEEPSEEK_API_KEY en .env. Estoy respondiendo en modo seguro.');
     }
 
-    return callOpenAICompatible({ baseUrl, apiKey, model, userText });
+    return streamOpenAICompatible({ baseUrl, apiKey, model, messages, signal, onToken });
+  }
+
+  if (provider === 'ollama') {
+    const model = process.env.OLLAMA_MODEL || 'llama3.2';
+    const baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+
+    return streamOllama({ baseUrl, model, messages, signal, onToken });
   }
 
-  return 'Proveedor de bot no reconocido. Usa BOT_PROVIDER=mock|openai|deepseek.';
+  return onToken('Proveedor de bot no reconocido. Usa BOT_PROVIDER=mock|openai|deepseek|ollama.');
+}
+
+// messages es la conversación ya armada (botContext.buildBotContext). Llama a onToken con
+// cada fragmento a medida que llega y devuelve el texto completo. Si signal se aborta, la
+// petición al proveedor se corta y la promesa se rechaza.
+async function streamBotReply(messages, { signal, onToken = () => {} } = {}) {
+  let text = '';
+  await streamFromProvider(messages, {
+    signal,
+    onToken: (token) => {
+      text += token;
+      onToken(token);
+    },
+  });
+
+  if (!text.trim()) {
+    throw new Error('La API no devolvió contenido.');
+  }
+  return text.trim();
 }
 
 module.exports = {
-  generateBotReply,
+  streamBotReply,
 };
@@ -0,0 +1,558 @@
+const { DEFAULT_ROOM_ID } = require('./database');
+const attachmentRepository = require('./attachmentRepository');
+const attachmentService = require('./attachmentService');
+const auditRepository = require('./auditRepository');
+const { DEFAULT_SYSTEM_PROMPT, buildBotContext } = require('./botContext');
+const messageRepository = require('./messageRepository');
+const pollRepository = require('./pollRepository');
+const readCursorRepository = require('./readCursorRepository');
+const roomRepository = require('./roomRepository');
+const userRepository = require('./userRepository');
+const { ChatError } = require('./errors');
+
+const MAX_ROOM_NAME_LENGTH = 40;
+const MAX_SYSTEM_PROMPT_LENGTH = 1000;
+const MAX_MUTE_MINUTES = 24 * 60;
+const MAX_POLL_OPTIONS = 10;
+const MAX_POLL_TEXT_LENGTH = 200;
+const PRESENCE_LIST_SIZE = 100;
+const BOT_HISTORY_MESSAGES = Number(process.env.BOT_HISTORY_MESSAGES || 20);
+const MAX_AUDIT_PAGE = 200;
+const MAX_SEARCH_PAGE = 100;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function cleanText(value) {
+  return String(value || '').trim();
+}
+
+function requireText(value, field) {
+  const text = cleanText(value);
+  if (!text) {
+    throw new ChatError(`${field} es obligatorio.`);
+  }
+  return text;
+}
+
+function isModerator(user) {
+  return user.role === 'moderator';
+}
+
+function getRoom(roomId) {
+  const room = roomRepository.getById(Number(roomId));
+  if (!room) {
+    throw new ChatError('La sala no existe.', 404);
+  }
+  return room;
+}
+
+// La sala general es abierta; en las demás hay que unirse antes de leer o escribir.
+function canAccess(roomId, user) {
+  return roomId === DEFAULT_ROOM_ID || roomRepository.isMember(roomId, user.username);
+}
+
+function requireAccess(room, user) {
+  if (!canAccess(room.id, user)) {
+    throw new ChatError('Debes unirte a la sala primero.', 403);
+  }
+}
+
+// Todo lo que escribe en la sala (mensajes, ediciones, encuestas y votos) respeta el silencio.
+function requireCanPost(room, user) {
+  requireAccess(room, user);
+  const mute = roomRepository.getMute(room.id, user.id);
+  if (mute) {
+    throw new ChatError(`Estás silenciado en esta sala hasta ${mute.mutedUntil}.`, 403);
+  }
+}
+
+function listRooms() {
+  return roomRepository.getAll();
+}
+
+function createRoom({ name, user }) {
+  const roomName = requireText(name, 'El nombre de la sala');
+
+  if (roomName.length > MAX_ROOM_NAME_LENGTH) {
+    throw new ChatError(`El nombre de la sala admite hasta ${MAX_ROOM_NAME_LENGTH} caracteres.`);
+  }
+  if (roomRepository.existsByName(roomName)) {
+    throw new ChatError('Ya existe una sala con ese nombre.', 409);
+  }
+
+  return roomRepository.create({ name: roomName, owner: user.username });
+}
+
+function joinRoom({ roomId, user }) {
+  const room = getRoom(roomId);
+  roomRepository.addMember(room.id, user.username);
+  return getRoom(room.id);
+}
+
+function leaveRoom({ roomId, user }) {
+  const room = getRoom(roomId);
+  if (room.id === DEFAULT_ROOM_ID) {
+    throw new ChatError('No se puede salir de la sala general.');
+  }
+  if (!roomRepository.removeMember(room.id, user.username)) {
+    throw new ChatError('No eres miembro de esta sala.', 404);
+  }
+  return getRoom(room.id);
+}
+
+function getHistory({ roomId, user }) {
+  const room = getRoom(roomId);
+  requireAccess(room, user);
+  return messageRepository.getByRoom(room.id);
+}
+
+// Con adjuntos el texto es opcional. Los adjuntos tienen que ser subidas propias aún sin enviar.
+function postMessage({ roomId, user, text, attachmentIds }) {
+  const room = getRoom(roomId);
+  const ids = attachmentService.parseAttachmentIds(attachmentIds);
+  const messageText = ids.length > 0 ? cleanText(text) : requireText(text, 'El mensaje');
+  requireCanPost(room, user);
+
+  const message = messageRepository.create({
+    roomId: room.id,
+    userId: user.id,
+    author: user.username,
+    text: messageText,
+    attachmentIds: ids,
+  });
+  if (!message) {
+    throw new ChatError('Algún adjunto no existe o ya fue enviado.', 404);
+  }
+  return message;
+}
+
+// Archivo (o miniatura) de un adjunto para descargarlo. Uno ya enviado se ve con acceso a
+// la sala del mensaje.
+function getAttachmentFile({ user, id, thumbnail }) {
+  return attachmentService.getForDownload({
+    user,
+    id,
+    thumbnail,
+    canReadRoom: (roomId) => canAccess(roomId, user),
+  });
+}
+
+function getAttachmentLinks({ user, id }) {
+  return attachmentService.getLinks({ user, id, canReadRoom: (roomId) => canAccess(roomId, user) });
+}
+
+function listMembers({ roomId, user }) {
+  const room = getRoom(roomId);
+  requireAccess(room, user);
+  return { room, members: roomRepository.getMembers(room.id) };
+}
+
+// minutes = 0 levanta el silencio.
+function muteUser({ roomId, user, username, minutes }) {
+  const room = getRoom(roomId);
+  if (!isModerator(user)) {
+    auditRepository.record({ action: 'mute_user', outcome: 'denied', user, roomId: room.id });
+    throw new ChatError('Solo un moderador puede silenciar usuarios.', 403);
+  }
+
+  const target = userRepository.getByUsername(cleanText(username));
+  if (!target) {
+    throw new ChatError('El usuario no existe.', 404);
+  }
+  if (isModerator(target)) {
+    throw new ChatError('No se puede silenciar a un moderador.');
+  }
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_MUTE_MINUTES) {
+    throw new ChatError(`Los minutos van de 0 a ${MAX_MUTE_MINUTES}.`);
+  }
+
+  let mutedUntil = null;
+  if (minutes === 0) {
+    roomRepository.unmute(room.id, target.id);
+  } else {
+    mutedUntil = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    roomRepository.mute({ roomId: room.id, userId: target.id, mutedUntil, mutedBy: user.username });
+  }
+
+  auditRepository.record({
+    action: 'mute_user',
+    outcome: 'allowed',
+    user,
+    roomId: room.id,
+    detail: { target: target.username, minutes },
+  });
+  return { roomId: room.id, username: target.username, mutedUntil };
+}
+
+function createPoll({ roomId, user, question, options }) {
+  const room = getRoom(roomId);
+  requireCanPost(room, user);
+  const pollQuestion = requireText(question, 'La pregunta');
+  const pollOptions = options.map(cleanText).filter(Boolean);
+
+  if (pollOptions.length < 2 || pollOptions.length > MAX_POLL_OPTIONS) {
+    throw new ChatError(`Una encuesta lleva de 2 a ${MAX_POLL_OPTIONS} opciones.`);
+  }
+  if ([pollQuestion, ...pollOptions].some((text) => text.length > MAX_POLL_TEXT_LENGTH)) {
+    throw new ChatError(`La pregunta y las opciones admiten hasta ${MAX_POLL_TEXT_LENGTH} caracteres.`);
+  }
+
+  return pollRepository.create({ roomId: room.id, question: pollQuestion, options: pollOptions, createdBy: user.username });
+}
+
+function findRoomPoll(room, pollId) {
+  const poll = pollRepository.getById(Number(pollId));
+  if (!poll || poll.roomId !== room.id) {
+    throw new ChatError('La encuesta no existe en esta sala.', 404);
+  }
+  return poll;
+}
+
+function getPoll({ roomId, user, pollId }) {
+  const room = getRoom(roomId);
+  requireAccess(room, user);
+  return findRoomPoll(room, pollId);
+}
+
+// option empieza en 1, como se muestra en el chat.
+function votePoll({ roomId, user, pollId, option }) {
+  const room = getRoom(roomId);
+  requireCanPost(room, user);
+  const poll = findRoomPoll(room, pollId);
+  if (!Number.isInteger(option) || option < 1 || option > poll.options.length) {
+    throw new ChatError(`Elige una opción del 1 al ${poll.options.length}.`);
+  }
+  return pollRepository.vote({ pollId: poll.id, userId: user.id, optionIndex: option - 1 });
+}
+
+function postBotMessage(roomId, text) {
+  return messageRepository.create({ roomId, author: 'Bot', text, isBot: 1 });
+}
+
+// Conversación para el bot: el prompt de sistema de la sala y los últimos mensajes anteriores
+// al que lo invocó, ajustados al presupuesto de tokens.
+function buildBotConversation({ roomId, beforeId, author, prompt }) {
+  return buildBotContext({
+    systemPrompt: roomRepository.getSystemPrompt(roomId),
+    history: messageRepository.getRecent(roomId, beforeId, BOT_HISTORY_MESSAGES),
+    author,
+    prompt,
+  });
+}
+
+// En la general solo los moderadores; en las demás, también el dueño de la sala.
+function isRoomAdmin(room, user) {
+  return isModerator(user) || (room.owner !== null && room.owner.toLowerCase() === user.username.toLowerCase());
+}
+
+function requireRoomAdmin(room, user) {
+  if (!isRoomAdmin(room, user)) {
+    throw new ChatError('Solo el dueño de la sala o un moderador puede cambiar el prompt del bot.', 403);
+  }
+}
+
+function canAdminRoom({ roomId, user }) {
+  return isRoomAdmin(getRoom(roomId), user);
+}
+
+function describeSystemPrompt(roomId) {
+  const systemPrompt = roomRepository.getSystemPrompt(roomId);
+  return { roomId, systemPrompt: systemPrompt || DEFAULT_SYSTEM_PROMPT, isDefault: !systemPrompt };
+}
+
+function getSystemPrompt({ roomId, user }) {
+  const room = getRoom(roomId);
+  requireAccess(room, user);
+  return describeSystemPrompt(room.id);
+}
+
+// Un prompt vacío vuelve al de por defecto.
+function setSystemPrompt({ roomId, user, systemPrompt }) {
+  const room = getRoom(roomId);
+  requireRoomAdmin(room, user);
+  const text = cleanText(systemPrompt);
+  if (text.length > MAX_SYSTEM_PROMPT_LENGTH) {
+    throw new ChatError(`El prompt admite hasta ${MAX_SYSTEM_PROMPT_LENGTH} caracteres.`);
+  }
+
+  const previous = roomRepository.getSystemPrompt(room.id);
+  roomRepository.setSystemPrompt(room.id, text || null);
+  auditRepository.record({
+    action: 'set_system_prompt',
+    outcome: 'allowed',
+    user,
+    roomId: room.id,
+    detail: { previousPrompt: previous },
+  });
+  return describeSystemPrompt(room.id);
+}
+
+// Guarda el texto final de una respuesta del bot creada vacía al empezar el stream.
+// Devuelve null si el mensaje ya no existe o se borró (por ejemplo, se vació el historial).
+function completeBotMessage(id, text) {
+  return messageRepository.setBotText(id, text);
+}
+
+function findRoomMessage(room, id) {
+  const message = messageRepository.getById(Number(id));
+  if (!message || message.roomId !== room.id) {
+    throw new ChatError('El mensaje no existe en esta sala.', 404);
+  }
+  return message;
+}
+
+// Busca el mensaje de la sala y exige que sea del usuario; el intento rechazado
+// también queda en la auditoría. Un mensaje borrado ya no se puede tocar.
+function requireOwnMessage({ action, room, user, id }) {
+  const message = findRoomMessage(room, id);
+  if (message.deletedAt) {
+    throw new ChatError('El mensaje fue eliminado.', 410);
+  }
+  if (message.isBot || message.userId !== user.id) {
+    auditRepository.record({ action, outcome: 'denied', user, roomId: room.id, messageId: message.id });
+    throw new ChatError('Solo el autor puede modificar este mensaje.', 403);
+  }
+  return message;
+}
+
+function editMessage({ roomId, user, id, newText }) {
+  const room = getRoom(roomId);
+  requireCanPost(room, user);
+  const text = requireText(newText, 'El mensaje');
+  const message = requireOwnMessage({ action: 'edit_message', room, user, id });
+  if (text === message.text) {
+    return message;
+  }
+
+  const updated = messageRepository.updateText(room.id, message.id, text, user);
+  auditRepository.record({
+    action: 'edit_message',
+    outcome: 'allowed',
+    user,
+    roomId: room.id,
+    messageId: message.id,
+    detail: { previousText: message.text },
+  });
+  return updated;
+}
+
+function deleteMessage({ roomId, user, id }) {
+  const room = getRoom(roomId);
+  requireAccess(room, user);
+  const message = requireOwnMessage({ action: 'delete_message', room, user, id });
+  const attachments = attachmentRepository.getByMessageIds([message.id]);
+
+  const tombstone = messageRepository.softDelete(room.id, message.id, user.username);
+  attachmentService.removeFiles(attachments);
+  auditRepository.record({
+    action: 'delete_message',
+    outcome: 'allowed',
+    user,
+    roomId: room.id,
+    messageId: message.id,
+    detail: { text: message.text, attachments: message.attachments.map((attachment) => attachment.name) },
+  });
+  return tombstone;
+}
+
+// Versiones anteriores de un mensaje, de la más antigua a la más reciente. Las de un
+// mensaje borrado solo las ven los moderadores.
+function getRevisions({ roomId, user, id }) {
+  const room = getRoom(roomId);
+  requireAccess(room, user);
+  const message = findRoomMessage(room, id);
+  if (message.deletedAt && !isModerator(user)) {
+    throw new ChatError('El mensaje fue eliminado.', 410);
+  }
+  return { message, revisions: messageRepository.getRevisions(message.id) };
+}
+
+// Como el borrado de un mensaje: los moderadores siguen viendo las lápidas y sus versiones.
+function clearHistory({ roomId, user }) {
+  const room = getRoom(roomId);
+
+  if (!isRoomAdmin(room, user)) {
+    auditRepository.record({ action: 'clear_history', outcome: 'denied', user, roomId: room.id });
+    throw new ChatError('Solo el dueño de la sala o un moderador puede borrar el historial.', 403);
+  }
+
+  // Las filas de los adjuntos se borran con el historial; los archivos se borran aparte.
+  const attachments = attachmentRepository.getByRoom(room.id);
+  const deleted = messageRepository.clearRoom(room.id, user.username);
+  attachmentService.removeFiles(attachments);
+  auditRepository.record({ action: 'clear_history', outcome: 'allowed', user, roomId: room.id, detail: { deleted } });
+  return { roomId: room.id, deleted };
+}
+
+function optionalNumber(value) {
+  return value === undefined || value === '' ? null : Number(value);
+}
+
+// Cada palabra de la búsqueda se vuelve un prefijo entre comillas: "hola"* "bot"*. Así la
+// sintaxis de FTS5 (comillas, NEAR, OR, *) nunca llega desde el usuario.
+function toMatchQuery(q) {
+  const terms = cleanText(q).match(/[\p{L}\p{N}]+/gu) || [];
+  if (terms.length === 0) {
+    throw new ChatError('Escribe qué quieres buscar.');
+  }
+  return terms.map((term) => `"${term}"*`).join(' ');
+}
+
+// Acepta fechas ISO; una fecha sin hora en "to" incluye todo ese día.
+function parseDateFilter(value, field, { endOfDay = false } = {}) {
+  const text = cleanText(value);
+  if (!text) {
+    return null;
+  }
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw new ChatError(`La fecha "${field}" no es válida.`);
+  }
+  if (endOfDay && DATE_ONLY_PATTERN.test(text)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
+
+function parseBotFilter(value) {
+  const text = cleanText(value).toLowerCase();
+  if (!text) {
+    return null;
+  }
+  if (text === 'true' || text === '1') {
+    return 1;
+  }
+  if (text === 'false' || text === '0') {
+    return 0;
+  }
+  throw new ChatError('isBot debe ser true o false.');
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// El fragmento llega con \x01...\x02 alrededor de cada coincidencia: se escapa el texto y
+// solo entonces se ponen las marcas <mark>.
+function highlightSnippet(snippet) {
+  return escapeHtml(snippet).replace(/\x01/g, '<mark>').replace(/\x02/g, '</mark>');
+}
+
+function searchMessages({ user, q, roomId, author, isBot, from, to, limit, offset }) {
+  const fromDate = parseDateFilter(from, 'from');
+  const toDate = parseDateFilter(to, 'to', { endOfDay: true });
+  const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_SEARCH_PAGE);
+
+  return messageRepository
+    .search({
+      query: toMatchQuery(q),
+      openRoomId: DEFAULT_ROOM_ID,
+      member: user.username,
+      roomId: optionalNumber(roomId),
+      author: cleanText(author) || null,
+      isBot: parseBotFilter(isBot),
+      from: fromDate,
+      to: toDate,
+      limit: pageSize,
+      offset: Math.max(Number(offset) || 0, 0),
+    })
+    .map((hit) => ({ ...hit, snippet: highlightSnippet(hit.snippet) }));
+}
+
+// Mueve el cursor de lectura del usuario hasta messageId (solo hacia adelante).
+function markRead({ roomId, user, messageId }) {
+  const room = getRoom(roomId);
+  requireAccess(room, user);
+  const message = findRoomMessage(room, messageId);
+  return readCursorRepository.advance({ userId: user.id, roomId: room.id, messageId: message.id });
+}
+
+function getReadCursors({ roomId, user }) {
+  const room = getRoom(roomId);
+  requireAccess(room, user);
+  return readCursorRepository.getByRoom(room.id);
+}
+
+function getReaders({ user, id }) {
+  const message = messageRepository.getById(Number(id));
+  if (!message) {
+    throw new ChatError('El mensaje no existe.', 404);
+  }
+  requireAccess(getRoom(message.roomId), user);
+  return readCursorRepository.getReaders({ roomId: message.roomId, messageId: message.id, authorId: message.userId });
+}
+
+function touchLastSeen(user) {
+  return userRepository.touchLastSeen(user.id);
+}
+
+// Usuarios vistos más recientemente entre los que comparten alguna sala con user (y él mismo),
+// marcando los que tienen algún socket abierto.
+function listPresence(user, onlineUserIds) {
+  return userRepository.listRecentlySeenPeers(user, PRESENCE_LIST_SIZE).map((seen) => ({
+    userId: seen.id,
+    username: seen.username,
+    online: onlineUserIds.has(seen.id),
+    lastSeenAt: seen.lastSeenAt,
+  }));
+}
+
+// A quiénes les llegan los cambios de presencia de user.
+function listPresencePeerIds(user) {
+  return userRepository.listPeerIds(user);
+}
+
+function getLastSeen(user) {
+  return userRepository.getLastSeen(user.id);
+}
+
+function listAudit({ user, roomId, action, actor, beforeId, limit }) {
+  if (!isModerator(user)) {
+    throw new ChatError('Solo un moderador puede consultar la auditoría.', 403);
+  }
+
+  const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_AUDIT_PAGE);
+  return auditRepository.list({
+    roomId: optionalNumber(roomId),
+    action: cleanText(action) || null,
+    actor: cleanText(actor) || null,
+    beforeId: optionalNumber(beforeId),
+    limit: pageSize,
+  });
+}
+
+module.exports = {
+  DEFAULT_ROOM_ID,
+  listRooms,
+  getRoom,
+  createRoom,
+  joinRoom,
+  leaveRoom,
+  getHistory,
+  postMessage,
+  getAttachmentFile,
+  getAttachmentLinks,
+  listMembers,
+  muteUser,
+  createPoll,
+  getPoll,
+  votePoll,
+  postBotMessage,
+  completeBotMessage,
+  buildBotConversation,
+  getSystemPrompt,
+  setSystemPrompt,
+  editMessage,
+  deleteMessage,
+  getRevisions,
+  clearHistory,
+  canAdminRoom,
+  searchMessages,
+  markRead,
+  getReadCursors,
+  getReaders,
+  touchLastSeen,
+  listPresence,
+  listPresencePeerIds,
+  getLastSeen,
+  listAudit,
+};
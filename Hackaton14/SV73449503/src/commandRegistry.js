@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const auditRepository = require('./auditRepository');
+const { ChatError } = require('./errors');
+
+const COMMAND_PATTERN = /^\/([\p{L}\p{N}_-]+)(?:\s+([\s\S]*))?$/u;
+// @bot es el atajo histórico de /bot.
+const MENTION_PATTERN = /^@bot(?:\s+([\s\S]*))?$/i;
+
+// Un comando es un módulo con:
+//   name, aliases?, usage, description
+//   parse?(argsText, ctx): los argumentos ya interpretados, o null si no son válidos
+//   canRun?(ctx): false si el usuario no puede usarlo (tampoco aparece en /help)
+//   run(ctx, args): lo ejecuta; ctx trae user, roomId, reply(text) (respuesta privada) y los
+//   emisores del servidor
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.byAlias = new Map();
+  }
+
+  register(command) {
+    if (!command.name || typeof command.run !== 'function') {
+      throw new Error('Un comando necesita name y run.');
+    }
+
+    const names = [command.name, ...(command.aliases || [])].map((name) => name.toLowerCase());
+    names.forEach((name) => {
+      if (this.byAlias.has(name)) {
+        throw new Error(`El comando /${name} ya está registrado.`);
+      }
+    });
+
+    this.commands.set(command.name.toLowerCase(), command);
+    names.forEach((name) => this.byAlias.set(name, command));
+    return this;
+  }
+
+  // Registra cada archivo .js del directorio, en orden alfabético.
+  loadDirectory(directory) {
+    fs.readdirSync(directory)
+      .filter((file) => file.endsWith('.js'))
+      .sort()
+      .forEach((file) => this.register(require(path.join(directory, file))));
+    return this;
+  }
+
+  find(name) {
+    return this.byAlias.get(String(name || '').toLowerCase()) || null;
+  }
+
+  // Los comandos que el usuario de ctx puede usar, en el orden en que se registraron.
+  available(ctx) {
+    return [...this.commands.values()].filter((command) => !command.canRun || command.canRun(ctx));
+  }
+
+  // { name, argsText } si el texto es un comando; null si es un mensaje normal.
+  match(text) {
+    const trimmed = String(text || '').trim();
+    const mention = trimmed.match(MENTION_PATTERN);
+    if (mention) {
+      return { name: 'bot', argsText: (mention[1] || '').trim() };
+    }
+
+    const command = trimmed.match(COMMAND_PATTERN);
+    if (!command) {
+      return null;
+    }
+    return { name: command[1], argsText: (command[2] || '').trim() };
+  }
+
+  async execute({ name, argsText }, ctx) {
+    const command = this.find(name);
+    if (!command) {
+      throw new ChatError(`Comando desconocido: /${name}. Escribe /help para ver los comandos.`, 404);
+    }
+
+    if (command.canRun && !command.canRun(ctx)) {
+      auditRepository.record({
+        action: 'command',
+        outcome: 'denied',
+        user: ctx.user,
+        roomId: ctx.roomId,
+        detail: { command: command.name },
+      });
+      throw new ChatError(`No tienes permiso para usar /${command.name}.`, 403);
+    }
+
+    const args = command.parse ? command.parse(argsText, ctx) : argsText;
+    if (args === null) {
+      throw new ChatError(`Uso: ${command.usage}`);
+    }
+
+    await command.run({ ...ctx, command, reply: (text) => ctx.reply({ command: command.name, text }) }, args);
+    return command;
+  }
+}
+
+const registry = new CommandRegistry().loadDirectory(path.join(__dirname, 'commands'));
+
+module.exports = registry;
+module.exports.CommandRegistry = CommandRegistry;
@@ -0,0 +1,14 @@
+// /bot <pregunta>: publica la pregunta en la sala y pide la respuesta al bot.
+module.exports = {
+  name: 'bot',
+  aliases: ['ia'],
+  usage: '/bot <pregunta>',
+  description: 'Pregunta al asistente; también sirve @bot <pregunta>.',
+  parse(argsText) {
+    return argsText || null;
+  },
+  run(ctx, prompt) {
+    const message = ctx.publish(ctx.text);
+    ctx.askBot(message, prompt);
+  },
+};
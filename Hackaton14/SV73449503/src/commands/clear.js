@@ -0,0 +1,14 @@
+const chatService = require('../chatService');
+
+module.exports = {
+  name: 'clear',
+  aliases: ['limpiar'],
+  usage: '/clear',
+  description: 'Borra el historial de la sala (dueño de la sala o moderadores).',
+  canRun: (ctx) => chatService.canAdminRoom({ roomId: ctx.roomId, user: ctx.user }),
+  run(ctx) {
+    const cleared = chatService.clearHistory({ roomId: ctx.roomId, user: ctx.user });
+    ctx.abortRoomStreams(cleared.roomId);
+    ctx.emitToRoom('history_cleared', { roomId: cleared.roomId });
+  },
+};
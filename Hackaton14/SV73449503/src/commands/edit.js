@@ -0,0 +1,16 @@
+const chatService = require('../chatService');
+
+module.exports = {
+  name: 'edit',
+  aliases: ['editar'],
+  usage: '/edit <id> <texto>',
+  description: 'Edita uno de tus mensajes de la sala.',
+  parse(argsText) {
+    const match = argsText.match(/^(\d+)\s+([\s\S]+)$/);
+    return match ? { id: Number(match[1]), text: match[2] } : null;
+  },
+  run(ctx, { id, text }) {
+    const updated = chatService.editMessage({ roomId: ctx.roomId, user: ctx.user, id, newText: text });
+    ctx.emitToRoom('message_edited', updated);
+  },
+};
@@ -0,0 +1,24 @@
+function describe(command) {
+  const aliases = (command.aliases || []).map((alias) => `/${alias}`);
+  const suffix = aliases.length > 0 ? ` (también ${aliases.join(', ')})` : '';
+  return `${command.usage}: ${command.description}${suffix}`;
+}
+
+// Solo lista los comandos que el usuario puede usar.
+module.exports = {
+  name: 'help',
+  aliases: ['ayuda'],
+  usage: '/help [comando]',
+  description: 'Muestra los comandos disponibles.',
+  run(ctx, argsText) {
+    const available = ctx.registry.available(ctx);
+
+    if (argsText) {
+      const command = ctx.registry.find(argsText.replace(/^\//, ''));
+      ctx.reply(command && available.includes(command) ? describe(command) : `No hay un comando /${argsText}.`);
+      return;
+    }
+
+    ctx.reply(['Comandos disponibles:', ...available.map(describe)].join('\n'));
+  },
+};
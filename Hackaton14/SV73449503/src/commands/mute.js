@@ -0,0 +1,22 @@
+const chatService = require('../chatService');
+
+const DEFAULT_MINUTES = 10;
+
+module.exports = {
+  name: 'mute',
+  aliases: ['silenciar'],
+  usage: '/mute <usuario> [minutos]',
+  description: `Silencia a un usuario en la sala (${DEFAULT_MINUTES} minutos por defecto, 0 lo levanta; moderadores).`,
+  canRun: (ctx) => ctx.user.role === 'moderator',
+  parse(argsText) {
+    const match = argsText.match(/^(\S+)(?:\s+(\d+))?$/);
+    return match ? { username: match[1], minutes: match[2] === undefined ? DEFAULT_MINUTES : Number(match[2]) } : null;
+  },
+  run(ctx, { username, minutes }) {
+    const mute = chatService.muteUser({ roomId: ctx.roomId, user: ctx.user, username, minutes });
+    const text = mute.mutedUntil
+      ? `${mute.username} fue silenciado por ${minutes} minutos.`
+      : `${mute.username} ya puede escribir.`;
+    ctx.emitToRoom('command_notice', { roomId: mute.roomId, text });
+  },
+};
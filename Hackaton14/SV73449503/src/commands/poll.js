@@ -0,0 +1,39 @@
+const chatService = require('../chatService');
+
+// /poll Pregunta | opción 1 | opción 2   crea la encuesta
+// /poll votar <id> <opción>              vota (o cambia el voto)
+// /poll ver <id>                         muestra el conteo solo a quien lo pide
+module.exports = {
+  name: 'poll',
+  aliases: ['encuesta'],
+  usage: '/poll <pregunta> | <opción> | <opción>...  ·  /poll votar <id> <n>  ·  /poll ver <id>',
+  description: 'Crea encuestas en la sala y vota.',
+  parse(argsText) {
+    const vote = argsText.match(/^(?:votar|vote)\s+(\d+)\s+(\d+)$/i);
+    if (vote) {
+      return { action: 'vote', pollId: Number(vote[1]), option: Number(vote[2]) };
+    }
+
+    const show = argsText.match(/^(?:ver|show)\s+(\d+)$/i);
+    if (show) {
+      return { action: 'show', pollId: Number(show[1]) };
+    }
+
+    const [question, ...options] = argsText.split('|').map((part) => part.trim());
+    return question && options.length > 0 ? { action: 'create', question, options } : null;
+  },
+  run(ctx, args) {
+    if (args.action === 'show') {
+      const poll = chatService.getPoll({ roomId: ctx.roomId, user: ctx.user, pollId: args.pollId });
+      const lines = poll.options.map((option, index) => `${index + 1}. ${option.label}: ${option.votes}`);
+      ctx.reply([`Encuesta ${poll.id}: ${poll.question}`, ...lines].join('\n'));
+      return;
+    }
+
+    const poll =
+      args.action === 'vote'
+        ? chatService.votePoll({ roomId: ctx.roomId, user: ctx.user, pollId: args.pollId, option: args.option })
+        : chatService.createPoll({ roomId: ctx.roomId, user: ctx.user, question: args.question, options: args.options });
+    ctx.emitToRoom('poll_updated', poll);
+  },
+};
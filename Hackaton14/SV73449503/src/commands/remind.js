@@ -0,0 +1,53 @@
+const { ChatError } = require('../errors');
+
+// Los recordatorios viven en memoria: se pierden si el servidor se reinicia. Cada uno es un
+// temporizador, así que hay un plazo máximo y un tope de pendientes por usuario.
+const UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+const MAX_DELAY_MS = 24 * UNITS_MS.h;
+const MAX_PENDING_PER_USER = 5;
+
+// Recordatorios pendientes por id de usuario.
+const pendingByUser = new Map();
+
+function release(userId) {
+  const pending = pendingByUser.get(userId) - 1;
+  if (pending > 0) {
+    pendingByUser.set(userId, pending);
+  } else {
+    pendingByUser.delete(userId);
+  }
+}
+
+module.exports = {
+  name: 'remind',
+  aliases: ['recordar'],
+  usage: '/remind <tiempo> <texto>',
+  description: 'Te recuerda algo en privado; el tiempo va en minutos o con unidad (30s, 10m, 2h).',
+  parse(argsText) {
+    const match = argsText.match(/^(\d+)([smh]?)\s+([\s\S]+)$/i);
+    if (!match) {
+      return null;
+    }
+
+    const delayMs = Number(match[1]) * UNITS_MS[(match[2] || 'm').toLowerCase()];
+    if (delayMs > MAX_DELAY_MS) {
+      throw new ChatError(`Un recordatorio puede ser de hasta ${MAX_DELAY_MS / UNITS_MS.h} h.`);
+    }
+    return delayMs > 0 ? { delayMs, label: `${match[1]}${match[2] || 'm'}`, text: match[3] } : null;
+  },
+  run(ctx, { delayMs, label, text }) {
+    const { user, command } = ctx;
+    const pending = pendingByUser.get(user.id) || 0;
+    if (pending >= MAX_PENDING_PER_USER) {
+      throw new ChatError(`Ya tienes ${MAX_PENDING_PER_USER} recordatorios pendientes; espera a que llegue alguno.`, 429);
+    }
+
+    pendingByUser.set(user.id, pending + 1);
+    const timer = setTimeout(() => {
+      release(user.id);
+      ctx.emitToUser(user.id, 'command_reply', { command: command.name, text: `Recordatorio: ${text}` });
+    }, delayMs);
+    timer.unref();
+    ctx.reply(`Te lo recordaré en ${label}.`);
+  },
+};
@@ -0,0 +1,18 @@
+const chatService = require('../chatService');
+
+module.exports = {
+  name: 'who',
+  aliases: ['quien'],
+  usage: '/who',
+  description: 'Lista los miembros de la sala y quién está conectado.',
+  async run(ctx) {
+    const { room, members } = chatService.listMembers({ roomId: ctx.roomId, user: ctx.user });
+    const online = await ctx.onlineUsernames(room.id);
+    const lines = [`Conectados en #${room.name}: ${online.join(', ') || 'nadie'}`];
+    // La general no tiene miembros: está abierta a todos.
+    if (room.owner !== null) {
+      lines.push(`Miembros: ${members.join(', ')}`);
+    }
+    ctx.reply(lines.join('\n'));
+  },
+};
@@ -3,24 +3,210 @@ const path = require('path');
 const Database = require('better-sqlite3');
 
 const dataDir = path.join(__dirname, '..', 'data');
-const dbPath = path.join(dataDir, 'chat.db');
+const dbPath = process.env.CHAT_DB_FILE || path.join(dataDir, 'chat.db');
 
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
+if (!fs.existsSync(path.dirname(dbPath))) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
 }
 
 const db = new Database(dbPath);
 db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+// Sala por defecto: sin dueño, todos pueden leer y escribir en ella.
+const DEFAULT_ROOM_ID = 1;
 
 db.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL COLLATE NOCASE UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('member', 'moderator')),
+    created_at TEXT NOT NULL,
+    last_seen_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS rooms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL COLLATE NOCASE UNIQUE,
+    owner TEXT,
+    system_prompt TEXT,
+    -- Último mensaje ocultado al vaciar el historial; los anteriores quedan como lápidas.
+    history_cleared_through INTEGER,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS room_members (
+    room_id INTEGER NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    member TEXT NOT NULL COLLATE NOCASE,
+    joined_at TEXT NOT NULL,
+    PRIMARY KEY (room_id, member)
+  );
+
   CREATE TABLE IF NOT EXISTS messages (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id INTEGER NOT NULL DEFAULT ${DEFAULT_ROOM_ID} REFERENCES rooms(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
     author TEXT NOT NULL,
     text TEXT NOT NULL,
     is_bot INTEGER NOT NULL DEFAULT 0,
     created_at TEXT NOT NULL,
-    updated_at TEXT NOT NULL
-  )
+    updated_at TEXT NOT NULL,
+    deleted_at TEXT,
+    deleted_by TEXT
+  );
+
+  -- Versiones anteriores de cada mensaje: el texto reemplazado, quién lo editó y cuándo.
+  CREATE TABLE IF NOT EXISTS message_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    text TEXT NOT NULL,
+    editor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    editor TEXT NOT NULL,
+    edited_at TEXT NOT NULL
+  );
+
+  -- Archivos subidos. message_id es NULL mientras el adjunto no se envió en un mensaje;
+  -- los archivos viven en el directorio de uploads con el nombre storage_name.
+  CREATE TABLE IF NOT EXISTS attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    uploader_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    original_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    storage_name TEXT NOT NULL UNIQUE,
+    thumbnail_name TEXT,
+    width INTEGER,
+    height INTEGER,
+    created_at TEXT NOT NULL
+  );
+
+  -- Hasta qué mensaje leyó cada usuario en cada sala; solo avanza.
+  CREATE TABLE IF NOT EXISTS read_cursors (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    room_id INTEGER NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    last_read_message_id INTEGER NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (user_id, room_id)
+  );
+
+  -- Usuarios silenciados por sala (/mute): no pueden escribir hasta muted_until.
+  CREATE TABLE IF NOT EXISTS room_mutes (
+    room_id INTEGER NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    muted_until TEXT NOT NULL,
+    muted_by TEXT NOT NULL,
+    PRIMARY KEY (room_id, user_id)
+  );
+
+  -- Encuestas (/poll): las opciones van como arreglo JSON; un voto por usuario.
+  CREATE TABLE IF NOT EXISTS polls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id INTEGER NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    question TEXT NOT NULL,
+    options TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS poll_votes (
+    poll_id INTEGER NOT NULL REFERENCES polls(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    option_index INTEGER NOT NULL,
+    voted_at TEXT NOT NULL,
+    PRIMARY KEY (poll_id, user_id)
+  );
+
+  -- Acciones de moderación (editar, borrar, vaciar historial), permitidas o rechazadas.
+  -- Sin claves foráneas a salas ni mensajes: el registro sobrevive a lo que describe.
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action TEXT NOT NULL,
+    outcome TEXT NOT NULL CHECK (outcome IN ('allowed', 'denied')),
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    actor TEXT NOT NULL,
+    room_id INTEGER,
+    message_id INTEGER,
+    detail TEXT,
+    created_at TEXT NOT NULL
+  );
+`);
+
+db.prepare('INSERT OR IGNORE INTO rooms (id, name, owner, created_at) VALUES (?, ?, NULL, ?)').run(
+  DEFAULT_ROOM_ID,
+  'general',
+  new Date().toISOString()
+);
+
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map((item) => item.name);
+  if (!columns.includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Bases creadas antes de las salas: los mensajes existentes quedan en la sala general.
+addColumnIfMissing('messages', 'room_id', `INTEGER NOT NULL DEFAULT ${DEFAULT_ROOM_ID}`);
+// Antes de los usuarios: esos mensajes quedan sin autor identificado.
+addColumnIfMissing('messages', 'user_id', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+// Antes del borrado lógico: todos los mensajes existentes siguen visibles.
+addColumnIfMissing('messages', 'deleted_at', 'TEXT');
+addColumnIfMissing('messages', 'deleted_by', 'TEXT');
+// Antes de la memoria del bot: las salas usan el prompt de sistema por defecto.
+addColumnIfMissing('rooms', 'system_prompt', 'TEXT');
+// Antes del vaciado lógico: no hay historial ocultado.
+addColumnIfMissing('rooms', 'history_cleared_through', 'INTEGER');
+// Antes de la presencia: nadie tiene última conexión registrada.
+addColumnIfMissing('users', 'last_seen_at', 'TEXT');
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_messages_room_id ON messages (room_id, id);
+  CREATE INDEX IF NOT EXISTS idx_message_revisions_message_id ON message_revisions (message_id, id);
+  CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id);
+  CREATE INDEX IF NOT EXISTS idx_attachments_message_id ON attachments (message_id);
+  CREATE INDEX IF NOT EXISTS idx_read_cursors_room_id ON read_cursors (room_id, last_read_message_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_room_id ON audit_log (room_id, id);
 `);
 
+// Índice de texto completo sobre messages.text (contenido externo: el texto vive en messages).
+// Los triggers lo mantienen al día; si la tabla es nueva se llena con lo que ya había.
+const hasSearchIndex = Boolean(
+  db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'").get()
+);
+
+db.exec(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+    text,
+    content = 'messages',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+    INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+  END;
+`);
+
+if (!hasSearchIndex) {
+  db.exec("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')");
+}
+
 module.exports = db;
+module.exports.DEFAULT_ROOM_ID = DEFAULT_ROOM_ID;
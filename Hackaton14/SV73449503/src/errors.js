@@ -0,0 +1,11 @@
+class ChatError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChatError';
+    this.status = status;
+  }
+}
+
+module.exports = {
+  ChatError,
+};
@@ -1,22 +1,63 @@
 const db = require('./database');
+const attachmentRepository = require('./attachmentRepository');
+
+// Los mensajes borrados se devuelven como lápida: sin texto, con quién y cuándo se borraron.
+const MESSAGE_COLUMNS = `
+  id, room_id AS roomId, user_id AS userId, author,
+  CASE WHEN deleted_at IS NULL THEN text ELSE NULL END AS text,
+  is_bot AS isBot, created_at AS createdAt, updated_at AS updatedAt,
+  deleted_at AS deletedAt, deleted_by AS deletedBy,
+  (SELECT COUNT(*) FROM message_revisions WHERE message_id = messages.id) AS revisionCount
+`;
+
+// Agrega a cada mensaje la lista de sus adjuntos, con una sola consulta.
+function withAttachments(messages) {
+  if (messages.length === 0) {
+    return messages;
+  }
+
+  const byMessage = new Map(messages.map((message) => [message.id, []]));
+  attachmentRepository
+    .getByMessageIds([...byMessage.keys()])
+    .forEach((attachment) => {
+      byMessage.get(attachment.messageId).push(attachmentRepository.toPublicAttachment(attachment));
+    });
+  return messages.map((message) => ({ ...message, attachments: byMessage.get(message.id) }));
+}
+
+function withAttachmentsOne(message) {
+  return message ? withAttachments([message])[0] : null;
+}
 
 class MessageRepository {
   constructor(database) {
     this.db = database;
 
-    this.selectAllStmt = this.db.prepare(`
-      SELECT id, author, text, is_bot AS isBot, created_at AS createdAt, updated_at AS updatedAt
+    // Sin lo que se ocultó al vaciar el historial.
+    this.selectByRoomStmt = this.db.prepare(`
+      SELECT ${MESSAGE_COLUMNS}
       FROM messages
+      WHERE room_id = @roomId
+        AND id > COALESCE((SELECT history_cleared_through FROM rooms WHERE id = @roomId), 0)
       ORDER BY id ASC
     `);
 
+    // Los últimos mensajes visibles antes de uno dado, del más nuevo al más viejo.
+    this.selectRecentStmt = this.db.prepare(`
+      SELECT ${MESSAGE_COLUMNS}
+      FROM messages
+      WHERE room_id = @roomId AND id < @beforeId AND deleted_at IS NULL
+      ORDER BY id DESC
+      LIMIT @limit
+    `);
+
     this.insertStmt = this.db.prepare(`
-      INSERT INTO messages (author, text, is_bot, created_at, updated_at)
-      VALUES (@author, @text, @isBot, @createdAt, @updatedAt)
+      INSERT INTO messages (room_id, user_id, author, text, is_bot, created_at, updated_at)
+      VALUES (@roomId, @userId, @author, @text, @isBot, @createdAt, @updatedAt)
     `);
 
     this.selectByIdStmt = this.db.prepare(`
-      SELECT id, author, text, is_bot AS isBot, created_at AS createdAt, updated_at AS updatedAt
+      SELECT ${MESSAGE_COLUMNS}
       FROM messages
       WHERE id = ?
     `);
@@ -25,53 +66,173 @@ class MessageRepository {
       UPDATE messages
       SET text = @text,
           updated_at = @updatedAt
-      WHERE id = @id
+      WHERE id = @id AND room_id = @roomId AND deleted_at IS NULL
+    `);
+
+    // El texto final de una respuesta del bot no es una edición: no genera versión.
+    this.updateBotTextStmt = this.db.prepare(`
+      UPDATE messages
+      SET text = @text,
+          updated_at = @updatedAt
+      WHERE id = @id AND is_bot = 1 AND deleted_at IS NULL
+    `);
+
+    this.insertRevisionStmt = this.db.prepare(`
+      INSERT INTO message_revisions (message_id, text, editor_id, editor, edited_at)
+      SELECT id, text, @editorId, @editor, @editedAt
+      FROM messages
+      WHERE id = @id AND room_id = @roomId AND deleted_at IS NULL
+    `);
+
+    this.selectRevisionsStmt = this.db.prepare(`
+      SELECT id, message_id AS messageId, text, editor_id AS editorId, editor, edited_at AS editedAt
+      FROM message_revisions
+      WHERE message_id = ?
+      ORDER BY id ASC
+    `);
+
+    this.softDeleteStmt = this.db.prepare(`
+      UPDATE messages
+      SET deleted_at = @deletedAt,
+          deleted_by = @deletedBy
+      WHERE id = @id AND room_id = @roomId AND deleted_at IS NULL
+    `);
+
+    this.clearRoomStmt = this.db.prepare(`
+      UPDATE messages
+      SET deleted_at = @deletedAt,
+          deleted_by = @deletedBy
+      WHERE room_id = @roomId AND deleted_at IS NULL
+    `);
+
+    this.hideRoomHistoryStmt = this.db.prepare(`
+      UPDATE rooms
+      SET history_cleared_through = (SELECT MAX(id) FROM messages WHERE room_id = @roomId)
+      WHERE id = @roomId
     `);
 
-    this.deleteStmt = this.db.prepare('DELETE FROM messages WHERE id = ?');
-    this.clearStmt = this.db.prepare('DELETE FROM messages');
+    // Busca en las salas que el usuario puede leer: la general y aquellas de las que es miembro.
+    // El fragmento marca las coincidencias con los caracteres de control \x01 y \x02.
+    this.searchStmt = this.db.prepare(`
+      SELECT m.id, m.room_id AS roomId, r.name AS roomName, m.user_id AS userId, m.author,
+             m.is_bot AS isBot, m.created_at AS createdAt,
+             snippet(messages_fts, 0, char(1), char(2), '…', 16) AS snippet,
+             bm25(messages_fts) AS score
+      FROM messages_fts
+      JOIN messages m ON m.id = messages_fts.rowid
+      JOIN rooms r ON r.id = m.room_id
+      WHERE messages_fts MATCH @query
+        AND m.deleted_at IS NULL
+        AND (m.room_id = @openRoomId
+             OR EXISTS (SELECT 1 FROM room_members rm WHERE rm.room_id = m.room_id AND rm.member = @member))
+        AND (@roomId IS NULL OR m.room_id = @roomId)
+        AND (@author IS NULL OR m.author = @author COLLATE NOCASE)
+        AND (@isBot IS NULL OR m.is_bot = @isBot)
+        AND (@from IS NULL OR m.created_at >= @from)
+        AND (@to IS NULL OR m.created_at < @to)
+      ORDER BY score ASC, m.id DESC
+      LIMIT @limit OFFSET @offset
+    `);
   }
 
-  getAll() {
-    return this.selectAllStmt.all();
+  getByRoom(roomId) {
+    return withAttachments(this.selectByRoomStmt.all({ roomId }));
   }
 
-  create({ author, text, isBot = 0 }) {
-    const now = new Date().toISOString();
+  getRecent(roomId, beforeId, limit) {
+    return withAttachments(this.selectRecentStmt.all({ roomId, beforeId, limit }).reverse());
+  }
 
-    const result = this.insertStmt.run({
-      author,
-      text,
-      isBot,
-      createdAt: now,
-      updatedAt: now,
-    });
+  getById(id) {
+    return withAttachmentsOne(this.selectByIdStmt.get(id));
+  }
 
-    return this.selectByIdStmt.get(result.lastInsertRowid);
+  // Crea el mensaje y le vincula los adjuntos pendientes de userId en la misma transacción.
+  // Devuelve null (sin crear nada) si alguno ya no está disponible.
+  create({ roomId, userId = null, author, text, isBot = 0, attachmentIds = [] }) {
+    const now = new Date().toISOString();
+
+    return this.db.transaction(() => {
+      if (attachmentRepository.countPending({ uploaderId: userId, attachmentIds }) !== attachmentIds.length) {
+        return null;
+      }
+
+      const result = this.insertStmt.run({
+        roomId,
+        userId,
+        author,
+        text,
+        isBot,
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      const messageId = result.lastInsertRowid;
+      attachmentRepository.attachToMessage({ messageId, uploaderId: userId, attachmentIds });
+      return this.getById(messageId);
+    })();
   }
 
-  updateText(id, newText) {
+  // Guarda la versión actual en message_revisions y la reemplaza, todo en una transacción.
+  updateText(roomId, id, newText, editor) {
     const updatedAt = new Date().toISOString();
-    const result = this.updateStmt.run({
-      id,
-      text: newText,
-      updatedAt,
-    });
+    const changes = this.db.transaction(() => {
+      this.insertRevisionStmt.run({ id, roomId, editorId: editor.id, editor: editor.username, editedAt: updatedAt });
+      return this.updateStmt.run({
+        id,
+        roomId,
+        text: newText,
+        updatedAt,
+      }).changes;
+    })();
+
+    if (changes === 0) {
+      return null;
+    }
+
+    return this.getById(id);
+  }
+
+  setBotText(id, text) {
+    const result = this.updateBotTextStmt.run({ id, text, updatedAt: new Date().toISOString() });
+    return result.changes === 0 ? null : this.getById(id);
+  }
+
+  getRevisions(id) {
+    return this.selectRevisionsStmt.all(id);
+  }
 
-    if (result.changes === 0) {
+  // La lápida no conserva adjuntos: sus filas se borran junto con el texto. Los archivos los
+  // limpia quien llama, con los adjuntos que tenía el mensaje.
+  softDelete(roomId, id, deletedBy) {
+    const changes = this.db.transaction(() => {
+      const result = this.softDeleteStmt.run({ id, roomId, deletedBy, deletedAt: new Date().toISOString() });
+      if (result.changes > 0) {
+        attachmentRepository.deleteByMessage(id);
+      }
+      return result.changes;
+    })();
+
+    if (changes === 0) {
       return null;
     }
 
-    return this.selectByIdStmt.get(id);
+    return this.getById(id);
   }
 
-  deleteById(id) {
-    const result = this.deleteStmt.run(id);
-    return result.changes > 0;
+  search({ query, openRoomId, member, roomId = null, author = null, isBot = null, from = null, to = null, limit, offset }) {
+    return this.searchStmt.all({ query, openRoomId, member, roomId, author, isBot, from, to, limit, offset });
   }
 
-  clearAll() {
-    this.clearStmt.run();
+  // Vaciar el historial es un borrado lógico de toda la sala: los mensajes quedan como lápidas
+  // con sus versiones y desaparecen del historial. Devuelve cuántos se borraron.
+  clearRoom(roomId, deletedBy) {
+    return this.db.transaction(() => {
+      const deleted = this.clearRoomStmt.run({ roomId, deletedBy, deletedAt: new Date().toISOString() }).changes;
+      attachmentRepository.deleteByRoom(roomId);
+      this.hideRoomHistoryStmt.run({ roomId });
+      return deleted;
+    })();
   }
 }
 
@@ -0,0 +1,62 @@
+const db = require('./database');
+
+class PollRepository {
+  constructor(database) {
+    this.db = database;
+
+    this.insertStmt = this.db.prepare(`
+      INSERT INTO polls (room_id, question, options, created_by, created_at)
+      VALUES (@roomId, @question, @options, @createdBy, @createdAt)
+    `);
+
+    this.selectByIdStmt = this.db.prepare(`
+      SELECT id, room_id AS roomId, question, options, created_by AS createdBy, created_at AS createdAt
+      FROM polls
+      WHERE id = ?
+    `);
+
+    this.selectTallyStmt = this.db.prepare(`
+      SELECT option_index AS optionIndex, COUNT(*) AS votes
+      FROM poll_votes
+      WHERE poll_id = ?
+      GROUP BY option_index
+    `);
+
+    // Votar otra vez cambia el voto anterior.
+    this.upsertVoteStmt = this.db.prepare(`
+      INSERT INTO poll_votes (poll_id, user_id, option_index, voted_at)
+      VALUES (@pollId, @userId, @optionIndex, @votedAt)
+      ON CONFLICT (poll_id, user_id) DO UPDATE SET option_index = excluded.option_index, voted_at = excluded.voted_at
+    `);
+  }
+
+  create({ roomId, question, options, createdBy }) {
+    const result = this.insertStmt.run({
+      roomId,
+      question,
+      options: JSON.stringify(options),
+      createdBy,
+      createdAt: new Date().toISOString(),
+    });
+    return this.getById(result.lastInsertRowid);
+  }
+
+  // La encuesta con el conteo de votos de cada opción.
+  getById(id) {
+    const poll = this.selectByIdStmt.get(id);
+    if (!poll) {
+      return null;
+    }
+
+    const votesByOption = new Map(this.selectTallyStmt.all(id).map((row) => [row.optionIndex, row.votes]));
+    const options = JSON.parse(poll.options).map((label, index) => ({ label, votes: votesByOption.get(index) || 0 }));
+    return { ...poll, options };
+  }
+
+  vote({ pollId, userId, optionIndex }) {
+    this.upsertVoteStmt.run({ pollId, userId, optionIndex, votedAt: new Date().toISOString() });
+    return this.getById(pollId);
+  }
+}
+
+module.exports = new PollRepository(db);
@@ -0,0 +1,61 @@
+const db = require('./database');
+
+class ReadCursorRepository {
+  constructor(database) {
+    this.db = database;
+
+    // El cursor nunca retrocede: leer un mensaje viejo no borra lo leído después.
+    this.upsertStmt = this.db.prepare(`
+      INSERT INTO read_cursors (user_id, room_id, last_read_message_id, updated_at)
+      VALUES (@userId, @roomId, @messageId, @updatedAt)
+      ON CONFLICT (user_id, room_id) DO UPDATE
+        SET last_read_message_id = excluded.last_read_message_id,
+            updated_at = excluded.updated_at
+        WHERE excluded.last_read_message_id > read_cursors.last_read_message_id
+    `);
+
+    this.selectOneStmt = this.db.prepare(`
+      SELECT c.user_id AS userId, u.username, c.room_id AS roomId,
+             c.last_read_message_id AS messageId, c.updated_at AS updatedAt
+      FROM read_cursors c
+      JOIN users u ON u.id = c.user_id
+      WHERE c.user_id = ? AND c.room_id = ?
+    `);
+
+    this.selectByRoomStmt = this.db.prepare(`
+      SELECT c.user_id AS userId, u.username, c.room_id AS roomId,
+             c.last_read_message_id AS messageId, c.updated_at AS updatedAt
+      FROM read_cursors c
+      JOIN users u ON u.id = c.user_id
+      WHERE c.room_id = ?
+      ORDER BY c.updated_at DESC
+    `);
+
+    // Quien leyó el mensaje: todo cursor de la sala que llegó hasta él, menos su autor.
+    this.selectReadersStmt = this.db.prepare(`
+      SELECT c.user_id AS userId, u.username, c.updated_at AS readAt
+      FROM read_cursors c
+      JOIN users u ON u.id = c.user_id
+      WHERE c.room_id = @roomId
+        AND c.last_read_message_id >= @messageId
+        AND (@authorId IS NULL OR c.user_id <> @authorId)
+      ORDER BY c.updated_at ASC
+    `);
+  }
+
+  // Devuelve el cursor si avanzó; null si ya estaba en ese mensaje o más adelante.
+  advance({ userId, roomId, messageId }) {
+    const result = this.upsertStmt.run({ userId, roomId, messageId, updatedAt: new Date().toISOString() });
+    return result.changes === 0 ? null : this.selectOneStmt.get(userId, roomId);
+  }
+
+  getByRoom(roomId) {
+    return this.selectByRoomStmt.all(roomId);
+  }
+
+  getReaders({ roomId, messageId, authorId }) {
+    return this.selectReadersStmt.all({ roomId, messageId, authorId });
+  }
+}
+
+module.exports = new ReadCursorRepository(db);
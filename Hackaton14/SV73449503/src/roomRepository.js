@@ -0,0 +1,122 @@
+const db = require('./database');
+
+class RoomRepository {
+  constructor(database) {
+    this.db = database;
+
+    this.selectAllStmt = this.db.prepare(`
+      SELECT r.id, r.name, r.owner, r.created_at AS createdAt,
+             (SELECT COUNT(*) FROM room_members m WHERE m.room_id = r.id) AS members
+      FROM rooms r
+      ORDER BY r.id ASC
+    `);
+
+    this.selectByIdStmt = this.db.prepare(`
+      SELECT r.id, r.name, r.owner, r.created_at AS createdAt,
+             (SELECT COUNT(*) FROM room_members m WHERE m.room_id = r.id) AS members
+      FROM rooms r
+      WHERE r.id = ?
+    `);
+
+    this.selectByNameStmt = this.db.prepare('SELECT id FROM rooms WHERE name = ?');
+
+    this.insertStmt = this.db.prepare(`
+      INSERT INTO rooms (name, owner, created_at)
+      VALUES (@name, @owner, @createdAt)
+    `);
+
+    this.insertMemberStmt = this.db.prepare(`
+      INSERT OR IGNORE INTO room_members (room_id, member, joined_at)
+      VALUES (@roomId, @member, @joinedAt)
+    `);
+
+    this.selectSystemPromptStmt = this.db.prepare('SELECT system_prompt AS systemPrompt FROM rooms WHERE id = ?');
+    this.updateSystemPromptStmt = this.db.prepare('UPDATE rooms SET system_prompt = ? WHERE id = ?');
+
+    this.selectMembersStmt = this.db.prepare(`
+      SELECT member FROM room_members WHERE room_id = ? ORDER BY joined_at ASC
+    `);
+
+    this.upsertMuteStmt = this.db.prepare(`
+      INSERT INTO room_mutes (room_id, user_id, muted_until, muted_by)
+      VALUES (@roomId, @userId, @mutedUntil, @mutedBy)
+      ON CONFLICT (room_id, user_id) DO UPDATE SET muted_until = excluded.muted_until, muted_by = excluded.muted_by
+    `);
+    this.deleteMuteStmt = this.db.prepare('DELETE FROM room_mutes WHERE room_id = ? AND user_id = ?');
+    this.selectMuteStmt = this.db.prepare(`
+      SELECT muted_until AS mutedUntil, muted_by AS mutedBy
+      FROM room_mutes
+      WHERE room_id = ? AND user_id = ? AND muted_until > ?
+    `);
+
+    this.deleteMemberStmt = this.db.prepare('DELETE FROM room_members WHERE room_id = ? AND member = ?');
+    this.selectMemberStmt = this.db.prepare('SELECT 1 FROM room_members WHERE room_id = ? AND member = ?');
+
+    // El dueño queda como primer miembro de la sala que crea.
+    this.createWithOwner = this.db.transaction(({ name, owner, createdAt }) => {
+      const result = this.insertStmt.run({ name, owner, createdAt });
+      this.insertMemberStmt.run({ roomId: result.lastInsertRowid, member: owner, joinedAt: createdAt });
+      return result.lastInsertRowid;
+    });
+  }
+
+  getAll() {
+    return this.selectAllStmt.all();
+  }
+
+  getById(id) {
+    return this.selectByIdStmt.get(id) || null;
+  }
+
+  existsByName(name) {
+    return Boolean(this.selectByNameStmt.get(name));
+  }
+
+  create({ name, owner }) {
+    const id = this.createWithOwner({ name, owner, createdAt: new Date().toISOString() });
+    return this.getById(id);
+  }
+
+  addMember(roomId, member) {
+    const result = this.insertMemberStmt.run({ roomId, member, joinedAt: new Date().toISOString() });
+    return result.changes > 0;
+  }
+
+  removeMember(roomId, member) {
+    const result = this.deleteMemberStmt.run(roomId, member);
+    return result.changes > 0;
+  }
+
+  // null significa que la sala usa el prompt por defecto del bot.
+  getSystemPrompt(roomId) {
+    const row = this.selectSystemPromptStmt.get(roomId);
+    return row ? row.systemPrompt : null;
+  }
+
+  setSystemPrompt(roomId, systemPrompt) {
+    return this.updateSystemPromptStmt.run(systemPrompt, roomId).changes > 0;
+  }
+
+  getMembers(roomId) {
+    return this.selectMembersStmt.all(roomId).map((row) => row.member);
+  }
+
+  mute({ roomId, userId, mutedUntil, mutedBy }) {
+    this.upsertMuteStmt.run({ roomId, userId, mutedUntil, mutedBy });
+  }
+
+  unmute(roomId, userId) {
+    return this.deleteMuteStmt.run(roomId, userId).changes > 0;
+  }
+
+  // Solo devuelve silencios vigentes.
+  getMute(roomId, userId) {
+    return this.selectMuteStmt.get(roomId, userId, new Date().toISOString()) || null;
+  }
+
+  isMember(roomId, member) {
+    return Boolean(this.selectMemberStmt.get(roomId, member));
+  }
+}
+
+module.exports = new RoomRepository(db);
@@ -4,121 +4,595 @@ const http = require('http');
 const path = require('path');
 const express = require('express');
 const { Server } = require('socket.io');
-const messageRepository = require('./messageRepository');
-const { generateBotReply } = require('./botService');
+const attachmentService = require('./attachmentService');
+const authService = require('./authService');
+const chatService = require('./chatService');
+const commandRegistry = require('./commandRegistry');
+const { ChatError } = require('./errors');
+const { streamBotReply } = require('./botService');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 
 const PORT = process.env.PORT || 3000;
+// Si no llega typing_stop, el indicador se apaga solo tras este tiempo sin typing_start.
+const TYPING_TIMEOUT_MS = Number(process.env.CHAT_TYPING_TIMEOUT_MS || 5000);
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
-app.get('/api/messages', (_req, res) => {
-  const messages = messageRepository.getAll();
-  res.json(messages);
-});
+function roomChannel(roomId) {
+  return `room:${roomId}`;
+}
+
+// Canal privado de cada usuario: todos sus sockets lo comparten.
+function userChannel(userId) {
+  return `user:${userId}`;
+}
 
-function shouldTriggerBot(text) {
-  const normalized = text.trim().toLowerCase();
-  return normalized.startsWith('/bot ') || normalized.startsWith('@bot ');
+// Sockets abiertos por usuario: está en línea mientras le quede al menos uno.
+const connectionsByUser = new Map();
+
+function onlineUserIds() {
+  return new Set(connectionsByUser.keys());
 }
 
-function normalizeBotPrompt(text) {
-  if (text.toLowerCase().startsWith('/bot ')) {
-    return text.slice(5).trim();
+// La presencia de un usuario solo llega a quienes comparten alguna sala con él.
+function emitPresenceUpdate(user, online, lastSeenAt) {
+  const channels = chatService.listPresencePeerIds(user).map(userChannel);
+  // io.to([]) emitiría a todos los sockets.
+  if (channels.length > 0) {
+    io.to(channels).emit('presence_update', { userId: user.id, username: user.username, online, lastSeenAt });
   }
+}
+
+// Al entrar o salir de una sala cambia con quién comparte presencia el usuario.
+function refreshPresence(user) {
+  io.to(userChannel(user.id)).emit('presence_list', chatService.listPresence(user, onlineUserIds()));
+  emitPresenceUpdate(user, onlineUserIds().has(user.id), chatService.getLastSeen(user));
+}
 
-  if (text.toLowerCase().startsWith('@bot ')) {
-    return text.slice(5).trim();
+// Respuestas del bot en curso, por id de mensaje: permiten cancelarlas con cancel_bot.
+const botStreams = new Map();
+
+// trigger es el mensaje que pidió la respuesta; prompt, la pregunta sin el comando.
+async function replyWithBot(trigger, requester, prompt) {
+  const { roomId } = trigger;
+
+  // El mensaje se crea vacío y se completa con bot_message_chunk; al terminar se guarda el
+  // texto final y se emite bot_message_done, también si algo falla a mitad de camino.
+  const botMessage = chatService.postBotMessage(roomId, '');
+  const controller = new AbortController();
+  botStreams.set(botMessage.id, { controller, roomId, requesterId: requester.id });
+
+  let partial = '';
+  let finalText;
+  let cancelled = false;
+  try {
+    io.to(roomChannel(roomId)).emit('new_message', { ...botMessage, streaming: true, requesterId: requester.id });
+    const { messages } = chatService.buildBotConversation({
+      roomId,
+      beforeId: trigger.id,
+      author: requester.username,
+      prompt,
+    });
+    finalText = await streamBotReply(messages, {
+      signal: controller.signal,
+      onToken: (delta) => {
+        partial += delta;
+        io.to(roomChannel(roomId)).emit('bot_message_chunk', { id: botMessage.id, roomId, delta });
+      },
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      cancelled = true;
+      finalText = partial.trim() ? `${partial.trim()} [respuesta cancelada]` : 'Respuesta cancelada.';
+    } else {
+      // El detalle puede traer el cuerpo de la respuesta del proveedor: queda en el log y
+      // la sala solo ve un aviso genérico.
+      console.error(`El bot no pudo responder el mensaje ${trigger.id}: ${error.message}`);
+      finalText = 'No pude consultar la IA. Intenta de nuevo en un momento.';
+    }
+  } finally {
+    botStreams.delete(botMessage.id);
+    const saved = chatService.completeBotMessage(botMessage.id, finalText);
+    if (saved) {
+      io.to(roomChannel(roomId)).emit('bot_message_done', { ...saved, cancelled });
+    }
   }
+}
 
-  return text;
+function cancelBotStream({ id, roomId, user }) {
+  const stream = botStreams.get(Number(id));
+  if (!stream || stream.roomId !== roomId) {
+    throw new ChatError('No hay una respuesta del bot en curso con ese id.', 404);
+  }
+  if (stream.requesterId !== user.id && user.role !== 'moderator') {
+    throw new ChatError('Solo quien pidió la respuesta o un moderador puede cancelarla.', 403);
+  }
+  stream.controller.abort();
 }
 
-io.on('connection', (socket) => {
-  socket.emit('message_history', messageRepository.getAll());
+// Al vaciar el historial se cortan las respuestas en curso de la sala.
+function abortRoomStreams(roomId) {
+  botStreams.forEach((stream) => {
+    if (stream.roomId === roomId) {
+      stream.controller.abort();
+    }
+  });
+}
+
+function publishMessage({ roomId, user, text, attachmentIds }) {
+  const savedMessage = chatService.postMessage({ roomId, user, text, attachmentIds });
+  io.to(roomChannel(savedMessage.roomId)).emit('new_message', savedMessage);
+  return savedMessage;
+}
+
+async function onlineUsernames(roomId) {
+  const sockets = await io.in(roomChannel(roomId)).fetchSockets();
+  return [...new Set(sockets.map((socket) => socket.data.user.username))];
+}
+
+// Entrada del chat, por socket o REST: un comando (/algo o @bot) se ejecuta y sus respuestas
+// privadas van a reply; cualquier otro texto se publica como mensaje. Devuelve el mensaje
+// publicado o, si fue un comando, su nombre. Los adjuntos solo van con mensajes normales.
+async function handleChatInput({ roomId, user, text, attachmentIds, reply }) {
+  const invocation = commandRegistry.match(text);
+  if (!invocation) {
+    return { message: publishMessage({ roomId, user, text, attachmentIds }) };
+  }
+  if (Array.isArray(attachmentIds) && attachmentIds.length > 0) {
+    throw new ChatError('Los comandos no admiten adjuntos.');
+  }
+
+  const ctx = {
+    user,
+    roomId: Number(roomId),
+    text: String(text).trim(),
+    registry: commandRegistry,
+    reply,
+    publish: (messageText) => publishMessage({ roomId, user, text: messageText }),
+    // La respuesta sigue en segundo plano; un error no puede quedar como rechazo sin atender.
+    askBot: (trigger, prompt) => {
+      replyWithBot(trigger, user, prompt).catch((error) => {
+        console.error(`No se pudo completar la respuesta del bot: ${error.message}`);
+      });
+    },
+    abortRoomStreams,
+    onlineUsernames,
+    emitToRoom: (event, payload) => io.to(roomChannel(roomId)).emit(event, payload),
+    emitToUser: (userId, event, payload) => io.to(userChannel(userId)).emit(event, payload),
+  };
+  const command = await commandRegistry.execute(invocation, ctx);
+  return { command: command.name };
+}
+
+function sendError(res, error) {
+  const status = error instanceof ChatError ? error.status : 500;
+  res.status(status).json({ error: status === 500 ? 'Error interno del servidor.' : error.message });
+}
 
-  socket.on('send_message', async (payload = {}) => {
-    const author = String(payload.author || 'Anónimo').trim() || 'Anónimo';
-    const text = String(payload.text || '').trim();
+// Envuelve un handler REST: lo que lance se responde con sendError.
+function route(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+function bearerToken(req) {
+  const header = String(req.headers.authorization || '');
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
 
-    if (!text) {
+function authenticateWith(getToken) {
+  return (req, res, next) => {
+    const user = authService.authenticate(getToken(req));
+    if (!user) {
+      res.status(401).json({ error: 'Inicia sesión para continuar.' });
       return;
     }
+    req.user = user;
+    next();
+  };
+}
+
+const requireUser = authenticateWith(bearerToken);
+// <img src> y los enlaces de descarga usan la URL firmada del adjunto (?expires=&sig=); el resto,
+// la cabecera Authorization. El token de sesión nunca va en la URL.
+const requireFileAccess = (req, res, next) => (req.query.sig ? next() : requireUser(req, res, next));
 
-    const savedMessage = messageRepository.create({ author, text, isBot: 0 });
-    io.emit('new_message', savedMessage);
+// Cuerpo crudo de la subida; el tipo real se valida después por el contenido.
+const uploadBody = express.raw({ type: () => true, limit: attachmentService.MAX_UPLOAD_BYTES });
 
-    if (shouldTriggerBot(text)) {
-      const prompt = normalizeBotPrompt(text);
+// filename con un respaldo ASCII y filename* con el nombre original en UTF-8 (RFC 6266).
+function contentDisposition(type, name) {
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
 
-      if (!prompt) {
-        const helpMessage = messageRepository.create({
-          author: 'Bot',
-          text: 'Usa /bot seguido de tu pregunta. Ejemplo: /bot ¿Qué es Socket.IO?',
-          isBot: 1,
-        });
+function sendAttachment(req, res, { thumbnail }) {
+  const { attachment, file, mimeType, inline } = req.query.sig
+    ? attachmentService.getSignedDownload({
+      id: req.params.id,
+      thumbnail,
+      expires: req.query.expires,
+      signature: req.query.sig,
+    })
+    : chatService.getAttachmentFile({ user: req.user, id: req.params.id, thumbnail });
+  const disposition = inline && req.query.download !== '1' ? 'inline' : 'attachment';
+  const name = thumbnail ? `miniatura-${attachment.name.replace(/\.[^.]*$/, '')}.png` : attachment.name;
 
-        io.emit('new_message', helpMessage);
-        return;
-      }
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Disposition': contentDisposition(disposition, name),
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=3600',
+  });
+  res.sendFile(file, (error) => {
+    if (error && !res.headersSent) {
+      sendError(res, error);
+    }
+  });
+}
+
+app.post('/api/auth/register', route(async (req, res) => {
+  res.status(201).json(await authService.register(req.body));
+}));
+
+app.post('/api/auth/login', route(async (req, res) => {
+  res.json(await authService.login(req.body));
+}));
+
+app.post('/api/auth/logout', requireUser, route((req, res) => {
+  authService.logout(bearerToken(req));
+  res.status(204).end();
+}));
+
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json(req.user);
+});
+
+app.get('/api/rooms', requireUser, (_req, res) => {
+  res.json(chatService.listRooms());
+});
+
+app.post('/api/rooms', requireUser, route((req, res) => {
+  const room = chatService.createRoom({ name: req.body.name, user: req.user });
+  io.emit('room_created', room);
+  res.status(201).json(room);
+}));
+
+app.post('/api/rooms/:roomId/join', requireUser, route((req, res) => {
+  const room = chatService.joinRoom({ roomId: req.params.roomId, user: req.user });
+  io.to(roomChannel(room.id)).emit('member_joined', { roomId: room.id, member: req.user.username, members: room.members });
+  refreshPresence(req.user);
+  res.json(room);
+}));
+
+app.post('/api/rooms/:roomId/leave', requireUser, route((req, res) => {
+  const room = chatService.leaveRoom({ roomId: req.params.roomId, user: req.user });
+  io.to(roomChannel(room.id)).emit('member_left', { roomId: room.id, member: req.user.username, members: room.members });
+  refreshPresence(req.user);
+  res.json(room);
+}));
+
+app.get('/api/rooms/:roomId/system-prompt', requireUser, route((req, res) => {
+  res.json(chatService.getSystemPrompt({ roomId: req.params.roomId, user: req.user }));
+}));
+
+app.put('/api/rooms/:roomId/system-prompt', requireUser, route((req, res) => {
+  const updated = chatService.setSystemPrompt({
+    roomId: req.params.roomId,
+    user: req.user,
+    systemPrompt: req.body.systemPrompt,
+  });
+  io.to(roomChannel(updated.roomId)).emit('system_prompt_updated', updated);
+  res.json(updated);
+}));
+
+// Sube un archivo (el cuerpo es el archivo; ?name= su nombre). Queda pendiente hasta que se
+// envíe en un mensaje con attachmentIds.
+app.post('/api/attachments', requireUser, uploadBody, route(async (req, res) => {
+  const attachment = await attachmentService.saveUpload({
+    user: req.user,
+    buffer: req.body,
+    name: req.query.name,
+    declaredType: req.get('content-type'),
+  });
+  res.status(201).json(attachment);
+}));
+
+app.get('/api/attachments/:id', requireFileAccess, route((req, res) => {
+  sendAttachment(req, res, { thumbnail: false });
+}));
+
+app.get('/api/attachments/:id/thumbnail', requireFileAccess, route((req, res) => {
+  sendAttachment(req, res, { thumbnail: true });
+}));
+
+// URLs firmadas nuevas para un adjunto cuyas URLs ya vencieron.
+app.get('/api/attachments/:id/links', requireUser, route((req, res) => {
+  res.json(chatService.getAttachmentLinks({ user: req.user, id: req.params.id }));
+}));
+
+app.get('/api/rooms/:roomId/messages', requireUser, route((req, res) => {
+  res.json(chatService.getHistory({ roomId: req.params.roomId, user: req.user }));
+}));
 
+// Un comando responde 200 con sus respuestas privadas en vez de crear un mensaje.
+app.post('/api/rooms/:roomId/messages', requireUser, route(async (req, res) => {
+  const replies = [];
+  const result = await handleChatInput({
+    roomId: chatService.getRoom(req.params.roomId).id,
+    user: req.user,
+    text: req.body.text,
+    attachmentIds: req.body.attachmentIds,
+    reply: ({ text }) => replies.push(text),
+  });
+
+  if (result.message) {
+    res.status(201).json(result.message);
+    return;
+  }
+  res.json({ command: result.command, replies });
+}));
+
+app.patch('/api/rooms/:roomId/messages/:id', requireUser, route((req, res) => {
+  const updated = chatService.editMessage({
+    roomId: req.params.roomId,
+    user: req.user,
+    id: req.params.id,
+    newText: req.body.newText,
+  });
+  io.to(roomChannel(updated.roomId)).emit('message_edited', updated);
+  res.json(updated);
+}));
+
+app.get('/api/rooms/:roomId/messages/:id/revisions', requireUser, route((req, res) => {
+  res.json(chatService.getRevisions({ roomId: req.params.roomId, user: req.user, id: req.params.id }));
+}));
+
+app.delete('/api/rooms/:roomId/messages/:id', requireUser, route((req, res) => {
+  const deleted = chatService.deleteMessage({ roomId: req.params.roomId, user: req.user, id: req.params.id });
+  io.to(roomChannel(deleted.roomId)).emit('message_deleted', deleted);
+  res.status(204).end();
+}));
+
+app.delete('/api/rooms/:roomId/messages', requireUser, route((req, res) => {
+  const cleared = chatService.clearHistory({ roomId: req.params.roomId, user: req.user });
+  abortRoomStreams(cleared.roomId);
+  io.to(roomChannel(cleared.roomId)).emit('history_cleared', { roomId: cleared.roomId });
+  res.json(cleared);
+}));
+
+// Historial de la sala general, como antes de existir las salas.
+app.get('/api/messages', requireUser, route((req, res) => {
+  res.json(chatService.getHistory({ roomId: chatService.DEFAULT_ROOM_ID, user: req.user }));
+}));
+
+// Búsqueda de texto completo en las salas que el usuario puede leer.
+app.get('/api/messages/search', requireUser, route((req, res) => {
+  res.json(chatService.searchMessages({ user: req.user, ...req.query }));
+}));
+
+app.get('/api/messages/:id/readers', requireUser, route((req, res) => {
+  res.json(chatService.getReaders({ user: req.user, id: req.params.id }));
+}));
+
+app.get('/api/rooms/:roomId/read-cursors', requireUser, route((req, res) => {
+  res.json(chatService.getReadCursors({ roomId: req.params.roomId, user: req.user }));
+}));
+
+app.post('/api/rooms/:roomId/read', requireUser, route((req, res) => {
+  const cursor = chatService.markRead({ roomId: req.params.roomId, user: req.user, messageId: req.body.messageId });
+  if (cursor) {
+    io.to(roomChannel(cursor.roomId)).emit('read_cursor_updated', cursor);
+  }
+  res.json({ advanced: Boolean(cursor) });
+}));
+
+app.get('/api/presence', requireUser, (req, res) => {
+  res.json(chatService.listPresence(req.user, onlineUserIds()));
+});
+
+app.get('/api/audit', requireUser, route((req, res) => {
+  res.json(chatService.listAudit({ user: req.user, ...req.query }));
+}));
+
+// Errores de los parsers de cuerpo (JSON mal formado, archivo demasiado grande) en JSON
+// como el resto de la API.
+app.use((error, _req, res, next) => {
+  if (res.headersSent) {
+    next(error);
+    return;
+  }
+  if (error.type === 'entity.too.large') {
+    res.status(413).json({ error: `El archivo supera el máximo de ${attachmentService.MAX_UPLOAD_BYTES} bytes.` });
+    return;
+  }
+  const status = error.status >= 400 && error.status < 500 ? error.status : 500;
+  res.status(status).json({ error: status === 500 ? 'Error interno del servidor.' : 'Solicitud no válida.' });
+});
+
+// El cliente manda el token de sesión en el handshake: io({ auth: { token } }).
+io.use((socket, next) => {
+  const user = authService.authenticate(socket.handshake.auth && socket.handshake.auth.token);
+  if (!user) {
+    next(new Error('No autorizado: inicia sesión para conectarte.'));
+    return;
+  }
+  socket.data.user = user;
+  next();
+});
+
+io.on('connection', (socket) => {
+  const { user } = socket.data;
+
+  // typing: true se emite una vez y typing: false al parar, al vencer el tiempo, al enviar,
+  // al cambiar de sala o al desconectarse; los typing_start repetidos solo reinician el tiempo.
+  function stopTyping() {
+    if (!socket.data.typingTimer) {
+      return;
+    }
+    clearTimeout(socket.data.typingTimer);
+    socket.data.typingTimer = null;
+    const roomId = socket.data.typingRoomId;
+    socket.to(roomChannel(roomId)).emit('typing', { roomId, userId: user.id, username: user.username, typing: false });
+  }
+
+  // Cada socket mira una sala a la vez (socket.data.roomId); al conectar, la general.
+  function enterRoom(room) {
+    stopTyping();
+    if (socket.data.roomId) {
+      socket.leave(roomChannel(socket.data.roomId));
+    }
+    socket.data.roomId = room.id;
+    socket.join(roomChannel(room.id));
+    socket.emit('room_joined', room);
+    socket.emit('message_history', chatService.getHistory({ roomId: room.id, user }));
+    socket.emit('read_cursors', { roomId: room.id, cursors: chatService.getReadCursors({ roomId: room.id, user }) });
+  }
+
+  // Los errores de validación vuelven solo a quien envió el evento.
+  function handle(action, handler) {
+    socket.on(action, async (payload = {}) => {
       try {
-        const botText = await generateBotReply(prompt);
-        const botMessage = messageRepository.create({
-          author: 'Bot',
-          text: botText,
-          isBot: 1,
-        });
-
-        io.emit('new_message', botMessage);
+        await handler(payload);
       } catch (error) {
-        const botError = messageRepository.create({
-          author: 'Bot',
-          text: `No pude consultar la IA: ${error.message}`,
-          isBot: 1,
-        });
-
-        io.emit('new_message', botError);
+        const message = error instanceof ChatError ? error.message : 'Error interno del servidor.';
+        socket.emit('chat_error', { action, message });
       }
-    }
+    });
+  }
+
+  const connections = (connectionsByUser.get(user.id) || 0) + 1;
+  connectionsByUser.set(user.id, connections);
+  if (connections === 1) {
+    const lastSeenAt = chatService.touchLastSeen(user);
+    emitPresenceUpdate(user, true, lastSeenAt);
+  }
+
+  socket.join(userChannel(user.id));
+  socket.emit('session', user);
+  socket.emit('presence_list', chatService.listPresence(user, onlineUserIds()));
+  socket.emit('room_list', chatService.listRooms());
+  enterRoom(chatService.getRoom(chatService.DEFAULT_ROOM_ID));
+
+  handle('list_rooms', () => {
+    socket.emit('room_list', chatService.listRooms());
+  });
+
+  handle('create_room', (payload) => {
+    const room = chatService.createRoom({ name: payload.name, user });
+    io.emit('room_created', room);
+    enterRoom(room);
   });
 
-  socket.on('edit_message', (payload = {}) => {
-    const id = Number(payload.id);
-    const newText = String(payload.newText || '').trim();
+  handle('join_room', (payload) => {
+    const room = chatService.joinRoom({ roomId: payload.roomId, user });
+    enterRoom(room);
+    socket.to(roomChannel(room.id)).emit('member_joined', { roomId: room.id, member: user.username, members: room.members });
+    refreshPresence(user);
+  });
+
+  handle('leave_room', (payload) => {
+    const roomId = Number(payload.roomId || socket.data.roomId);
+    const room = chatService.leaveRoom({ roomId, user });
+    socket.to(roomChannel(room.id)).emit('member_left', { roomId: room.id, member: user.username, members: room.members });
+    refreshPresence(user);
+    socket.emit('room_left', { roomId: room.id });
+    if (socket.data.roomId === room.id) {
+      enterRoom(chatService.getRoom(chatService.DEFAULT_ROOM_ID));
+    }
+  });
 
-    if (!id || !newText) {
+  handle('send_message', async (payload) => {
+    const hasAttachments = Array.isArray(payload.attachmentIds) && payload.attachmentIds.length > 0;
+    if (!String(payload.text || '').trim() && !hasAttachments) {
       return;
     }
+    stopTyping();
+    await handleChatInput({
+      roomId: socket.data.roomId,
+      user,
+      text: payload.text,
+      attachmentIds: payload.attachmentIds,
+      reply: (payload) => socket.emit('command_reply', payload),
+    });
+  });
 
-    const updated = messageRepository.updateText(id, newText);
+  handle('edit_message', (payload) => {
+    const updated = chatService.editMessage({
+      roomId: socket.data.roomId,
+      user,
+      id: payload.id,
+      newText: payload.newText,
+    });
+    io.to(roomChannel(updated.roomId)).emit('message_edited', updated);
+  });
 
-    if (updated) {
-      io.emit('message_edited', updated);
-    }
+  handle('delete_message', (payload) => {
+    const deleted = chatService.deleteMessage({ roomId: socket.data.roomId, user, id: payload.id });
+    io.to(roomChannel(deleted.roomId)).emit('message_deleted', deleted);
+  });
+
+  handle('get_revisions', (payload) => {
+    const history = chatService.getRevisions({ roomId: socket.data.roomId, user, id: payload.id });
+    socket.emit('message_revisions', history);
   });
 
-  socket.on('delete_message', (payload = {}) => {
-    const id = Number(payload.id);
+  handle('set_system_prompt', (payload) => {
+    const updated = chatService.setSystemPrompt({ roomId: socket.data.roomId, user, systemPrompt: payload.systemPrompt });
+    io.to(roomChannel(updated.roomId)).emit('system_prompt_updated', updated);
+  });
 
-    if (!id) {
-      return;
+  handle('typing_start', () => {
+    if (socket.data.typingTimer) {
+      clearTimeout(socket.data.typingTimer);
+    } else {
+      const roomId = socket.data.roomId;
+      socket.data.typingRoomId = roomId;
+      socket.to(roomChannel(roomId)).emit('typing', { roomId, userId: user.id, username: user.username, typing: true });
     }
+    socket.data.typingTimer = setTimeout(stopTyping, TYPING_TIMEOUT_MS);
+  });
 
-    const deleted = messageRepository.deleteById(id);
+  handle('typing_stop', () => {
+    stopTyping();
+  });
 
-    if (deleted) {
-      io.emit('message_deleted', { id });
+  handle('mark_read', (payload) => {
+    const cursor = chatService.markRead({ roomId: socket.data.roomId, user, messageId: payload.messageId });
+    if (cursor) {
+      io.to(roomChannel(cursor.roomId)).emit('read_cursor_updated', cursor);
     }
   });
 
-  socket.on('clear_history', () => {
-    messageRepository.clearAll();
-    io.emit('history_cleared');
+  handle('cancel_bot', (payload) => {
+    cancelBotStream({ id: payload.id, roomId: socket.data.roomId, user });
+  });
+
+  handle('clear_history', () => {
+    const cleared = chatService.clearHistory({ roomId: socket.data.roomId, user });
+    abortRoomStreams(cleared.roomId);
+    io.to(roomChannel(cleared.roomId)).emit('history_cleared', { roomId: cleared.roomId });
+  });
+
+  socket.on('disconnect', () => {
+    stopTyping();
+    const remaining = connectionsByUser.get(user.id) - 1;
+    if (remaining > 0) {
+      connectionsByUser.set(user.id, remaining);
+      return;
+    }
+    connectionsByUser.delete(user.id);
+    const lastSeenAt = chatService.touchLastSeen(user);
+    emitPresenceUpdate(user, false, lastSeenAt);
   });
 });
 
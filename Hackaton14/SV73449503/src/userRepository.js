@@ -0,0 +1,146 @@
+const db = require('./database');
+
+const { DEFAULT_ROOM_ID } = db;
+
+class UserRepository {
+  constructor(database) {
+    this.db = database;
+
+    this.selectByIdStmt = this.db.prepare(`
+      SELECT id, username, role, created_at AS createdAt
+      FROM users
+      WHERE id = ?
+    `);
+
+    this.selectByUsernameStmt = this.db.prepare(`
+      SELECT id, username, role, created_at AS createdAt
+      FROM users
+      WHERE username = ?
+    `);
+
+    this.selectCredentialsStmt = this.db.prepare(`
+      SELECT id, username, role, password_hash AS passwordHash
+      FROM users
+      WHERE username = ?
+    `);
+
+    this.insertStmt = this.db.prepare(`
+      INSERT INTO users (username, password_hash, role, created_at)
+      VALUES (@username, @passwordHash, @role, @createdAt)
+    `);
+
+    this.updateRoleStmt = this.db.prepare('UPDATE users SET role = ? WHERE id = ?');
+    this.updateLastSeenStmt = this.db.prepare('UPDATE users SET last_seen_at = ? WHERE id = ?');
+
+    // Compartir sala es ser miembro de la misma; general no cuenta porque está todo el mundo
+    // (entrar en ella también agrega una fila en room_members).
+    this.selectRecentlySeenPeersStmt = this.db.prepare(`
+      SELECT u.id, u.username, u.role, u.last_seen_at AS lastSeenAt
+      FROM users u
+      WHERE u.last_seen_at IS NOT NULL
+        AND (u.id = @userId OR u.username IN (
+          SELECT theirs.member
+          FROM room_members mine
+          JOIN room_members theirs ON theirs.room_id = mine.room_id
+          WHERE mine.member = @username AND mine.room_id <> @generalRoomId
+        ))
+      ORDER BY u.last_seen_at DESC
+      LIMIT @limit
+    `);
+
+    this.selectPeerIdsStmt = this.db.prepare(`
+      SELECT DISTINCT u.id
+      FROM room_members mine
+      JOIN room_members theirs ON theirs.room_id = mine.room_id
+      JOIN users u ON u.username = theirs.member
+      WHERE mine.member = @username AND mine.room_id <> @generalRoomId AND u.id <> @userId
+    `);
+
+    this.selectLastSeenStmt = this.db.prepare('SELECT last_seen_at AS lastSeenAt FROM users WHERE id = ?');
+
+    this.insertSessionStmt = this.db.prepare(`
+      INSERT INTO sessions (token_hash, user_id, created_at, expires_at)
+      VALUES (@tokenHash, @userId, @createdAt, @expiresAt)
+    `);
+
+    this.selectSessionUserStmt = this.db.prepare(`
+      SELECT u.id, u.username, u.role, u.created_at AS createdAt
+      FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = ? AND s.expires_at > ?
+    `);
+
+    this.deleteSessionStmt = this.db.prepare('DELETE FROM sessions WHERE token_hash = ?');
+    this.deleteExpiredSessionsStmt = this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?');
+  }
+
+  getById(id) {
+    return this.selectByIdStmt.get(id) || null;
+  }
+
+  getByUsername(username) {
+    return this.selectByUsernameStmt.get(username) || null;
+  }
+
+  getCredentials(username) {
+    return this.selectCredentialsStmt.get(username) || null;
+  }
+
+  create({ username, passwordHash, role }) {
+    const result = this.insertStmt.run({
+      username,
+      passwordHash,
+      role,
+      createdAt: new Date().toISOString(),
+    });
+    return this.getById(result.lastInsertRowid);
+  }
+
+  updateRole(id, role) {
+    this.updateRoleStmt.run(role, id);
+    return this.getById(id);
+  }
+
+  touchLastSeen(id) {
+    const lastSeenAt = new Date().toISOString();
+    this.updateLastSeenStmt.run(lastSeenAt, id);
+    return lastSeenAt;
+  }
+
+  getLastSeen(id) {
+    const row = this.selectLastSeenStmt.get(id);
+    return row ? row.lastSeenAt : null;
+  }
+
+  // El propio usuario y quienes comparten alguna sala con él, vistos más recientemente primero.
+  listRecentlySeenPeers(user, limit) {
+    return this.selectRecentlySeenPeersStmt.all({
+      userId: user.id,
+      username: user.username,
+      generalRoomId: DEFAULT_ROOM_ID,
+      limit,
+    });
+  }
+
+  listPeerIds(user) {
+    return this.selectPeerIdsStmt
+      .all({ userId: user.id, username: user.username, generalRoomId: DEFAULT_ROOM_ID })
+      .map((row) => row.id);
+  }
+
+  createSession({ tokenHash, userId, expiresAt }) {
+    const now = new Date().toISOString();
+    this.deleteExpiredSessionsStmt.run(now);
+    this.insertSessionStmt.run({ tokenHash, userId, createdAt: now, expiresAt });
+  }
+
+  getSessionUser(tokenHash) {
+    return this.selectSessionUserStmt.get(tokenHash, new Date().toISOString()) || null;
+  }
+
+  deleteSession(tokenHash) {
+    return this.deleteSessionStmt.run(tokenHash).changes > 0;
+  }
+}
+
+module.exports = new UserRepository(db);
@@ -1,25 +1,52 @@
 const state = {
   user: null,
+  token: '',
   trackingCode: '',
   package: null,
+  lastSeq: 0,
+  // Seqs ya recibidos por encima de lastSeq (llegaron antes que alguno anterior).
+  pendingSeqs: new Set(),
+  listQuery: '',
+  nextCursor: null,
+  listedCodes: [],
 };
 
-const socket = io();
+let socket = null;
 
 const els = {
   statusBanner: document.getElementById('statusBanner'),
   loginForm: document.getElementById('loginForm'),
+  registerBtn: document.getElementById('registerBtn'),
   createForm: document.getElementById('createForm'),
+  quoteBtn: document.getElementById('quoteBtn'),
+  quoteResult: document.getElementById('quoteResult'),
+  invoiceForm: document.getElementById('invoiceForm'),
+  importForm: document.getElementById('importForm'),
+  importList: document.getElementById('importList'),
   trackForm: document.getElementById('trackForm'),
   messageForm: document.getElementById('messageForm'),
   locationForm: document.getElementById('locationForm'),
-  receiveBtn: document.getElementById('receiveBtn'),
+  statusForm: document.getElementById('statusForm'),
+  statusSelect: document.getElementById('statusSelect'),
+  receiveForm: document.getElementById('receiveForm'),
+  deliveryBox: document.getElementById('deliveryBox'),
   loginResult: document.getElementById('loginResult'),
   trackingInput: document.getElementById('trackingInput'),
   packageMeta: document.getElementById('packageMeta'),
   timelineList: document.getElementById('timelineList'),
   messagesList: document.getElementById('messagesList'),
   locationsList: document.getElementById('locationsList'),
+  listForm: document.getElementById('listForm'),
+  exportBtn: document.getElementById('exportBtn'),
+  labelsBtn: document.getElementById('labelsBtn'),
+  labelPdfBtn: document.getElementById('labelPdfBtn'),
+  labelPngBtn: document.getElementById('labelPngBtn'),
+  packagesList: document.getElementById('packagesList'),
+  moreBtn: document.getElementById('moreBtn'),
+  routeForm: document.getElementById('routeForm'),
+  routesBtn: document.getElementById('routesBtn'),
+  routesList: document.getElementById('routesList'),
+  routePingForm: document.getElementById('routePingForm'),
 };
 
 function notify(message, isError = false) {
@@ -48,15 +75,72 @@ function formatDate(isoLike) {
   return date.toLocaleString();
 }
 
+function formatRoute(route) {
+  if (!route) return 'N/A';
+
+  const parts = [`${route.distance_travelled_km} km recorridos`];
+  if (route.average_speed_kmh !== null) parts.push(`${route.average_speed_kmh} km/h promedio`);
+  if (!route.destination) {
+    parts.push('destino sin geocodificar');
+  } else if (route.remaining_distance_km !== null) {
+    parts.push(`faltan ${route.remaining_distance_km} km a ${route.destination.name}`);
+  }
+  if (route.within_geofence) parts.push('en zona de entrega');
+  if (route.eta) parts.push(`ETA ${formatDate(route.eta)}`);
+  return parts.join(' | ');
+}
+
+function renderStatusOptions(nextStatuses) {
+  els.statusSelect.innerHTML = '';
+
+  if (!nextStatuses.length) {
+    els.statusSelect.appendChild(new Option('Sin transiciones disponibles', ''));
+    return;
+  }
+
+  nextStatuses.forEach((status) => {
+    els.statusSelect.appendChild(new Option(status, status));
+  });
+}
+
+function renderDelivery(delivery) {
+  if (!delivery) {
+    els.deliveryBox.textContent = 'Sin prueba de entrega.';
+    return;
+  }
+
+  els.deliveryBox.innerHTML = [
+    `<strong>Recibido por:</strong> ${delivery.received_by_name} (${delivery.received_by_document})`,
+    `<strong>Entregado por:</strong> ${delivery.delivered_by}`,
+    `<strong>Punto GPS:</strong> (${delivery.latitude}, ${delivery.longitude})`,
+    `<strong>Fecha:</strong> ${formatDate(delivery.created_at)}`,
+  ].join('<br>');
+
+  [['Descargar firma', delivery.signature_url], ['Descargar foto', delivery.photo_url]]
+    .filter(([, url]) => url)
+    .forEach(([label, url]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-tertiary';
+      button.textContent = label;
+      button.addEventListener('click', () => downloadFile(url).catch((error) => notify(error.message, true)));
+      els.deliveryBox.appendChild(button);
+    });
+}
+
 function renderPackage(pkg) {
   state.package = pkg;
 
   if (!pkg) {
     els.packageMeta.textContent = 'Sin paquete cargado.';
+    renderStatusOptions([]);
+    renderDelivery(null);
     clearLists();
     return;
   }
 
+  renderStatusOptions(pkg.next_statuses || []);
+
   els.packageMeta.innerHTML = [
     `<strong>Tracking:</strong> ${pkg.tracking_code}`,
     `<strong>Estado:</strong> ${pkg.status}`,
@@ -65,8 +149,11 @@ function renderPackage(pkg) {
     `<strong>Destino:</strong> ${pkg.destination_address}`,
     `<strong>Creado por:</strong> ${pkg.created_by}`,
     `<strong>Recibido:</strong> ${pkg.received_at ? formatDate(pkg.received_at) : 'Pendiente'}`,
+    `<strong>Ruta:</strong> ${formatRoute(pkg.route)}`,
+    `<strong>Precio:</strong> ${formatPricing(pkg.pricing)}`,
   ].join('<br>');
 
+  renderDelivery(pkg.delivery);
   clearLists();
 
   pkg.timeline.forEach((event) => {
@@ -75,9 +162,10 @@ function renderPackage(pkg) {
   });
 
   pkg.messages.forEach((message) => {
-    const line = `${formatDate(message.created_at)} | ${message.username}: ${message.message}`;
+    const line = `${formatDate(message.created_at)} | ${message.username}: ${message.message}${formatReceipts(message)}`;
     els.messagesList.appendChild(makeItem(line));
   });
+  acknowledgeMessages(pkg);
 
   pkg.locations.forEach((location) => {
     const line = `${formatDate(location.created_at)} | ${location.username} -> (${location.latitude}, ${location.longitude}) ${location.address || ''} ${location.note || ''}`;
@@ -86,8 +174,12 @@ function renderPackage(pkg) {
 }
 
 async function api(path, options = {}) {
+  const headers = {};
+  if (!(options.body instanceof FormData)) headers['Content-Type'] = 'application/json';
+  if (state.token) headers.Authorization = `Bearer ${state.token}`;
+
   const response = await fetch(path, {
-    headers: { 'Content-Type': 'application/json' },
+    headers,
     ...options,
   });
 
@@ -98,34 +190,167 @@ async function api(path, options = {}) {
   return data;
 }
 
+// Los archivos de entrega requieren el token, por eso se descargan con fetch.
+async function downloadFile(path, body) {
+  const options = { headers: { Authorization: `Bearer ${state.token}` } };
+  if (body) {
+    options.method = 'POST';
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(path, options);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'No se pudo descargar el archivo.');
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  window.open(url, '_blank');
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+function formatMoney(amount) {
+  return `S/ ${Number(amount).toFixed(2)}`;
+}
+
+function formatPricing(pricing) {
+  if (!pricing) return 'Sin tarifa';
+  const extras = [];
+  if (pricing.insurance) extras.push(`seguro ${formatMoney(pricing.insurance)}`);
+  if (pricing.cod_fee) extras.push(`COD ${formatMoney(pricing.cod_fee)}`);
+  const detail = `${pricing.zone}, ${pricing.chargeable_weight_kg} kg${extras.length ? `, ${extras.join(', ')}` : ''}`;
+  return `${formatMoney(pricing.total)} (${detail})`;
+}
+
+// Solo los mensajes propios muestran entregado/visto.
+function formatReceipts(message) {
+  if (!state.user || message.username !== state.user.username) return '';
+  if (message.seen_by.length) return ` (visto por ${message.seen_by.join(', ')})`;
+  return message.delivered_to.length ? ' (entregado)' : '';
+}
+
+// Confirma como vistos (o entregados, si la pestaña esta oculta) los mensajes de otros.
+function acknowledgeMessages(pkg) {
+  if (!socket || !state.user) return;
+  const seen = document.visibilityState === 'visible';
+  const messageIds = pkg.messages
+    .filter((message) => message.username !== state.user.username)
+    .filter((message) => !(seen ? message.seen_by : message.delivered_to).includes(state.user.username))
+    .map((message) => message.id)
+    .slice(-100);
+  if (!messageIds.length) return;
+  socket.emit('package_message_ack', {
+    trackingCode: pkg.tracking_code,
+    messageIds,
+    state: seen ? 'seen' : 'delivered',
+  });
+}
+
+// Los eventos traen seq por paquete: los repetidos (o ya incluidos en el detalle) se ignoran.
+// Al unirse, un evento en vivo puede llegar antes que el reenvio de uno anterior, asi que
+// lastSeq solo avanza sobre seqs consecutivos y los sueltos esperan en pendingSeqs.
+function advanceLastSeq() {
+  while (state.pendingSeqs.delete(state.lastSeq + 1)) state.lastSeq += 1;
+}
+
+function isNewEvent(trackingCode, payload) {
+  if (trackingCode !== state.trackingCode) return false;
+  if (Number.isInteger(payload.seq)) {
+    if (payload.seq <= state.lastSeq || state.pendingSeqs.has(payload.seq)) return false;
+    state.pendingSeqs.add(payload.seq);
+    advanceLastSeq();
+  }
+  return true;
+}
+
 async function loadPackage(trackingCode) {
   const data = await api(`/api/packages/${trackingCode}`);
-  renderPackage(data.package);
+  const subscribed = trackingCode === state.trackingCode;
   state.trackingCode = trackingCode;
-  socket.emit('join_package', { trackingCode });
+  state.lastSeq = subscribed ? Math.max(state.lastSeq, data.package.last_seq) : data.package.last_seq;
+  state.pendingSeqs = new Set([...(subscribed ? state.pendingSeqs : [])].filter((seq) => seq > state.lastSeq));
+  advanceLastSeq();
+  renderPackage(data.package);
+  if (subscribed) return;
+  if (socket) socket.emit('join_package', { trackingCode, lastSeq: state.lastSeq });
   notify(`Suscrito a ${trackingCode}. Esperando eventos en tiempo real.`);
 }
 
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && state.package) acknowledgeMessages(state.package);
+});
+
+function readCredentials() {
+  const formData = new FormData(els.loginForm);
+  return {
+    username: String(formData.get('username') || '').trim(),
+    password: String(formData.get('password') || ''),
+  };
+}
+
+async function login({ username, password }) {
+  const data = await api('/api/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ username, password }),
+  });
+  state.user = data.user;
+  state.token = data.token;
+  connectSocket(data.token);
+  els.loginResult.textContent = `Sesion activa: ${data.user.username} (${data.user.role})`;
+  notify(`Login correcto: ${data.user.username}`);
+}
+
 els.loginForm.addEventListener('submit', async (event) => {
   event.preventDefault();
-  const formData = new FormData(els.loginForm);
-  const username = String(formData.get('username') || '').trim();
+  const credentials = readCredentials();
 
-  if (!username) return;
+  if (!credentials.username || !credentials.password) return;
 
   try {
-    const data = await api('/api/auth/login', {
+    await login(credentials);
+  } catch (error) {
+    notify(error.message, true);
+  }
+});
+
+els.registerBtn.addEventListener('click', async () => {
+  const credentials = readCredentials();
+
+  if (!credentials.username || !credentials.password) {
+    notify('Completa username y password para registrarte.', true);
+    return;
+  }
+
+  try {
+    await api('/api/auth/register', {
       method: 'POST',
-      body: JSON.stringify({ username }),
+      body: JSON.stringify(credentials),
     });
-    state.user = data.user;
-    els.loginResult.textContent = `Sesion activa: ${data.user.username} (id ${data.user.id})`;
-    notify(`Login correcto: ${data.user.username}`);
+    await login(credentials);
   } catch (error) {
     notify(error.message, true);
   }
 });
 
+function readCreatePayload() {
+  const formData = new FormData(els.createForm);
+  const field = (name) => String(formData.get(name) || '').trim() || undefined;
+  return {
+    sender: field('sender') || '',
+    recipient: field('recipient') || '',
+    destinationAddress: field('destinationAddress') || '',
+    recipientEmail: field('recipientEmail'),
+    recipientPhone: field('recipientPhone'),
+    weightKg: field('weightKg'),
+    lengthCm: field('lengthCm'),
+    widthCm: field('widthCm'),
+    heightCm: field('heightCm'),
+    declaredValue: field('declaredValue'),
+    codAmount: field('codAmount'),
+    destinationPostcode: field('destinationPostcode'),
+  };
+}
+
 els.createForm.addEventListener('submit', async (event) => {
   event.preventDefault();
   if (!state.user) {
@@ -133,24 +358,82 @@ els.createForm.addEventListener('submit', async (event) => {
     return;
   }
 
-  const formData = new FormData(els.createForm);
-  const payload = {
-    sender: String(formData.get('sender') || '').trim(),
-    recipient: String(formData.get('recipient') || '').trim(),
-    destinationAddress: String(formData.get('destinationAddress') || '').trim(),
-    userId: state.user.id,
-  };
-
   try {
     const data = await api('/api/packages', {
       method: 'POST',
-      body: JSON.stringify(payload),
+      body: JSON.stringify(readCreatePayload()),
     });
     const trackingCode = data.package.tracking_code;
     els.trackingInput.value = trackingCode;
     await loadPackage(trackingCode);
     notify(`Paquete creado: ${trackingCode}`);
     els.createForm.reset();
+    els.quoteResult.textContent = 'Cotiza antes de crear para ver el precio.';
+  } catch (error) {
+    notify(error.message, true);
+  }
+});
+
+els.quoteBtn.addEventListener('click', async () => {
+  if (!state.user) {
+    notify('Debes iniciar sesion primero.', true);
+    return;
+  }
+
+  try {
+    const { quote } = await api('/api/packages/quote', {
+      method: 'POST',
+      body: JSON.stringify(readCreatePayload()),
+    });
+    const volumetric = quote.volumetric_weight_kg ? `, volumetrico ${quote.volumetric_weight_kg} kg` : '';
+    els.quoteResult.textContent = `${quote.zone.name}: ${formatMoney(quote.total)} `
+      + `(envio ${formatMoney(quote.shipping)}, seguro ${formatMoney(quote.insurance)}, `
+      + `COD ${formatMoney(quote.cod_fee)}; cobrable ${quote.chargeable_weight_kg} kg${volumetric})`;
+  } catch (error) {
+    els.quoteResult.textContent = error.message;
+  }
+});
+
+els.invoiceForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  if (!state.user) {
+    notify('Debes iniciar sesion primero.', true);
+    return;
+  }
+
+  const formData = new FormData(els.invoiceForm);
+  const username = String(formData.get('username') || '').trim() || state.user.username;
+  const month = String(formData.get('month') || '');
+  const format = String(formData.get('format') || 'html');
+  downloadFile(`/api/invoices/${encodeURIComponent(username)}/${month}?format=${format}`)
+    .catch((error) => notify(error.message, true));
+});
+
+els.importForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (!state.user) {
+    notify('Debes iniciar sesion primero.', true);
+    return;
+  }
+
+  const formData = new FormData(els.importForm);
+  const dryRun = formData.get('dryRun') === 'on';
+  formData.delete('dryRun');
+
+  try {
+    const report = await api(`/api/packages/import${dryRun ? '?dryRun=true' : ''}`, {
+      method: 'POST',
+      body: formData,
+    });
+    els.importList.innerHTML = '';
+    report.rows.forEach((row) => {
+      const detail = row.ok ? row.tracking_code || 'valida' : row.errors.join(' ');
+      els.importList.appendChild(makeItem(`Fila ${row.row}: ${detail}`));
+    });
+    const summary = dryRun
+      ? `Dry-run: ${report.valid} filas validas, ${report.failed} con errores.`
+      : `Importados ${report.created} paquetes, ${report.failed} filas con errores.`;
+    notify(summary, report.failed > 0);
   } catch (error) {
     notify(error.message, true);
   }
@@ -184,7 +467,7 @@ els.messageForm.addEventListener('submit', async (event) => {
   try {
     await api(`/api/packages/${state.trackingCode}/messages`, {
       method: 'POST',
-      body: JSON.stringify({ userId: state.user.id, message }),
+      body: JSON.stringify({ message }),
     });
     els.messageForm.reset();
   } catch (error) {
@@ -201,7 +484,6 @@ els.locationForm.addEventListener('submit', async (event) => {
 
   const formData = new FormData(els.locationForm);
   const payload = {
-    userId: state.user.id,
     latitude: Number(formData.get('latitude')),
     longitude: Number(formData.get('longitude')),
     address: String(formData.get('address') || '').trim(),
@@ -219,46 +501,260 @@ els.locationForm.addEventListener('submit', async (event) => {
   }
 });
 
-els.receiveBtn.addEventListener('click', async () => {
+els.statusForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
   if (!state.user || !state.trackingCode) {
     notify('Necesitas login y tracking cargado.', true);
     return;
   }
 
+  const status = els.statusSelect.value;
+  if (!status) {
+    notify('El paquete no tiene transiciones disponibles.', true);
+    return;
+  }
+
+  try {
+    await api(`/api/packages/${state.trackingCode}/status`, {
+      method: 'POST',
+      body: JSON.stringify({ status }),
+    });
+  } catch (error) {
+    notify(error.message, true);
+  }
+});
+
+els.receiveForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (!state.user || !state.trackingCode) {
+    notify('Necesitas login y tracking cargado.', true);
+    return;
+  }
+
+  const formData = new FormData(els.receiveForm);
+  const photo = formData.get('photo');
+  if (photo && !photo.size) formData.delete('photo');
+
   try {
     await api(`/api/packages/${state.trackingCode}/receive`, {
       method: 'POST',
-      body: JSON.stringify({ userId: state.user.id }),
+      body: formData,
     });
+    els.receiveForm.reset();
   } catch (error) {
     notify(error.message, true);
   }
 });
 
-socket.on('connect', () => {
-  notify('Socket conectado. Listo para recibir eventos.');
+function readListQuery() {
+  const params = new URLSearchParams();
+  new FormData(els.listForm).forEach((value, key) => {
+    const text = String(value).trim();
+    if (text) params.set(key, text);
+  });
+  return params;
+}
+
+function renderPackageRow(item) {
+  const li = makeItem(`${item.tracking_code} | ${item.status} | ${item.sender} -> ${item.recipient} | ${item.destination_address}`);
+  li.style.cursor = 'pointer';
+  li.addEventListener('click', () => {
+    els.trackingInput.value = item.tracking_code;
+    loadPackage(item.tracking_code).catch((error) => notify(error.message, true));
+  });
+  return li;
+}
+
+async function loadPackagesPage(append) {
+  const params = new URLSearchParams(state.listQuery);
+  if (append && state.nextCursor) params.set('cursor', state.nextCursor);
+
+  const data = await api(`/api/packages?${params}`);
+  if (!append) {
+    els.packagesList.innerHTML = '';
+    state.listedCodes = [];
+  }
+  data.items.forEach((item) => els.packagesList.appendChild(renderPackageRow(item)));
+  state.listedCodes.push(...data.items.map((item) => item.tracking_code));
+  state.nextCursor = data.next_cursor;
+  els.moreBtn.hidden = !data.next_cursor;
+}
+
+els.listForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (!state.user) {
+    notify('Debes iniciar sesion primero.', true);
+    return;
+  }
+
+  state.listQuery = readListQuery().toString();
+  try {
+    await loadPackagesPage(false);
+  } catch (error) {
+    notify(error.message, true);
+  }
+});
+
+els.moreBtn.addEventListener('click', () => {
+  loadPackagesPage(true).catch((error) => notify(error.message, true));
+});
+
+els.exportBtn.addEventListener('click', () => {
+  const params = readListQuery();
+  params.set('format', 'csv');
+  downloadFile(`/api/packages/export?${params}`).catch((error) => notify(error.message, true));
 });
 
-socket.on('package:created', (payload) => {
-  if (payload.tracking_code !== state.trackingCode) return;
-  notify(`Evento: paquete ${payload.tracking_code} creado.`);
-  loadPackage(state.trackingCode).catch(() => {});
+// Un solo PDF con una etiqueta por pagina para los paquetes cargados en el listado.
+els.labelsBtn.addEventListener('click', () => {
+  if (!state.listedCodes.length) {
+    notify('Busca paquetes antes de imprimir etiquetas.', true);
+    return;
+  }
+  downloadFile('/api/packages/labels', { trackingCodes: state.listedCodes })
+    .catch((error) => notify(error.message, true));
 });
 
-socket.on('package:message', (payload) => {
-  if (payload.trackingCode !== state.trackingCode) return;
-  notify(`Evento: nuevo mensaje por ${payload.username}.`);
-  loadPackage(state.trackingCode).catch(() => {});
+[[els.labelPdfBtn, 'pdf'], [els.labelPngBtn, 'png']].forEach(([button, format]) => {
+  button.addEventListener('click', () => {
+    if (!state.package) {
+      notify('Carga un paquete primero.', true);
+      return;
+    }
+    downloadFile(`/api/packages/${state.package.tracking_code}/label?format=${format}`)
+      .catch((error) => notify(error.message, true));
+  });
 });
 
-socket.on('package:location', (payload) => {
-  if (payload.trackingCode !== state.trackingCode) return;
-  notify(`Evento: nueva ubicacion (${payload.latitude}, ${payload.longitude}).`);
-  loadPackage(state.trackingCode).catch(() => {});
+// Click en una ruta PLANNED la despacha: todas sus paradas pasan a OUT_FOR_DELIVERY.
+function renderRouteRow(route) {
+  const li = makeItem(
+    `Ruta ${route.id} | ${route.route_date} | ${route.courier} | ${route.status} | ${route.delivered || 0}/${route.stops} entregados`
+  );
+  if (route.status === 'PLANNED') {
+    li.style.cursor = 'pointer';
+    li.addEventListener('click', async () => {
+      try {
+        await api(`/api/routes/${route.id}/dispatch`, { method: 'POST' });
+        notify(`Ruta ${route.id} despachada.`);
+        await loadRoutes();
+      } catch (error) {
+        notify(error.message, true);
+      }
+    });
+  }
+  return li;
+}
+
+async function loadRoutes() {
+  const date = String(new FormData(els.routeForm).get('date') || '');
+  const data = await api(`/api/routes${date ? `?date=${date}` : ''}`);
+  els.routesList.innerHTML = '';
+  data.routes.forEach((route) => els.routesList.appendChild(renderRouteRow(route)));
+}
+
+els.routeForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const formData = new FormData(els.routeForm);
+  const payload = {
+    courier: String(formData.get('courier') || '').trim(),
+    date: String(formData.get('date') || ''),
+    trackingCodes: String(formData.get('trackingCodes') || '')
+      .split(/\s*\n\s*/)
+      .filter(Boolean),
+  };
+
+  try {
+    const data = await api('/api/routes', { method: 'POST', body: JSON.stringify(payload) });
+    notify(`Ruta ${data.route.id} creada con ${data.route.stops.length} paradas.`);
+    await loadRoutes();
+  } catch (error) {
+    notify(error.message, true);
+  }
+});
+
+els.routesBtn.addEventListener('click', () => {
+  loadRoutes().catch((error) => notify(error.message, true));
 });
 
-socket.on('package:received', (payload) => {
-  if (payload.tracking_code !== state.trackingCode) return;
-  notify(`Evento: paquete ${payload.tracking_code} recibido.`);
-  loadPackage(state.trackingCode).catch(() => {});
+els.routePingForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  if (!socket) {
+    notify('Debes iniciar sesion primero.', true);
+    return;
+  }
+
+  const formData = new FormData(els.routePingForm);
+  const payload = {
+    routeId: Number(formData.get('routeId')),
+    latitude: Number(formData.get('latitude')),
+    longitude: Number(formData.get('longitude')),
+  };
+  socket.emit('route_update_location', payload, (response) => {
+    if (!response.ok) {
+      notify(response.error, true);
+      return;
+    }
+    notify(`Ubicacion enviada a ${response.trackingCodes.length} paquetes de la ruta.`);
+  });
 });
+
+function connectSocket(token) {
+  if (socket) socket.disconnect();
+  socket = io({ auth: { token } });
+
+  socket.on('connect_error', (error) => {
+    notify(`Socket rechazado: ${error.message}`, true);
+  });
+
+  // Al reconectar el servidor reenvia lo ocurrido despues de state.lastSeq.
+  socket.on('connect', () => {
+    if (state.trackingCode) {
+      socket.emit('join_package', { trackingCode: state.trackingCode, lastSeq: state.lastSeq }, (response) => {
+        if (response.ok && response.truncated) loadPackage(state.trackingCode).catch(() => {});
+      });
+    }
+    notify('Socket conectado. Listo para recibir eventos.');
+  });
+
+  socket.on('package:created', (payload) => {
+    if (!isNewEvent(payload.tracking_code, payload)) return;
+    notify(`Evento: paquete ${payload.tracking_code} creado.`);
+    loadPackage(state.trackingCode).catch(() => {});
+  });
+
+  socket.on('package:message', (payload) => {
+    if (!isNewEvent(payload.trackingCode, payload)) return;
+    notify(`Evento: nuevo mensaje por ${payload.username}.`);
+    loadPackage(state.trackingCode).catch(() => {});
+  });
+
+  socket.on('package:location', (payload) => {
+    if (!isNewEvent(payload.trackingCode, payload)) return;
+    notify(`Evento: nueva ubicacion (${payload.latitude}, ${payload.longitude}).`);
+    loadPackage(state.trackingCode).catch(() => {});
+  });
+
+  socket.on('eta:updated', (payload) => {
+    if (payload.trackingCode !== state.trackingCode || !state.package) return;
+    state.package.route = payload;
+    notify(`Evento: ruta actualizada (${formatRoute(payload)}).`);
+  });
+
+  socket.on('package:status', (payload) => {
+    if (payload.status === 'RECEIVED' || !isNewEvent(payload.tracking_code, payload)) return;
+    notify(`Evento: paquete ${payload.tracking_code} ahora en ${payload.status}.`);
+    loadPackage(state.trackingCode).catch(() => {});
+  });
+
+  socket.on('package:received', (payload) => {
+    if (!isNewEvent(payload.tracking_code, payload)) return;
+    notify(`Evento: paquete ${payload.tracking_code} recibido.`);
+    loadPackage(state.trackingCode).catch(() => {});
+  });
+
+  socket.on('package:message_receipt', (payload) => {
+    if (!isNewEvent(payload.trackingCode, payload) || payload.username === state.user.username) return;
+    loadPackage(state.trackingCode).catch(() => {});
+  });
+}
@@ -0,0 +1,130 @@
+const state = {
+  trackingCode: '',
+  tracking: null,
+};
+
+const socket = io('/public');
+
+const els = {
+  statusBanner: document.getElementById('statusBanner'),
+  trackForm: document.getElementById('trackForm'),
+  trackingInput: document.getElementById('trackingInput'),
+  trackingMeta: document.getElementById('trackingMeta'),
+  lastLocation: document.getElementById('lastLocation'),
+  timelineList: document.getElementById('timelineList'),
+};
+
+const STATUS_LABELS = {
+  CREATED: 'Registrado',
+  PICKED_UP: 'Recogido',
+  IN_TRANSIT: 'En transito',
+  AT_HUB: 'En centro de distribucion',
+  OUT_FOR_DELIVERY: 'En reparto',
+  DELIVERY_FAILED: 'Intento de entrega fallido',
+  RECEIVED: 'Entregado',
+  RETURNED_TO_SENDER: 'Devuelto al remitente',
+  CANCELLED: 'Cancelado',
+};
+
+function notify(message, isError = false) {
+  els.statusBanner.textContent = message;
+  els.statusBanner.style.borderLeftColor = isError ? '#c81d25' : '#0f8b8d';
+  els.statusBanner.style.background = isError ? 'rgba(200, 29, 37, 0.12)' : 'rgba(15, 139, 141, 0.12)';
+  els.statusBanner.style.color = isError ? '#730d12' : '#0d5859';
+}
+
+function formatDate(isoLike) {
+  if (!isoLike) return 'N/A';
+  const date = new Date(isoLike);
+  if (Number.isNaN(date.getTime())) return isoLike;
+  return date.toLocaleString();
+}
+
+function statusLabel(status) {
+  return STATUS_LABELS[status] || status;
+}
+
+function makeItem(text) {
+  const li = document.createElement('li');
+  li.textContent = text;
+  return li;
+}
+
+function renderLocation(location) {
+  if (!location) {
+    els.lastLocation.textContent = 'Sin ubicaciones registradas.';
+    return;
+  }
+  const where = location.address ? `${location.address} ` : '';
+  els.lastLocation.textContent = `${where}(${location.latitude}, ${location.longitude}) - ${formatDate(location.created_at)}`;
+}
+
+function renderTracking(tracking) {
+  state.tracking = tracking;
+
+  els.trackingMeta.textContent = '';
+  [
+    `Tracking: ${tracking.tracking_code}`,
+    `Estado: ${statusLabel(tracking.status)}`,
+    `Registrado: ${formatDate(tracking.created_at)}`,
+    `Entregado: ${tracking.received_at ? formatDate(tracking.received_at) : 'Pendiente'}`,
+  ].forEach((line, index) => {
+    if (index > 0) els.trackingMeta.appendChild(document.createElement('br'));
+    els.trackingMeta.appendChild(document.createTextNode(line));
+  });
+
+  renderLocation(tracking.last_location);
+
+  els.timelineList.innerHTML = '';
+  tracking.timeline.forEach((event) => {
+    const detail = event.event_type === 'STATUS' ? event.detail : 'Ubicacion actualizada';
+    els.timelineList.appendChild(makeItem(`${formatDate(event.event_time)} | ${detail}`));
+  });
+}
+
+async function loadTracking(trackingCode) {
+  const response = await fetch(`/api/public/track/${encodeURIComponent(trackingCode)}`);
+  const data = await response.json();
+  if (!response.ok || !data.ok) {
+    throw new Error(data.error || 'Error de servidor');
+  }
+
+  renderTracking(data.tracking);
+  state.trackingCode = trackingCode;
+  socket.emit('join_package', { trackingCode });
+  notify(`Siguiendo ${trackingCode}. Estado: ${statusLabel(data.tracking.status)}.`);
+}
+
+els.trackForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const trackingCode = String(new FormData(els.trackForm).get('trackingCode') || '').trim();
+  if (!trackingCode) return;
+
+  try {
+    await loadTracking(trackingCode);
+  } catch (error) {
+    notify(error.message, true);
+  }
+});
+
+socket.on('connect', () => {
+  if (state.trackingCode) socket.emit('join_package', { trackingCode: state.trackingCode });
+});
+
+socket.on('package:location', (payload) => {
+  if (payload.trackingCode !== state.trackingCode) return;
+  notify(`Nueva ubicacion: ${payload.address || `${payload.latitude}, ${payload.longitude}`}.`);
+  loadTracking(state.trackingCode).catch(() => {});
+});
+
+socket.on('package:received', (payload) => {
+  if (payload.tracking_code !== state.trackingCode) return;
+  notify(`Tu paquete ${payload.tracking_code} fue entregado.`);
+  loadTracking(state.trackingCode).catch(() => {});
+});
+
+const initialCode = new URLSearchParams(window.location.search).get('code');
+if (initialCode) {
+  els.trackingInput.value = initialCode;
+  loadTracking(initialCode).catch((error) => notify(error.message, true));
+}
@@ -0,0 +1,52 @@
+const { dialect, target, close } = require('../src/db');
+const { migrate, rollback, status } = require('../src/migrator');
+
+const USAGE = 'Uso: node scripts/migrate.js <migrate|rollback|status> [--to <version>] [--steps <n>]';
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const flag = rest[i];
+    if (!['--to', '--steps'].includes(flag) || rest[i + 1] === undefined) {
+      throw new Error(USAGE);
+    }
+    options[flag.slice(2)] = rest[i + 1];
+  }
+  return { command, options };
+}
+
+function printMigrations(label, migrations) {
+  if (!migrations.length) {
+    console.log('Sin cambios: la base ya esta en la version pedida.');
+    return;
+  }
+  for (const migration of migrations) {
+    console.log(`${label} ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+  }
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  console.log(`Base de datos (${dialect.name}): ${target}`);
+
+  if (command === 'migrate') {
+    printMigrations('Aplicada', await migrate({ to: options.to }));
+  } else if (command === 'rollback') {
+    printMigrations('Revertida', await rollback(options));
+  } else if (command === 'status') {
+    for (const row of await status()) {
+      const state = row.applied ? `aplicada ${row.applied_at || '(base anterior, sin registrar)'}` : 'pendiente';
+      console.log(`${String(row.version).padStart(3, '0')}_${row.name}  ${state}`);
+    }
+  } else {
+    throw new Error(USAGE);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => close());
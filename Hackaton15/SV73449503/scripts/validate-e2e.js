@@ -1,21 +1,51 @@
 const assert = require('assert');
-const { spawn } = require('child_process');
+const { execFile, spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
 const path = require('path');
+const { promisify } = require('util');
 const { io } = require('socket.io-client');
 
 const ROOT = path.join(__dirname, '..');
 const PORT = 3100;
 const BASE_URL = `http://127.0.0.1:${PORT}`;
+// Segunda instancia del servidor sobre la misma base (escalado horizontal).
+const SECOND_PORT = 3103;
+const SECOND_URL = `http://127.0.0.1:${SECOND_PORT}`;
+const DB_FILE = path.join(os.tmpdir(), `courier-e2e-${process.pid}.db`);
+const UPLOADS_DIR = path.join(os.tmpdir(), `courier-e2e-uploads-${process.pid}`);
+const MAIL_DIR = path.join(os.tmpdir(), `courier-e2e-mail-${process.pid}`);
+const WEBHOOK_PORT = 3101;
+// `--driver pg` repite el flujo sobre PostgreSQL usando PGlite (Postgres embebido en
+// WASM) expuesto por el protocolo de red; el servidor usa una sola conexion.
+const DRIVER = process.argv.includes('--driver') ? process.argv[process.argv.indexOf('--driver') + 1] : 'sqlite';
+const PG_PORT = 3102;
+const STORAGE_ENV = {
+  COURIER_DB_DRIVER: DRIVER,
+  COURIER_DB_FILE: DB_FILE,
+  COURIER_DATABASE_URL: `postgres://postgres@127.0.0.1:${PG_PORT}/postgres`,
+  COURIER_PG_POOL_MAX: '1',
+};
+Object.assign(process.env, STORAGE_ENV);
+const storage = require('../src/db');
+const ADMIN = { username: 'admin', password: 'admin-e2e-password' };
+// PNG valido de 1x1 usado como firma de prueba.
+const SIGNATURE_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function waitForServer(timeoutMs = 8000) {
+async function waitForServer(baseUrl = BASE_URL, timeoutMs = 8000) {
   const start = Date.now();
   while (Date.now() - start < timeoutMs) {
     try {
-      const res = await fetch(`${BASE_URL}/health`);
+      const res = await fetch(`${baseUrl}/health`);
       if (res.ok) return;
     } catch (_e) {
       // continue polling
@@ -25,22 +55,58 @@ async function waitForServer(timeoutMs = 8000) {
   throw new Error('Servidor no disponible en el tiempo esperado.');
 }
 
-async function post(pathname, body) {
-  const res = await fetch(`${BASE_URL}${pathname}`, {
+function authHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+async function post(pathname, body, token, baseUrl = BASE_URL) {
+  const res = await fetch(`${baseUrl}${pathname}`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...authHeaders(token) },
     body: JSON.stringify(body),
   });
   const data = await res.json();
   return { status: res.status, data };
 }
 
-async function get(pathname) {
-  const res = await fetch(`${BASE_URL}${pathname}`);
+async function get(pathname, token) {
+  const res = await fetch(`${BASE_URL}${pathname}`, { headers: authHeaders(token) });
+  const data = await res.json();
+  return { status: res.status, data };
+}
+
+async function postCsv(pathname, csv, token) {
+  const res = await fetch(`${BASE_URL}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv', ...authHeaders(token) },
+    body: csv,
+  });
+  const data = await res.json();
+  return { status: res.status, data };
+}
+
+async function postForm(pathname, fields, files, token) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, String(value)));
+  Object.entries(files).forEach(([key, file]) => {
+    form.append(key, new Blob([file.data], { type: file.type }), file.name);
+  });
+
+  const res = await fetch(`${BASE_URL}${pathname}`, {
+    method: 'POST',
+    headers: authHeaders(token),
+    body: form,
+  });
   const data = await res.json();
   return { status: res.status, data };
 }
 
+function emitWithAck(socket, eventName, payload) {
+  return new Promise((resolve) => {
+    socket.emit(eventName, payload, resolve);
+  });
+}
+
 function onceWithTimeout(socket, eventName, timeoutMs = 5000) {
   return new Promise((resolve, reject) => {
     const timer = setTimeout(() => {
@@ -54,16 +120,186 @@ function onceWithTimeout(socket, eventName, timeoutMs = 5000) {
   });
 }
 
-function startProcess() {
+function collectEvents(socket, eventName, count, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const timer = setTimeout(() => {
+      socket.off(eventName, onEvent);
+      reject(new Error(`Timeout esperando ${count} eventos ${eventName}`));
+    }, timeoutMs);
+
+    function onEvent(payload) {
+      events.push(payload);
+      if (events.length < count) return;
+      clearTimeout(timer);
+      socket.off(eventName, onEvent);
+      resolve(events);
+    }
+    socket.on(eventName, onEvent);
+  });
+}
+
+// Dos servidores Socket.IO en este proceso con el adaptador en memoria: un broadcast
+// hecho en uno llega a los sockets del otro, como con Redis entre instancias.
+async function validateInProcessAdapter() {
+  const { Server } = require('socket.io');
+  const { createMemoryBus, createInProcessAdapter } = require('../src/socketAdapter');
+  const bus = createMemoryBus();
+  const nodes = await Promise.all(
+    [0, 1].map(
+      () =>
+        new Promise((resolve) => {
+          const httpServer = http.createServer();
+          const ioServer = new Server(httpServer, { adapter: createInProcessAdapter(bus) });
+          ioServer.on('connection', (socket) => socket.join('package:TRK-TEST'));
+          httpServer.listen(0, '127.0.0.1', () => {
+            resolve({ ioServer, url: `http://127.0.0.1:${httpServer.address().port}` });
+          });
+        })
+    )
+  );
+  const clients = nodes.map((node) => io(node.url, { transports: ['websocket'] }));
+  try {
+    await Promise.all(clients.map((client) => onceWithTimeout(client, 'connect')));
+    const received = Promise.all(clients.map((client) => onceWithTimeout(client, 'package:status')));
+    nodes[0].ioServer.to('package:TRK-TEST').emit('package:status', { status: 'IN_TRANSIT', seq: 1 });
+    assert.deepEqual((await received).map((event) => event.seq), [1, 1]);
+
+    const roomSockets = await nodes[1].ioServer.in('package:TRK-TEST').fetchSockets();
+    assert.equal(roomSockets.length, 2);
+  } finally {
+    clients.forEach((client) => client.close());
+    nodes.forEach((node) => node.ioServer.close());
+  }
+}
+
+// Receptor de webhooks del comercio: guarda cada entrega con sus headers.
+function startWebhookReceiver() {
+  const deliveries = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body });
+      res.writeHead(204).end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(WEBHOOK_PORT, '127.0.0.1', () => resolve({ server, deliveries }));
+  });
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (await check()) return;
+    await sleep(100);
+  }
+  throw new Error('Condicion no cumplida en el tiempo esperado.');
+}
+
+function startProcess(port = PORT) {
   return spawn('node', ['src/server.js'], {
     cwd: ROOT,
-    env: { ...process.env, PORT: String(PORT) },
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ...STORAGE_ENV,
+      COURIER_UPLOADS_DIR: UPLOADS_DIR,
+      COURIER_ADMIN_USERNAME: ADMIN.username,
+      COURIER_ADMIN_PASSWORD: ADMIN.password,
+      COURIER_SESSION_SECRET: 'e2e-session-secret',
+      COURIER_MAIL_DIR: MAIL_DIR,
+      COURIER_NOTIFY_INTERVAL_MS: '100',
+      COURIER_NOTIFY_BACKOFF_MS: '100',
+      COURIER_NOTIFY_MAX_ATTEMPTS: '2',
+      // El receptor de prueba escucha en loopback; cualquier otra red privada sigue bloqueada.
+      COURIER_WEBHOOK_ALLOWED_HOSTS: '127.0.0.1',
+    },
     stdio: ['ignore', 'pipe', 'pipe'],
   });
 }
 
+function stopProcess(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    child.once('exit', resolve);
+    child.kill('SIGTERM');
+  });
+}
+
+async function startPostgres() {
+  if (DRIVER !== 'pg') return null;
+  const { PGlite } = require('@electric-sql/pglite');
+  const { PGLiteSocketServer } = require('@electric-sql/pglite-socket');
+  const db = await PGlite.create();
+  // Una conexion por instancia del servidor y una mas: la que se esta cerrando (servidor
+  // detenido, CLI de migraciones) tarda un momento en soltarse y la siguiente no debe ser rechazada.
+  const server = new PGLiteSocketServer({ db, port: PG_PORT, host: '127.0.0.1', maxConnections: 3 });
+  await server.start();
+  return {
+    async stop() {
+      await server.stop();
+      await db.close();
+    },
+  };
+}
+
+// Asincrono: con PGlite el servidor de base vive en este mismo proceso.
+async function runMigrations(args) {
+  const { stdout } = await promisify(execFile)('node', ['scripts/migrate.js', ...args], { cwd: ROOT });
+  return stdout;
+}
+
+// Consulta directa por la capa de almacenamiento; cierra la conexion para dejarla libre.
+async function queryDatabase(sql, params = []) {
+  try {
+    return await storage.all(sql, params);
+  } finally {
+    await storage.close();
+  }
+}
+
+// Transacciones del driver: una anidada reutiliza la externa (un error revierte todo) y una
+// lectura hecha desde fuera mientras esta abierta no ve sus cambios sin confirmar.
+async function validateStorageTransactions() {
+  try {
+    await storage.exec('CREATE TEMP TABLE tx_check (value INTEGER)');
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    let inside;
+    const failing = storage.transaction(async () => {
+      await storage.run('INSERT INTO tx_check (value) VALUES (1)');
+      await storage.transaction(() => storage.run('INSERT INTO tx_check (value) VALUES (2)'));
+      inside = await storage.get('SELECT COUNT(*) AS total FROM tx_check');
+      await held;
+      throw new Error('revertir');
+    });
+    await sleep(50);
+    const outside = storage.get('SELECT COUNT(*) AS total FROM tx_check');
+    release();
+    await assert.rejects(failing, /revertir/);
+    assert.equal(inside.total, 2);
+    assert.equal((await outside).total, 0);
+    await storage.exec('DROP TABLE tx_check');
+  } finally {
+    await storage.close();
+  }
+}
+
 async function runValidation() {
+  console.log(`Motor de base de datos: ${DRIVER}`);
+  const postgres = await startPostgres();
+  // `status` sobre la base vacia solo consulta: no crea schema_migrations.
+  const freshStatus = await runMigrations(['status']);
+  assert.ok(freshStatus.includes('001_initial_schema  pendiente'), freshStatus);
+  assert.deepEqual(await queryDatabase(storage.dialect.tableExists, ['schema_migrations']), []);
   const serverProcess = startProcess();
+  const webhooks = await startWebhookReceiver();
   serverProcess.stdout.on('data', () => {});
   serverProcess.stderr.on('data', () => {});
 
@@ -71,28 +307,246 @@ async function runValidation() {
     await waitForServer();
 
     console.log('VALIDACION 1/3: Flujo REST basico');
-    const aliceLogin = await post('/api/auth/login', { username: 'alice' });
-    const bobLogin = await post('/api/auth/login', { username: 'bob' });
+    const aliceRegister = await post('/api/auth/register', {
+      username: 'alice',
+      password: 'alice-password',
+      role: 'sender',
+    });
+    assert.equal(aliceRegister.status, 201);
+
+    const selfCourier = await post('/api/auth/register', {
+      username: 'mallory',
+      password: 'mallory-password',
+      role: 'courier',
+    });
+    assert.equal(selfCourier.status, 403);
+
+    const adminLogin = await post('/api/auth/login', ADMIN);
+    assert.equal(adminLogin.status, 200);
+    const bobCreated = await post(
+      '/api/users',
+      { username: 'bob', password: 'bob-password', role: 'courier' },
+      adminLogin.data.token
+    );
+    assert.equal(bobCreated.status, 201);
+
+    const badLogin = await post('/api/auth/login', { username: 'alice', password: 'incorrecto' });
+    assert.equal(badLogin.status, 401);
+    const selfRecipient = await post('/api/auth/register', {
+      username: 'rita',
+      password: 'rita-password',
+      role: 'recipient',
+    });
+    assert.equal(selfRecipient.status, 403);
+
+    // Una cuenta de una base anterior (sin password) no se reclama con el registro
+    // publico: solo un admin le emite un password.
+    await queryDatabase('INSERT INTO users (username) VALUES (?)', ['legado']);
+    const takeover = await post('/api/auth/register', { username: 'legado', password: 'intruso-password' });
+    assert.equal(takeover.status, 409);
+    const takeoverLogin = await post('/api/auth/login', { username: 'legado', password: 'intruso-password' });
+    assert.equal(takeoverLogin.status, 401);
+    const legacyReset = await post(
+      '/api/users/legado/password',
+      { password: 'legado-password' },
+      adminLogin.data.token
+    );
+    assert.equal(legacyReset.status, 200);
+    assert.equal(legacyReset.data.user.role, 'sender');
+    const legacyLogin = await post('/api/auth/login', { username: 'legado', password: 'legado-password' });
+    assert.equal(legacyLogin.status, 200);
+
+    const aliceLogin = await post('/api/auth/login', { username: 'alice', password: 'alice-password' });
+    const bobLogin = await post('/api/auth/login', { username: 'bob', password: 'bob-password' });
     assert.equal(aliceLogin.status, 200);
     assert.equal(bobLogin.status, 200);
+    assert.equal(bobLogin.data.user.role, 'courier');
 
-    const aliceId = aliceLogin.data.user.id;
-    const bobId = bobLogin.data.user.id;
+    const aliceToken = aliceLogin.data.token;
+    const bobToken = bobLogin.data.token;
+
+    const badChannel = await post('/api/notifications/endpoints', { channel: 'fax', target: '123' }, aliceToken);
+    assert.equal(badChannel.status, 400);
+    for (const target of [
+      `http://localhost:${WEBHOOK_PORT}/courier`,
+      'http://169.254.169.254/latest/meta-data',
+      'http://10.0.0.5/hook',
+      'http://[::1]:3101/hook',
+      'http://[::ffff:127.0.0.1]:3101/hook',
+      'ftp://example.com/hook',
+    ]) {
+      const privateWebhook = await post('/api/notifications/endpoints', { channel: 'webhook', target }, aliceToken);
+      assert.equal(privateWebhook.status, 400, target);
+    }
+    const webhookEndpoint = await post(
+      '/api/notifications/endpoints',
+      { channel: 'webhook', target: `http://127.0.0.1:${WEBHOOK_PORT}/courier` },
+      aliceToken
+    );
+    assert.equal(webhookEndpoint.status, 201);
+    const webhookSecret = webhookEndpoint.data.endpoint.secret;
+    assert.ok(webhookSecret);
+    const deadEndpoint = await post(
+      '/api/notifications/endpoints',
+      { channel: 'webhook', target: 'http://127.0.0.1:9/caido' },
+      aliceToken
+    );
+    assert.equal(deadEndpoint.status, 201);
+    const aliceEndpoints = await get('/api/notifications/endpoints', aliceToken);
+    assert.equal(aliceEndpoints.data.endpoints.length, 2);
+    assert.ok(aliceEndpoints.data.endpoints.every((endpoint) => endpoint.secret === undefined));
 
-    const created = await post('/api/packages', {
+    const anonymous = await post('/api/packages', {
       sender: 'Tienda Central',
       recipient: 'Carlos Perez',
       destinationAddress: 'Av. Universitaria 1234',
-      userId: aliceId,
+      weightKg: 1,
     });
+    assert.equal(anonymous.status, 401);
+
+    // Un paquete nuevo sale siempre con precio: sin peso o fuera de las zonas no se crea.
+    const withoutWeight = await post(
+      '/api/packages',
+      { sender: 'Tienda Central', recipient: 'Carlos Perez', destinationAddress: 'Av. Universitaria 1234, Los Olivos' },
+      aliceToken
+    );
+    assert.equal(withoutWeight.status, 400);
+    assert.ok(withoutWeight.data.error.includes('weightKg'));
+    const outsideZonesPackage = await post(
+      '/api/packages',
+      { sender: 'Tienda Central', recipient: 'Carlos Perez', destinationAddress: 'Av. El Sol 200, Cusco', weightKg: 1 },
+      aliceToken
+    );
+    assert.equal(outsideZonesPackage.status, 400);
+    assert.ok(outsideZonesPackage.data.error.includes('zona tarifaria'));
+    const quoteWithoutWeight = await post(
+      '/api/packages/quote',
+      { destinationAddress: 'Av. Universitaria 1234, Los Olivos' },
+      aliceToken
+    );
+    assert.equal(quoteWithoutWeight.status, 400);
+    assert.ok(quoteWithoutWeight.data.error.includes('weightKg'));
+    const outsideZones = await post(
+      '/api/packages/quote',
+      { destinationAddress: 'Calle Mercaderes 100, Arequipa', weightKg: 1 },
+      aliceToken
+    );
+    assert.equal(outsideZones.status, 400);
+    assert.ok(outsideZones.data.error.includes('zona tarifaria'));
+
+    // Volumetrico 40x30x20 / 5000 = 4.8 kg -> 5 kg en CALLAO (por codigo postal) + COD minimo.
+    const volumetricQuote = await post(
+      '/api/packages/quote',
+      {
+        destinationAddress: 'Av. Saenz Pena 300',
+        destinationPostcode: '07001',
+        weightKg: 1,
+        lengthCm: 40,
+        widthCm: 30,
+        heightCm: 20,
+        codAmount: 120,
+      },
+      aliceToken
+    );
+    assert.equal(volumetricQuote.status, 200);
+    assert.equal(volumetricQuote.data.quote.zone.code, 'CALLAO');
+    assert.equal(volumetricQuote.data.quote.volumetric_weight_kg, 4.8);
+    assert.equal(volumetricQuote.data.quote.chargeable_weight_kg, 5);
+    assert.equal(volumetricQuote.data.quote.shipping, 24);
+    assert.equal(volumetricQuote.data.quote.cod_fee, 3);
+    assert.equal(volumetricQuote.data.quote.total, 27);
+    // El codigo postal gana al distrito; sobre 10 kg se cobra el kg adicional de la zona.
+    const heavyQuote = await post(
+      '/api/packages/quote',
+      { destinationAddress: 'Calle Schell 100, Miraflores', destinationPostcode: '15301', weightKg: 11.2 },
+      aliceToken
+    );
+    assert.equal(heavyQuote.data.quote.zone.code, 'LIMA_PERIFERIA');
+    assert.equal(heavyQuote.data.quote.chargeable_weight_kg, 11.5);
+    assert.equal(heavyQuote.data.quote.shipping, 35);
+
+    const created = await post(
+      '/api/packages',
+      {
+        sender: 'Tienda Central',
+        recipient: 'Carlos Perez',
+        destinationAddress: 'Av. Universitaria 1234, Los Olivos',
+        recipientEmail: 'carlos@example.com',
+        recipientPhone: '+51987654321',
+        weightKg: 2.3,
+        declaredValue: 250,
+      },
+      aliceToken
+    );
 
     assert.equal(created.status, 201);
     const trackingCode = created.data.package.tracking_code;
-    assert.ok(trackingCode.startsWith('TRK-'));
+    assert.match(trackingCode, /^TRK-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+
+    const lastChar = trackingCode.slice(-1);
+    const typoCode = trackingCode.slice(0, -1) + (lastChar === '0' ? '1' : '0');
+    const typo = await get(`/api/public/track/${typoCode}`);
+    assert.equal(typo.status, 400);
+    assert.ok(typo.data.error.includes('tipeo'));
+    const typedByHand = await get(`/api/packages/${trackingCode.toLowerCase().replace(/-/g, ' ')}`, aliceToken);
+    assert.equal(typedByHand.status, 200);
+    assert.equal(typedByHand.data.package.tracking_code, trackingCode);
+    assert.equal(created.data.package.status, 'CREATED');
+    assert.equal(created.data.package.created_by, 'alice');
+    // 2.3 kg -> 2.5 kg cobrables, banda de 3 kg en LIMA_PERIFERIA + 1.5% de S/ 250.
+    assert.deepEqual(
+      [
+        created.data.package.pricing.zone,
+        created.data.package.pricing.chargeable_weight_kg,
+        created.data.package.pricing.shipping,
+        created.data.package.pricing.insurance,
+        created.data.package.pricing.total,
+      ],
+      ['LIMA_PERIFERIA', 2.5, 15, 3.75, 18.75]
+    );
+
+    const delivery = {
+      receivedByName: 'Carlos Perez',
+      receivedByDocument: 'DNI 45678912',
+      latitude: -12.0561,
+      longitude: -77.0844,
+    };
+    const signatureFile = { data: SIGNATURE_PNG, type: 'image/png', name: 'firma.png' };
+
+    const earlyReceive = await postForm(
+      `/api/packages/${trackingCode}/receive`,
+      delivery,
+      { signature: signatureFile },
+      bobToken
+    );
+    assert.equal(earlyReceive.status, 409);
+
+    const senderPickup = await post(`/api/packages/${trackingCode}/status`, { status: 'PICKED_UP' }, aliceToken);
+    assert.equal(senderPickup.status, 403);
+
+    const pickedUp = await post(`/api/packages/${trackingCode}/status`, { status: 'PICKED_UP' }, bobToken);
+    assert.equal(pickedUp.status, 200);
+    assert.equal(pickedUp.data.package.status, 'PICKED_UP');
 
     console.log('VALIDACION 2/3: Tiempo real con Socket.IO');
-    const aliceSocket = io(BASE_URL, { transports: ['websocket'] });
-    const bobSocket = io(BASE_URL, { transports: ['websocket'] });
+    const anonymousSocket = io(BASE_URL, { transports: ['websocket'], reconnection: false });
+    const rejected = await onceWithTimeout(anonymousSocket, 'connect_error');
+    assert.ok(rejected.message.includes('Token'));
+    anonymousSocket.close();
+
+    const publicSocket = io(`${BASE_URL}/public`, { transports: ['websocket'] });
+    await onceWithTimeout(publicSocket, 'connect');
+    publicSocket.emit('join_package', { trackingCode });
+    const publicJoined = await onceWithTimeout(publicSocket, 'package:joined');
+    assert.equal(publicJoined.tracking.status, 'PICKED_UP');
+
+    const intruderSocket = io(`${BASE_URL}/public`, { transports: ['websocket'], reconnection: false });
+    await onceWithTimeout(intruderSocket, 'connect');
+    intruderSocket.emit('package_update_location', { trackingCode, latitude: 0, longitude: 0 });
+    await onceWithTimeout(intruderSocket, 'disconnect');
+
+    const aliceSocket = io(BASE_URL, { transports: ['websocket'], auth: { token: aliceToken } });
+    const bobSocket = io(BASE_URL, { transports: ['websocket'], auth: { token: bobToken } });
 
     await Promise.all([
       onceWithTimeout(aliceSocket, 'connect'),
@@ -101,54 +555,674 @@ async function runValidation() {
 
     aliceSocket.emit('join_package', { trackingCode });
     bobSocket.emit('join_package', { trackingCode });
-    await Promise.all([
+    const [aliceJoined] = await Promise.all([
       onceWithTimeout(aliceSocket, 'package:joined'),
       onceWithTimeout(bobSocket, 'package:joined'),
     ]);
+    assert.ok(Number.isInteger(aliceJoined.lastSeq) && aliceJoined.lastSeq > 0);
+    assert.equal(aliceJoined.replayed, 0);
 
     const msgPromise = onceWithTimeout(bobSocket, 'package:message');
-    const locPromise = onceWithTimeout(bobSocket, 'package:location');
+    const locPromise = onceWithTimeout(aliceSocket, 'package:location');
+    const publicLocPromise = onceWithTimeout(publicSocket, 'package:location');
+    const etaPromise = onceWithTimeout(aliceSocket, 'eta:updated');
 
-    const msgRes = await post(`/api/packages/${trackingCode}/messages`, {
-      userId: aliceId,
-      message: 'Paquete en camino al punto de entrega',
-    });
+    const msgRes = await post(
+      `/api/packages/${trackingCode}/messages`,
+      { message: 'Paquete en camino al punto de entrega' },
+      aliceToken
+    );
     assert.equal(msgRes.status, 201);
 
-    aliceSocket.emit('package_update_location', {
+    const location = {
       trackingCode,
-      userId: bobId,
       latitude: -12.0464,
       longitude: -77.0428,
       address: 'Centro de distribucion Lima',
       note: 'Salida del almacen',
-    });
+    };
+    const senderLocation = await emitWithAck(aliceSocket, 'package_update_location', location);
+    assert.equal(senderLocation.ok, false);
+
+    bobSocket.emit('package_update_location', { ...location, userId: aliceLogin.data.user.id });
 
     const messageEvent = await msgPromise;
     const locationEvent = await locPromise;
 
     assert.equal(messageEvent.trackingCode, trackingCode);
+    assert.equal(messageEvent.username, 'alice');
     assert.equal(locationEvent.trackingCode, trackingCode);
+    assert.equal(locationEvent.username, 'bob');
+
+    const publicLocation = await publicLocPromise;
+    assert.equal(publicLocation.address, 'Centro de distribucion Lima');
+    assert.equal(publicLocation.username, undefined);
+    assert.equal(publicLocation.note, undefined);
+
+    const etaEvent = await etaPromise;
+    assert.equal(etaEvent.trackingCode, trackingCode);
+    assert.equal(etaEvent.destination.name, 'Los Olivos');
+    assert.ok(etaEvent.remaining_distance_km > 5);
+    assert.ok(etaEvent.eta_minutes > 0);
+
+    const secondEtaPromise = onceWithTimeout(aliceSocket, 'eta:updated');
+    const secondPing = await post(
+      `/api/packages/${trackingCode}/location`,
+      { latitude: -12.0100, longitude: -77.0830, address: 'San Martin de Porres' },
+      bobToken
+    );
+    assert.equal(secondPing.status, 201);
+    const secondEta = await secondEtaPromise;
+    assert.ok(secondEta.distance_travelled_km > 4);
+    assert.ok(secondEta.remaining_distance_km < etaEvent.remaining_distance_km);
+
+    const statusPromise = onceWithTimeout(aliceSocket, 'package:status');
+    const statusAck = await emitWithAck(bobSocket, 'package_change_status', {
+      trackingCode,
+      status: 'OUT_FOR_DELIVERY',
+    });
+    assert.equal(statusAck.ok, true);
+    const statusEvent = await statusPromise;
+    assert.equal(statusEvent.status, 'OUT_FOR_DELIVERY');
+    assert.deepEqual(statusEvent.next_statuses, ['RECEIVED', 'DELIVERY_FAILED']);
+    assert.equal(statusEvent.recipient_email, undefined);
+    assert.equal(statusEvent.messages, undefined);
+
+    // Cada evento del room lleva un seq creciente por paquete.
+    assert.ok(messageEvent.seq > aliceJoined.lastSeq);
+    assert.ok(locationEvent.seq > messageEvent.seq);
+    assert.ok(statusEvent.seq > locationEvent.seq);
+    assert.ok(publicLocation.seq === locationEvent.seq);
+
+    const receiptsPromise = collectEvents(aliceSocket, 'package:message_receipt', 2);
+    const seenAck = await emitWithAck(bobSocket, 'package_message_ack', {
+      trackingCode,
+      messageIds: [messageEvent.id],
+      state: 'seen',
+    });
+    assert.equal(seenAck.ok, true);
+    assert.deepEqual(seenAck.receipts.map((receipt) => receipt.state), ['delivered', 'seen']);
+    const receipts = await receiptsPromise;
+    assert.equal(receipts[0].messageId, messageEvent.id);
+    assert.equal(receipts[1].username, 'bob');
+    assert.equal(receipts[0].seq, statusEvent.seq + 1);
+    assert.equal(receipts[1].seq, statusEvent.seq + 2);
+
+    const repeatedAck = await emitWithAck(bobSocket, 'package_message_ack', {
+      trackingCode,
+      messageIds: [messageEvent.id],
+      state: 'seen',
+    });
+    assert.deepEqual(repeatedAck.receipts, []);
+    const ownAck = await emitWithAck(aliceSocket, 'package_message_ack', {
+      trackingCode,
+      messageIds: [messageEvent.id],
+      state: 'delivered',
+    });
+    assert.deepEqual(ownAck.receipts, []);
+    const invalidAck = await emitWithAck(bobSocket, 'package_message_ack', {
+      trackingCode,
+      messageIds: [messageEvent.id],
+      state: 'leido',
+    });
+    assert.equal(invalidAck.ok, false);
+
+    // Bob se desconecta, alice escribe y al reconectar con lastSeq recibe lo que falto.
+    bobSocket.disconnect();
+    const missed = await emitWithAck(aliceSocket, 'package_send_message', {
+      trackingCode,
+      message: 'Llego a la puerta, nadie responde',
+    });
+    assert.equal(missed.ok, true);
+    assert.equal(missed.message.seq, receipts[1].seq + 1);
+
+    bobSocket.connect();
+    await onceWithTimeout(bobSocket, 'connect');
+    const replayedMessagePromise = onceWithTimeout(bobSocket, 'package:message');
+    const badJoin = await emitWithAck(bobSocket, 'join_package', { trackingCode, lastSeq: -1 });
+    assert.equal(badJoin.ok, false);
+    const rejoined = await emitWithAck(bobSocket, 'join_package', { trackingCode, lastSeq: receipts[1].seq });
+    assert.equal(rejoined.ok, true);
+    assert.equal(rejoined.replayed, 1);
+    assert.equal(rejoined.lastSeq, missed.message.seq);
+    assert.equal(rejoined.truncated, false);
+    const replayedMessage = await replayedMessagePromise;
+    assert.equal(replayedMessage.id, missed.message.id);
+    assert.equal(replayedMessage.seq, missed.message.seq);
+    assert.equal(replayedMessage.replayed, true);
+
+    const fullReplay = collectEvents(bobSocket, 'package:message', 2);
+    const fromStart = await emitWithAck(bobSocket, 'join_package', { trackingCode, lastSeq: 0 });
+    assert.equal(fromStart.replayed, missed.message.seq);
+    assert.deepEqual((await fullReplay).map((event) => event.id), [messageEvent.id, missed.message.id]);
+
+    const afterReceipts = await get(`/api/packages/${trackingCode}`, aliceToken);
+    assert.equal(afterReceipts.data.package.last_seq, missed.message.seq);
+    assert.deepEqual(afterReceipts.data.package.messages[0].seen_by, ['bob']);
+    assert.deepEqual(afterReceipts.data.package.messages[0].delivered_to, ['bob']);
+    assert.deepEqual(afterReceipts.data.package.messages[1].seen_by, []);
 
     aliceSocket.disconnect();
     bobSocket.disconnect();
 
+    await validateInProcessAdapter();
+
     console.log('VALIDACION 3/3: Persistencia y estado final');
-    const received = await post(`/api/packages/${trackingCode}/receive`, { userId: bobId });
+    const senderReceive = await postForm(
+      `/api/packages/${trackingCode}/receive`,
+      delivery,
+      { signature: signatureFile },
+      aliceToken
+    );
+    assert.equal(senderReceive.status, 403);
+    // Una cuenta recipient no esta vinculada al paquete: no puede marcarlo recibido.
+    const ritaCreated = await post(
+      '/api/users',
+      { username: 'rita', password: 'rita-password', role: 'recipient' },
+      adminLogin.data.token
+    );
+    assert.equal(ritaCreated.status, 201);
+    const ritaToken = (await post('/api/auth/login', { username: 'rita', password: 'rita-password' })).data.token;
+    const recipientReceive = await postForm(
+      `/api/packages/${trackingCode}/receive`,
+      delivery,
+      { signature: signatureFile },
+      ritaToken
+    );
+    assert.equal(recipientReceive.status, 403);
+
+    const withoutSignature = await postForm(`/api/packages/${trackingCode}/receive`, delivery, {}, bobToken);
+    assert.equal(withoutSignature.status, 400);
+
+    const fakeSignature = await postForm(
+      `/api/packages/${trackingCode}/receive`,
+      delivery,
+      { signature: { data: Buffer.from('no soy un png'), type: 'image/png', name: 'firma.png' } },
+      bobToken
+    );
+    assert.equal(fakeSignature.status, 400);
+
+    const publicReceivedPromise = onceWithTimeout(publicSocket, 'package:received');
+    const received = await postForm(
+      `/api/packages/${trackingCode}/receive`,
+      delivery,
+      { signature: signatureFile, photo: { data: SIGNATURE_PNG, type: 'image/png', name: 'foto.png' } },
+      bobToken
+    );
     assert.equal(received.status, 200);
     assert.equal(received.data.package.status, 'RECEIVED');
+    assert.equal(received.data.package.delivery.received_by_name, 'Carlos Perez');
+    assert.equal(received.data.package.delivery.delivered_by, 'bob');
+    const publicReceived = await publicReceivedPromise;
+    assert.equal(publicReceived.status, 'RECEIVED');
+    publicSocket.disconnect();
+
+    const anonymousDetail = await get(`/api/packages/${trackingCode}`);
+    assert.equal(anonymousDetail.status, 401);
 
-    const detail = await get(`/api/packages/${trackingCode}`);
+    const tracking = await get(`/api/public/track/${trackingCode}`);
+    assert.equal(tracking.status, 200);
+    assert.equal(tracking.data.tracking.status, 'RECEIVED');
+    assert.equal(tracking.data.tracking.last_location.address, 'San Martin de Porres');
+    assert.ok(tracking.data.tracking.timeline.every((event) => event.event_type !== 'MESSAGE'));
+    const publicBody = JSON.stringify(tracking.data);
+    ['alice', 'bob', 'Salida del almacen', 'Paquete en camino', 'Carlos Perez'].forEach((secret) => {
+      assert.ok(!publicBody.includes(secret), `Dato interno expuesto: ${secret}`);
+    });
+
+    const detail = await get(`/api/packages/${trackingCode}`, aliceToken);
     assert.equal(detail.status, 200);
     assert.equal(detail.data.package.status, 'RECEIVED');
     assert.ok(detail.data.package.messages.length >= 1);
     assert.ok(detail.data.package.locations.length >= 1);
     assert.ok(detail.data.package.timeline.length >= 3);
+    assert.equal(detail.data.package.delivery.received_by_document, 'DNI 45678912');
+    assert.ok(detail.data.package.route.distance_travelled_km > 4);
+    assert.equal(detail.data.package.route.eta, null);
+
+    const signatureUrl = `${BASE_URL}${detail.data.package.delivery.signature_url}`;
+    const anonymousSignature = await fetch(signatureUrl);
+    assert.equal(anonymousSignature.status, 401);
+    // Otro remitente no ve el contacto del destinatario ni la prueba de entrega.
+    await post('/api/auth/register', { username: 'eve', password: 'eve-password' });
+    const eveToken = (await post('/api/auth/login', { username: 'eve', password: 'eve-password' })).data.token;
+    const foreignDetail = await get(`/api/packages/${trackingCode}`, eveToken);
+    assert.equal(foreignDetail.status, 403);
+    assert.ok(!JSON.stringify(foreignDetail.data).includes('carlos@example.com'));
+    const foreignSignature = await fetch(signatureUrl, { headers: authHeaders(eveToken) });
+    assert.equal(foreignSignature.status, 403);
+    // Tampoco entra al room del paquete ni escribe o confirma mensajes en el.
+    const eveMessage = await post(`/api/packages/${trackingCode}/messages`, { message: 'hola' }, eveToken);
+    assert.equal(eveMessage.status, 403);
+    const eveSocket = io(BASE_URL, { transports: ['websocket'], auth: { token: eveToken } });
+    await onceWithTimeout(eveSocket, 'connect');
+    const eveJoin = await emitWithAck(eveSocket, 'join_package', { trackingCode });
+    assert.equal(eveJoin.ok, false);
+    // Ni reenvia el historial del room (mensajes, ubicaciones con notas, acuses).
+    let eveReplayed = 0;
+    eveSocket.onAny((eventName) => {
+      if (eventName !== 'package:error') eveReplayed += 1;
+    });
+    const eveReplay = await emitWithAck(eveSocket, 'join_package', { trackingCode, lastSeq: 0 });
+    assert.equal(eveReplay.ok, false);
+    assert.equal(eveReplay.error, 'No tienes acceso a este paquete.');
+    assert.equal(eveReplayed, 0);
+    const eveSend = await emitWithAck(eveSocket, 'package_send_message', { trackingCode, message: 'hola' });
+    assert.equal(eveSend.ok, false);
+    const eveAck = await emitWithAck(eveSocket, 'package_message_ack', {
+      trackingCode,
+      messageIds: [detail.data.package.messages[0].id],
+      state: 'seen',
+    });
+    assert.equal(eveAck.ok, false);
+    eveSocket.disconnect();
+    const courierSignature = await fetch(signatureUrl, { headers: authHeaders(bobToken) });
+    assert.equal(courierSignature.status, 200);
+    const signatureDownload = await fetch(signatureUrl, { headers: authHeaders(aliceToken) });
+    assert.equal(signatureDownload.status, 200);
+    assert.ok(Buffer.from(await signatureDownload.arrayBuffer()).equals(SIGNATURE_PNG));
+
+    const statusEvents = detail.data.package.timeline
+      .filter((event) => event.event_type === 'STATUS')
+      .map((event) => event.detail);
+    [
+      'NONE -> CREATED',
+      'CREATED -> PICKED_UP',
+      'PICKED_UP -> IN_TRANSIT',
+      'IN_TRANSIT -> OUT_FOR_DELIVERY',
+      'OUT_FOR_DELIVERY -> RECEIVED',
+    ].forEach((transition) => {
+      assert.ok(statusEvents.includes(transition), `Falta en historial: ${transition}`);
+    });
+
+    const extraAddresses = ['Jr. Callao 455, Lima', 'Av. Arequipa 2100, Lince', 'Calle Las Begonias 120, San Isidro'];
+    for (const destinationAddress of extraAddresses) {
+      const extra = await post(
+        '/api/packages',
+        { sender: 'Tienda Norte', recipient: 'Lucia Diaz', destinationAddress, weightKg: 1 },
+        aliceToken
+      );
+      assert.equal(extra.status, 201);
+    }
+
+    const senderList = await get('/api/packages', aliceToken);
+    assert.equal(senderList.status, 403);
+
+    const firstPage = await get('/api/packages?sender=tienda%20norte&limit=2', bobToken);
+    assert.equal(firstPage.status, 200);
+    assert.equal(firstPage.data.items.length, 2);
+    assert.ok(firstPage.data.next_cursor);
+    const secondPage = await get(
+      `/api/packages?sender=tienda%20norte&limit=2&cursor=${firstPage.data.next_cursor}`,
+      bobToken
+    );
+    assert.equal(secondPage.data.items.length, 1);
+    assert.equal(secondPage.data.next_cursor, null);
+    const pagedCodes = [...firstPage.data.items, ...secondPage.data.items].map((item) => item.tracking_code);
+    assert.equal(new Set(pagedCodes).size, 3);
+
+    const searched = await get('/api/packages?q=arequipa&status=CREATED', bobToken);
+    assert.equal(searched.data.items.length, 1);
+    assert.equal(searched.data.items[0].destination_address, 'Av. Arequipa 2100, Lince');
+
+    const today = new Date().toISOString().slice(0, 10);
+    const receivedToday = await get(
+      `/api/packages?status=RECEIVED&receivedFrom=${today}&receivedTo=${today}&createdBy=alice`,
+      bobToken
+    );
+    assert.deepEqual(receivedToday.data.items.map((item) => item.tracking_code), [trackingCode]);
+
+    const exportRes = await fetch(`${BASE_URL}/api/packages/export?format=csv&sender=Tienda%20Norte`, {
+      headers: authHeaders(bobToken),
+    });
+    assert.equal(exportRes.status, 200);
+    assert.ok(exportRes.headers.get('content-disposition').includes('.csv'));
+    const csvLines = (await exportRes.text()).trim().split('\r\n');
+    assert.ok(csvLines[0].startsWith('tracking_code,sender,recipient'));
+    assert.equal(csvLines.length, 4);
+
+    const importCsv = [
+      'sender,recipient,destination_address,weight_kg,declared_value',
+      'Tienda Sur,Ana Rojas,"Av. Javier Prado 500, San Borja",1,',
+      'Tienda Sur,,"Jr. Ucayali 200, Lima",1,',
+      'Tienda Sur,Luis Ramos,"Av. Benavides 1500, Miraflores",4.2,100',
+    ].join('\r\n');
+
+    const badHeader = await postCsv('/api/packages/import', 'sender,recipient\r\nA,B', aliceToken);
+    assert.equal(badHeader.status, 400);
+    // El encabezado original, sin weight_kg, sigue siendo valido: las filas importadas quedan
+    // sin precio y no se facturan.
+    const withoutWeightColumn = await postCsv(
+      '/api/packages/import',
+      'sender,recipient,destination_address\r\nA,B,"Av. Arequipa 100, Lince"',
+      aliceToken
+    );
+    assert.equal(withoutWeightColumn.status, 201);
+    assert.equal(withoutWeightColumn.data.created, 1);
+    const unpricedCode = withoutWeightColumn.data.rows[0].tracking_code;
+    assert.equal((await get(`/api/packages/${unpricedCode}`, aliceToken)).data.package.pricing, null);
+    const courierImport = await postCsv('/api/packages/import', importCsv, bobToken);
+    assert.equal(courierImport.status, 403);
+
+    const dryRun = await postCsv('/api/packages/import?dryRun=true', importCsv, aliceToken);
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.data.dryRun, true);
+    assert.equal(dryRun.data.valid, 2);
+    assert.equal(dryRun.data.created, 0);
+    assert.equal(dryRun.data.rows[1].ok, false);
+    assert.ok(dryRun.data.rows[1].errors[0].includes('recipient'));
+    const afterDryRun = await get('/api/packages?sender=Tienda%20Sur', bobToken);
+    assert.equal(afterDryRun.data.items.length, 0);
+
+    const imported = await postForm(
+      '/api/packages/import',
+      {},
+      { file: { data: Buffer.from(importCsv), type: 'text/csv', name: 'paquetes.csv' } },
+      aliceToken
+    );
+    assert.equal(imported.status, 201);
+    assert.equal(imported.data.created, 2);
+    assert.equal(imported.data.failed, 1);
+    assert.match(imported.data.rows[0].tracking_code, /^TRK-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+    assert.equal(imported.data.rows[1].tracking_code, null);
+    const importedPackage = await get(`/api/packages/${imported.data.rows[2].tracking_code}`, aliceToken);
+    assert.equal(importedPackage.data.package.destination_address, 'Av. Benavides 1500, Miraflores');
+    assert.equal(importedPackage.data.package.created_by, 'alice');
+    assert.equal(importedPackage.data.package.pricing.zone, 'LIMA_CENTRO');
+    assert.equal(importedPackage.data.package.pricing.total, 16 + 1.5);
+
+    const month = today.slice(0, 7);
+    const invoice = await get(`/api/invoices/alice/${month}`, aliceToken);
+    assert.equal(invoice.status, 200);
+    const invoiceCodes = invoice.data.invoice.items.map((item) => item.tracking_code);
+    assert.ok(invoiceCodes.includes(trackingCode));
+    assert.ok(invoiceCodes.includes(imported.data.rows[2].tracking_code));
+    assert.ok(!invoiceCodes.includes(unpricedCode));
+    assert.equal(invoice.data.invoice.totals.packages, invoiceCodes.length);
+    const itemsTotal = invoice.data.invoice.items.reduce((total, item) => total + Math.round(item.total * 100), 0);
+    assert.equal(Math.round(invoice.data.invoice.totals.total * 100), itemsTotal);
+    assert.equal(
+      Math.round(invoice.data.invoice.totals.shipping * 100)
+        + Math.round(invoice.data.invoice.totals.insurance * 100)
+        + Math.round(invoice.data.invoice.totals.cod_fee * 100),
+      itemsTotal
+    );
+    const invoiceHtml = await fetch(`${BASE_URL}/api/invoices/alice/${month}?format=html`, {
+      headers: authHeaders(aliceToken),
+    });
+    assert.ok(invoiceHtml.headers.get('content-type').startsWith('text/html'));
+    assert.ok((await invoiceHtml.text()).includes(invoice.data.invoice.number));
+    const invoicePdf = await fetch(`${BASE_URL}/api/invoices/alice/${month}?format=pdf`, {
+      headers: authHeaders(aliceToken),
+    });
+    assert.equal(invoicePdf.headers.get('content-type'), 'application/pdf');
+    assert.ok(invoicePdf.headers.get('content-disposition').includes(`${invoice.data.invoice.number}.pdf`));
+    assert.equal(Buffer.from(await invoicePdf.arrayBuffer()).subarray(0, 4).toString(), '%PDF');
+    const othersInvoice = await get(`/api/invoices/alice/${month}`, bobToken);
+    assert.equal(othersInvoice.status, 403);
+    const badMonth = await get('/api/invoices/alice/2024-13', aliceToken);
+    assert.equal(badMonth.status, 400);
+
+    const labelPdf = await fetch(`${BASE_URL}/api/packages/${trackingCode}/label`, { headers: authHeaders(aliceToken) });
+    assert.equal(labelPdf.status, 200);
+    assert.equal(labelPdf.headers.get('content-type'), 'application/pdf');
+    assert.ok(labelPdf.headers.get('content-disposition').includes(`etiqueta-${trackingCode}.pdf`));
+    assert.equal(Buffer.from(await labelPdf.arrayBuffer()).subarray(0, 4).toString(), '%PDF');
+    // PNG 4x6 pulgadas a 203 dpi: el ancho y alto van en el encabezado IHDR.
+    const labelPng = await fetch(`${BASE_URL}/api/packages/${trackingCode}/label?format=png`, {
+      headers: authHeaders(bobToken),
+    });
+    assert.equal(labelPng.headers.get('content-type'), 'image/png');
+    const pngBytes = Buffer.from(await labelPng.arrayBuffer());
+    assert.equal(pngBytes.subarray(1, 4).toString(), 'PNG');
+    assert.deepEqual([pngBytes.readUInt32BE(16), pngBytes.readUInt32BE(20)], [812, 1218]);
+    const badLabelFormat = await get(`/api/packages/${trackingCode}/label?format=zpl`, aliceToken);
+    assert.equal(badLabelFormat.status, 400);
+
+    const batchCodes = [trackingCode, ...imported.data.rows.filter((row) => row.ok).map((row) => row.tracking_code)];
+    const batchLabels = await fetch(`${BASE_URL}/api/packages/labels`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders(bobToken) },
+      body: JSON.stringify({ trackingCodes: batchCodes }),
+    });
+    assert.equal(batchLabels.status, 200);
+    const batchPdf = Buffer.from(await batchLabels.arrayBuffer()).toString('latin1');
+    assert.equal(batchPdf.match(/\/Type \/Page\b/g).length, batchCodes.length);
+    const emptyBatch = await post('/api/packages/labels', { trackingCodes: [] }, bobToken);
+    assert.equal(emptyBatch.status, 400);
+
+    await post('/api/auth/register', { username: 'dora', password: 'dora-password', role: 'sender' });
+    const doraLogin = await post('/api/auth/login', { username: 'dora', password: 'dora-password' });
+    const foreignLabels = await post('/api/packages/labels', { trackingCodes: batchCodes }, doraLogin.data.token);
+    assert.equal(foreignLabels.status, 403);
+
+    const adminToken = adminLogin.data.token;
+    const [stopA, stopB] = [imported.data.rows[0].tracking_code, imported.data.rows[2].tracking_code];
+    for (const code of [stopA, stopB]) {
+      await post(`/api/packages/${code}/status`, { status: 'PICKED_UP' }, bobToken);
+      await post(`/api/packages/${code}/status`, { status: 'IN_TRANSIT' }, bobToken);
+    }
+
+    const routeBody = { courier: 'bob', date: today, trackingCodes: [stopB, stopA] };
+    const senderRoute = await post('/api/routes', routeBody, aliceToken);
+    assert.equal(senderRoute.status, 403);
+    const createdRoute = await post('/api/routes', routeBody, adminToken);
+    assert.equal(createdRoute.status, 201);
+    const routeId = createdRoute.data.route.id;
+    assert.equal(createdRoute.data.route.status, 'PLANNED');
+    assert.deepEqual(createdRoute.data.route.stops.map((stop) => stop.tracking_code), [stopB, stopA]);
+    const duplicatedRoute = await post('/api/routes', { ...routeBody, trackingCodes: [stopA] }, adminToken);
+    assert.equal(duplicatedRoute.status, 409);
+
+    const reorderRes = await fetch(`${BASE_URL}/api/routes/${routeId}/stops`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...authHeaders(adminToken) },
+      body: JSON.stringify({ trackingCodes: [stopA, stopB] }),
+    });
+    const reordered = await reorderRes.json();
+    assert.deepEqual(reordered.route.stops.map((stop) => [stop.stop_order, stop.tracking_code]), [
+      [1, stopA],
+      [2, stopB],
+    ]);
+
+    const ping = { latitude: -12.1, longitude: -77.01, address: 'Av. Aviacion, San Borja' };
+    const earlyPing = await post(`/api/routes/${routeId}/location`, ping, bobToken);
+    assert.equal(earlyPing.status, 409);
+
+    const dispatched = await post(`/api/routes/${routeId}/dispatch`, {}, adminToken);
+    assert.equal(dispatched.status, 200);
+    assert.equal(dispatched.data.route.status, 'DISPATCHED');
+    assert.ok(dispatched.data.route.stops.every((stop) => stop.status === 'OUT_FOR_DELIVERY'));
+
+    const routePing = await post(`/api/routes/${routeId}/location`, ping, bobToken);
+    assert.equal(routePing.status, 201);
+    assert.deepEqual(routePing.data.trackingCodes, [stopA, stopB]);
+    const detailA = await get(`/api/packages/${stopA}`, bobToken);
+    const detailB = await get(`/api/packages/${stopB}`, bobToken);
+    assert.equal(detailA.data.package.assigned_route.id, routeId);
+    assert.equal(detailA.data.package.locations.length, 1);
+    assert.equal(detailA.data.package.locations[0].source, 'ROUTE');
+    assert.equal(detailA.data.package.locations[0].id, detailB.data.package.locations[0].id);
+
+    const receivedStop = await postForm(
+      `/api/packages/${stopA}/receive`,
+      { ...delivery, receivedByName: 'Ana Rojas' },
+      { signature: signatureFile },
+      bobToken
+    );
+    assert.equal(receivedStop.status, 200);
+    const lastPing = await post(`/api/routes/${routeId}/location`, { latitude: -12.105, longitude: -77.02 }, bobToken);
+    assert.deepEqual(lastPing.data.trackingCodes, [stopB]);
+    const afterPingA = await get(`/api/packages/${stopA}`, bobToken);
+    const afterPingB = await get(`/api/packages/${stopB}`, bobToken);
+    assert.equal(afterPingA.data.package.locations.length, 1);
+    assert.equal(afterPingB.data.package.locations.length, 2);
+
+    const bobRoutes = await get('/api/routes', bobToken);
+    assert.deepEqual(
+      bobRoutes.data.routes.map((route) => [route.id, route.stops, route.delivered]),
+      [[routeId, 2, 1]]
+    );
+
+    // Dos planificaciones simultaneas del mismo paquete: solo una lo asigna.
+    const racedPackage = await post(
+      '/api/packages',
+      { sender: 'Tienda Central', recipient: 'Rosa Diaz', destinationAddress: 'Av. Javier Prado 900, San Borja', weightKg: 1 },
+      aliceToken
+    );
+    const racedCode = racedPackage.data.package.tracking_code;
+    await post(`/api/packages/${racedCode}/status`, { status: 'PICKED_UP' }, bobToken);
+    await post(`/api/packages/${racedCode}/status`, { status: 'IN_TRANSIT' }, bobToken);
+    const racedRoutes = await Promise.all([1, 2].map(() =>
+      post('/api/routes', { courier: 'bob', date: today, trackingCodes: [racedCode] }, adminToken)
+    ));
+    assert.deepEqual(racedRoutes.map((res) => res.status).sort(), [201, 409]);
+    const activeStops = await queryDatabase(
+      `SELECT COUNT(*) AS total FROM route_stops s JOIN packages p ON p.id = s.package_id
+       WHERE p.tracking_code = ? AND s.released_at IS NULL`,
+      [racedCode]
+    );
+    assert.equal(Number(activeStops[0].total), 1);
+
+    const afterReceive = await post(`/api/packages/${trackingCode}/status`, { status: 'CANCELLED' }, bobToken);
+    assert.equal(afterReceive.status, 409);
+
+    const statusesFor = (code) =>
+      webhooks.deliveries
+        .map((delivery) => JSON.parse(delivery.body))
+        .filter((event) => event.tracking_code === code)
+        .map((event) => event.new_status);
+    await waitFor(() => statusesFor(trackingCode).includes('RECEIVED'));
+    assert.deepEqual(statusesFor(trackingCode), ['CREATED', 'PICKED_UP', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'RECEIVED']);
+    const [firstDelivery] = webhooks.deliveries;
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(firstDelivery.headers['x-courier-signature']);
+    const expected = crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${firstDelivery.body}`).digest('hex');
+    assert.equal(signature, expected);
+    assert.equal(firstDelivery.headers['x-courier-event'], 'package.status_changed');
+
+    const mails = fs
+      .readdirSync(MAIL_DIR)
+      .filter((name) => name.endsWith(`${trackingCode}.eml`))
+      .map((name) => fs.readFileSync(path.join(MAIL_DIR, name), 'utf8'));
+    assert.equal(mails.length, 5);
+    const receivedMail = mails.find((mail) => mail.includes(`Subject: Paquete ${trackingCode}: RECEIVED`));
+    assert.ok(receivedMail.startsWith('To: carlos@example.com'));
+    assert.ok(receivedMail.includes(`/track.html?code=${trackingCode}`));
+    const smsLines = fs.readFileSync(path.join(MAIL_DIR, 'sms.log'), 'utf8').trim().split('\n').map(JSON.parse);
+    assert.equal(smsLines.length, 5);
+    assert.ok(smsLines.every((line) => line.to === '+51987654321'));
+
+    const senderDeadLetter = await get('/api/notifications/dead-letter', aliceToken);
+    assert.equal(senderDeadLetter.status, 403);
+    let deadItem;
+    await waitFor(async () => {
+      const deadLetter = await get('/api/notifications/dead-letter', adminToken);
+      deadItem = deadLetter.data.items.find((item) => item.tracking_code === trackingCode && item.new_status === 'RECEIVED');
+      return deadItem;
+    });
+    assert.equal(deadItem.target, 'http://127.0.0.1:9/caido');
+    assert.equal(deadItem.attempts, 2);
+    assert.equal(deadItem.owner, 'alice');
+    // Con el canal desactivado, la notificacion reintentada queda en cola sin enviarse.
+    const deactivated = await fetch(`${BASE_URL}/api/notifications/endpoints/${deadEndpoint.data.endpoint.id}`, {
+      method: 'DELETE',
+      headers: authHeaders(aliceToken),
+    });
+    assert.equal(deactivated.status, 200);
+    const retried = await post(`/api/notifications/${deadItem.id}/retry`, {}, adminToken);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.data.notification.status, 'PENDING');
+    await sleep(500);
+    const [parked] = await queryDatabase('SELECT status, attempts FROM notification_outbox WHERE id = ?', [deadItem.id]);
+    assert.equal(parked.status, 'PENDING');
+    assert.equal(Number(parked.attempts), 0);
+
+    // Segunda instancia sobre la misma base: pings simultaneos repartidos entre ambas
+    // quedan todos registrados (sin SQLITE_BUSY) y solo uno hace PICKED_UP -> IN_TRANSIT.
+    const secondProcess = startProcess(SECOND_PORT);
+    secondProcess.stdout.on('data', () => {});
+    secondProcess.stderr.on('data', () => {});
+    try {
+      await waitForServer(SECOND_URL);
+      const busyPackage = await post(
+        '/api/packages',
+        { sender: 'Tienda Central', recipient: 'Rosa Diaz', destinationAddress: 'Jr. Huallaga 120, Lima', weightKg: 1 },
+        aliceToken
+      );
+      assert.equal(busyPackage.status, 201);
+      const busyCode = busyPackage.data.package.tracking_code;
+      const busyPickup = await post(`/api/packages/${busyCode}/status`, { status: 'PICKED_UP' }, bobToken, SECOND_URL);
+      assert.equal(busyPickup.status, 200);
+
+      const pings = await Promise.all(
+        Array.from({ length: 12 }, (_, index) =>
+          post(
+            `/api/packages/${busyCode}/location`,
+            { latitude: -12.05 + index / 1000, longitude: -77.03, address: `Ping ${index}` },
+            bobToken,
+            index % 2 ? SECOND_URL : BASE_URL
+          )
+        )
+      );
+      assert.deepEqual(pings.map((ping) => ping.status), Array(12).fill(201));
+      const pingSeqs = pings.map((ping) => ping.data.location.seq);
+      assert.equal(new Set(pingSeqs).size, 12);
+
+      const busyDetail = await get(`/api/packages/${busyCode}`, aliceToken);
+      assert.equal(busyDetail.data.package.status, 'IN_TRANSIT');
+      assert.equal(busyDetail.data.package.locations.length, 12);
+      const busyStatuses = busyDetail.data.package.timeline.filter((event) => event.event_type === 'STATUS');
+      assert.equal(busyStatuses.length, 3);
+      assert.equal(busyDetail.data.package.last_seq, 15);
+
+      // Con dos dispatchers sobre la misma outbox cada notificacion se reclama una sola vez,
+      // y una reclamada cuyo plazo vencio (la instancia cayo a mitad de la entrega) se reenvia.
+      const deliveryIdsFor = (code) =>
+        webhooks.deliveries
+          .filter((delivery) => JSON.parse(delivery.body).tracking_code === code)
+          .map((delivery) => delivery.headers['x-courier-delivery']);
+      await waitFor(() => statusesFor(busyCode).includes('IN_TRANSIT'));
+      await sleep(500);
+      const busyDeliveries = deliveryIdsFor(busyCode);
+      assert.equal(busyDeliveries.length, 3);
+      assert.equal(new Set(busyDeliveries).size, 3);
+      await queryDatabase(
+        "UPDATE notification_outbox SET status = 'SENDING', locked_until = '2000-01-01 00:00:00.000' WHERE id = ?",
+        [Number(busyDeliveries[0])]
+      );
+      await waitFor(() => deliveryIdsFor(busyCode).length === 4);
+      assert.equal(deliveryIdsFor(busyCode)[3], busyDeliveries[0]);
+    } finally {
+      await stopProcess(secondProcess);
+    }
+
+    // Con el servidor detenido: bajar hasta el esquema inicial y volver a subir conserva los datos.
+    await stopProcess(serverProcess);
+    await validateStorageTransactions();
+    const beforeRollback = await queryDatabase('SELECT COUNT(*) AS total FROM package_status_history');
+    const rolledBack = await runMigrations(['rollback', '--to', '1']);
+    assert.ok(rolledBack.includes('Revertida 002_package_lifecycle'));
+    assert.ok((await runMigrations(['status'])).includes('008_notifications  pendiente'));
+    const migrated = await runMigrations(['migrate']);
+    assert.ok(migrated.includes('Aplicada 008_notifications'));
+    assert.ok(migrated.includes('Aplicada 010_tariffs'));
+    assert.ok(migrated.includes('Aplicada 011_notification_claims'));
+    assert.ok(migrated.includes('Aplicada 012_route_stop_unique'));
+    assert.ok(!(await runMigrations(['status'])).includes('pendiente'));
+    const [receivedRow] = await queryDatabase('SELECT status FROM packages WHERE tracking_code = ?', [trackingCode]);
+    assert.equal(receivedRow.status, 'RECEIVED');
+    const afterRollback = await queryDatabase('SELECT COUNT(*) AS total FROM package_status_history');
+    assert.equal(afterRollback[0].total, beforeRollback[0].total);
 
     console.log('OK: 3/3 validaciones completadas exitosamente.');
   } finally {
-    serverProcess.kill('SIGTERM');
+    await stopProcess(serverProcess);
+    webhooks.server.close();
     await sleep(500);
+    if (postgres) await postgres.stop();
+    fs.rmSync(DB_FILE, { force: true });
+    fs.rmSync(UPLOADS_DIR, { recursive: true, force: true });
+    fs.rmSync(MAIL_DIR, { recursive: true, force: true });
   }
 }
 
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { httpError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['sender', 'courier', 'recipient', 'admin'];
+const TOKEN_TTL_SECONDS = Number(process.env.COURIER_TOKEN_TTL || 12 * 60 * 60);
+
+// Sin COURIER_SESSION_SECRET se genera un secreto por proceso: los tokens dejan
+// de ser validos al reiniciar el servidor.
+const SESSION_SECRET = process.env.COURIER_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Roles autorizados para cada accion protegida.
+const PERMISSIONS = {
+  createPackage: ['sender', 'admin'],
+  addLocation: ['courier'],
+  changeStatus: ['courier', 'admin'],
+  // El rol recipient no esta vinculado a ningun paquete: no puede marcar entregas ajenas.
+  markReceived: ['courier'],
+  listPackages: ['courier', 'admin'],
+  manageUsers: ['admin'],
+  planRoutes: ['admin'],
+  viewRoutes: ['courier', 'admin'],
+  manageNotifications: ['admin'],
+  viewInvoices: ['sender', 'admin'],
+  printLabels: ['sender', 'courier', 'admin'],
+};
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (!stored) return false;
+
+  const [scheme, saltHex, hashHex] = stored.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+function signToken(user) {
+  const payload = {
+    sub: user.id,
+    username: user.username,
+    role: user.role,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS,
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+function verifyToken(token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) {
+    throw httpError(401, 'Token de sesion requerido.');
+  }
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw httpError(401, 'Token de sesion invalido.');
+  }
+
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  if (payload.exp < Math.floor(Date.now() / 1000)) {
+    throw httpError(401, 'La sesion expiro. Inicia sesion nuevamente.');
+  }
+
+  return { id: payload.sub, username: payload.username, role: payload.role };
+}
+
+function authorize(user, action) {
+  if (!user) {
+    throw httpError(401, 'Debes iniciar sesion.');
+  }
+  if (!PERMISSIONS[action].includes(user.role)) {
+    throw httpError(403, `El rol ${user.role} no puede realizar esta accion.`);
+  }
+}
+
+function requireAuth(req, _res, next) {
+  try {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    req.user = verifyToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function requirePermission(action) {
+  return (req, _res, next) => {
+    try {
+      authorize(req.user, action);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+function socketAuth(socket, next) {
+  try {
+    socket.data.user = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  authorize,
+  requireAuth,
+  requirePermission,
+  socketAuth,
+};
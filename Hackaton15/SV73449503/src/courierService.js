@@ -1,42 +1,372 @@
-const { run, get, all } = require('./db');
+const { dialect, run, get, all, transaction } = require('./db');
+const { conflict, httpError } = require('./errors');
+const { ROLES, hashPassword, verifyPassword } = require('./auth');
+const {
+  validateDeliveryFiles,
+  saveDeliveryFiles,
+  removeDeliveryFiles,
+  resolveDeliveryFile,
+} = require('./deliveryFiles');
+const { findPlaceInAddress, summarizeRoute } = require('./geo');
+const { parseCsv } = require('./csv');
+const { makeTrackingCode, parseTrackingCode } = require('./trackingCode');
+const { EMAIL_PATTERN, PHONE_PATTERN } = require('./notificationService');
+const { loadTariffs, parseShipment, quoteShipment, quoteShipmentIfPossible, getPackagePricing } = require('./tariffService');
 
-function makeTrackingCode() {
-  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  return `TRK-${Date.now()}-${random}`;
-}
+const PACKAGE_STATUSES = [
+  'CREATED',
+  'PICKED_UP',
+  'IN_TRANSIT',
+  'AT_HUB',
+  'OUT_FOR_DELIVERY',
+  'DELIVERY_FAILED',
+  'RECEIVED',
+  'RETURNED_TO_SENDER',
+  'CANCELLED',
+];
+
+// Estados destino permitidos desde cada estado. Los estados sin salidas
+// (RECEIVED, RETURNED_TO_SENDER, CANCELLED) son finales.
+const STATUS_TRANSITIONS = {
+  CREATED: ['PICKED_UP', 'CANCELLED'],
+  PICKED_UP: ['IN_TRANSIT', 'AT_HUB', 'RETURNED_TO_SENDER'],
+  IN_TRANSIT: ['AT_HUB', 'OUT_FOR_DELIVERY', 'RETURNED_TO_SENDER'],
+  AT_HUB: ['IN_TRANSIT', 'OUT_FOR_DELIVERY', 'RETURNED_TO_SENDER'],
+  OUT_FOR_DELIVERY: ['RECEIVED', 'DELIVERY_FAILED'],
+  DELIVERY_FAILED: ['OUT_FOR_DELIVERY', 'AT_HUB', 'RETURNED_TO_SENDER'],
+  RECEIVED: [],
+  RETURNED_TO_SENDER: [],
+  CANCELLED: [],
+};
 
-async function ensureUser(username) {
-  if (!username || !username.trim()) {
+const LIST_SORT_COLUMNS = {
+  created_at: 'p.created_at',
+  updated_at: 'p.updated_at',
+  tracking_code: 'p.tracking_code',
+};
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
+const EXPORT_MAX_ROWS = 5000;
+const EXPORT_COLUMNS = [
+  'tracking_code',
+  'sender',
+  'recipient',
+  'destination_address',
+  'status',
+  'created_by',
+  'received_at',
+  'created_at',
+  'updated_at',
+];
+
+// Estados en los que el paquete esta fisicamente en manos del courier.
+const TRACKABLE_STATUSES = ['PICKED_UP', 'IN_TRANSIT', 'AT_HUB', 'OUT_FOR_DELIVERY', 'DELIVERY_FAILED'];
+
+function cleanUsername(username) {
+  if (!username || !String(username).trim()) {
     throw new Error('El username es obligatorio.');
   }
+  return String(username).trim().toLowerCase();
+}
+
+function checkPassword(password) {
+  if (!password || String(password).length < 8) {
+    throw new Error('El password debe tener al menos 8 caracteres.');
+  }
+}
+
+// Siempre crea una cuenta nueva: un username existente (aunque sea de una base anterior
+// y no tenga password) responde 409. El rol lo decide quien llama, nunca el cliente en
+// el registro publico.
+async function registerUser({ username, password, role = 'sender' }) {
+  const clean = cleanUsername(username);
+  checkPassword(password);
+  if (!ROLES.includes(role)) {
+    throw new Error(`Rol invalido. Usa: ${ROLES.join(', ')}.`);
+  }
+
+  const existing = await get('SELECT id FROM users WHERE username = ?', [clean]);
+  if (existing) throw conflict('El username ya esta registrado.');
+
+  const passwordHash = await hashPassword(String(password));
+  try {
+    const { id } = await run(
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?) RETURNING id',
+      [clean, passwordHash, role]
+    );
+    return get('SELECT id, username, role, created_at FROM users WHERE id = ?', [id]);
+  } catch (error) {
+    if (dialect.isUniqueViolation(error, 'users', 'username')) throw conflict('El username ya esta registrado.');
+    throw error;
+  }
+}
+
+// Password nuevo emitido por un admin. Es la unica forma de activar las cuentas de una
+// base anterior, que quedaron sin password.
+async function resetPassword({ username, password }) {
+  const clean = cleanUsername(username);
+  checkPassword(password);
+
+  const passwordHash = await hashPassword(String(password));
+  const { changes } = await run('UPDATE users SET password_hash = ? WHERE username = ?', [passwordHash, clean]);
+  if (!changes) throw httpError(404, 'Usuario no encontrado.');
+  return get('SELECT id, username, role, created_at FROM users WHERE username = ?', [clean]);
+}
+
+async function authenticateUser({ username, password }) {
+  const clean = cleanUsername(username);
+  const user = await get('SELECT id, username, role, password_hash, created_at FROM users WHERE username = ?', [clean]);
+
+  if (!user || !(await verifyPassword(String(password || ''), user.password_hash))) {
+    throw httpError(401, 'Usuario o password incorrectos.');
+  }
+
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    created_at: user.created_at,
+  };
+}
 
-  const clean = username.trim().toLowerCase();
-  await run('INSERT OR IGNORE INTO users (username) VALUES (?)', [clean]);
-  const user = await get('SELECT id, username, created_at FROM users WHERE username = ?', [clean]);
-  return user;
+// Crea la cuenta admin inicial (si no existe) para poder dar de alta couriers. Viene de
+// la configuracion del servidor: si el username es una cuenta antigua sin password, la
+// activa como admin.
+async function ensureAdmin({ username, password }) {
+  const clean = cleanUsername(username);
+  const existing = await get('SELECT password_hash FROM users WHERE username = ?', [clean]);
+  if (!existing) return registerUser({ username, password, role: 'admin' });
+  if (existing.password_hash) return null;
+
+  await run("UPDATE users SET role = 'admin' WHERE username = ?", [clean]);
+  return resetPassword({ username, password });
 }
 
 async function getPackageByTracking(trackingCode) {
   return get('SELECT * FROM packages WHERE tracking_code = ?', [trackingCode]);
 }
 
-async function createPackage({ sender, recipient, destinationAddress, userId }) {
-  if (!sender || !recipient || !destinationAddress || !userId) {
-    throw new Error('sender, recipient, destinationAddress y userId son obligatorios.');
+function canTransition(fromStatus, toStatus) {
+  return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+async function applyTransition(pkg, toStatus, userId) {
+  if (!canTransition(pkg.status, toStatus)) {
+    throw conflict(`Transicion no permitida: ${pkg.status} -> ${toStatus}.`);
   }
 
-  const trackingCode = makeTrackingCode();
-  await run(
-    `INSERT INTO packages (
-      tracking_code, sender, recipient, destination_address, status, created_by, last_updated_by
-    ) VALUES (?, ?, ?, ?, 'CREATED', ?, ?)`,
-    [trackingCode, sender, recipient, destinationAddress, userId, userId]
+  // La condicion sobre el estado actual evita que dos actualizaciones
+  // concurrentes partan del mismo estado; el trigger registra el historial.
+  const result = await run(
+    `UPDATE packages
+     SET status = ?,
+         received_at = CASE WHEN ? = 'RECEIVED' THEN ${dialect.now} ELSE received_at END,
+         last_updated_by = ?,
+         updated_at = ${dialect.now}
+     WHERE id = ? AND status = ?`,
+    [toStatus, toStatus, userId, pkg.id, pkg.status]
   );
 
+  if (result.changes === 0) {
+    throw conflict('El estado del paquete cambio mientras se procesaba la solicitud.');
+  }
+}
+
+async function changeStatus({ trackingCode, userId, status }) {
+  trackingCode = parseTrackingCode(trackingCode);
+  const toStatus = String(status || '').trim().toUpperCase();
+  if (!PACKAGE_STATUSES.includes(toStatus)) {
+    throw new Error(`Estado invalido. Usa: ${PACKAGE_STATUSES.join(', ')}.`);
+  }
+
+  if (toStatus === 'RECEIVED') {
+    throw new Error('Para marcar RECEIVED usa /receive con la prueba de entrega.');
+  }
+
+  const pkg = await getPackageByTracking(trackingCode);
+  if (!pkg) throw new Error('Paquete no encontrado.');
+
+  await applyTransition(pkg, toStatus, userId);
   return getPackageDetails(trackingCode);
 }
 
+const PACKAGE_FIELD_MAX_LENGTH = 200;
+const IMPORT_MAX_ROWS = 1000;
+const TRACKING_CODE_ATTEMPTS = 5;
+
+// recipientEmail y recipientPhone son opcionales: si vienen, el destinatario recibe
+// los cambios de estado por email o SMS.
+function validatePackageInput({ sender, recipient, destinationAddress, recipientEmail, recipientPhone }) {
+  const errors = [];
+  [
+    ['sender', sender],
+    ['recipient', recipient],
+    ['destinationAddress', destinationAddress],
+  ].forEach(([name, value]) => {
+    const text = String(value || '').trim();
+    if (!text) {
+      errors.push(`${name} es obligatorio.`);
+    } else if (text.length > PACKAGE_FIELD_MAX_LENGTH) {
+      errors.push(`${name} supera ${PACKAGE_FIELD_MAX_LENGTH} caracteres.`);
+    }
+  });
+  if (recipientEmail && !EMAIL_PATTERN.test(String(recipientEmail).trim())) {
+    errors.push('recipientEmail no es un email valido.');
+  }
+  if (recipientPhone && !PHONE_PATTERN.test(String(recipientPhone).trim())) {
+    errors.push('recipientPhone no es un telefono valido.');
+  }
+  return errors;
+}
+
+// Reintenta con un codigo nuevo si el generado ya existe (UNIQUE en tracking_code). La
+// colision se resuelve con ON CONFLICT DO NOTHING y no con un error: en PostgreSQL un error
+// aborta la transaccion de la importacion y el reintento fallaria.
+// priced viene de quoteShipment o quoteShipmentIfPossible: el precio (o su ausencia) queda
+// congelado en el paquete.
+async function insertPackage({ sender, recipient, destinationAddress, recipientEmail, recipientPhone, priced, userId }) {
+  for (let attempt = 1; attempt <= TRACKING_CODE_ATTEMPTS; attempt += 1) {
+    const trackingCode = makeTrackingCode();
+    const result = await run(
+      `INSERT INTO packages (
+        tracking_code, sender, recipient, destination_address, recipient_email, recipient_phone,
+        status, created_by, last_updated_by,
+        weight_kg, length_cm, width_cm, height_cm, declared_value_cents, cod_amount_cents,
+        destination_postcode, tariff_zone, chargeable_weight_kg,
+        shipping_cents, insurance_cents, cod_fee_cents, price_cents
+      ) VALUES (?, ?, ?, ?, ?, ?, 'CREATED', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (tracking_code) DO NOTHING`,
+      [
+        trackingCode,
+        sender.trim(),
+        recipient.trim(),
+        destinationAddress.trim(),
+        recipientEmail ? String(recipientEmail).trim() : null,
+        recipientPhone ? String(recipientPhone).trim() : null,
+        userId,
+        userId,
+        priced.weightKg,
+        priced.lengthCm,
+        priced.widthCm,
+        priced.heightCm,
+        priced.declaredValueCents,
+        priced.codAmountCents,
+        priced.destinationPostcode,
+        priced.zone ? priced.zone.code : null,
+        priced.chargeableKg,
+        priced.shippingCents,
+        priced.insuranceCents,
+        priced.codFeeCents,
+        priced.totalCents,
+      ]
+    );
+    if (result.changes > 0) return trackingCode;
+  }
+  throw httpError(500, 'No se pudo generar un codigo de seguimiento unico.');
+}
+
+async function createPackage({ sender, recipient, destinationAddress, recipientEmail, recipientPhone, userId, ...rest }) {
+  if (!sender || !recipient || !destinationAddress || !userId) {
+    throw new Error('sender, recipient y destinationAddress son obligatorios.');
+  }
+  const input = { sender, recipient, destinationAddress, recipientEmail, recipientPhone };
+  const { errors, shipment } = parseShipment(rest);
+  const [error] = [...validatePackageInput(input), ...errors];
+  if (error) throw new Error(error);
+
+  // Un paquete nuevo siempre sale con precio: sin peso o sin zona no se podria facturar.
+  const priced = quoteShipment(await loadTariffs(), destinationAddress, shipment);
+  const trackingCode = await insertPackage({ ...input, priced, userId });
+  return getPackageDetails(trackingCode);
+}
+
+// Importacion masiva desde CSV (columnas sender, recipient, destination_address y
+// opcionalmente weight_kg, recipient_email, recipient_phone, length_cm, width_cm, height_cm,
+// declared_value, cod_amount, destination_postcode). Las filas sin peso o fuera de las zonas
+// se crean sin precio.
+// Las filas validas se crean en una sola transaccion; con dryRun solo se valida.
+async function importPackages({ csv, userId, dryRun = false }) {
+  const records = parseCsv(String(csv || ''));
+  if (records.length < 2) {
+    throw new Error('El CSV debe tener encabezado y al menos una fila.');
+  }
+
+  const header = records[0].map((column) => column.trim().toLowerCase());
+  const columns = {
+    sender: header.indexOf('sender'),
+    recipient: header.indexOf('recipient'),
+    destinationAddress: header.findIndex((column) => ['destination_address', 'destinationaddress'].includes(column)),
+  };
+  const optionalColumns = {
+    weightKg: header.indexOf('weight_kg'),
+    recipientEmail: header.indexOf('recipient_email'),
+    recipientPhone: header.indexOf('recipient_phone'),
+    lengthCm: header.indexOf('length_cm'),
+    widthCm: header.indexOf('width_cm'),
+    heightCm: header.indexOf('height_cm'),
+    declaredValue: header.indexOf('declared_value'),
+    codAmount: header.indexOf('cod_amount'),
+    destinationPostcode: header.indexOf('destination_postcode'),
+  };
+  const missing = Object.entries(columns).filter(([, index]) => index === -1).map(([name]) => name);
+  if (missing.length) {
+    throw new Error(`Faltan columnas en el CSV: ${missing.join(', ')}.`);
+  }
+
+  const dataRows = records.slice(1).filter((record) => record.some((value) => value.trim()));
+  if (dataRows.length > IMPORT_MAX_ROWS) {
+    throw new Error(`El CSV supera el maximo de ${IMPORT_MAX_ROWS} filas.`);
+  }
+
+  const tariffs = await loadTariffs();
+  const rows = dataRows.map((record, index) => {
+    const input = {
+      sender: record[columns.sender] || '',
+      recipient: record[columns.recipient] || '',
+      destinationAddress: record[columns.destinationAddress] || '',
+      recipientEmail: record[optionalColumns.recipientEmail] || null,
+      recipientPhone: record[optionalColumns.recipientPhone] || null,
+    };
+    const { errors: shipmentErrors, shipment } = parseShipment({
+      weightKg: record[optionalColumns.weightKg],
+      lengthCm: record[optionalColumns.lengthCm],
+      widthCm: record[optionalColumns.widthCm],
+      heightCm: record[optionalColumns.heightCm],
+      declaredValue: record[optionalColumns.declaredValue],
+      codAmount: record[optionalColumns.codAmount],
+      destinationPostcode: record[optionalColumns.destinationPostcode],
+    });
+    const errors = [...validatePackageInput(input), ...shipmentErrors];
+    if (!errors.length) input.priced = quoteShipmentIfPossible(tariffs, input.destinationAddress, shipment);
+    return { row: index + 1, input, errors };
+  });
+
+  const valid = rows.filter((row) => !row.errors.length);
+  if (!dryRun && valid.length) {
+    await transaction(async () => {
+      for (const row of valid) {
+        row.trackingCode = await insertPackage({ ...row.input, userId });
+      }
+    });
+  }
+
+  return {
+    dryRun,
+    total: rows.length,
+    valid: valid.length,
+    created: dryRun ? 0 : valid.length,
+    failed: rows.length - valid.length,
+    rows: rows.map((row) => ({
+      row: row.row,
+      ok: !row.errors.length,
+      tracking_code: row.trackingCode || null,
+      errors: row.errors,
+    })),
+  };
+}
+
 async function addMessage({ trackingCode, userId, message }) {
+  trackingCode = parseTrackingCode(trackingCode);
   if (!message || !message.trim()) {
     throw new Error('El mensaje es obligatorio.');
   }
@@ -44,25 +374,25 @@ async function addMessage({ trackingCode, userId, message }) {
   const pkg = await getPackageByTracking(trackingCode);
   if (!pkg) throw new Error('Paquete no encontrado.');
 
-  await run(
-    'INSERT INTO package_messages (package_id, user_id, message) VALUES (?, ?, ?)',
+  const inserted = await run(
+    'INSERT INTO package_messages (package_id, user_id, message) VALUES (?, ?, ?) RETURNING id',
     [pkg.id, userId, message.trim()]
   );
 
   const created = await get(
-    `SELECT m.id, m.message, m.created_at, u.id AS user_id, u.username
+    `SELECT m.id, m.message, m.created_at, u.id AS user_id, u.username, e.seq
      FROM package_messages m
      JOIN users u ON u.id = m.user_id
-     WHERE m.package_id = ?
-     ORDER BY m.id DESC
-     LIMIT 1`,
-    [pkg.id]
+     JOIN package_events e ON e.event_type = 'MESSAGE' AND e.source_id = m.id
+     WHERE m.id = ?`,
+    [inserted.id]
   );
 
   return { trackingCode, ...created };
 }
 
 async function addLocation({ trackingCode, userId, latitude, longitude, address, note }) {
+  trackingCode = parseTrackingCode(trackingCode);
   const pkg = await getPackageByTracking(trackingCode);
   if (!pkg) throw new Error('Paquete no encontrado.');
 
@@ -70,49 +400,130 @@ async function addLocation({ trackingCode, userId, latitude, longitude, address,
     throw new Error('latitude y longitude deben ser numéricos.');
   }
 
-  await run(
-    `INSERT INTO package_locations (package_id, user_id, latitude, longitude, address, note)
-     VALUES (?, ?, ?, ?, ?, ?)`,
-    [pkg.id, userId, latitude, longitude, address || null, note || null]
-  );
+  if (!TRACKABLE_STATUSES.includes(pkg.status)) {
+    throw conflict(`No se puede registrar ubicacion con el paquete en estado ${pkg.status}.`);
+  }
 
-  if (pkg.status === 'CREATED') {
-    await run(
-      `UPDATE packages
-       SET status = 'IN_TRANSIT', last_updated_by = ?, updated_at = CURRENT_TIMESTAMP
-       WHERE id = ?`,
-      [userId, pkg.id]
+  const inserted = await transaction(async () => {
+    const location = await run(
+      `INSERT INTO package_locations (package_id, user_id, latitude, longitude, address, note)
+       VALUES (?, ?, ?, ?, ?, ?)
+       RETURNING id`,
+      [pkg.id, userId, latitude, longitude, address || null, note || null]
     );
-  }
+
+    // Con pings simultaneos solo el primero hace PICKED_UP -> IN_TRANSIT; los demas
+    // encuentran el estado ya cambiado y solo registran la ubicacion.
+    if (pkg.status === 'PICKED_UP') {
+      await applyTransition(pkg, 'IN_TRANSIT', userId).catch((error) => {
+        if (error.status !== 409) throw error;
+      });
+    }
+    return location;
+  });
 
   const created = await get(
-    `SELECT l.id, l.latitude, l.longitude, l.address, l.note, l.created_at, u.id AS user_id, u.username
+    `SELECT l.id, l.latitude, l.longitude, l.address, l.note, l.created_at, u.id AS user_id, u.username, e.seq
      FROM package_locations l
      JOIN users u ON u.id = l.user_id
-     WHERE l.package_id = ?
-     ORDER BY l.id DESC
-     LIMIT 1`,
-    [pkg.id]
+     JOIN package_events e ON e.event_type = 'LOCATION' AND e.source_id = l.id
+     WHERE l.id = ?`,
+    [inserted.id]
   );
 
   return { trackingCode, ...created };
 }
 
-async function markReceived({ trackingCode, userId }) {
+// La recepcion exige prueba de entrega: firma PNG, foto opcional, nombre y
+// documento de quien recibe y el punto GPS de la entrega.
+async function markReceived({
+  trackingCode,
+  userId,
+  receivedByName,
+  receivedByDocument,
+  latitude,
+  longitude,
+  signature,
+  photo,
+}) {
+  trackingCode = parseTrackingCode(trackingCode);
+  const name = String(receivedByName || '').trim();
+  const document = String(receivedByDocument || '').trim();
+  if (!name || !document) {
+    throw new Error('receivedByName y receivedByDocument son obligatorios.');
+  }
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw new Error('latitude y longitude de la entrega deben ser numéricos.');
+  }
+  validateDeliveryFiles({ signature, photo });
+
   const pkg = await getPackageByTracking(trackingCode);
   if (!pkg) throw new Error('Paquete no encontrado.');
+  if (!canTransition(pkg.status, 'RECEIVED')) {
+    throw conflict(`Transicion no permitida: ${pkg.status} -> RECEIVED.`);
+  }
 
-  await run(
-    `UPDATE packages
-     SET status = 'RECEIVED', received_at = CURRENT_TIMESTAMP, last_updated_by = ?, updated_at = CURRENT_TIMESTAMP
-     WHERE id = ?`,
-    [userId, pkg.id]
-  );
+  const files = saveDeliveryFiles(pkg.tracking_code, { signature, photo });
+  try {
+    await transaction(async () => {
+      await applyTransition(pkg, 'RECEIVED', userId);
+      await run(
+        `INSERT INTO package_deliveries (
+          package_id, delivered_by, received_by_name, received_by_document,
+          latitude, longitude, signature_path, photo_path
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [pkg.id, userId, name, document, latitude, longitude, files.signaturePath, files.photoPath]
+      );
+    });
+  } catch (error) {
+    removeDeliveryFiles([files.signaturePath, files.photoPath]);
+    throw error;
+  }
 
   return getPackageDetails(trackingCode);
 }
 
+// El detalle completo (contacto del destinatario, prueba de entrega) solo lo ven el
+// remitente que creo el paquete, un admin o el courier asignado: el de una ruta con el
+// paquete o el que ya lo movio (cambio de estado o ubicacion).
+async function requirePackageAccess(trackingCode, user) {
+  const pkg = await getPackageByTracking(parseTrackingCode(trackingCode));
+  if (!pkg) throw httpError(404, 'Paquete no encontrado.');
+  if (user.role === 'admin' || pkg.created_by === user.id) return;
+
+  if (user.role === 'courier') {
+    const assigned = await get(
+      `SELECT 1 AS assigned FROM route_stops s JOIN routes r ON r.id = s.route_id
+       WHERE s.package_id = ? AND r.courier_id = ?
+       UNION ALL
+       SELECT 1 FROM package_status_history WHERE package_id = ? AND changed_by = ?
+       UNION ALL
+       SELECT 1 FROM package_locations WHERE package_id = ? AND user_id = ?
+       LIMIT 1`,
+      [pkg.id, user.id, pkg.id, user.id, pkg.id, user.id]
+    );
+    if (assigned) return;
+  }
+  throw httpError(403, 'No tienes acceso a este paquete.');
+}
+
+async function getDeliveryFile(trackingCode, kind) {
+  trackingCode = parseTrackingCode(trackingCode);
+  const delivery = await get(
+    `SELECT d.signature_path, d.photo_path
+     FROM package_deliveries d
+     JOIN packages p ON p.id = d.package_id
+     WHERE p.tracking_code = ?`,
+    [trackingCode]
+  );
+  if (!delivery) return null;
+
+  const relativePath = kind === 'signature' ? delivery.signature_path : delivery.photo_path;
+  return relativePath ? resolveDeliveryFile(relativePath) : null;
+}
+
 async function getPackageDetails(trackingCode) {
+  trackingCode = parseTrackingCode(trackingCode);
   const pkg = await get(
     `SELECT
       p.id,
@@ -120,10 +531,13 @@ async function getPackageDetails(trackingCode) {
       p.sender,
       p.recipient,
       p.destination_address,
+      p.recipient_email,
+      p.recipient_phone,
       p.status,
       p.received_at,
       p.created_at,
       p.updated_at,
+      p.event_seq AS last_seq,
       u.username AS created_by
      FROM packages p
      JOIN users u ON u.id = p.created_by
@@ -142,12 +556,33 @@ async function getPackageDetails(trackingCode) {
     [pkg.id]
   );
 
+  const receipts = await all(
+    `SELECT r.message_id, r.state, u.username
+     FROM package_message_receipts r
+     JOIN package_messages m ON m.id = r.message_id
+     JOIN users u ON u.id = r.user_id
+     WHERE m.package_id = ?
+     ORDER BY r.id ASC`,
+    [pkg.id]
+  );
+  for (const message of messages) {
+    const forMessage = receipts.filter((receipt) => receipt.message_id === message.id);
+    message.delivered_to = forMessage.filter((receipt) => receipt.state === 'delivered').map((receipt) => receipt.username);
+    message.seen_by = forMessage.filter((receipt) => receipt.state === 'seen').map((receipt) => receipt.username);
+  }
+
+  // seq del ultimo cambio de estado: lo llevan package:status/received/created.
+  const statusEvent = await get(
+    "SELECT MAX(seq) AS seq FROM package_events WHERE package_id = ? AND event_type = 'STATUS'",
+    [pkg.id]
+  );
+
   const locations = await all(
-    `SELECT l.id, l.latitude, l.longitude, l.address, l.note, l.created_at, u.id AS user_id, u.username
-     FROM package_locations l
+    `SELECT l.id, l.source, l.latitude, l.longitude, l.address, l.note, l.created_at, u.id AS user_id, u.username
+     FROM v_package_locations l
      JOIN users u ON u.id = l.user_id
      WHERE l.package_id = ?
-     ORDER BY l.id ASC`,
+     ORDER BY l.created_at ASC, l.id ASC`,
     [pkg.id]
   );
 
@@ -159,19 +594,307 @@ async function getPackageDetails(trackingCode) {
     [trackingCode]
   );
 
+  const assignedRoute = await get(
+    `SELECT r.id, r.route_date, r.status, c.username AS courier, s.stop_order
+     FROM route_stops s
+     JOIN routes r ON r.id = s.route_id
+     JOIN users c ON c.id = r.courier_id
+     WHERE s.package_id = ? AND s.released_at IS NULL
+     ORDER BY s.id DESC
+     LIMIT 1`,
+    [pkg.id]
+  );
+
+  const delivery = await get(
+    `SELECT d.received_by_name, d.received_by_document, d.latitude, d.longitude,
+            d.photo_path, d.created_at, u.username AS delivered_by
+     FROM package_deliveries d
+     JOIN users u ON u.id = d.delivered_by
+     WHERE d.package_id = ?`,
+    [pkg.id]
+  );
+
   return {
     ...pkg,
+    next_statuses: STATUS_TRANSITIONS[pkg.status] || [],
+    pricing: await getPackagePricing(pkg.id),
+    status_seq: statusEvent.seq,
     messages,
     locations,
     timeline,
+    route: await buildRouteSummary(pkg, locations),
+    assigned_route: assignedRoute,
+    delivery: delivery && {
+      received_by_name: delivery.received_by_name,
+      received_by_document: delivery.received_by_document,
+      latitude: delivery.latitude,
+      longitude: delivery.longitude,
+      delivered_by: delivery.delivered_by,
+      created_at: delivery.created_at,
+      signature_url: `/api/packages/${trackingCode}/delivery/signature`,
+      photo_url: delivery.photo_path ? `/api/packages/${trackingCode}/delivery/photo` : null,
+    },
+  };
+}
+
+// Geocodifica con la tabla local geo_places.
+async function geocodeAddress(address) {
+  const places = await all('SELECT name, latitude, longitude FROM geo_places');
+  return findPlaceInAddress(address, places);
+}
+
+async function buildRouteSummary(pkg, locations) {
+  const destination = await geocodeAddress(pkg.destination_address);
+  return summarizeRoute(locations, destination, { active: TRACKABLE_STATUSES.includes(pkg.status) });
+}
+
+async function getRouteSummary(trackingCode) {
+  trackingCode = parseTrackingCode(trackingCode);
+  const pkg = await getPackageByTracking(trackingCode);
+  if (!pkg) throw new Error('Paquete no encontrado.');
+
+  const locations = await all(
+    'SELECT latitude, longitude, created_at FROM v_package_locations WHERE package_id = ? ORDER BY created_at ASC, id ASC',
+    [pkg.id]
+  );
+  return { trackingCode, ...(await buildRouteSummary(pkg, locations)) };
+}
+
+// Acepta YYYY-MM-DD o YYYY-MM-DDTHH:MM[:SS]; una fecha sin hora cubre el dia completo.
+function normalizeDateFilter(value, name, endOfDay) {
+  if (!value) return null;
+
+  const match = String(value).trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(:\d{2})?)?/);
+  if (!match || Number.isNaN(Date.parse(match[1]))) {
+    throw new Error(`${name} debe tener formato YYYY-MM-DD.`);
+  }
+  if (match[2]) return `${match[1]} ${match[2]}${match[3] || ':00'}`;
+  return `${match[1]} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+}
+
+function buildPackageFilters(filters) {
+  const where = [];
+  const params = [];
+
+  if (filters.status) {
+    const statuses = String(filters.status)
+      .split(',')
+      .map((status) => status.trim().toUpperCase())
+      .filter(Boolean);
+    const invalid = statuses.find((status) => !PACKAGE_STATUSES.includes(status));
+    if (invalid) throw new Error(`Estado invalido: ${invalid}.`);
+    where.push(`p.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  if (filters.sender) {
+    where.push(dialect.equalsIgnoreCase('p.sender'));
+    params.push(String(filters.sender).trim());
+  }
+
+  if (filters.recipient) {
+    where.push(dialect.equalsIgnoreCase('p.recipient'));
+    params.push(String(filters.recipient).trim());
+  }
+
+  if (filters.createdBy) {
+    where.push('u.username = ?');
+    params.push(String(filters.createdBy).trim().toLowerCase());
+  }
+
+  [
+    ['createdFrom', 'p.created_at >= ?', false],
+    ['createdTo', 'p.created_at <= ?', true],
+    ['receivedFrom', 'p.received_at >= ?', false],
+    ['receivedTo', 'p.received_at <= ?', true],
+  ].forEach(([name, condition, endOfDay]) => {
+    const value = normalizeDateFilter(filters[name], name, endOfDay);
+    if (value) {
+      where.push(condition);
+      params.push(value);
+    }
+  });
+
+  if (filters.q) {
+    const term = String(filters.q).trim().replace(/[\\%_]/g, (char) => `\\${char}`);
+    where.push(dialect.containsIgnoreCase('p.destination_address'));
+    params.push(`%${term}%`);
+  }
+
+  return { where, params };
+}
+
+function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify([row[sort], row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(value) && value.length === 2 && Number.isInteger(value[1])) return value;
+  } catch (_error) {
+    // se reporta abajo como cursor invalido
+  }
+  throw new Error('Cursor de paginacion invalido.');
+}
+
+async function queryPackages(filters, { limit, cursor }) {
+  const sort = filters.sort || 'created_at';
+  const column = LIST_SORT_COLUMNS[sort];
+  if (!column) {
+    throw new Error(`sort invalido. Usa: ${Object.keys(LIST_SORT_COLUMNS).join(', ')}.`);
+  }
+
+  const order = String(filters.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    throw new Error('order debe ser asc o desc.');
+  }
+
+  const { where, params } = buildPackageFilters(filters);
+  if (cursor) {
+    const [value, id] = decodeCursor(cursor);
+    where.push(`(${column}, p.id) ${order === 'desc' ? '<' : '>'} (?, ?)`);
+    params.push(value, id);
+  }
+
+  const rows = await all(
+    `SELECT
+      p.id,
+      p.tracking_code,
+      p.sender,
+      p.recipient,
+      p.destination_address,
+      p.status,
+      u.username AS created_by,
+      p.received_at,
+      p.created_at,
+      p.updated_at
+     FROM packages p
+     JOIN users u ON u.id = p.created_by
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY ${column} ${order}, p.id ${order}
+     LIMIT ?`,
+    [...params, limit]
+  );
+
+  return { rows, sort };
+}
+
+// Listado para despacho con filtros, busqueda y paginacion por cursor (keyset).
+async function listPackages(filters = {}) {
+  const requested = Number(filters.limit || LIST_DEFAULT_LIMIT);
+  if (!Number.isInteger(requested) || requested < 1) {
+    throw new Error('limit debe ser un entero positivo.');
+  }
+  const limit = Math.min(requested, LIST_MAX_LIMIT);
+
+  const { rows, sort } = await queryPackages(filters, { limit: limit + 1, cursor: filters.cursor });
+  const items = rows.slice(0, limit);
+
+  return {
+    items,
+    next_cursor: rows.length > limit ? encodeCursor(items[items.length - 1], sort) : null,
+  };
+}
+
+async function exportPackages(filters = {}) {
+  const { rows } = await queryPackages(filters, { limit: EXPORT_MAX_ROWS });
+  return rows;
+}
+
+// Vistas publicas (sin login): no incluyen mensajes, usernames ni notas internas.
+function toPublicLocation(location) {
+  if (!location) return null;
+  return {
+    trackingCode: location.trackingCode,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    address: location.address,
+    created_at: location.created_at,
+    seq: location.seq,
+  };
+}
+
+function toPublicStatus(pkg) {
+  return {
+    tracking_code: pkg.tracking_code,
+    status: pkg.status,
+    received_at: pkg.received_at,
+    updated_at: pkg.updated_at,
+    seq: pkg.seq,
+  };
+}
+
+// Lo que viaja a los rooms de paquete: estado y transiciones, sin contacto del destinatario
+// ni datos de la entrega, que solo salen del detalle con control de acceso.
+function toRoomStatus(pkg) {
+  return { ...toPublicStatus(pkg), next_statuses: pkg.next_statuses };
+}
+
+async function getPublicTracking(trackingCode) {
+  trackingCode = parseTrackingCode(trackingCode);
+  const pkg = await get(
+    `SELECT id, tracking_code, status, received_at, created_at, updated_at
+     FROM packages
+     WHERE tracking_code = ?`,
+    [trackingCode]
+  );
+
+  if (!pkg) return null;
+
+  const timeline = await all(
+    `SELECT event_type, event_time, CASE WHEN event_type = 'STATUS' THEN detail END AS detail
+     FROM v_package_timeline
+     WHERE tracking_code = ? AND event_type <> 'MESSAGE'
+     ORDER BY event_time ASC`,
+    [trackingCode]
+  );
+
+  const lastLocation = await get(
+    `SELECT latitude, longitude, address, created_at
+     FROM v_package_locations
+     WHERE package_id = ?
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [pkg.id]
+  );
+
+  return {
+    tracking_code: pkg.tracking_code,
+    status: pkg.status,
+    received_at: pkg.received_at,
+    created_at: pkg.created_at,
+    updated_at: pkg.updated_at,
+    timeline,
+    last_location: toPublicLocation(lastLocation && { trackingCode, ...lastLocation }),
   };
 }
 
 module.exports = {
-  ensureUser,
+  PACKAGE_STATUSES,
+  STATUS_TRANSITIONS,
+  EXPORT_COLUMNS,
+  registerUser,
+  resetPassword,
+  authenticateUser,
+  ensureAdmin,
   createPackage,
+  importPackages,
   addMessage,
   addLocation,
+  changeStatus,
   markReceived,
+  getPackageByTracking,
+  canTransition,
+  applyTransition,
+  getDeliveryFile,
+  requirePackageAccess,
   getPackageDetails,
+  getRouteSummary,
+  listPackages,
+  exportPackages,
+  getPublicTracking,
+  toPublicLocation,
+  toPublicStatus,
+  toRoomStatus,
 };
@@ -0,0 +1,61 @@
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCsvValue(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Parser RFC 4180: comillas dobles, "" escapado y saltos de linea dentro de comillas.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let value = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) throw new Error('CSV invalido: comillas sin cerrar.');
+  if (value || record.length) {
+    record.push(value);
+    records.push(record);
+  }
+  return records;
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+const UPLOADS_DIR = process.env.COURIER_UPLOADS_DIR || path.join(__dirname, '..', 'data', 'uploads');
+
+const SIGNATURE_MAX_BYTES = 1024 * 1024;
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+
+const IMAGE_TYPES = {
+  png: { extension: 'png', mimeType: 'image/png' },
+  jpg: { extension: 'jpg', mimeType: 'image/jpeg' },
+};
+
+// Se valida por firma binaria y no por el mimetype declarado por el cliente.
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return IMAGE_TYPES.png;
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return IMAGE_TYPES.jpg;
+  }
+  return null;
+}
+
+function validateDeliveryFiles({ signature, photo }) {
+  if (!signature) {
+    throw new Error('La firma (PNG) es obligatoria.');
+  }
+  if (signature.length > SIGNATURE_MAX_BYTES) {
+    throw new Error('La firma supera el tamaño maximo de 1 MB.');
+  }
+  if (detectImageType(signature) !== IMAGE_TYPES.png) {
+    throw new Error('La firma debe ser una imagen PNG.');
+  }
+
+  if (!photo) return;
+  if (photo.length > PHOTO_MAX_BYTES) {
+    throw new Error('La foto supera el tamaño maximo de 5 MB.');
+  }
+  if (!detectImageType(photo)) {
+    throw new Error('La foto debe ser PNG o JPEG.');
+  }
+}
+
+// Devuelve rutas relativas a UPLOADS_DIR para guardarlas en la base.
+function saveDeliveryFiles(trackingCode, { signature, photo }) {
+  const relativeDir = path.join('deliveries', trackingCode);
+  fs.mkdirSync(path.join(UPLOADS_DIR, relativeDir), { recursive: true });
+
+  const signaturePath = path.join(relativeDir, 'signature.png');
+  fs.writeFileSync(path.join(UPLOADS_DIR, signaturePath), signature);
+
+  let photoPath = null;
+  if (photo) {
+    photoPath = path.join(relativeDir, `photo.${detectImageType(photo).extension}`);
+    fs.writeFileSync(path.join(UPLOADS_DIR, photoPath), photo);
+  }
+
+  return { signaturePath, photoPath };
+}
+
+function removeDeliveryFiles(paths) {
+  paths.filter(Boolean).forEach((relativePath) => {
+    fs.rmSync(path.join(UPLOADS_DIR, relativePath), { force: true });
+  });
+}
+
+function resolveDeliveryFile(relativePath) {
+  const absolute = path.resolve(UPLOADS_DIR, relativePath);
+  if (!absolute.startsWith(path.resolve(UPLOADS_DIR) + path.sep)) {
+    throw new Error('Ruta de archivo invalida.');
+  }
+  return absolute;
+}
+
+module.exports = {
+  SIGNATURE_MAX_BYTES,
+  PHOTO_MAX_BYTES,
+  validateDeliveryFiles,
+  saveDeliveryFiles,
+  removeDeliveryFiles,
+  resolveDeliveryFile,
+};
@@ -0,0 +1,121 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { Pool, types } = require('pg');
+
+const DATABASE_URL = process.env.COURIER_DATABASE_URL || 'postgres://postgres@127.0.0.1:5432/courier';
+const POOL_MAX = Number(process.env.COURIER_PG_POOL_MAX || 10);
+
+// COUNT y SUM devuelven bigint/numeric; se leen como numero igual que en SQLite.
+types.setTypeParser(types.builtins.INT8, Number);
+types.setTypeParser(types.builtins.NUMERIC, Number);
+
+let pool;
+// Cliente de la transaccion en curso: las consultas hechas dentro de work() lo usan
+// en lugar de tomar otra conexion del pool.
+const transactionClient = new AsyncLocalStorage();
+
+function connect() {
+  if (!pool) {
+    pool = new Pool({ connectionString: DATABASE_URL, max: POOL_MAX });
+  }
+  return pool;
+}
+
+function client() {
+  return transactionClient.getStore() || connect();
+}
+
+// Los servicios escriben los parametros con "?" como en SQLite.
+function toPositional(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => {
+    index += 1;
+    return `$${index}`;
+  });
+}
+
+function query(sql, params = []) {
+  return client().query(toPositional(sql), params);
+}
+
+// El id solo se conoce si el INSERT termina en "RETURNING id".
+async function run(sql, params = []) {
+  const result = await query(sql, params);
+  return { id: result.rows[0] ? result.rows[0].id : undefined, changes: result.rowCount };
+}
+
+async function get(sql, params = []) {
+  const result = await query(sql, params);
+  return result.rows[0] || null;
+}
+
+async function all(sql, params = []) {
+  const result = await query(sql, params);
+  return result.rows;
+}
+
+// Sin parametros pg usa el protocolo simple, que admite varias sentencias.
+async function exec(sql) {
+  await client().query(sql);
+}
+
+async function transaction(work) {
+  if (transactionClient.getStore()) return work();
+
+  const connection = await connect().connect();
+  try {
+    await connection.query('BEGIN');
+    const value = await transactionClient.run(connection, work);
+    await connection.query('COMMIT');
+    return value;
+  } catch (error) {
+    await connection.query('ROLLBACK');
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// En PostgreSQL el DDL es transaccional y las FK se validan dentro de la misma transaccion.
+function migrationTransaction(work) {
+  return transaction(work);
+}
+
+async function close() {
+  if (!pool) return;
+  const current = pool;
+  pool = null;
+  await current.end();
+}
+
+function describeTarget() {
+  const url = new URL(DATABASE_URL);
+  if (url.password) url.password = '***';
+  return url.toString();
+}
+
+const dialect = {
+  name: 'pg',
+  now: 'courier_now()',
+  nowMs: 'courier_now_ms()',
+  // Recibe un parametro como '+30 seconds'.
+  nowMsPlus: 'courier_now_ms(?)',
+  // Dos instancias que reclaman a la vez se reparten las filas en lugar de esperarse.
+  skipLocked: 'FOR UPDATE SKIP LOCKED',
+  equalsIgnoreCase: (column) => `LOWER(${column}) = LOWER(?)`,
+  containsIgnoreCase: (column) => `${column} ILIKE ? ESCAPE '\\'`,
+  tableExists: "SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?",
+  isUniqueViolation: (error, table, column) =>
+    error.code === '23505' && error.constraint === `${table}_${column}_key`,
+};
+
+module.exports = {
+  dialect,
+  target: describeTarget(),
+  run,
+  get,
+  all,
+  exec,
+  transaction,
+  migrationTransaction,
+  close,
+};
@@ -0,0 +1,160 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { createJobQueue } = require('../jobQueue');
+
+const DB_FILE = process.env.COURIER_DB_FILE || path.join(__dirname, '..', '..', 'data', 'courier.db');
+// Con varias instancias sobre el mismo archivo, un escritor espera el lock de otro
+// proceso hasta este tiempo antes de fallar con SQLITE_BUSY.
+const BUSY_TIMEOUT_MS = Number(process.env.COURIER_SQLITE_BUSY_TIMEOUT_MS || 5000);
+
+let db;
+
+function connect() {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+  db = new sqlite3.Database(DB_FILE);
+  db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  db.exec('PRAGMA foreign_keys = ON');
+  return db;
+}
+
+// Unico escritor por proceso: cada run, exec y transaccion espera su turno, asi una
+// escritura suelta no cae dentro de la transaccion abierta de otra solicitud.
+const writes = createJobQueue();
+// Marca las consultas hechas dentro de work(): una transaccion anidada reutiliza la externa.
+const openTransaction = new AsyncLocalStorage();
+let transactionOpen = false;
+
+function runNow(sql, params) {
+  return new Promise((resolve, reject) => {
+    connect().run(sql, params, function onRun(err) {
+      if (err) return reject(err);
+      return resolve({ id: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function run(sql, params = []) {
+  return writes.push(() => runNow(sql, params));
+}
+
+// La conexion es una sola: una lectura de otra solicitud hecha con una transaccion abierta
+// veria sus cambios sin confirmar, asi que espera su turno en la cola hasta el COMMIT. Sin
+// transaccion abierta (o desde dentro de ella) se lee directo.
+function read(job) {
+  return transactionOpen ? writes.push(job) : job();
+}
+
+function get(sql, params = []) {
+  return read(() => new Promise((resolve, reject) => {
+    connect().get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      return resolve(row || null);
+    });
+  }));
+}
+
+function all(sql, params = []) {
+  return read(() => new Promise((resolve, reject) => {
+    connect().all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      return resolve(rows);
+    });
+  }));
+}
+
+function execNow(sql) {
+  return new Promise((resolve, reject) => {
+    connect().exec(sql, (err) => {
+      if (err) return reject(err);
+      return resolve();
+    });
+  });
+}
+
+function exec(sql) {
+  return writes.push(() => execNow(sql));
+}
+
+// Espera a que terminen las escrituras encoladas antes de cerrar la conexion.
+function close() {
+  return writes.push(() => {
+    if (!db) return undefined;
+    const current = db;
+    db = null;
+    return new Promise((resolve, reject) => {
+      current.close((err) => (err ? reject(err) : resolve()));
+    });
+  });
+}
+
+// La transaccion ocupa un turno completo de la cola. BEGIN IMMEDIATE toma el lock de
+// escritura al empezar, asi otro proceso espera (busyTimeout) en lugar de chocar al COMMIT.
+function transaction(work) {
+  if (openTransaction.getStore()) return work();
+
+  return writes.push(async () => {
+    await execNow('BEGIN IMMEDIATE');
+    transactionOpen = true;
+    try {
+      const value = await openTransaction.run(true, work);
+      await execNow('COMMIT');
+      return value;
+    } catch (error) {
+      await execNow('ROLLBACK');
+      throw error;
+    } finally {
+      transactionOpen = false;
+    }
+  });
+}
+
+// Las reconstrucciones de tablas necesitan las FK apagadas (no se pueden cambiar
+// dentro de una transaccion), asi que se revisan con foreign_key_check antes del COMMIT.
+function migrationTransaction(work) {
+  return writes.push(async () => {
+    await execNow('PRAGMA foreign_keys = OFF');
+    try {
+      await transaction(async () => {
+        await work();
+        const violations = await all('PRAGMA foreign_key_check');
+        if (violations.length) {
+          throw new Error(`Quedan ${violations.length} referencias rotas en ${violations[0].table}.`);
+        }
+      });
+    } finally {
+      await execNow('PRAGMA foreign_keys = ON');
+    }
+  });
+}
+
+// Fragmentos SQL que cambian entre motores; los servicios los interpolan en sus consultas.
+const dialect = {
+  name: 'sqlite',
+  now: 'CURRENT_TIMESTAMP',
+  nowMs: "strftime('%Y-%m-%d %H:%M:%f', 'now')",
+  // Recibe un parametro como '+30 seconds'.
+  nowMsPlus: "strftime('%Y-%m-%d %H:%M:%f', 'now', ?)",
+  // Sin bloqueo por fila: la transaccion ya tiene el lock de escritura de toda la base.
+  skipLocked: '',
+  equalsIgnoreCase: (column) => `${column} = ? COLLATE NOCASE`,
+  containsIgnoreCase: (column) => `${column} LIKE ? ESCAPE '\\'`,
+  tableExists: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?",
+  isUniqueViolation: (error, table, column) =>
+    error.code === 'SQLITE_CONSTRAINT' && error.message.includes(`${table}.${column}`),
+};
+
+module.exports = {
+  dialect,
+  target: DB_FILE,
+  run,
+  get,
+  all,
+  exec,
+  transaction,
+  migrationTransaction,
+  close,
+};
@@ -0,0 +1,14 @@
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function conflict(message) {
+  return httpError(409, message);
+}
+
+module.exports = {
+  httpError,
+  conflict,
+};
@@ -0,0 +1,203 @@
+const { run, get, all, transaction } = require('./db');
+const { httpError } = require('./errors');
+const { parseTrackingCode } = require('./trackingCode');
+const { requirePackageAccess } = require('./courierService');
+
+const REPLAY_MAX_EVENTS = 500;
+const ACK_MAX_MESSAGES = 100;
+const RECEIPT_STATES = ['delivered', 'seen'];
+
+function parseLastSeq(value) {
+  const seq = Number(value);
+  if (!Number.isInteger(seq) || seq < 0) {
+    throw httpError(400, 'lastSeq debe ser un entero mayor o igual a 0.');
+  }
+  return seq;
+}
+
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+async function getPackageSeq(trackingCode) {
+  return get('SELECT id, tracking_code, event_seq FROM packages WHERE tracking_code = ?', [trackingCode]);
+}
+
+// Filas de origen de cada tipo de evento, en el mismo formato que se emite en vivo.
+const EVENT_SOURCES = {
+  MESSAGE: `SELECT m.id, m.message, m.created_at, u.id AS user_id, u.username
+            FROM package_messages m
+            JOIN users u ON u.id = m.user_id
+            WHERE m.id IN (%ids%)`,
+  LOCATION: `SELECT l.id, 'PACKAGE' AS source, l.latitude, l.longitude, l.address, l.note, l.created_at,
+                    u.id AS user_id, u.username
+             FROM package_locations l
+             JOIN users u ON u.id = l.user_id
+             WHERE l.id IN (%ids%)`,
+  ROUTE_LOCATION: `SELECT l.id, 'ROUTE' AS source, l.latitude, l.longitude, l.address, l.note, l.created_at,
+                          u.id AS user_id, u.username
+                   FROM route_locations l
+                   JOIN users u ON u.id = l.user_id
+                   WHERE l.id IN (%ids%)`,
+  STATUS: `SELECT h.id, h.old_status, h.new_status, h.changed_at, u.username AS changed_by
+           FROM package_status_history h
+           LEFT JOIN users u ON u.id = h.changed_by
+           WHERE h.id IN (%ids%)`,
+  RECEIPT: `SELECT r.id, r.message_id, r.state, r.created_at, u.username
+            FROM package_message_receipts r
+            JOIN users u ON u.id = r.user_id
+            WHERE r.id IN (%ids%)`,
+};
+
+async function loadSources(events) {
+  const sources = {};
+  for (const [type, sql] of Object.entries(EVENT_SOURCES)) {
+    const ids = events.filter((event) => event.event_type === type).map((event) => event.source_id);
+    if (!ids.length) continue;
+    const rows = await all(sql.replace('%ids%', placeholders(ids)), ids);
+    sources[type] = new Map(rows.map((row) => [row.id, row]));
+  }
+  return sources;
+}
+
+function toReceipt(trackingCode, row) {
+  return {
+    trackingCode,
+    messageId: row.message_id,
+    username: row.username,
+    state: row.state,
+    created_at: row.created_at,
+    seq: row.seq,
+  };
+}
+
+// Convierte un evento guardado en los eventos de Socket.IO que se emitieron en vivo.
+function toSocketEvents(trackingCode, event, source) {
+  const meta = { seq: event.seq, replayed: true };
+  switch (event.event_type) {
+    case 'MESSAGE':
+      return [['package:message', { trackingCode, ...source, ...meta }]];
+    case 'LOCATION':
+    case 'ROUTE_LOCATION':
+      return [['package:location', { trackingCode, ...source, ...meta }]];
+    case 'RECEIPT':
+      return [['package:message_receipt', { ...toReceipt(trackingCode, source), ...meta }]];
+    default: {
+      const data = {
+        tracking_code: trackingCode,
+        status: source.new_status,
+        old_status: source.old_status,
+        changed_at: source.changed_at,
+        changed_by: source.changed_by,
+        ...meta,
+      };
+      if (!source.old_status) return [['package:created', data]];
+      if (source.new_status === 'RECEIVED') return [['package:status', data], ['package:received', data]];
+      return [['package:status', data]];
+    }
+  }
+}
+
+// Eventos con seq mayor a lastSeq, en orden. Si hay mas de REPLAY_MAX_EVENTS se
+// devuelven los primeros y truncated indica que el cliente debe recargar el detalle.
+// Incluyen mensajes y notas internas: user necesita el mismo acceso que para el detalle.
+async function getEventsSince(trackingCode, lastSeq, user) {
+  trackingCode = parseTrackingCode(trackingCode);
+  const afterSeq = parseLastSeq(lastSeq);
+  await requirePackageAccess(trackingCode, user);
+  const pkg = await getPackageSeq(trackingCode);
+  if (!pkg) return null;
+
+  const rows = await all(
+    `SELECT seq, event_type, source_id
+     FROM package_events
+     WHERE package_id = ? AND seq > ?
+     ORDER BY seq ASC
+     LIMIT ?`,
+    [pkg.id, afterSeq, REPLAY_MAX_EVENTS + 1]
+  );
+  const truncated = rows.length > REPLAY_MAX_EVENTS;
+  const events = rows.slice(0, REPLAY_MAX_EVENTS);
+  const sources = await loadSources(events);
+
+  return {
+    trackingCode,
+    lastSeq: truncated ? events[events.length - 1].seq : Math.max(pkg.event_seq, afterSeq),
+    truncated,
+    events: events.flatMap((event) =>
+      toSocketEvents(trackingCode, event, sources[event.event_type].get(event.source_id))
+    ),
+  };
+}
+
+async function getLastSeq(trackingCode, user) {
+  trackingCode = parseTrackingCode(trackingCode);
+  await requirePackageAccess(trackingCode, user);
+  const pkg = await getPackageSeq(trackingCode);
+  return pkg ? pkg.event_seq : null;
+}
+
+function parseMessageIds(messageIds) {
+  const ids = Array.isArray(messageIds) ? messageIds.map(Number) : [];
+  if (!ids.length || ids.length > ACK_MAX_MESSAGES || !ids.every((id) => Number.isInteger(id) && id > 0)) {
+    throw httpError(400, `messageIds debe ser una lista de 1 a ${ACK_MAX_MESSAGES} ids de mensaje.`);
+  }
+  return [...new Set(ids)];
+}
+
+// Acuses del chat: "seen" implica "delivered". Los acuses repetidos o sobre mensajes
+// propios se ignoran; solo se devuelven (y se emiten) los nuevos.
+async function acknowledgeMessages({ trackingCode, messageIds, state, userId }) {
+  trackingCode = parseTrackingCode(trackingCode);
+  if (!RECEIPT_STATES.includes(state)) {
+    throw httpError(400, `state invalido. Usa: ${RECEIPT_STATES.join(', ')}.`);
+  }
+  const ids = parseMessageIds(messageIds);
+
+  const pkg = await getPackageSeq(trackingCode);
+  if (!pkg) throw httpError(404, 'Paquete no encontrado.');
+
+  const messages = await all(
+    `SELECT id, user_id FROM package_messages WHERE package_id = ? AND id IN (${placeholders(ids)})`,
+    [pkg.id, ...ids]
+  );
+  if (messages.length !== ids.length) {
+    throw httpError(404, 'Mensaje no encontrado en este paquete.');
+  }
+
+  const states = state === 'seen' ? ['delivered', 'seen'] : ['delivered'];
+  const created = await transaction(async () => {
+    const receiptIds = [];
+    for (const message of messages.filter((row) => row.user_id !== userId)) {
+      for (const receiptState of states) {
+        const result = await run(
+          `INSERT INTO package_message_receipts (message_id, user_id, state) VALUES (?, ?, ?)
+           ON CONFLICT (message_id, user_id, state) DO NOTHING
+           RETURNING id`,
+          [message.id, userId, receiptState]
+        );
+        if (result.changes === 1) receiptIds.push(result.id);
+      }
+    }
+    return receiptIds;
+  });
+
+  if (!created.length) return { trackingCode, receipts: [] };
+
+  const rows = await all(
+    `SELECT r.message_id, r.state, r.created_at, u.username, e.seq
+     FROM package_message_receipts r
+     JOIN users u ON u.id = r.user_id
+     JOIN package_events e ON e.event_type = 'RECEIPT' AND e.source_id = r.id
+     WHERE r.id IN (${placeholders(created)})
+     ORDER BY e.seq ASC`,
+    created
+  );
+  return { trackingCode, receipts: rows.map((row) => toReceipt(trackingCode, row)) };
+}
+
+module.exports = {
+  getEventsSince,
+  getLastSeq,
+  acknowledgeMessages,
+};
@@ -0,0 +1,100 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Radio alrededor del destino dentro del cual se considera que el courier llego.
+const GEOFENCE_RADIUS_KM = Number(process.env.COURIER_GEOFENCE_KM || 0.2);
+// Velocidad usada cuando aun no hay pings suficientes para medirla.
+const DEFAULT_SPEED_KMH = Number(process.env.COURIER_DEFAULT_SPEED_KMH || 20);
+// Por debajo de esta velocidad (trafico detenido) el promedio no es confiable.
+const MIN_SPEED_KMH = 3;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function haversineKm(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Ambos motores guardan las fechas en UTC con formato 'YYYY-MM-DD HH:MM:SS'.
+function parseDbTime(value) {
+  return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function normalizePlaceText(text) {
+  return ` ${String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()} `;
+}
+
+// Busca un lugar ({ name, ... }) en la direccion: se revisan los segmentos desde el
+// ultimo (normalmente el distrito) y gana el nombre mas largo.
+function findPlaceInAddress(address, places) {
+  const segments = String(address || '').split(',').reverse();
+
+  for (const segment of segments) {
+    const normalized = normalizePlaceText(segment);
+    const match = places
+      .filter((place) => normalized.includes(normalizePlaceText(place.name)))
+      .sort((a, b) => b.name.length - a.name.length)[0];
+    if (match) return match;
+  }
+  return null;
+}
+
+// Resume los pings (ordenados por id) frente al destino geocodificado.
+function summarizeRoute(locations, destination, { active = true } = {}) {
+  let distanceKm = 0;
+  for (let i = 1; i < locations.length; i += 1) {
+    distanceKm += haversineKm(locations[i - 1], locations[i]);
+  }
+
+  let averageSpeedKmh = null;
+  if (locations.length > 1) {
+    const elapsedHours = (parseDbTime(locations[locations.length - 1].created_at)
+      - parseDbTime(locations[0].created_at)) / 3600000;
+    if (elapsedHours > 0) averageSpeedKmh = distanceKm / elapsedHours;
+  }
+
+  const summary = {
+    distance_travelled_km: round(distanceKm, 3),
+    average_speed_kmh: averageSpeedKmh === null ? null : round(averageSpeedKmh, 1),
+    destination,
+    remaining_distance_km: null,
+    within_geofence: false,
+    eta: null,
+    eta_minutes: null,
+  };
+
+  const last = locations[locations.length - 1];
+  if (!destination || !last) return summary;
+
+  const remainingKm = haversineKm(last, destination);
+  summary.remaining_distance_km = round(remainingKm, 3);
+  summary.within_geofence = remainingKm <= GEOFENCE_RADIUS_KM;
+
+  if (!active) return summary;
+
+  const speed = averageSpeedKmh !== null && averageSpeedKmh >= MIN_SPEED_KMH ? averageSpeedKmh : DEFAULT_SPEED_KMH;
+  const minutes = summary.within_geofence ? 0 : (remainingKm / speed) * 60;
+  summary.eta_minutes = Math.ceil(minutes);
+  summary.eta = new Date(parseDbTime(last.created_at).getTime() + minutes * 60000).toISOString();
+  return summary;
+}
+
+module.exports = {
+  haversineKm,
+  findPlaceInAddress,
+  summarizeRoute,
+};
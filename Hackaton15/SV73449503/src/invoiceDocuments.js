@@ -0,0 +1,168 @@
+const PDFDocument = require('pdfkit');
+
+// Version imprimible de la factura de getMonthlyInvoice: HTML autocontenido y PDF.
+
+function formatMoney(amount, currency) {
+  return `${currency === 'PEN' ? 'S/' : currency} ${amount.toFixed(2)}`;
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function summaryLines(invoice) {
+  const { totals, currency } = invoice;
+  return [
+    ['Envios', formatMoney(totals.shipping, currency)],
+    ['Seguro', formatMoney(totals.insurance, currency)],
+    ['Comision contra entrega', formatMoney(totals.cod_fee, currency)],
+    ['Total a pagar', formatMoney(totals.total, currency)],
+  ];
+}
+
+function renderInvoiceHtml(invoice) {
+  const money = (amount) => escapeHtml(formatMoney(amount, invoice.currency));
+  const rows = invoice.items
+    .map((item) => `
+        <tr>
+          <td>${escapeHtml(item.created_at.slice(0, 10))}</td>
+          <td>${escapeHtml(item.tracking_code)}</td>
+          <td>${escapeHtml(item.recipient)}<br><small>${escapeHtml(item.destination_address)}</small></td>
+          <td>${escapeHtml(item.zone)}</td>
+          <td class="num">${item.chargeable_weight_kg.toFixed(1)}</td>
+          <td class="num">${money(item.shipping)}</td>
+          <td class="num">${money(item.insurance)}</td>
+          <td class="num">${money(item.cod_fee)}</td>
+          <td class="num">${money(item.total)}</td>
+        </tr>`)
+    .join('');
+  const summary = summaryLines(invoice)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td class="num">${escapeHtml(value)}</td></tr>`)
+    .join('');
+
+  return `<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>Factura ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #1d2733; margin: 32px; font-size: 13px; }
+    h1 { margin: 0 0 4px; font-size: 22px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { border-bottom: 1px solid #d5dbe3; padding: 6px 8px; text-align: left; vertical-align: top; }
+    .num { text-align: right; white-space: nowrap; }
+    .summary { width: 320px; margin-left: auto; }
+    .muted { color: #5b6775; }
+    @media print { body { margin: 0; } button { display: none; } }
+  </style>
+</head>
+<body>
+  <button onclick="window.print()">Imprimir o guardar como PDF</button>
+  <h1>Factura ${escapeHtml(invoice.number)}</h1>
+  <p class="muted">
+    Remitente: <strong>${escapeHtml(invoice.sender)}</strong><br>
+    Periodo: ${escapeHtml(invoice.period_start)} al ${escapeHtml(invoice.period_end)}${invoice.closed ? '' : ' (mes en curso)'}<br>
+    Emitida: ${escapeHtml(invoice.issued_at.slice(0, 10))}
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>Fecha</th><th>Tracking</th><th>Destinatario</th><th>Zona</th><th class="num">Kg</th>
+        <th class="num">Envio</th><th class="num">Seguro</th><th class="num">COD</th><th class="num">Total</th>
+      </tr>
+    </thead>
+    <tbody>${rows || '<tr><td colspan="9">Sin envios en el periodo.</td></tr>'}
+    </tbody>
+  </table>
+  <table class="summary">${summary}</table>
+  <p class="muted">Paquetes: ${invoice.totals.packages}. Cobros contra entrega del periodo: ${money(invoice.totals.cod_amount)}.</p>
+</body>
+</html>
+`;
+}
+
+// Anchos en puntos: suman el ancho util de A4 con margenes de 40.
+const PDF_COLUMNS = [
+  { label: 'Fecha', width: 62, value: (item) => item.created_at.slice(0, 10) },
+  { label: 'Tracking', width: 88, value: (item) => item.tracking_code },
+  { label: 'Destinatario', width: 110, value: (item) => item.recipient },
+  { label: 'Zona', width: 70, value: (item) => item.zone },
+  { label: 'Kg', width: 30, align: 'right', value: (item) => item.chargeable_weight_kg.toFixed(1) },
+  { label: 'Envio', width: 42, align: 'right', value: (item) => item.shipping.toFixed(2) },
+  { label: 'Seguro', width: 40, align: 'right', value: (item) => item.insurance.toFixed(2) },
+  { label: 'COD', width: 35, align: 'right', value: (item) => item.cod_fee.toFixed(2) },
+  { label: 'Total', width: 38, align: 'right', value: (item) => item.total.toFixed(2) },
+];
+
+function drawRow(doc, cells, y, font) {
+  let x = doc.page.margins.left;
+  doc.font(font).fontSize(8);
+  PDF_COLUMNS.forEach((column, index) => {
+    doc.text(String(cells[index]), x, y, { width: column.width - 4, align: column.align || 'left', lineBreak: false });
+    x += column.width;
+  });
+}
+
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Factura ${invoice.number}` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(`Factura ${invoice.number}`);
+    doc.font('Helvetica').fontSize(10)
+      .text(`Remitente: ${invoice.sender}`)
+      .text(`Periodo: ${invoice.period_start} al ${invoice.period_end}${invoice.closed ? '' : ' (mes en curso)'}`)
+      .text(`Emitida: ${invoice.issued_at.slice(0, 10)}  |  Moneda: ${invoice.currency}`);
+
+    const rowHeight = 14;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    let y = doc.y + 16;
+    drawRow(doc, PDF_COLUMNS.map((column) => column.label), y, 'Helvetica-Bold');
+    y += rowHeight;
+    invoice.items.forEach((item) => {
+      if (y + rowHeight > bottom) {
+        doc.addPage();
+        y = doc.page.margins.top;
+        drawRow(doc, PDF_COLUMNS.map((column) => column.label), y, 'Helvetica-Bold');
+        y += rowHeight;
+      }
+      drawRow(doc, PDF_COLUMNS.map((column) => column.value(item)), y, 'Helvetica');
+      y += rowHeight;
+    });
+    if (!invoice.items.length) {
+      doc.font('Helvetica').fontSize(9).text('Sin envios en el periodo.', doc.page.margins.left, y);
+      y += rowHeight;
+    }
+
+    if (y + rowHeight * 6 > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    y += rowHeight;
+    const labelX = doc.page.width - doc.page.margins.right - 260;
+    summaryLines(invoice).forEach(([label, value], index, lines) => {
+      doc.font(index === lines.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+      doc.text(label, labelX, y, { width: 160, lineBreak: false });
+      doc.text(value, labelX + 160, y, { width: 100, align: 'right', lineBreak: false });
+      y += rowHeight + 2;
+    });
+    doc.font('Helvetica').fontSize(9).text(
+      `Paquetes: ${invoice.totals.packages}. Cobros contra entrega del periodo: ${formatMoney(invoice.totals.cod_amount, invoice.currency)}.`,
+      doc.page.margins.left,
+      y + rowHeight
+    );
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderInvoiceHtml,
+  renderInvoicePdf,
+};
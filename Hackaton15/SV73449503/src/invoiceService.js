@@ -0,0 +1,96 @@
+const { dialect, get, all } = require('./db');
+const { httpError } = require('./errors');
+const { CURRENCY, fromCents } = require('./pricing');
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Limites del mes en el formato de las fechas guardadas (UTC 'YYYY-MM-DD HH:MM:SS').
+function monthRange(month) {
+  const match = MONTH_PATTERN.exec(String(month || ''));
+  if (!match) throw httpError(400, 'month debe tener formato YYYY-MM.');
+  const year = Number(match[1]);
+  const monthNumber = Number(match[2]);
+  const next = monthNumber === 12 ? [year + 1, 1] : [year, monthNumber + 1];
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  return {
+    year,
+    monthNumber,
+    from: `${year}-${pad(monthNumber)}-01 00:00:00`,
+    to: `${next[0]}-${pad(next[1])}-01 00:00:00`,
+    periodStart: `${year}-${pad(monthNumber)}-01`,
+    periodEnd: `${year}-${pad(monthNumber)}-${pad(lastDay)}`,
+    closed: Date.now() >= Date.UTC(next[0], next[1] - 1, 1),
+  };
+}
+
+function sumCents(rows, column) {
+  return rows.reduce((total, row) => total + row[column], 0);
+}
+
+// Factura mensual de un remitente: los paquetes que creo en el mes con el precio
+// congelado al crearlos. Los cancelados no se cobran. Un remitente solo ve sus facturas.
+async function getMonthlyInvoice({ username, month, user }) {
+  const range = monthRange(month);
+  const sender = await get(`SELECT id, username FROM users WHERE ${dialect.equalsIgnoreCase('username')}`, [
+    String(username || '').trim(),
+  ]);
+  if (!sender) throw httpError(404, 'Remitente no encontrado.');
+  if (user.role !== 'admin' && user.id !== sender.id) {
+    throw httpError(403, 'Solo puedes consultar tus propias facturas.');
+  }
+
+  const rows = await all(
+    `SELECT tracking_code, sender, recipient, destination_address, status, created_at,
+            tariff_zone, chargeable_weight_kg, declared_value_cents, cod_amount_cents,
+            shipping_cents, insurance_cents, cod_fee_cents, price_cents
+     FROM packages
+     WHERE created_by = ? AND created_at >= ? AND created_at < ?
+       AND price_cents IS NOT NULL AND status <> 'CANCELLED'
+     ORDER BY created_at ASC, id ASC`,
+    [sender.id, range.from, range.to]
+  );
+
+  return {
+    number: `FAC-${range.year}${pad(range.monthNumber)}-${String(sender.id).padStart(6, '0')}`,
+    sender: sender.username,
+    month: `${range.year}-${pad(range.monthNumber)}`,
+    period_start: range.periodStart,
+    period_end: range.periodEnd,
+    closed: range.closed,
+    currency: CURRENCY,
+    issued_at: new Date().toISOString(),
+    items: rows.map((row) => ({
+      tracking_code: row.tracking_code,
+      created_at: row.created_at,
+      sender: row.sender,
+      recipient: row.recipient,
+      destination_address: row.destination_address,
+      status: row.status,
+      zone: row.tariff_zone,
+      chargeable_weight_kg: row.chargeable_weight_kg,
+      declared_value: fromCents(row.declared_value_cents),
+      cod_amount: fromCents(row.cod_amount_cents),
+      shipping: fromCents(row.shipping_cents),
+      insurance: fromCents(row.insurance_cents),
+      cod_fee: fromCents(row.cod_fee_cents),
+      total: fromCents(row.price_cents),
+    })),
+    totals: {
+      packages: rows.length,
+      shipping: fromCents(sumCents(rows, 'shipping_cents')),
+      insurance: fromCents(sumCents(rows, 'insurance_cents')),
+      cod_fee: fromCents(sumCents(rows, 'cod_fee_cents')),
+      total: fromCents(sumCents(rows, 'price_cents')),
+      // Monto contra entrega que el courier cobra a los destinatarios por cuenta del remitente.
+      cod_amount: fromCents(sumCents(rows, 'cod_amount_cents')),
+    },
+  };
+}
+
+module.exports = {
+  getMonthlyInvoice,
+};
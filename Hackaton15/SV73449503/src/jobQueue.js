@@ -0,0 +1,38 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Cola FIFO que ejecuta un trabajo a la vez. Lo que un trabajo encola mientras corre
+// (un run dentro de una transaccion) se ejecuta directo para no esperarse a si mismo.
+function createJobQueue() {
+  const currentJob = new AsyncLocalStorage();
+  let tail = Promise.resolve();
+  let pending = 0;
+
+  function push(job) {
+    const running = currentJob.getStore();
+    if (running && !running.done) return job();
+
+    pending += 1;
+    const result = tail.then(async () => {
+      const context = { done: false };
+      try {
+        return await currentJob.run(context, job);
+      } finally {
+        context.done = true;
+        pending -= 1;
+      }
+    });
+    tail = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    push,
+    get size() {
+      return pending;
+    },
+  };
+}
+
+module.exports = {
+  createJobQueue,
+};
@@ -0,0 +1,227 @@
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+const { Jimp, ResizeStrategy, loadFont, measureText } = require('jimp');
+const fonts = require('jimp/fonts');
+
+// Etiqueta 4x6 pulgadas. El diseno se define una sola vez en puntos (1/72 de pulgada) y
+// lo dibujan el PDF y el PNG (a 203 dpi, la resolucion de las impresoras termicas).
+const LABEL_WIDTH = 4 * 72;
+const LABEL_HEIGHT = 6 * 72;
+const PNG_DPI = 203;
+const PNG_SCALE = PNG_DPI / 72;
+
+function formatDate(value) {
+  return String(value || '').slice(0, 10);
+}
+
+function labelLayout(label) {
+  const contact = [
+    label.destinationPostcode ? `CP ${label.destinationPostcode}` : null,
+    label.recipientPhone ? `Tel ${label.recipientPhone}` : null,
+  ].filter(Boolean).join('   ');
+
+  return [
+    { type: 'text', text: 'COURIER ONLINE', x: 14, y: 14, width: 150, size: 14, bold: true },
+    { type: 'text', text: label.zone || '', x: 154, y: 14, width: 120, size: 14, bold: true, align: 'right' },
+    { type: 'text', text: `Creado ${formatDate(label.createdAt)}`, x: 14, y: 33, width: 260, size: 8 },
+    { type: 'line', y: 48 },
+    { type: 'text', text: 'REMITENTE', x: 14, y: 54, width: 260, size: 7, bold: true },
+    { type: 'text', text: label.sender, x: 14, y: 64, width: 260, size: 10 },
+    { type: 'line', y: 82 },
+    { type: 'text', text: 'DESTINATARIO', x: 14, y: 88, width: 260, size: 7, bold: true },
+    { type: 'text', text: label.recipient, x: 14, y: 98, width: 260, size: 16, bold: true },
+    { type: 'text', text: label.destinationAddress, x: 14, y: 120, width: 260, size: 11, lines: 3 },
+    { type: 'text', text: contact, x: 14, y: 164, width: 260, size: 9 },
+    { type: 'line', y: 182 },
+    { type: 'barcode', text: label.trackingCode, x: 24, y: 192, width: 240, height: 78 },
+    { type: 'text', text: label.trackingCode, x: 14, y: 276, width: 260, size: 14, bold: true, align: 'center' },
+    { type: 'line', y: 298 },
+    { type: 'qrcode', text: label.trackingUrl, x: 14, y: 308, width: 110, height: 110 },
+    { type: 'text', text: 'PESO COBRABLE', x: 136, y: 310, width: 140, size: 7, bold: true },
+    {
+      type: 'text',
+      text: label.weightKg === null ? '-' : `${label.weightKg} kg`,
+      x: 136,
+      y: 320,
+      width: 140,
+      size: 14,
+      bold: true,
+    },
+    { type: 'text', text: 'COBRAR AL ENTREGAR', x: 136, y: 344, width: 140, size: 7, bold: true },
+    {
+      type: 'text',
+      text: label.codAmount ? `S/ ${label.codAmount.toFixed(2)}` : 'No',
+      x: 136,
+      y: 354,
+      width: 140,
+      size: 16,
+      bold: true,
+    },
+    { type: 'text', text: 'Sigue tu envio:', x: 136, y: 382, width: 140, size: 7, bold: true },
+    { type: 'text', text: label.trackingUrl, x: 136, y: 392, width: 140, size: 7, lines: 3 },
+  ];
+}
+
+// Code128 y QR salen de bwip-js como PNG de modulos enteros (scale) para que las barras
+// queden nitidas; cada formato los estira al tamano del diseno.
+function symbolOptions(element, scale) {
+  if (element.type === 'barcode') {
+    return { bcid: 'code128', text: element.text, scaleX: scale, scaleY: 1, height: 10 };
+  }
+  return { bcid: 'qrcode', text: element.text, scale, eclevel: 'M' };
+}
+
+function renderSymbol(element, scale) {
+  return bwipjs.toBuffer(symbolOptions(element, scale));
+}
+
+function drawPdfLabel(doc, layout, symbols) {
+  layout.forEach((element, index) => {
+    if (element.type === 'line') {
+      doc.moveTo(10, element.y).lineTo(LABEL_WIDTH - 10, element.y).lineWidth(1).stroke('#000000');
+      return;
+    }
+    if (element.type === 'text') {
+      const lines = element.lines || 1;
+      doc
+        .font(element.bold ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(element.size)
+        .fillColor('#000000')
+        .text(element.text, element.x, element.y, {
+          width: element.width,
+          height: element.size * 1.2 * lines,
+          align: element.align || 'left',
+          ellipsis: true,
+        });
+      return;
+    }
+    doc.image(symbols[index], element.x, element.y, { width: element.width, height: element.height });
+  });
+}
+
+// Una pagina por etiqueta, en el orden recibido.
+async function renderLabelsPdf(labels) {
+  const pages = await Promise.all(
+    labels.map(async (label) => {
+      const layout = labelLayout(label);
+      const symbols = await Promise.all(
+        layout.map((element) => (['barcode', 'qrcode'].includes(element.type) ? renderSymbol(element, 4) : null))
+      );
+      return { layout, symbols };
+    })
+  );
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: [LABEL_WIDTH, LABEL_HEIGHT],
+      margin: 0,
+      autoFirstPage: false,
+      info: { Title: labels.length === 1 ? `Etiqueta ${labels[0].trackingCode}` : `Etiquetas (${labels.length})` },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    pages.forEach(({ layout, symbols }) => {
+      doc.addPage();
+      drawPdfLabel(doc, layout, symbols);
+    });
+    doc.end();
+  });
+}
+
+// Las fuentes bitmap de jimp vienen en tamanos fijos y sin acentos ni negrita.
+const PNG_FONTS = [
+  { size: 16, file: fonts.SANS_16_BLACK },
+  { size: 32, file: fonts.SANS_32_BLACK },
+  { size: 64, file: fonts.SANS_64_BLACK },
+];
+const loadedFonts = new Map();
+
+async function pngFont(pointSize) {
+  const pixels = pointSize * PNG_SCALE;
+  const choice = PNG_FONTS.reduce((best, item) =>
+    Math.abs(item.size - pixels) < Math.abs(best.size - pixels) ? item : best
+  );
+  if (!loadedFonts.has(choice.size)) loadedFonts.set(choice.size, loadFont(choice.file));
+  return { font: await loadedFonts.get(choice.size), size: choice.size };
+}
+
+function toAscii(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+}
+
+// Parte el texto en lineas que entran en maxWidth; la ultima se recorta con "...".
+function wrapText(font, text, maxWidth, maxLines) {
+  const lines = [];
+  let current = '';
+  toAscii(text).split(/\s+/).filter(Boolean).forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && measureText(font, candidate) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current) lines.push(current);
+  if (lines.length <= maxLines && lines.every((line) => measureText(font, line) <= maxWidth)) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  let last = kept[kept.length - 1];
+  while (last && measureText(font, `${last}...`) > maxWidth) last = last.slice(0, -1);
+  kept[kept.length - 1] = `${last}...`;
+  return kept;
+}
+
+function solidBlock(width, height) {
+  return new Jimp({ width, height, color: 0x000000ff });
+}
+
+async function renderPngSymbol(element, width, height) {
+  // Primero a escala 1 para conocer el ancho en modulos.
+  const probe = await Jimp.read(await renderSymbol(element, 1));
+  const scale = Math.max(1, Math.floor(width / probe.bitmap.width));
+  const symbol = await Jimp.read(await renderSymbol(element, scale));
+  if (element.type === 'barcode') {
+    symbol.resize({ w: symbol.bitmap.width, h: height, mode: ResizeStrategy.NEAREST_NEIGHBOR });
+  }
+  return symbol;
+}
+
+async function renderLabelPng(label) {
+  const px = (points) => Math.round(points * PNG_SCALE);
+  const image = new Jimp({ width: px(LABEL_WIDTH), height: px(LABEL_HEIGHT), color: 0xffffffff });
+
+  for (const element of labelLayout(label)) {
+    if (element.type === 'line') {
+      image.composite(solidBlock(px(LABEL_WIDTH - 20), 3), px(10), px(element.y));
+    } else if (element.type === 'text') {
+      const { font, size } = await pngFont(element.size);
+      const width = px(element.width);
+      const lines = wrapText(font, element.text, width, element.lines || 1);
+      lines.forEach((line, index) => {
+        const lineWidth = measureText(font, line);
+        let x = px(element.x);
+        if (element.align === 'right') x += width - lineWidth;
+        if (element.align === 'center') x += Math.floor((width - lineWidth) / 2);
+        image.print({ font, x, y: px(element.y) + index * Math.round(size * 1.15), text: line });
+      });
+    } else {
+      const width = px(element.width);
+      const symbol = await renderPngSymbol(element, width, px(element.height));
+      const x = px(element.x) + Math.floor((width - symbol.bitmap.width) / 2);
+      image.composite(symbol, x, px(element.y));
+    }
+  }
+  return image.getBuffer('image/png');
+}
+
+module.exports = {
+  renderLabelsPdf,
+  renderLabelPng,
+};
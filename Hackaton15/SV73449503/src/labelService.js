@@ -0,0 +1,75 @@
+const { get, all } = require('./db');
+const { httpError } = require('./errors');
+const { fromCents } = require('./pricing');
+const { parseTrackingCode } = require('./trackingCode');
+
+const PUBLIC_URL = process.env.COURIER_PUBLIC_URL || 'http://127.0.0.1:3000';
+const MAX_BATCH_LABELS = 200;
+
+const LABEL_COLUMNS = `
+  p.tracking_code, p.sender, p.recipient, p.destination_address, p.recipient_phone,
+  p.destination_postcode, p.tariff_zone, p.chargeable_weight_kg, p.cod_amount_cents,
+  p.created_by, p.created_at`;
+
+function toLabel(row) {
+  return {
+    trackingCode: row.tracking_code,
+    sender: row.sender,
+    recipient: row.recipient,
+    destinationAddress: row.destination_address,
+    recipientPhone: row.recipient_phone,
+    destinationPostcode: row.destination_postcode,
+    zone: row.tariff_zone,
+    weightKg: row.chargeable_weight_kg,
+    codAmount: row.cod_amount_cents ? fromCents(row.cod_amount_cents) : null,
+    createdAt: row.created_at,
+    trackingUrl: `${PUBLIC_URL}/track.html?code=${encodeURIComponent(row.tracking_code)}`,
+  };
+}
+
+// Un remitente solo imprime etiquetas de los paquetes que creo; courier y admin, de cualquiera.
+function checkOwnership(rows, user) {
+  if (user.role !== 'sender') return;
+  const foreign = rows.filter((row) => row.created_by !== user.id);
+  if (foreign.length) {
+    throw httpError(403, `Solo puedes imprimir etiquetas de tus paquetes: ${foreign.map((row) => row.tracking_code).join(', ')}.`);
+  }
+}
+
+async function getLabel(trackingCode, user) {
+  const row = await get(`SELECT ${LABEL_COLUMNS} FROM packages p WHERE p.tracking_code = ?`, [
+    parseTrackingCode(trackingCode),
+  ]);
+  if (!row) return null;
+  checkOwnership([row], user);
+  return toLabel(row);
+}
+
+// Devuelve las etiquetas en el orden pedido (sin repetidos); si falta algun paquete
+// no se imprime nada.
+async function getLabels(trackingCodes, user) {
+  if (!Array.isArray(trackingCodes) || !trackingCodes.length) {
+    throw new Error('trackingCodes debe ser una lista con al menos un codigo.');
+  }
+  const codes = [...new Set(trackingCodes.map((code) => parseTrackingCode(code)))];
+  if (codes.length > MAX_BATCH_LABELS) {
+    throw new Error(`Se pueden imprimir hasta ${MAX_BATCH_LABELS} etiquetas por lote.`);
+  }
+
+  const rows = await all(
+    `SELECT ${LABEL_COLUMNS} FROM packages p WHERE p.tracking_code IN (${codes.map(() => '?').join(', ')})`,
+    codes
+  );
+  const byCode = new Map(rows.map((row) => [row.tracking_code, row]));
+  const missing = codes.filter((code) => !byCode.has(code));
+  if (missing.length) {
+    throw httpError(404, `Paquetes no encontrados: ${missing.join(', ')}.`);
+  }
+  checkOwnership(rows, user);
+  return codes.map((code) => toLabel(byCode.get(code)));
+}
+
+module.exports = {
+  getLabel,
+  getLabels,
+};
@@ -0,0 +1,9 @@
+DROP VIEW v_package_timeline;
+DROP TRIGGER trg_packages_status_history ON packages;
+DROP FUNCTION trg_packages_status_history();
+DROP TABLE package_status_history;
+DROP TABLE package_locations;
+DROP TABLE package_messages;
+DROP TABLE packages;
+DROP TABLE users;
+DROP FUNCTION courier_now();
@@ -0,0 +1,114 @@
+-- Las fechas se guardan como texto UTC 'YYYY-MM-DD HH:MM:SS', igual que CURRENT_TIMESTAMP
+-- en SQLite: el servicio las compara, ordena y pagina como texto en ambos motores.
+CREATE FUNCTION courier_now() RETURNS TEXT AS $$
+  SELECT to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')
+$$ LANGUAGE SQL STABLE;
+
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL DEFAULT (courier_now())
+);
+
+CREATE TABLE packages (
+  id SERIAL PRIMARY KEY,
+  tracking_code TEXT NOT NULL UNIQUE,
+  sender TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  destination_address TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'CREATED' CONSTRAINT packages_status_check CHECK (status IN ('CREATED', 'IN_TRANSIT', 'RECEIVED')),
+  created_by INTEGER NOT NULL,
+  last_updated_by INTEGER,
+  received_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (courier_now()),
+  updated_at TEXT NOT NULL DEFAULT (courier_now()),
+  FOREIGN KEY (created_by) REFERENCES users(id),
+  FOREIGN KEY (last_updated_by) REFERENCES users(id)
+);
+
+CREATE TABLE package_messages (
+  id SERIAL PRIMARY KEY,
+  package_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  message TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (courier_now()),
+  FOREIGN KEY (package_id) REFERENCES packages(id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE TABLE package_locations (
+  id SERIAL PRIMARY KEY,
+  package_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  address TEXT,
+  note TEXT,
+  created_at TEXT NOT NULL DEFAULT (courier_now()),
+  FOREIGN KEY (package_id) REFERENCES packages(id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE TABLE package_status_history (
+  id SERIAL PRIMARY KEY,
+  package_id INTEGER NOT NULL,
+  old_status TEXT,
+  new_status TEXT NOT NULL,
+  changed_by INTEGER,
+  changed_at TEXT NOT NULL DEFAULT (courier_now()),
+  FOREIGN KEY (package_id) REFERENCES packages(id),
+  FOREIGN KEY (changed_by) REFERENCES users(id)
+);
+
+CREATE INDEX idx_packages_tracking_code ON packages(tracking_code);
+CREATE INDEX idx_messages_package_id ON package_messages(package_id);
+CREATE INDEX idx_locations_package_id ON package_locations(package_id);
+CREATE INDEX idx_status_history_package_id ON package_status_history(package_id);
+
+CREATE OR REPLACE FUNCTION trg_packages_status_history() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, OLD.status, NEW.status, NEW.last_updated_by);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_packages_status_history
+AFTER UPDATE OF status ON packages
+FOR EACH ROW
+WHEN (OLD.status <> NEW.status)
+EXECUTE FUNCTION trg_packages_status_history();
+
+CREATE VIEW v_package_timeline AS
+SELECT
+  p.tracking_code AS tracking_code,
+  'MESSAGE' AS event_type,
+  m.created_at AS event_time,
+  u.username AS actor,
+  m.message AS detail
+FROM package_messages m
+JOIN packages p ON p.id = m.package_id
+JOIN users u ON u.id = m.user_id
+UNION ALL
+SELECT
+  p.tracking_code AS tracking_code,
+  'LOCATION' AS event_type,
+  l.created_at AS event_time,
+  u.username AS actor,
+  format(
+    'lat=%s, lng=%s, address=%s, note=%s',
+    round(l.latitude::numeric, 6), round(l.longitude::numeric, 6), COALESCE(l.address, ''), COALESCE(l.note, '')
+  ) AS detail
+FROM package_locations l
+JOIN packages p ON p.id = l.package_id
+JOIN users u ON u.id = l.user_id
+UNION ALL
+SELECT
+  p.tracking_code AS tracking_code,
+  'STATUS' AS event_type,
+  h.changed_at AS event_time,
+  COALESCE(u.username, 'system') AS actor,
+  format('%s -> %s', COALESCE(h.old_status, 'NONE'), h.new_status) AS detail
+FROM package_status_history h
+JOIN packages p ON p.id = h.package_id
+LEFT JOIN users u ON u.id = h.changed_by;
@@ -0,0 +1,16 @@
+-- Los estados nuevos no existen en el CHECK anterior: los intermedios vuelven a
+-- IN_TRANSIT y los finales sin entrega a CREATED. El historial conserva el detalle,
+-- por eso el trigger de historial no se dispara con esta correccion.
+DROP TRIGGER trg_packages_status_history_insert ON packages;
+DROP FUNCTION trg_packages_status_history_insert();
+
+ALTER TABLE packages DROP CONSTRAINT packages_status_check;
+ALTER TABLE packages DISABLE TRIGGER trg_packages_status_history;
+UPDATE packages
+SET status = CASE
+  WHEN status IN ('RETURNED_TO_SENDER', 'CANCELLED') THEN 'CREATED'
+  ELSE 'IN_TRANSIT'
+END
+WHERE status NOT IN ('CREATED', 'IN_TRANSIT', 'RECEIVED');
+ALTER TABLE packages ENABLE TRIGGER trg_packages_status_history;
+ALTER TABLE packages ADD CONSTRAINT packages_status_check CHECK (status IN ('CREATED', 'IN_TRANSIT', 'RECEIVED'));
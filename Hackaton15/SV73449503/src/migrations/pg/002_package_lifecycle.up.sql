@@ -0,0 +1,18 @@
+ALTER TABLE packages DROP CONSTRAINT packages_status_check;
+ALTER TABLE packages ADD CONSTRAINT packages_status_check CHECK (status IN (
+    'CREATED', 'PICKED_UP', 'IN_TRANSIT', 'AT_HUB', 'OUT_FOR_DELIVERY',
+    'DELIVERY_FAILED', 'RECEIVED', 'RETURNED_TO_SENDER', 'CANCELLED'
+  ));
+
+CREATE OR REPLACE FUNCTION trg_packages_status_history_insert() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, NULL, NEW.status, NEW.created_by);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_packages_status_history_insert
+AFTER INSERT ON packages
+FOR EACH ROW
+EXECUTE FUNCTION trg_packages_status_history_insert();
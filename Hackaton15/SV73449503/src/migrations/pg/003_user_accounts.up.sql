@@ -0,0 +1,5 @@
+-- Los usuarios anteriores quedan como 'sender' sin password hasta que alguien
+-- registre ese username.
+ALTER TABLE users ADD COLUMN password_hash TEXT;
+ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'sender'
+  CHECK (role IN ('sender', 'courier', 'recipient', 'admin'));
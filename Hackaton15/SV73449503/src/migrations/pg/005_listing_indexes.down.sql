@@ -0,0 +1,7 @@
+DROP INDEX idx_packages_created_by;
+DROP INDEX idx_packages_recipient;
+DROP INDEX idx_packages_sender;
+DROP INDEX idx_packages_received_at;
+DROP INDEX idx_packages_status_created_at;
+DROP INDEX idx_packages_updated_at;
+DROP INDEX idx_packages_created_at;
@@ -0,0 +1,37 @@
+CREATE TABLE geo_places (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_geo_places_name ON geo_places (LOWER(name));
+
+-- Tabla local de geocodificacion (distritos de Lima Metropolitana y Callao).
+INSERT INTO geo_places (name, latitude, longitude) VALUES
+  ('Cercado de Lima', -12.0464, -77.0428),
+  ('Lima', -12.0464, -77.0428),
+  ('Miraflores', -12.1211, -77.0297),
+  ('San Isidro', -12.0977, -77.0365),
+  ('Lince', -12.0836, -77.0364),
+  ('Jesus Maria', -12.0760, -77.0480),
+  ('Pueblo Libre', -12.0747, -77.0636),
+  ('San Miguel', -12.0772, -77.0850),
+  ('Magdalena del Mar', -12.0910, -77.0710),
+  ('Barranco', -12.1436, -77.0200),
+  ('Santiago de Surco', -12.1360, -76.9940),
+  ('Surco', -12.1360, -76.9940),
+  ('La Molina', -12.0790, -76.9420),
+  ('San Borja', -12.1017, -77.0010),
+  ('Surquillo', -12.1120, -77.0190),
+  ('Los Olivos', -11.9920, -77.0700),
+  ('San Martin de Porres', -12.0100, -77.0830),
+  ('Comas', -11.9360, -77.0580),
+  ('Independencia', -11.9900, -77.0500),
+  ('Breña', -12.0590, -77.0500),
+  ('La Victoria', -12.0730, -77.0160),
+  ('Ate', -12.0260, -76.9200),
+  ('Chorrillos', -12.1720, -77.0150),
+  ('San Juan de Lurigancho', -11.9770, -77.0050),
+  ('Rimac', -12.0290, -77.0300),
+  ('Callao', -12.0566, -77.1181);
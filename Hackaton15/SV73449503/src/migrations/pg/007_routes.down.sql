@@ -0,0 +1,42 @@
+DROP VIEW v_package_timeline;
+
+CREATE VIEW v_package_timeline AS
+SELECT
+  p.tracking_code AS tracking_code,
+  'MESSAGE' AS event_type,
+  m.created_at AS event_time,
+  u.username AS actor,
+  m.message AS detail
+FROM package_messages m
+JOIN packages p ON p.id = m.package_id
+JOIN users u ON u.id = m.user_id
+UNION ALL
+SELECT
+  p.tracking_code AS tracking_code,
+  'LOCATION' AS event_type,
+  l.created_at AS event_time,
+  u.username AS actor,
+  format(
+    'lat=%s, lng=%s, address=%s, note=%s',
+    round(l.latitude::numeric, 6), round(l.longitude::numeric, 6), COALESCE(l.address, ''), COALESCE(l.note, '')
+  ) AS detail
+FROM package_locations l
+JOIN packages p ON p.id = l.package_id
+JOIN users u ON u.id = l.user_id
+UNION ALL
+SELECT
+  p.tracking_code AS tracking_code,
+  'STATUS' AS event_type,
+  h.changed_at AS event_time,
+  COALESCE(u.username, 'system') AS actor,
+  format('%s -> %s', COALESCE(h.old_status, 'NONE'), h.new_status) AS detail
+FROM package_status_history h
+JOIN packages p ON p.id = h.package_id
+LEFT JOIN users u ON u.id = h.changed_by;
+
+DROP VIEW v_package_locations;
+DROP TRIGGER trg_route_stops_release ON packages;
+DROP FUNCTION trg_route_stops_release();
+DROP TABLE route_locations;
+DROP TABLE route_stops;
+DROP TABLE routes;
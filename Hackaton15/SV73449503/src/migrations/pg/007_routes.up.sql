@@ -0,0 +1,115 @@
+-- Hoja de ruta (manifiesto): un recorrido de un courier en una fecha.
+CREATE TABLE routes (
+  id SERIAL PRIMARY KEY,
+  courier_id INTEGER NOT NULL,
+  route_date TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PLANNED' CHECK (status IN ('PLANNED', 'DISPATCHED')),
+  created_by INTEGER NOT NULL,
+  dispatched_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (courier_now()),
+  updated_at TEXT NOT NULL DEFAULT (courier_now()),
+  FOREIGN KEY (courier_id) REFERENCES users(id),
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- released_at marca cuando el paquete sale de reparto; last_location_id es el ultimo
+-- ping de la ruta que le corresponde.
+CREATE TABLE route_stops (
+  id SERIAL PRIMARY KEY,
+  route_id INTEGER NOT NULL,
+  package_id INTEGER NOT NULL,
+  stop_order INTEGER NOT NULL,
+  added_at TEXT NOT NULL DEFAULT (courier_now()),
+  released_at TEXT,
+  last_location_id INTEGER,
+  UNIQUE (route_id, package_id),
+  UNIQUE (route_id, stop_order),
+  FOREIGN KEY (route_id) REFERENCES routes(id),
+  FOREIGN KEY (package_id) REFERENCES packages(id)
+);
+
+-- Un solo feed de ubicaciones por ruta; se reparte a los paquetes con v_package_locations.
+CREATE TABLE route_locations (
+  id SERIAL PRIMARY KEY,
+  route_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  address TEXT,
+  note TEXT,
+  created_at TEXT NOT NULL DEFAULT (courier_now()),
+  FOREIGN KEY (route_id) REFERENCES routes(id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX idx_routes_date_courier ON routes(route_date, courier_id);
+CREATE INDEX idx_route_stops_package_id ON route_stops(package_id);
+CREATE INDEX idx_route_locations_route_id ON route_locations(route_id, created_at);
+
+CREATE FUNCTION trg_route_stops_release() RETURNS trigger AS $$
+BEGIN
+  UPDATE route_stops
+  SET released_at = courier_now(),
+      last_location_id = (SELECT MAX(id) FROM route_locations WHERE route_id = route_stops.route_id)
+  WHERE package_id = NEW.id AND released_at IS NULL;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_route_stops_release
+AFTER UPDATE OF status ON packages
+FOR EACH ROW
+WHEN (OLD.status = 'OUT_FOR_DELIVERY' AND NEW.status <> 'OUT_FOR_DELIVERY')
+EXECUTE FUNCTION trg_route_stops_release();
+
+-- Ubicaciones propias del paquete mas las de la ruta hasta que el paquete sale de ella.
+-- Las rutas solo reciben pings despachadas, cuando sus paradas ya no cambian.
+CREATE VIEW v_package_locations AS
+SELECT
+  l.id, 'PACKAGE' AS source, l.package_id, l.user_id,
+  l.latitude, l.longitude, l.address, l.note, l.created_at
+FROM package_locations l
+UNION ALL
+SELECT
+  rl.id, 'ROUTE' AS source, s.package_id, rl.user_id,
+  rl.latitude, rl.longitude, rl.address, rl.note, rl.created_at
+FROM route_locations rl
+JOIN route_stops s ON s.route_id = rl.route_id
+WHERE s.released_at IS NULL OR rl.id <= COALESCE(s.last_location_id, 0);
+
+-- El timeline pasa a leer las ubicaciones de ruta a traves de v_package_locations.
+DROP VIEW v_package_timeline;
+
+CREATE VIEW v_package_timeline AS
+SELECT
+  p.tracking_code AS tracking_code,
+  'MESSAGE' AS event_type,
+  m.created_at AS event_time,
+  u.username AS actor,
+  m.message AS detail
+FROM package_messages m
+JOIN packages p ON p.id = m.package_id
+JOIN users u ON u.id = m.user_id
+UNION ALL
+SELECT
+  p.tracking_code AS tracking_code,
+  'LOCATION' AS event_type,
+  l.created_at AS event_time,
+  u.username AS actor,
+  format(
+    'lat=%s, lng=%s, address=%s, note=%s',
+    round(l.latitude::numeric, 6), round(l.longitude::numeric, 6), COALESCE(l.address, ''), COALESCE(l.note, '')
+  ) AS detail
+FROM v_package_locations l
+JOIN packages p ON p.id = l.package_id
+JOIN users u ON u.id = l.user_id
+UNION ALL
+SELECT
+  p.tracking_code AS tracking_code,
+  'STATUS' AS event_type,
+  h.changed_at AS event_time,
+  COALESCE(u.username, 'system') AS actor,
+  format('%s -> %s', COALESCE(h.old_status, 'NONE'), h.new_status) AS detail
+FROM package_status_history h
+JOIN packages p ON p.id = h.package_id
+LEFT JOIN users u ON u.id = h.changed_by;
@@ -0,0 +1,25 @@
+DROP VIEW v_notification_dead_letter;
+
+CREATE OR REPLACE FUNCTION trg_packages_status_history_insert() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, NULL, NEW.status, NEW.created_by);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION trg_packages_status_history() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, OLD.status, NEW.status, NEW.last_updated_by);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP VIEW v_package_notification_targets;
+DROP TABLE notification_outbox;
+DROP TABLE notification_endpoints;
+DROP FUNCTION courier_now_ms(INTERVAL);
+
+ALTER TABLE packages DROP COLUMN recipient_phone;
+ALTER TABLE packages DROP COLUMN recipient_email;
@@ -0,0 +1,101 @@
+-- Datos de contacto del destinatario para las notificaciones.
+ALTER TABLE packages ADD COLUMN recipient_email TEXT;
+ALTER TABLE packages ADD COLUMN recipient_phone TEXT;
+
+-- Igual que courier_now() pero con milisegundos y un desplazamiento opcional (backoff).
+CREATE FUNCTION courier_now_ms(shift INTERVAL DEFAULT '0 seconds') RETURNS TEXT AS $$
+  SELECT to_char((now() + shift) AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS.MS')
+$$ LANGUAGE SQL STABLE;
+
+-- Canales donde un usuario (remitente o comercio) recibe los cambios de estado de sus paquetes.
+CREATE TABLE notification_endpoints (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  channel TEXT NOT NULL CHECK (channel IN ('email', 'sms', 'webhook')),
+  target TEXT NOT NULL,
+  secret TEXT,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (courier_now()),
+  UNIQUE (user_id, channel, target),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Outbox transaccional: los triggers de estado la llenan junto con package_status_history
+-- y el dispatcher la vacia. Las fechas llevan milisegundos para el backoff.
+CREATE TABLE notification_outbox (
+  id SERIAL PRIMARY KEY,
+  package_id INTEGER NOT NULL,
+  endpoint_id INTEGER,
+  channel TEXT NOT NULL CHECK (channel IN ('email', 'sms', 'webhook')),
+  target TEXT NOT NULL,
+  old_status TEXT,
+  new_status TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENT', 'DEAD')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TEXT NOT NULL DEFAULT (courier_now_ms()),
+  last_attempt_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (courier_now()),
+  sent_at TEXT,
+  FOREIGN KEY (package_id) REFERENCES packages(id),
+  FOREIGN KEY (endpoint_id) REFERENCES notification_endpoints(id)
+);
+
+CREATE INDEX idx_outbox_pending ON notification_outbox(status, next_attempt_at);
+CREATE INDEX idx_notification_endpoints_user_id ON notification_endpoints(user_id);
+
+-- Destinos de notificacion de cada paquete: los canales activos de quien lo creo mas
+-- el email y telefono del destinatario.
+CREATE VIEW v_package_notification_targets AS
+SELECT p.id AS package_id, e.id AS endpoint_id, e.channel, e.target
+FROM packages p
+JOIN notification_endpoints e ON e.user_id = p.created_by AND e.active = 1
+UNION ALL
+SELECT id, NULL, 'email', recipient_email FROM packages WHERE recipient_email IS NOT NULL
+UNION ALL
+SELECT id, NULL, 'sms', recipient_phone FROM packages WHERE recipient_phone IS NOT NULL;
+
+-- Los triggers de estado tambien encolan las notificaciones del cambio.
+CREATE OR REPLACE FUNCTION trg_packages_status_history_insert() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, NULL, NEW.status, NEW.created_by);
+  INSERT INTO notification_outbox (package_id, endpoint_id, channel, target, old_status, new_status)
+  SELECT NEW.id, t.endpoint_id, t.channel, t.target, NULL, NEW.status
+  FROM v_package_notification_targets t
+  WHERE t.package_id = NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION trg_packages_status_history() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, OLD.status, NEW.status, NEW.last_updated_by);
+  INSERT INTO notification_outbox (package_id, endpoint_id, channel, target, old_status, new_status)
+  SELECT NEW.id, t.endpoint_id, t.channel, t.target, OLD.status, NEW.status
+  FROM v_package_notification_targets t
+  WHERE t.package_id = NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Notificaciones que agotaron sus reintentos.
+CREATE VIEW v_notification_dead_letter AS
+SELECT
+  o.id,
+  p.tracking_code,
+  o.channel,
+  o.target,
+  o.old_status,
+  o.new_status,
+  o.attempts,
+  o.last_error,
+  o.created_at,
+  o.last_attempt_at,
+  u.username AS owner
+FROM notification_outbox o
+JOIN packages p ON p.id = o.package_id
+LEFT JOIN notification_endpoints e ON e.id = o.endpoint_id
+LEFT JOIN users u ON u.id = e.user_id
+WHERE o.status = 'DEAD';
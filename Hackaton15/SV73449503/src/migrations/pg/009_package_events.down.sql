@@ -0,0 +1,13 @@
+DROP TRIGGER trg_message_receipts_event ON package_message_receipts;
+DROP TRIGGER trg_route_locations_event ON route_locations;
+DROP TRIGGER trg_package_locations_event ON package_locations;
+DROP TRIGGER trg_package_messages_event ON package_messages;
+DROP TRIGGER trg_package_status_history_event ON package_status_history;
+DROP FUNCTION trg_message_receipts_event();
+DROP FUNCTION trg_route_locations_event();
+DROP FUNCTION trg_package_locations_event();
+DROP FUNCTION trg_package_messages_event();
+DROP FUNCTION trg_package_status_history_event();
+DROP TABLE package_events;
+DROP TABLE package_message_receipts;
+ALTER TABLE packages DROP COLUMN event_seq;
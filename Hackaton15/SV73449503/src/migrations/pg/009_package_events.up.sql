@@ -0,0 +1,124 @@
+-- Secuencia de eventos por paquete (room package:<codigo>). Cada mensaje, ubicacion,
+-- cambio de estado y acuse recibe el siguiente numero de packages.event_seq; el cliente
+-- que se reconecta pide los eventos con seq mayor al ultimo que vio.
+ALTER TABLE packages ADD COLUMN event_seq INTEGER NOT NULL DEFAULT 0;
+
+-- Acuses de los mensajes del chat: una fila por usuario y estado (delivered, seen).
+CREATE TABLE package_message_receipts (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  state TEXT NOT NULL CHECK (state IN ('delivered', 'seen')),
+  created_at TEXT NOT NULL DEFAULT (courier_now()),
+  UNIQUE (message_id, user_id, state),
+  FOREIGN KEY (message_id) REFERENCES package_messages(id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- source_id apunta a la fila del evento segun event_type.
+CREATE TABLE package_events (
+  id SERIAL PRIMARY KEY,
+  package_id INTEGER NOT NULL,
+  seq INTEGER NOT NULL,
+  event_type TEXT NOT NULL CHECK (event_type IN ('STATUS', 'MESSAGE', 'LOCATION', 'ROUTE_LOCATION', 'RECEIPT')),
+  source_id INTEGER NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (courier_now()),
+  UNIQUE (package_id, seq),
+  FOREIGN KEY (package_id) REFERENCES packages(id)
+);
+
+CREATE INDEX idx_package_events_source ON package_events(event_type, source_id);
+CREATE INDEX idx_message_receipts_message_id ON package_message_receipts(message_id);
+
+-- Eventos de lo que ya existia, en el orden del timeline.
+INSERT INTO package_events (package_id, seq, event_type, source_id, created_at)
+SELECT
+  package_id,
+  ROW_NUMBER() OVER (PARTITION BY package_id ORDER BY created_at, event_type DESC, source_id),
+  event_type, source_id, created_at
+FROM (
+  SELECT package_id, 'STATUS' AS event_type, id AS source_id, changed_at AS created_at FROM package_status_history
+  UNION ALL
+  SELECT package_id, 'MESSAGE', id, created_at FROM package_messages
+  UNION ALL
+  SELECT package_id, CASE source WHEN 'ROUTE' THEN 'ROUTE_LOCATION' ELSE 'LOCATION' END, id, created_at
+  FROM v_package_locations
+) events;
+
+UPDATE packages
+SET event_seq = COALESCE((SELECT MAX(seq) FROM package_events WHERE package_id = packages.id), 0);
+
+CREATE FUNCTION trg_package_status_history_event() RETURNS trigger AS $$
+BEGIN
+  UPDATE packages SET event_seq = event_seq + 1 WHERE id = NEW.package_id;
+  INSERT INTO package_events (package_id, seq, event_type, source_id)
+  SELECT id, event_seq, 'STATUS', NEW.id FROM packages WHERE id = NEW.package_id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_package_status_history_event
+AFTER INSERT ON package_status_history
+FOR EACH ROW
+EXECUTE FUNCTION trg_package_status_history_event();
+
+CREATE FUNCTION trg_package_messages_event() RETURNS trigger AS $$
+BEGIN
+  UPDATE packages SET event_seq = event_seq + 1 WHERE id = NEW.package_id;
+  INSERT INTO package_events (package_id, seq, event_type, source_id)
+  SELECT id, event_seq, 'MESSAGE', NEW.id FROM packages WHERE id = NEW.package_id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_package_messages_event
+AFTER INSERT ON package_messages
+FOR EACH ROW
+EXECUTE FUNCTION trg_package_messages_event();
+
+CREATE FUNCTION trg_package_locations_event() RETURNS trigger AS $$
+BEGIN
+  UPDATE packages SET event_seq = event_seq + 1 WHERE id = NEW.package_id;
+  INSERT INTO package_events (package_id, seq, event_type, source_id)
+  SELECT id, event_seq, 'LOCATION', NEW.id FROM packages WHERE id = NEW.package_id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_package_locations_event
+AFTER INSERT ON package_locations
+FOR EACH ROW
+EXECUTE FUNCTION trg_package_locations_event();
+
+-- Un ping de ruta es un evento en cada parada activa, igual que en v_package_locations.
+CREATE FUNCTION trg_route_locations_event() RETURNS trigger AS $$
+BEGIN
+  UPDATE packages SET event_seq = event_seq + 1
+  WHERE id IN (SELECT package_id FROM route_stops WHERE route_id = NEW.route_id AND released_at IS NULL);
+  INSERT INTO package_events (package_id, seq, event_type, source_id)
+  SELECT p.id, p.event_seq, 'ROUTE_LOCATION', NEW.id
+  FROM route_stops s
+  JOIN packages p ON p.id = s.package_id
+  WHERE s.route_id = NEW.route_id AND s.released_at IS NULL;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_route_locations_event
+AFTER INSERT ON route_locations
+FOR EACH ROW
+EXECUTE FUNCTION trg_route_locations_event();
+
+CREATE FUNCTION trg_message_receipts_event() RETURNS trigger AS $$
+BEGIN
+  UPDATE packages SET event_seq = event_seq + 1 WHERE id = (SELECT package_id FROM package_messages WHERE id = NEW.message_id);
+  INSERT INTO package_events (package_id, seq, event_type, source_id)
+  SELECT id, event_seq, 'RECEIPT', NEW.id FROM packages WHERE id = (SELECT package_id FROM package_messages WHERE id = NEW.message_id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_message_receipts_event
+AFTER INSERT ON package_message_receipts
+FOR EACH ROW
+EXECUTE FUNCTION trg_message_receipts_event();
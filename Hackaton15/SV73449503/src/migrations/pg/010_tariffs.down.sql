@@ -0,0 +1,20 @@
+DROP INDEX idx_packages_created_by_created_at;
+
+ALTER TABLE packages
+  DROP COLUMN price_cents,
+  DROP COLUMN cod_fee_cents,
+  DROP COLUMN insurance_cents,
+  DROP COLUMN shipping_cents,
+  DROP COLUMN chargeable_weight_kg,
+  DROP COLUMN tariff_zone,
+  DROP COLUMN destination_postcode,
+  DROP COLUMN cod_amount_cents,
+  DROP COLUMN declared_value_cents,
+  DROP COLUMN height_cm,
+  DROP COLUMN width_cm,
+  DROP COLUMN length_cm,
+  DROP COLUMN weight_kg;
+
+DROP TABLE tariff_bands;
+DROP TABLE tariff_zone_areas;
+DROP TABLE tariff_zones;
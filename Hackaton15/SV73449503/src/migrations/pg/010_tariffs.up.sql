@@ -0,0 +1,121 @@
+CREATE TABLE tariff_zones (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  -- Precio por kg (o fraccion) por encima de la banda mas alta.
+  extra_kg_cents INTEGER NOT NULL CHECK (extra_kg_cents >= 0)
+);
+
+-- Cada area es un distrito (como en geo_places) o un prefijo de codigo postal.
+CREATE TABLE tariff_zone_areas (
+  id SERIAL PRIMARY KEY,
+  zone_id INTEGER NOT NULL REFERENCES tariff_zones(id) ON DELETE CASCADE,
+  district TEXT,
+  postcode_prefix TEXT UNIQUE,
+  CHECK ((district IS NULL) <> (postcode_prefix IS NULL))
+);
+
+CREATE TABLE tariff_bands (
+  id SERIAL PRIMARY KEY,
+  zone_id INTEGER NOT NULL REFERENCES tariff_zones(id) ON DELETE CASCADE,
+  max_weight_kg DOUBLE PRECISION NOT NULL CHECK (max_weight_kg > 0),
+  price_cents INTEGER NOT NULL CHECK (price_cents >= 0),
+  UNIQUE (zone_id, max_weight_kg)
+);
+
+CREATE UNIQUE INDEX idx_tariff_zone_areas_district ON tariff_zone_areas (LOWER(district));
+CREATE INDEX idx_tariff_zone_areas_zone_id ON tariff_zone_areas(zone_id);
+
+INSERT INTO tariff_zones (code, name, extra_kg_cents) VALUES
+  ('LIMA_CENTRO', 'Lima centro', 200),
+  ('LIMA_PERIFERIA', 'Lima periferia', 250),
+  ('CALLAO', 'Callao', 300);
+
+INSERT INTO tariff_zone_areas (zone_id, district)
+SELECT z.id, d.district
+FROM tariff_zones z
+JOIN (
+  SELECT 'LIMA_CENTRO' AS code, 'Cercado de Lima' AS district
+  UNION ALL SELECT 'LIMA_CENTRO', 'Lima'
+  UNION ALL SELECT 'LIMA_CENTRO', 'Breña'
+  UNION ALL SELECT 'LIMA_CENTRO', 'La Victoria'
+  UNION ALL SELECT 'LIMA_CENTRO', 'Lince'
+  UNION ALL SELECT 'LIMA_CENTRO', 'Jesus Maria'
+  UNION ALL SELECT 'LIMA_CENTRO', 'Pueblo Libre'
+  UNION ALL SELECT 'LIMA_CENTRO', 'Rimac'
+  UNION ALL SELECT 'LIMA_CENTRO', 'San Isidro'
+  UNION ALL SELECT 'LIMA_CENTRO', 'Miraflores'
+  UNION ALL SELECT 'LIMA_CENTRO', 'San Borja'
+  UNION ALL SELECT 'LIMA_CENTRO', 'Surquillo'
+  UNION ALL SELECT 'LIMA_CENTRO', 'Magdalena del Mar'
+  UNION ALL SELECT 'LIMA_CENTRO', 'San Miguel'
+  UNION ALL SELECT 'LIMA_CENTRO', 'Barranco'
+  UNION ALL SELECT 'LIMA_PERIFERIA', 'Santiago de Surco'
+  UNION ALL SELECT 'LIMA_PERIFERIA', 'Surco'
+  UNION ALL SELECT 'LIMA_PERIFERIA', 'La Molina'
+  UNION ALL SELECT 'LIMA_PERIFERIA', 'Chorrillos'
+  UNION ALL SELECT 'LIMA_PERIFERIA', 'Los Olivos'
+  UNION ALL SELECT 'LIMA_PERIFERIA', 'San Martin de Porres'
+  UNION ALL SELECT 'LIMA_PERIFERIA', 'Comas'
+  UNION ALL SELECT 'LIMA_PERIFERIA', 'Independencia'
+  UNION ALL SELECT 'LIMA_PERIFERIA', 'Ate'
+  UNION ALL SELECT 'LIMA_PERIFERIA', 'San Juan de Lurigancho'
+  UNION ALL SELECT 'CALLAO', 'Callao'
+) d ON d.code = z.code;
+
+-- Codigos postales de Peru: 15xxx Lima, 07xxx Callao. Gana el prefijo mas largo.
+INSERT INTO tariff_zone_areas (zone_id, postcode_prefix)
+SELECT z.id, p.prefix
+FROM tariff_zones z
+JOIN (
+  SELECT 'LIMA_CENTRO' AS code, '150' AS prefix
+  UNION ALL SELECT 'LIMA_CENTRO', '1504'
+  UNION ALL SELECT 'LIMA_PERIFERIA', '151'
+  UNION ALL SELECT 'LIMA_PERIFERIA', '1502'
+  UNION ALL SELECT 'LIMA_PERIFERIA', '1503'
+  UNION ALL SELECT 'LIMA_PERIFERIA', '1505'
+  UNION ALL SELECT 'LIMA_PERIFERIA', '1506'
+  UNION ALL SELECT 'LIMA_PERIFERIA', '1508'
+  UNION ALL SELECT 'LIMA_PERIFERIA', '1509'
+  UNION ALL SELECT 'LIMA_PERIFERIA', '153'
+  UNION ALL SELECT 'LIMA_PERIFERIA', '154'
+  UNION ALL SELECT 'CALLAO', '07'
+) p ON p.code = z.code;
+
+INSERT INTO tariff_bands (zone_id, max_weight_kg, price_cents)
+SELECT z.id, b.max_weight_kg, b.price_cents
+FROM tariff_zones z
+JOIN (
+  SELECT 'LIMA_CENTRO' AS code, 1 AS max_weight_kg, 800 AS price_cents
+  UNION ALL SELECT 'LIMA_CENTRO', 3, 1200
+  UNION ALL SELECT 'LIMA_CENTRO', 5, 1600
+  UNION ALL SELECT 'LIMA_CENTRO', 10, 2500
+  UNION ALL SELECT 'LIMA_PERIFERIA', 1, 1000
+  UNION ALL SELECT 'LIMA_PERIFERIA', 3, 1500
+  UNION ALL SELECT 'LIMA_PERIFERIA', 5, 2000
+  UNION ALL SELECT 'LIMA_PERIFERIA', 10, 3000
+  UNION ALL SELECT 'CALLAO', 1, 1200
+  UNION ALL SELECT 'CALLAO', 3, 1800
+  UNION ALL SELECT 'CALLAO', 5, 2400
+  UNION ALL SELECT 'CALLAO', 10, 3500
+) b ON b.code = z.code;
+
+-- Datos del envio y precio congelado al crear el paquete. Los paquetes anteriores a
+-- esta migracion quedan sin precio (price_cents NULL) y no se facturan.
+ALTER TABLE packages
+  ADD COLUMN weight_kg DOUBLE PRECISION,
+  ADD COLUMN length_cm DOUBLE PRECISION,
+  ADD COLUMN width_cm DOUBLE PRECISION,
+  ADD COLUMN height_cm DOUBLE PRECISION,
+  ADD COLUMN declared_value_cents INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN cod_amount_cents INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN destination_postcode TEXT,
+  ADD COLUMN tariff_zone TEXT,
+  ADD COLUMN chargeable_weight_kg DOUBLE PRECISION,
+  ADD COLUMN shipping_cents INTEGER,
+  ADD COLUMN insurance_cents INTEGER,
+  ADD COLUMN cod_fee_cents INTEGER,
+  ADD COLUMN price_cents INTEGER;
+
+-- Factura mensual: paquetes de un remitente (created_by) por fecha de creacion.
+CREATE INDEX idx_packages_created_by_created_at ON packages(created_by, created_at);
@@ -0,0 +1,8 @@
+-- Las entregas en curso vuelven a PENDING: sin locked_until nadie las reclamaria.
+DROP INDEX idx_outbox_sending;
+
+UPDATE notification_outbox SET status = 'PENDING' WHERE status = 'SENDING';
+ALTER TABLE notification_outbox DROP COLUMN locked_until;
+ALTER TABLE notification_outbox DROP CONSTRAINT notification_outbox_status_check;
+ALTER TABLE notification_outbox ADD CONSTRAINT notification_outbox_status_check
+  CHECK (status IN ('PENDING', 'SENT', 'DEAD'));
@@ -0,0 +1,9 @@
+-- El dispatcher reclama cada notificacion pasandola a SENDING con un plazo (locked_until):
+-- otra instancia no la toma mientras el plazo siga vigente y, si la instancia cae a mitad
+-- de la entrega, al vencer vuelve a estar disponible.
+ALTER TABLE notification_outbox DROP CONSTRAINT notification_outbox_status_check;
+ALTER TABLE notification_outbox ADD CONSTRAINT notification_outbox_status_check
+  CHECK (status IN ('PENDING', 'SENDING', 'SENT', 'DEAD'));
+ALTER TABLE notification_outbox ADD COLUMN locked_until TEXT;
+
+CREATE INDEX idx_outbox_sending ON notification_outbox(status, locked_until);
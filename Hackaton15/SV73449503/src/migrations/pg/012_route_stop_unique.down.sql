@@ -0,0 +1 @@
+DROP INDEX route_stops_package_id_key;
@@ -0,0 +1,10 @@
+-- Un paquete solo puede estar en una ruta activa (released_at NULL). routeService lo revisa
+-- antes de escribir, pero dos planificaciones simultaneas pasaban las dos la revision.
+-- Si ya hay duplicados se conserva la asignacion mas antigua.
+UPDATE route_stops
+SET released_at = courier_now()
+WHERE released_at IS NULL
+  AND id NOT IN (SELECT MIN(id) FROM route_stops WHERE released_at IS NULL GROUP BY package_id);
+
+-- Con el nombre de una restriccion UNIQUE de PostgreSQL, dialect.isUniqueViolation la reconoce.
+CREATE UNIQUE INDEX route_stops_package_id_key ON route_stops(package_id) WHERE released_at IS NULL;
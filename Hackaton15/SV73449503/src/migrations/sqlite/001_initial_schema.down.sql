@@ -0,0 +1,6 @@
+DROP VIEW v_package_timeline;
+DROP TABLE package_status_history;
+DROP TABLE package_locations;
+DROP TABLE package_messages;
+DROP TABLE packages;
+DROP TABLE users;
@@ -1,12 +1,10 @@
-PRAGMA foreign_keys = ON;
-
-CREATE TABLE IF NOT EXISTS users (
+CREATE TABLE users (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   username TEXT NOT NULL UNIQUE,
   created_at TEXT NOT NULL DEFAULT (CURRENT_TIMESTAMP)
 );
 
-CREATE TABLE IF NOT EXISTS packages (
+CREATE TABLE packages (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   tracking_code TEXT NOT NULL UNIQUE,
   sender TEXT NOT NULL,
@@ -22,7 +20,7 @@ CREATE TABLE IF NOT EXISTS packages (
   FOREIGN KEY (last_updated_by) REFERENCES users(id)
 );
 
-CREATE TABLE IF NOT EXISTS package_messages (
+CREATE TABLE package_messages (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   package_id INTEGER NOT NULL,
   user_id INTEGER NOT NULL,
@@ -32,7 +30,7 @@ CREATE TABLE IF NOT EXISTS package_messages (
   FOREIGN KEY (user_id) REFERENCES users(id)
 );
 
-CREATE TABLE IF NOT EXISTS package_locations (
+CREATE TABLE package_locations (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   package_id INTEGER NOT NULL,
   user_id INTEGER NOT NULL,
@@ -45,7 +43,7 @@ CREATE TABLE IF NOT EXISTS package_locations (
   FOREIGN KEY (user_id) REFERENCES users(id)
 );
 
-CREATE TABLE IF NOT EXISTS package_status_history (
+CREATE TABLE package_status_history (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   package_id INTEGER NOT NULL,
   old_status TEXT,
@@ -56,12 +54,12 @@ CREATE TABLE IF NOT EXISTS package_status_history (
   FOREIGN KEY (changed_by) REFERENCES users(id)
 );
 
-CREATE INDEX IF NOT EXISTS idx_packages_tracking_code ON packages(tracking_code);
-CREATE INDEX IF NOT EXISTS idx_messages_package_id ON package_messages(package_id);
-CREATE INDEX IF NOT EXISTS idx_locations_package_id ON package_locations(package_id);
-CREATE INDEX IF NOT EXISTS idx_status_history_package_id ON package_status_history(package_id);
+CREATE INDEX idx_packages_tracking_code ON packages(tracking_code);
+CREATE INDEX idx_messages_package_id ON package_messages(package_id);
+CREATE INDEX idx_locations_package_id ON package_locations(package_id);
+CREATE INDEX idx_status_history_package_id ON package_status_history(package_id);
 
-CREATE TRIGGER IF NOT EXISTS trg_packages_status_history
+CREATE TRIGGER trg_packages_status_history
 AFTER UPDATE OF status ON packages
 FOR EACH ROW
 WHEN OLD.status <> NEW.status
@@ -70,7 +68,7 @@ BEGIN
   VALUES (NEW.id, OLD.status, NEW.status, NEW.last_updated_by);
 END;
 
-CREATE VIEW IF NOT EXISTS v_package_timeline AS
+CREATE VIEW v_package_timeline AS
 SELECT
   p.tracking_code AS tracking_code,
   'MESSAGE' AS event_type,
@@ -0,0 +1,78 @@
+-- SQLite no permite alterar un CHECK: se reconstruye packages con los 9 estados
+-- conservando los datos y se recrean su indice, trigger y la vista del timeline.
+DROP VIEW v_package_timeline;
+
+CREATE TABLE packages_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tracking_code TEXT NOT NULL UNIQUE,
+  sender TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  destination_address TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'CREATED' CHECK (status IN (
+    'CREATED', 'PICKED_UP', 'IN_TRANSIT', 'AT_HUB', 'OUT_FOR_DELIVERY',
+    'DELIVERY_FAILED', 'RECEIVED', 'RETURNED_TO_SENDER', 'CANCELLED'
+  )),
+  created_by INTEGER NOT NULL,
+  last_updated_by INTEGER,
+  received_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (CURRENT_TIMESTAMP),
+  updated_at TEXT NOT NULL DEFAULT (CURRENT_TIMESTAMP),
+  FOREIGN KEY (created_by) REFERENCES users(id),
+  FOREIGN KEY (last_updated_by) REFERENCES users(id)
+);
+
+INSERT INTO packages_new (id, tracking_code, sender, recipient, destination_address, status, created_by, last_updated_by, received_at, created_at, updated_at)
+SELECT id, tracking_code, sender, recipient, destination_address, status, created_by, last_updated_by, received_at, created_at, updated_at FROM packages;
+
+DROP TABLE packages;
+ALTER TABLE packages_new RENAME TO packages;
+
+CREATE INDEX idx_packages_tracking_code ON packages(tracking_code);
+
+CREATE TRIGGER trg_packages_status_history_insert
+AFTER INSERT ON packages
+FOR EACH ROW
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, NULL, NEW.status, NEW.created_by);
+END;
+
+CREATE TRIGGER trg_packages_status_history
+AFTER UPDATE OF status ON packages
+FOR EACH ROW
+WHEN OLD.status <> NEW.status
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, OLD.status, NEW.status, NEW.last_updated_by);
+END;
+
+CREATE VIEW v_package_timeline AS
+SELECT
+  p.tracking_code AS tracking_code,
+  'MESSAGE' AS event_type,
+  m.created_at AS event_time,
+  u.username AS actor,
+  m.message AS detail
+FROM package_messages m
+JOIN packages p ON p.id = m.package_id
+JOIN users u ON u.id = m.user_id
+UNION ALL
+SELECT
+  p.tracking_code AS tracking_code,
+  'LOCATION' AS event_type,
+  l.created_at AS event_time,
+  u.username AS actor,
+  printf('lat=%.6f, lng=%.6f, address=%s, note=%s', l.latitude, l.longitude, IFNULL(l.address, ''), IFNULL(l.note, '')) AS detail
+FROM package_locations l
+JOIN packages p ON p.id = l.package_id
+JOIN users u ON u.id = l.user_id
+UNION ALL
+SELECT
+  p.tracking_code AS tracking_code,
+  'STATUS' AS event_type,
+  h.changed_at AS event_time,
+  IFNULL(u.username, 'system') AS actor,
+  printf('%s -> %s', IFNULL(h.old_status, 'NONE'), h.new_status) AS detail
+FROM package_status_history h
+JOIN packages p ON p.id = h.package_id
+LEFT JOIN users u ON u.id = h.changed_by;
@@ -0,0 +1,14 @@
+CREATE TABLE package_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  package_id INTEGER NOT NULL UNIQUE,
+  delivered_by INTEGER NOT NULL,
+  received_by_name TEXT NOT NULL,
+  received_by_document TEXT NOT NULL,
+  latitude REAL NOT NULL,
+  longitude REAL NOT NULL,
+  signature_path TEXT NOT NULL,
+  photo_path TEXT,
+  created_at TEXT NOT NULL DEFAULT (CURRENT_TIMESTAMP),
+  FOREIGN KEY (package_id) REFERENCES packages(id),
+  FOREIGN KEY (delivered_by) REFERENCES users(id)
+);
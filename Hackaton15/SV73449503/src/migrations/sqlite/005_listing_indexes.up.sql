@@ -0,0 +1,7 @@
+CREATE INDEX idx_packages_created_at ON packages(created_at, id);
+CREATE INDEX idx_packages_updated_at ON packages(updated_at, id);
+CREATE INDEX idx_packages_status_created_at ON packages(status, created_at, id);
+CREATE INDEX idx_packages_received_at ON packages(received_at);
+CREATE INDEX idx_packages_sender ON packages(sender COLLATE NOCASE);
+CREATE INDEX idx_packages_recipient ON packages(recipient COLLATE NOCASE);
+CREATE INDEX idx_packages_created_by ON packages(created_by);
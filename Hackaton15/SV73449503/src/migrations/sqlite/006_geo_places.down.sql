@@ -0,0 +1 @@
+DROP TABLE geo_places;
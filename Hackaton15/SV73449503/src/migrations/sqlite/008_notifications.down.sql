@@ -0,0 +1,27 @@
+DROP VIEW v_notification_dead_letter;
+DROP TRIGGER trg_packages_status_history;
+DROP TRIGGER trg_packages_status_history_insert;
+
+CREATE TRIGGER trg_packages_status_history_insert
+AFTER INSERT ON packages
+FOR EACH ROW
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, NULL, NEW.status, NEW.created_by);
+END;
+
+CREATE TRIGGER trg_packages_status_history
+AFTER UPDATE OF status ON packages
+FOR EACH ROW
+WHEN OLD.status <> NEW.status
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, OLD.status, NEW.status, NEW.last_updated_by);
+END;
+
+DROP VIEW v_package_notification_targets;
+DROP TABLE notification_outbox;
+DROP TABLE notification_endpoints;
+
+ALTER TABLE packages DROP COLUMN recipient_phone;
+ALTER TABLE packages DROP COLUMN recipient_email;
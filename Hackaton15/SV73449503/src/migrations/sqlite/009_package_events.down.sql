@@ -0,0 +1,8 @@
+DROP TRIGGER trg_message_receipts_event;
+DROP TRIGGER trg_route_locations_event;
+DROP TRIGGER trg_package_locations_event;
+DROP TRIGGER trg_package_messages_event;
+DROP TRIGGER trg_package_status_history_event;
+DROP TABLE package_events;
+DROP TABLE package_message_receipts;
+ALTER TABLE packages DROP COLUMN event_seq;
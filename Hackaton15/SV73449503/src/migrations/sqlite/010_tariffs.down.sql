@@ -0,0 +1,19 @@
+DROP INDEX idx_packages_created_by_created_at;
+
+ALTER TABLE packages DROP COLUMN price_cents;
+ALTER TABLE packages DROP COLUMN cod_fee_cents;
+ALTER TABLE packages DROP COLUMN insurance_cents;
+ALTER TABLE packages DROP COLUMN shipping_cents;
+ALTER TABLE packages DROP COLUMN chargeable_weight_kg;
+ALTER TABLE packages DROP COLUMN tariff_zone;
+ALTER TABLE packages DROP COLUMN destination_postcode;
+ALTER TABLE packages DROP COLUMN cod_amount_cents;
+ALTER TABLE packages DROP COLUMN declared_value_cents;
+ALTER TABLE packages DROP COLUMN height_cm;
+ALTER TABLE packages DROP COLUMN width_cm;
+ALTER TABLE packages DROP COLUMN length_cm;
+ALTER TABLE packages DROP COLUMN weight_kg;
+
+DROP TABLE tariff_bands;
+DROP TABLE tariff_zone_areas;
+DROP TABLE tariff_zones;
@@ -0,0 +1,83 @@
+-- Las entregas en curso vuelven a PENDING: sin locked_until nadie las reclamaria.
+DROP VIEW v_notification_dead_letter;
+-- Los triggers de paquetes escriben en la outbox: se recrean sobre la tabla nueva.
+DROP TRIGGER trg_packages_status_history_insert;
+DROP TRIGGER trg_packages_status_history;
+
+CREATE TABLE notification_outbox_old (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  package_id INTEGER NOT NULL,
+  endpoint_id INTEGER,
+  channel TEXT NOT NULL CHECK (channel IN ('email', 'sms', 'webhook')),
+  target TEXT NOT NULL,
+  old_status TEXT,
+  new_status TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENT', 'DEAD')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now')),
+  last_attempt_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (CURRENT_TIMESTAMP),
+  sent_at TEXT,
+  FOREIGN KEY (package_id) REFERENCES packages(id),
+  FOREIGN KEY (endpoint_id) REFERENCES notification_endpoints(id)
+);
+
+INSERT INTO notification_outbox_old (
+  id, package_id, endpoint_id, channel, target, old_status, new_status, status, attempts,
+  last_error, next_attempt_at, last_attempt_at, created_at, sent_at
+)
+SELECT
+  id, package_id, endpoint_id, channel, target, old_status, new_status,
+  CASE status WHEN 'SENDING' THEN 'PENDING' ELSE status END, attempts,
+  last_error, next_attempt_at, last_attempt_at, created_at, sent_at
+FROM notification_outbox;
+
+DROP TABLE notification_outbox;
+ALTER TABLE notification_outbox_old RENAME TO notification_outbox;
+
+CREATE TRIGGER trg_packages_status_history_insert
+AFTER INSERT ON packages
+FOR EACH ROW
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, NULL, NEW.status, NEW.created_by);
+  INSERT INTO notification_outbox (package_id, endpoint_id, channel, target, old_status, new_status)
+  SELECT NEW.id, t.endpoint_id, t.channel, t.target, NULL, NEW.status
+  FROM v_package_notification_targets t
+  WHERE t.package_id = NEW.id;
+END;
+
+CREATE TRIGGER trg_packages_status_history
+AFTER UPDATE OF status ON packages
+FOR EACH ROW
+WHEN OLD.status <> NEW.status
+BEGIN
+  INSERT INTO package_status_history (package_id, old_status, new_status, changed_by)
+  VALUES (NEW.id, OLD.status, NEW.status, NEW.last_updated_by);
+  INSERT INTO notification_outbox (package_id, endpoint_id, channel, target, old_status, new_status)
+  SELECT NEW.id, t.endpoint_id, t.channel, t.target, OLD.status, NEW.status
+  FROM v_package_notification_targets t
+  WHERE t.package_id = NEW.id;
+END;
+
+CREATE INDEX idx_outbox_pending ON notification_outbox(status, next_attempt_at);
+
+CREATE VIEW v_notification_dead_letter AS
+SELECT
+  o.id,
+  p.tracking_code,
+  o.channel,
+  o.target,
+  o.old_status,
+  o.new_status,
+  o.attempts,
+  o.last_error,
+  o.created_at,
+  o.last_attempt_at,
+  u.username AS owner
+FROM notification_outbox o
+JOIN packages p ON p.id = o.package_id
+LEFT JOIN notification_endpoints e ON e.id = o.endpoint_id
+LEFT JOIN users u ON u.id = e.user_id
+WHERE o.status = 'DEAD';
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { dialect, get, all, run, exec, migrationTransaction } = require('./db');
+
+// Cada motor tiene su carpeta; una misma version deja el mismo esquema en ambos.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations', dialect.name);
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.up\.sql$/;
+
+// Bases SQLite creadas antes de las migraciones (con el antiguo schema.sql): cada version
+// se reconoce por el objeto que agrego. Solo se marcan las versiones consecutivas
+// desde la 1 para no saltarse una migracion intermedia.
+const LEGACY_MARKERS = {
+  1: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'packages'",
+  2: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'packages' AND sql LIKE '%PICKED_UP%'",
+  3: "SELECT 1 FROM pragma_table_info('users') WHERE name = 'role'",
+  4: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'package_deliveries'",
+  5: "SELECT 1 FROM sqlite_master WHERE type = 'index' AND name = 'idx_packages_created_at'",
+  6: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'geo_places'",
+  7: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'routes'",
+  8: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'notification_outbox'",
+};
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => MIGRATION_FILE.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: Number(version),
+      name,
+      up: path.join(MIGRATIONS_DIR, file),
+      down: path.join(MIGRATIONS_DIR, file.replace('.up.sql', '.down.sql')),
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable() {
+  if (await get(dialect.tableExists, ['schema_migrations'])) return;
+
+  await exec(`
+    CREATE TABLE schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+  for (const migration of await legacyMigrations()) {
+    await recordMigration(migration);
+  }
+}
+
+// Versiones que una base sin schema_migrations ya tiene; solo lee.
+async function legacyMigrations() {
+  // Solo SQLite tiene bases anteriores a las migraciones.
+  if (dialect.name !== 'sqlite') return [];
+
+  const found = [];
+  for (const migration of loadMigrations()) {
+    const marker = LEGACY_MARKERS[migration.version];
+    if (!marker || !(await get(marker))) break;
+    found.push(migration);
+  }
+  return found;
+}
+
+function recordMigration(migration) {
+  return run(`INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ${dialect.now})`, [
+    migration.version,
+    migration.name,
+  ]);
+}
+
+async function appliedVersions() {
+  const rows = await all('SELECT version FROM schema_migrations');
+  return new Set(rows.map((row) => row.version));
+}
+
+// Una transaccion por migracion: si falla, la base queda en la version anterior.
+async function applyMigration(migration, direction) {
+  const sql = fs.readFileSync(migration[direction], 'utf8');
+  try {
+    await migrationTransaction(async () => {
+      await exec(sql);
+      if (direction === 'up') {
+        await recordMigration(migration);
+      } else {
+        await run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+    });
+  } catch (error) {
+    error.message = `Migracion ${migration.version}_${migration.name} (${direction}) fallo: ${error.message}`;
+    throw error;
+  }
+}
+
+function parseNonNegative(value, label) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`${label} debe ser un entero mayor o igual a 0.`);
+  }
+  return version;
+}
+
+async function migrate({ to } = {}) {
+  await ensureMigrationsTable();
+  const target = to === undefined ? Infinity : parseNonNegative(to, 'to');
+  const applied = await appliedVersions();
+
+  const done = [];
+  for (const migration of loadMigrations()) {
+    if (migration.version > target || applied.has(migration.version)) continue;
+    await applyMigration(migration, 'up');
+    done.push(migration);
+  }
+  return done;
+}
+
+// Revierte las ultimas `steps` migraciones, o todas las posteriores a `to`.
+async function rollback({ steps, to } = {}) {
+  await ensureMigrationsTable();
+  const applied = await appliedVersions();
+  let pending = loadMigrations()
+    .filter((migration) => applied.has(migration.version))
+    .reverse();
+
+  if (to !== undefined) {
+    const target = parseNonNegative(to, 'to');
+    pending = pending.filter((migration) => migration.version > target);
+  } else {
+    pending = pending.slice(0, steps === undefined ? 1 : parseNonNegative(steps, 'steps'));
+  }
+
+  for (const migration of pending) {
+    await applyMigration(migration, 'down');
+  }
+  return pending;
+}
+
+// Solo consulta: sin schema_migrations no la crea ni marca nada. Las versiones de una base
+// anterior a las migraciones se informan aplicadas, sin fecha, y se registran al migrar.
+async function status() {
+  let appliedAt;
+  if (await get(dialect.tableExists, ['schema_migrations'])) {
+    const rows = await all('SELECT version, applied_at FROM schema_migrations');
+    appliedAt = new Map(rows.map((row) => [row.version, row.applied_at]));
+  } else {
+    appliedAt = new Map((await legacyMigrations()).map((migration) => [migration.version, null]));
+  }
+  return loadMigrations().map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedAt.has(migration.version),
+    applied_at: appliedAt.get(migration.version) || null,
+  }));
+}
+
+async function initDatabase() {
+  await migrate();
+}
+
+module.exports = {
+  initDatabase,
+  migrate,
+  rollback,
+  status,
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { assertPublicWebhookTarget } = require('./webhookTargets');
+
+const MAIL_DIR = process.env.COURIER_MAIL_DIR || path.join(__dirname, '..', 'data', 'mail');
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Cada adaptador expone send(notification, target, secret) y lanza un error si
+// la entrega falla para que el dispatcher la reintente.
+
+// "Email" de desarrollo: un archivo .eml por notificacion en COURIER_MAIL_DIR.
+function createFileEmailSink(dir = MAIL_DIR) {
+  return {
+    async send(notification, target) {
+      fs.mkdirSync(dir, { recursive: true });
+      const content = [
+        `To: ${target}`,
+        `Subject: Paquete ${notification.tracking_code}: ${notification.new_status}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        `Tu paquete ${notification.tracking_code} cambio a ${notification.new_status}.`,
+        `Seguimiento: ${notification.tracking_url}`,
+        '',
+      ].join('\r\n');
+      fs.writeFileSync(path.join(dir, `${notification.id}-${notification.tracking_code}.eml`), content);
+    },
+  };
+}
+
+// Stub de SMS: no hay proveedor real, se deja una linea JSON por mensaje en sms.log.
+function createSmsStub(dir = MAIL_DIR) {
+  return {
+    async send(notification, target) {
+      fs.mkdirSync(dir, { recursive: true });
+      const text = `Courier: ${notification.tracking_code} ahora esta ${notification.new_status}. ${notification.tracking_url}`;
+      fs.appendFileSync(path.join(dir, 'sms.log'), `${JSON.stringify({ to: target, text })}\n`);
+    },
+  };
+}
+
+// Firma estilo "t=<unix>,v1=<hmac>" sobre "<timestamp>.<body>" para evitar replays.
+function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Sin seguir redirecciones: un 3xx podria llevar la entrega a una red privada y cuenta
+// como fallo.
+function createWebhookSender({ timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  return {
+    async send(notification, target, secret) {
+      await assertPublicWebhookTarget(target);
+      const body = JSON.stringify(notification);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const response = await fetch(target, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Courier-Event': notification.event,
+          'X-Courier-Delivery': String(notification.id),
+          'X-Courier-Signature': signWebhookPayload(secret, timestamp, body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook respondio ${response.status}.`);
+      }
+    },
+  };
+}
+
+function createDefaultAdapters() {
+  return {
+    email: createFileEmailSink(),
+    sms: createSmsStub(),
+    webhook: createWebhookSender(),
+  };
+}
+
+module.exports = {
+  MAIL_DIR,
+  createFileEmailSink,
+  createSmsStub,
+  createWebhookSender,
+  createDefaultAdapters,
+  signWebhookPayload,
+};
@@ -0,0 +1,85 @@
+const {
+  claimDueNotifications,
+  markNotificationSent,
+  markNotificationFailed,
+} = require('./notificationService');
+const { createDefaultAdapters } = require('./notificationAdapters');
+
+const DEFAULT_OPTIONS = {
+  intervalMs: Number(process.env.COURIER_NOTIFY_INTERVAL_MS || 2000),
+  backoffMs: Number(process.env.COURIER_NOTIFY_BACKOFF_MS || 30000),
+  maxAttempts: Number(process.env.COURIER_NOTIFY_MAX_ATTEMPTS || 5),
+  // Plazo de una notificacion reclamada; si vence sin marcarse, otra pasada la vuelve a tomar.
+  leaseMs: Number(process.env.COURIER_NOTIFY_LEASE_MS || 120000),
+  batchSize: 20,
+  publicUrl: process.env.COURIER_PUBLIC_URL || 'http://127.0.0.1:3000',
+};
+
+function buildNotification(row, publicUrl) {
+  return {
+    id: row.id,
+    event: 'package.status_changed',
+    tracking_code: row.tracking_code,
+    old_status: row.old_status,
+    new_status: row.new_status,
+    occurred_at: row.created_at,
+    tracking_url: `${publicUrl}/track.html?code=${encodeURIComponent(row.tracking_code)}`,
+  };
+}
+
+// Lee la outbox cada intervalMs y entrega con el adaptador del canal. La entrega es
+// "al menos una vez": el id de la notificacion permite al receptor descartar duplicados.
+function createNotificationDispatcher(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const adapters = settings.adapters || createDefaultAdapters();
+  let timer = null;
+  let running = null;
+
+  async function deliver(row) {
+    try {
+      const adapter = adapters[row.channel];
+      if (!adapter) throw new Error(`Sin adaptador para el canal ${row.channel}.`);
+      await adapter.send(buildNotification(row, settings.publicUrl), row.target, row.secret);
+      await markNotificationSent(row.id);
+    } catch (error) {
+      await markNotificationFailed(row, error, settings);
+    }
+  }
+
+  async function runOnce() {
+    const rows = await claimDueNotifications(settings.batchSize, settings.leaseMs);
+    for (const row of rows) {
+      await deliver(row);
+    }
+    return rows.length;
+  }
+
+  function schedule() {
+    timer = setTimeout(() => {
+      running = runOnce()
+        .catch((error) => console.error('Error en el dispatcher de notificaciones:', error.message))
+        .finally(() => {
+          running = null;
+          if (timer) schedule();
+        });
+    }, settings.intervalMs);
+    timer.unref();
+  }
+
+  return {
+    runOnce,
+    start() {
+      if (!timer) schedule();
+    },
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      if (running) await running;
+    },
+  };
+}
+
+module.exports = {
+  createNotificationDispatcher,
+  buildNotification,
+};
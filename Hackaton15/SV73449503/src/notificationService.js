@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { dialect, run, get, all, transaction } = require('./db');
+const { httpError } = require('./errors');
+const { assertPublicWebhookTarget } = require('./webhookTargets');
+
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'webhook'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{6,15}$/;
+const DEAD_LETTER_LIMIT = 100;
+
+function validateTarget(channel, target) {
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    throw new Error(`channel invalido. Usa: ${NOTIFICATION_CHANNELS.join(', ')}.`);
+  }
+  if (channel === 'email' && !EMAIL_PATTERN.test(target)) {
+    throw new Error('target debe ser un email valido.');
+  }
+  if (channel === 'sms' && !PHONE_PATTERN.test(target)) {
+    throw new Error('target debe ser un telefono valido (solo digitos, con + opcional).');
+  }
+}
+
+function toEndpoint(row) {
+  return {
+    id: row.id,
+    channel: row.channel,
+    target: row.target,
+    created_at: row.created_at,
+  };
+}
+
+// El secreto del webhook solo se devuelve al crearlo; el comercio lo usa para
+// verificar la firma de cada entrega.
+async function createEndpoint({ userId, channel, target }) {
+  const cleanChannel = String(channel || '').trim().toLowerCase();
+  const cleanTarget = String(target || '').trim();
+  validateTarget(cleanChannel, cleanTarget);
+  if (cleanChannel === 'webhook') await assertPublicWebhookTarget(cleanTarget);
+
+  const secret = cleanChannel === 'webhook' ? crypto.randomBytes(24).toString('hex') : null;
+  await run(
+    `INSERT INTO notification_endpoints (user_id, channel, target, secret)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT (user_id, channel, target) DO UPDATE SET active = 1, secret = excluded.secret`,
+    [userId, cleanChannel, cleanTarget, secret]
+  );
+
+  const endpoint = await get(
+    'SELECT * FROM notification_endpoints WHERE user_id = ? AND channel = ? AND target = ?',
+    [userId, cleanChannel, cleanTarget]
+  );
+  return { ...toEndpoint(endpoint), secret: endpoint.secret };
+}
+
+async function listEndpoints(userId) {
+  const rows = await all(
+    'SELECT * FROM notification_endpoints WHERE user_id = ? AND active = 1 ORDER BY id ASC',
+    [userId]
+  );
+  return rows.map(toEndpoint);
+}
+
+// Se desactiva en lugar de borrar para conservar la relacion con la outbox.
+async function deactivateEndpoint({ userId, endpointId }) {
+  const result = await run(
+    'UPDATE notification_endpoints SET active = 0 WHERE id = ? AND user_id = ? AND active = 1',
+    [Number(endpointId), userId]
+  );
+  if (result.changes === 0) throw httpError(404, 'Canal de notificacion no encontrado.');
+}
+
+async function listDeadLetters({ limit } = {}) {
+  const requested = Math.min(Number(limit) || DEAD_LETTER_LIMIT, DEAD_LETTER_LIMIT);
+  return all('SELECT * FROM v_notification_dead_letter ORDER BY id DESC LIMIT ?', [requested]);
+}
+
+async function retryNotification(notificationId) {
+  const result = await run(
+    `UPDATE notification_outbox
+     SET status = 'PENDING', attempts = 0, last_error = NULL,
+         next_attempt_at = ${dialect.nowMs}
+     WHERE id = ? AND status = 'DEAD'`,
+    [Number(notificationId)]
+  );
+  if (result.changes === 0) throw httpError(404, 'Notificacion en dead-letter no encontrada.');
+  return get('SELECT id, status, attempts, next_attempt_at FROM notification_outbox WHERE id = ?', [
+    Number(notificationId),
+  ]);
+}
+
+// Pasa a SENDING las notificaciones vencidas (y las SENDING cuyo plazo expiro porque la
+// instancia que las tomo no llego a marcarlas) en una sola sentencia, asi dos dispatchers
+// nunca reclaman la misma fila a la vez.
+async function claimDueNotifications(limit, leaseMs) {
+  return transaction(async () => {
+    const claimed = await all(
+      `UPDATE notification_outbox
+       SET status = 'SENDING', locked_until = ${dialect.nowMsPlus}
+       WHERE id IN (
+         SELECT id FROM notification_outbox
+         WHERE ((status = 'PENDING' AND next_attempt_at <= ${dialect.nowMs})
+            OR (status = 'SENDING' AND locked_until <= ${dialect.nowMs}))
+           -- Un canal desactivado no recibe mas entregas, tampoco las que ya estaban en cola.
+           AND (endpoint_id IS NULL
+             OR endpoint_id IN (SELECT id FROM notification_endpoints WHERE active = 1))
+         ORDER BY id ASC
+         LIMIT ?
+         ${dialect.skipLocked}
+       )
+       RETURNING id`,
+      [`+${leaseMs / 1000} seconds`, limit]
+    );
+    if (!claimed.length) return [];
+
+    const ids = claimed.map((row) => row.id);
+    return all(
+      `SELECT o.*, p.tracking_code, e.secret
+       FROM notification_outbox o
+       JOIN packages p ON p.id = o.package_id
+       LEFT JOIN notification_endpoints e ON e.id = o.endpoint_id
+       WHERE o.id IN (${ids.map(() => '?').join(', ')})
+       ORDER BY o.id ASC`,
+      ids
+    );
+  });
+}
+
+async function markNotificationSent(id) {
+  await run(
+    `UPDATE notification_outbox
+     SET status = 'SENT', attempts = attempts + 1, last_error = NULL, locked_until = NULL,
+         last_attempt_at = ${dialect.now}, sent_at = ${dialect.now}
+     WHERE id = ?`,
+    [id]
+  );
+}
+
+// Backoff exponencial: backoffMs, 2x, 4x... hasta maxAttempts; luego pasa a DEAD.
+async function markNotificationFailed(row, error, { maxAttempts, backoffMs }) {
+  const attempts = row.attempts + 1;
+  const delaySeconds = (backoffMs * 2 ** (attempts - 1)) / 1000;
+  await run(
+    `UPDATE notification_outbox
+     SET status = ?, attempts = ?, last_error = ?, last_attempt_at = ${dialect.now},
+         next_attempt_at = ${dialect.nowMsPlus}, locked_until = NULL
+     WHERE id = ?`,
+    [
+      attempts >= maxAttempts ? 'DEAD' : 'PENDING',
+      attempts,
+      String(error.message || error).slice(0, 500),
+      `+${delaySeconds} seconds`,
+      row.id,
+    ]
+  );
+}
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  EMAIL_PATTERN,
+  PHONE_PATTERN,
+  createEndpoint,
+  listEndpoints,
+  deactivateEndpoint,
+  listDeadLetters,
+  retryNotification,
+  claimDueNotifications,
+  markNotificationSent,
+  markNotificationFailed,
+};
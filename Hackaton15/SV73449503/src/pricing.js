@@ -0,0 +1,74 @@
+// Tarifa de envio: los montos se calculan en centimos para no arrastrar errores de
+// redondeo; la API los devuelve en soles.
+const CURRENCY = 'PEN';
+// Peso volumetrico (kg) = largo x ancho x alto (cm) / divisor.
+const VOLUMETRIC_DIVISOR = Number(process.env.COURIER_VOLUMETRIC_DIVISOR || 5000);
+// Seguro: porcentaje del valor declarado.
+const INSURANCE_RATE = Number(process.env.COURIER_INSURANCE_RATE || 0.015);
+// Contra entrega (COD): comision sobre el monto a cobrar, con un minimo.
+const COD_FEE_RATE = Number(process.env.COURIER_COD_FEE_RATE || 0.02);
+const COD_FEE_MIN_CENTS = 300;
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromCents(cents) {
+  return cents === null || cents === undefined ? null : cents / 100;
+}
+
+function volumetricWeightKg({ lengthCm, widthCm, heightCm }) {
+  if (!lengthCm || !widthCm || !heightCm) return null;
+  return Math.round(((lengthCm * widthCm * heightCm) / VOLUMETRIC_DIVISOR) * 1000) / 1000;
+}
+
+// Se cobra el mayor entre el peso real y el volumetrico, redondeado al medio kilo superior.
+function chargeableWeightKg(weightKg, volumetricKg) {
+  return Math.ceil(Math.max(weightKg, volumetricKg || 0) * 2) / 2;
+}
+
+// bands ordenadas por max_weight_kg. Sobre la banda mas alta se suma extra_kg_cents por
+// cada kg (o fraccion) adicional.
+function shippingCents(zone, bands, chargeableKg) {
+  const band = bands.find((item) => chargeableKg <= item.max_weight_kg);
+  if (band) return band.price_cents;
+  const last = bands[bands.length - 1];
+  return last.price_cents + Math.ceil(chargeableKg - last.max_weight_kg) * zone.extra_kg_cents;
+}
+
+function insuranceCents(declaredValueCents) {
+  return Math.round(declaredValueCents * INSURANCE_RATE);
+}
+
+function codFeeCents(codAmountCents) {
+  if (!codAmountCents) return 0;
+  return Math.max(Math.round(codAmountCents * COD_FEE_RATE), COD_FEE_MIN_CENTS);
+}
+
+function priceShipment({ zone, bands, weightKg, lengthCm, widthCm, heightCm, declaredValueCents, codAmountCents }) {
+  const volumetricKg = volumetricWeightKg({ lengthCm, widthCm, heightCm });
+  const chargeableKg = chargeableWeightKg(weightKg, volumetricKg);
+  const shipping = shippingCents(zone, bands, chargeableKg);
+  const insurance = insuranceCents(declaredValueCents);
+  const codFee = codFeeCents(codAmountCents);
+
+  return {
+    volumetricKg,
+    chargeableKg,
+    shippingCents: shipping,
+    insuranceCents: insurance,
+    codFeeCents: codFee,
+    totalCents: shipping + insurance + codFee,
+  };
+}
+
+module.exports = {
+  CURRENCY,
+  VOLUMETRIC_DIVISOR,
+  INSURANCE_RATE,
+  COD_FEE_RATE,
+  toCents,
+  fromCents,
+  volumetricWeightKg,
+  priceShipment,
+};
@@ -0,0 +1,278 @@
+const { dialect, run, get, all, transaction } = require('./db');
+const { conflict, httpError } = require('./errors');
+const { parseTrackingCode } = require('./trackingCode');
+const {
+  getPackageByTracking,
+  getPackageDetails,
+  canTransition,
+  applyTransition,
+} = require('./courierService');
+
+const ROUTE_MAX_STOPS = 200;
+
+function parseRouteId(routeId) {
+  const id = Number(routeId);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw httpError(400, 'routeId invalido.');
+  }
+  return id;
+}
+
+function parseRouteDate(value) {
+  const text = String(value || '').trim();
+  const date = new Date(`${text}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime())) {
+    throw new Error('date debe tener formato YYYY-MM-DD.');
+  }
+  return text;
+}
+
+async function findCourier(username) {
+  const courier = await get('SELECT id, username, role FROM users WHERE username = ?', [
+    String(username || '').trim(),
+  ]);
+  if (!courier || courier.role !== 'courier') {
+    throw new Error('courier debe ser el username de un usuario con rol courier.');
+  }
+  return courier;
+}
+
+async function getRouteRow(routeId) {
+  const route = await get('SELECT * FROM routes WHERE id = ?', [parseRouteId(routeId)]);
+  if (!route) throw httpError(404, 'Ruta no encontrada.');
+  return route;
+}
+
+// Cada paquete debe poder salir a reparto y no estar en otra ruta abierta.
+async function resolveStops(trackingCodes, routeId = null) {
+  if (!Array.isArray(trackingCodes) || !trackingCodes.length) {
+    throw new Error('trackingCodes debe ser una lista con al menos un paquete.');
+  }
+  if (trackingCodes.length > ROUTE_MAX_STOPS) {
+    throw new Error(`Una ruta admite como maximo ${ROUTE_MAX_STOPS} paradas.`);
+  }
+
+  const codes = trackingCodes.map(parseTrackingCode);
+  if (new Set(codes).size !== codes.length) {
+    throw new Error('trackingCodes tiene paquetes repetidos.');
+  }
+
+  const packages = [];
+  for (const code of codes) {
+    const pkg = await getPackageByTracking(code);
+    if (!pkg) throw httpError(400, `Paquete no existe: ${code}.`);
+    if (!canTransition(pkg.status, 'OUT_FOR_DELIVERY')) {
+      throw conflict(`El paquete ${code} no puede salir a reparto desde ${pkg.status}.`);
+    }
+
+    const otherRoute = await get(
+      `SELECT route_id FROM route_stops
+       WHERE package_id = ? AND released_at IS NULL AND route_id IS DISTINCT FROM ?`,
+      [pkg.id, routeId]
+    );
+    if (otherRoute) {
+      throw conflict(`El paquete ${code} ya esta asignado a la ruta ${otherRoute.route_id}.`);
+    }
+    packages.push(pkg);
+  }
+  return packages;
+}
+
+// resolveStops revisa las asignaciones fuera de la transaccion; si otra planificacion gano la
+// carrera, el indice unico parcial sobre route_stops(package_id) rechaza la parada.
+async function insertStops(routeId, packages) {
+  for (const [index, pkg] of packages.entries()) {
+    try {
+      await run('INSERT INTO route_stops (route_id, package_id, stop_order) VALUES (?, ?, ?)', [
+        routeId,
+        pkg.id,
+        index + 1,
+      ]);
+    } catch (error) {
+      if (dialect.isUniqueViolation(error, 'route_stops', 'package_id')) {
+        throw conflict(`El paquete ${pkg.tracking_code} ya esta asignado a otra ruta.`);
+      }
+      throw error;
+    }
+  }
+}
+
+async function getRoute(routeId) {
+  const route = await get(
+    `SELECT r.id, r.route_date, r.status, r.courier_id, c.username AS courier,
+            u.username AS created_by, r.dispatched_at, r.created_at, r.updated_at
+     FROM routes r
+     JOIN users c ON c.id = r.courier_id
+     JOIN users u ON u.id = r.created_by
+     WHERE r.id = ?`,
+    [parseRouteId(routeId)]
+  );
+  if (!route) return null;
+
+  const stops = await all(
+    `SELECT s.stop_order, p.tracking_code, p.recipient, p.destination_address, p.status, s.released_at
+     FROM route_stops s
+     JOIN packages p ON p.id = s.package_id
+     WHERE s.route_id = ?
+     ORDER BY s.stop_order ASC`,
+    [route.id]
+  );
+
+  return { ...route, stops };
+}
+
+async function createRoute({ courier, date, trackingCodes, userId }) {
+  const courierUser = await findCourier(courier);
+  const routeDate = parseRouteDate(date);
+  const packages = await resolveStops(trackingCodes);
+
+  const routeId = await transaction(async () => {
+    const created = await run('INSERT INTO routes (courier_id, route_date, created_by) VALUES (?, ?, ?) RETURNING id', [
+      courierUser.id,
+      routeDate,
+      userId,
+    ]);
+    await insertStops(created.id, packages);
+    return created.id;
+  });
+
+  return getRoute(routeId);
+}
+
+// Reemplaza las paradas en el orden recibido; solo mientras la ruta no sale.
+async function updateRouteStops({ routeId, trackingCodes }) {
+  const route = await getRouteRow(routeId);
+  if (route.status !== 'PLANNED') {
+    throw conflict('Solo se pueden cambiar las paradas de una ruta PLANNED.');
+  }
+  const packages = await resolveStops(trackingCodes, route.id);
+
+  await transaction(async () => {
+    await run('DELETE FROM route_stops WHERE route_id = ?', [route.id]);
+    await insertStops(route.id, packages);
+    await run(`UPDATE routes SET updated_at = ${dialect.now} WHERE id = ?`, [route.id]);
+  });
+
+  return getRoute(route.id);
+}
+
+async function listRoutes({ date, courier } = {}) {
+  const where = [];
+  const params = [];
+  if (date) {
+    where.push('r.route_date = ?');
+    params.push(parseRouteDate(date));
+  }
+  if (courier) {
+    where.push('c.username = ?');
+    params.push(String(courier).trim());
+  }
+
+  return all(
+    `SELECT r.id, r.route_date, r.status, c.username AS courier, r.dispatched_at, r.created_at,
+            COUNT(s.id) AS stops,
+            SUM(CASE WHEN p.status = 'RECEIVED' THEN 1 ELSE 0 END) AS delivered
+     FROM routes r
+     JOIN users c ON c.id = r.courier_id
+     LEFT JOIN route_stops s ON s.route_id = r.id
+     LEFT JOIN packages p ON p.id = s.package_id
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     GROUP BY r.id, c.username
+     ORDER BY r.route_date DESC, r.id DESC`,
+    params
+  );
+}
+
+// Todas las paradas pasan a OUT_FOR_DELIVERY en una transaccion: si una falla,
+// ninguna cambia.
+async function dispatchRoute({ routeId, userId }) {
+  const route = await getRouteRow(routeId);
+  if (route.status !== 'PLANNED') {
+    throw conflict('La ruta ya fue despachada.');
+  }
+
+  const packages = await all(
+    `SELECT p.* FROM route_stops s
+     JOIN packages p ON p.id = s.package_id
+     WHERE s.route_id = ?
+     ORDER BY s.stop_order ASC`,
+    [route.id]
+  );
+
+  await transaction(async () => {
+    const updated = await run(
+      `UPDATE routes SET status = 'DISPATCHED', dispatched_at = ${dialect.now}, updated_at = ${dialect.now}
+       WHERE id = ? AND status = 'PLANNED'`,
+      [route.id]
+    );
+    if (updated.changes === 0) throw conflict('La ruta ya fue despachada.');
+
+    for (const pkg of packages) {
+      await applyTransition(pkg, 'OUT_FOR_DELIVERY', userId);
+    }
+  });
+
+  const details = [];
+  for (const pkg of packages) {
+    details.push(await getPackageDetails(pkg.tracking_code));
+  }
+  return { route: await getRoute(route.id), packages: details };
+}
+
+// Un solo registro por ping; v_package_locations lo reparte a las paradas activas.
+async function addRouteLocation({ routeId, userId, latitude, longitude, address, note }) {
+  const route = await getRouteRow(routeId);
+  if (route.courier_id !== userId) {
+    throw httpError(403, 'Solo el courier asignado puede enviar ubicaciones de la ruta.');
+  }
+  if (route.status !== 'DISPATCHED') {
+    throw conflict('La ruta aun no fue despachada.');
+  }
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    throw new Error('latitude y longitude deben ser numéricos.');
+  }
+
+  const created = await run(
+    `INSERT INTO route_locations (route_id, user_id, latitude, longitude, address, note)
+     VALUES (?, ?, ?, ?, ?, ?)
+     RETURNING id`,
+    [route.id, userId, latitude, longitude, address || null, note || null]
+  );
+
+  const location = await get(
+    `SELECT l.id, 'ROUTE' AS source, l.latitude, l.longitude, l.address, l.note, l.created_at,
+            u.id AS user_id, u.username
+     FROM route_locations l
+     JOIN users u ON u.id = l.user_id
+     WHERE l.id = ?`,
+    [created.id]
+  );
+
+  const stops = await all(
+    `SELECT p.tracking_code, e.seq
+     FROM route_stops s
+     JOIN packages p ON p.id = s.package_id
+     JOIN package_events e
+       ON e.package_id = s.package_id AND e.event_type = 'ROUTE_LOCATION' AND e.source_id = ?
+     WHERE s.route_id = ? AND s.released_at IS NULL
+     ORDER BY s.stop_order ASC`,
+    [created.id, route.id]
+  );
+
+  // Cada paquete de la ruta recibe la ubicacion con el seq de su propia sala.
+  return {
+    routeId: route.id,
+    location,
+    trackingCodes: stops.map((stop) => stop.tracking_code),
+    stops: stops.map((stop) => ({ trackingCode: stop.tracking_code, seq: stop.seq })),
+  };
+}
+
+module.exports = {
+  createRoute,
+  updateRouteStops,
+  getRoute,
+  listRoutes,
+  dispatchRoute,
+  addRouteLocation,
+};
@@ -2,17 +2,132 @@ const http = require('http');
 const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
 const { Server } = require('socket.io');
 
-const { initDatabase } = require('./db');
+const { initDatabase } = require('./migrator');
+const { httpError } = require('./errors');
+const { PHOTO_MAX_BYTES } = require('./deliveryFiles');
+const { toCsv } = require('./csv');
+const { parseTrackingCode } = require('./trackingCode');
 const {
-  ensureUser,
+  authorize,
+  requireAuth,
+  requirePermission,
+  signToken,
+  socketAuth,
+} = require('./auth');
+const {
+  registerUser,
+  resetPassword,
+  authenticateUser,
+  ensureAdmin,
   createPackage,
+  importPackages,
   addMessage,
   addLocation,
+  changeStatus,
   markReceived,
+  getDeliveryFile,
+  requirePackageAccess,
   getPackageDetails,
+  getRouteSummary,
+  listPackages,
+  exportPackages,
+  EXPORT_COLUMNS,
+  getPublicTracking,
+  toPublicLocation,
+  toPublicStatus,
+  toRoomStatus,
 } = require('./courierService');
+const {
+  createRoute,
+  updateRouteStops,
+  getRoute,
+  listRoutes,
+  dispatchRoute,
+  addRouteLocation,
+} = require('./routeService');
+const {
+  createEndpoint,
+  listEndpoints,
+  deactivateEndpoint,
+  listDeadLetters,
+  retryNotification,
+} = require('./notificationService');
+const { createNotificationDispatcher } = require('./notificationDispatcher');
+const { getEventsSince, getLastSeq, acknowledgeMessages } = require('./eventService');
+const { createSocketAdapter } = require('./socketAdapter');
+const { quotePackage } = require('./tariffService');
+const { getMonthlyInvoice } = require('./invoiceService');
+const { renderInvoiceHtml, renderInvoicePdf } = require('./invoiceDocuments');
+const { getLabel, getLabels } = require('./labelService');
+const { renderLabelsPdf, renderLabelPng } = require('./labelDocuments');
+
+// Namespace de seguimiento publico: solo recibe eventos redactados.
+const PUBLIC_NAMESPACE = '/public';
+
+function emitLocation(io, data) {
+  io.to(`package:${data.trackingCode}`).emit('package:location', data);
+  io.of(PUBLIC_NAMESPACE).to(`package:${data.trackingCode}`).emit('package:location', toPublicLocation(data));
+
+  // El ETA es informativo: si no se puede calcular no se afecta el registro de la ubicacion.
+  getRouteSummary(data.trackingCode)
+    .then((route) => io.to(`package:${data.trackingCode}`).emit('eta:updated', route))
+    .catch(() => {});
+}
+
+// Un ping de la ruta se emite como package:location en el room de cada parada activa.
+function emitRouteLocation(io, data) {
+  data.stops.forEach(({ trackingCode, seq }) => {
+    emitLocation(io, { trackingCode, ...data.location, seq });
+  });
+}
+
+// El detalle del paquete lleva el seq de su ultimo cambio de estado en status_seq.
+function emitStatusChange(io, data) {
+  const event = toRoomStatus({ ...data, seq: data.status_seq });
+  io.to(`package:${data.tracking_code}`).emit('package:status', event);
+  if (data.status === 'RECEIVED') {
+    io.to(`package:${data.tracking_code}`).emit('package:received', event);
+    io.of(PUBLIC_NAMESPACE).to(`package:${data.tracking_code}`).emit('package:received', toPublicStatus(event));
+  }
+}
+
+function emitMessageReceipts(io, data) {
+  data.receipts.forEach((receipt) => {
+    io.to(`package:${data.trackingCode}`).emit('package:message_receipt', receipt);
+  });
+}
+
+const deliveryUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PHOTO_MAX_BYTES, files: 2 },
+}).fields([
+  { name: 'signature', maxCount: 1 },
+  { name: 'photo', maxCount: 1 },
+]);
+
+const IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+
+// El CSV llega como archivo multipart (campo "file") o como body text/csv.
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+}).single('file');
+const importText = express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_MAX_BYTES });
+
+function uploadedFile(files, field) {
+  return files && files[field] ? files[field][0].buffer : null;
+}
+
+// Socket.IO entrega los binarios como Buffer (Node) o ArrayBuffer (navegador).
+function toBuffer(value) {
+  if (!value) return null;
+  if (Buffer.isBuffer(value)) return value;
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return Buffer.from(value);
+  return null;
+}
 
 function buildApp(io) {
   const app = express();
@@ -24,27 +139,142 @@ function buildApp(io) {
     res.json({ ok: true, service: 'courier-online' });
   });
 
+  app.post('/api/auth/register', async (req, res, next) => {
+    try {
+      // El registro publico siempre crea remitentes; los demas roles los asigna un admin.
+      if (req.body.role && req.body.role !== 'sender') {
+        throw httpError(403, 'Solo un admin puede asignar el rol.');
+      }
+      const user = await registerUser({ username: req.body.username, password: req.body.password });
+      res.status(201).json({ ok: true, user });
+    } catch (error) {
+      next(error);
+    }
+  });
+
   app.post('/api/auth/login', async (req, res, next) => {
     try {
-      const user = await ensureUser(req.body.username);
+      const user = await authenticateUser(req.body);
+      res.status(200).json({ ok: true, user, token: signToken(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/public/track/:trackingCode', async (req, res, next) => {
+    try {
+      const data = await getPublicTracking(req.params.trackingCode);
+      if (!data) {
+        return res.status(404).json({ ok: false, error: 'Paquete no encontrado.' });
+      }
+      return res.status(200).json({ ok: true, tracking: data });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.status(200).json({ ok: true, user: req.user });
+  });
+
+  app.post('/api/users', requireAuth, requirePermission('manageUsers'), async (req, res, next) => {
+    try {
+      const user = await registerUser(req.body);
+      res.status(201).json({ ok: true, user });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/users/:username/password', requireAuth, requirePermission('manageUsers'), async (req, res, next) => {
+    try {
+      const user = await resetPassword({ username: req.params.username, password: req.body.password });
       res.status(200).json({ ok: true, user });
     } catch (error) {
       next(error);
     }
   });
 
-  app.post('/api/packages', async (req, res, next) => {
+  app.post('/api/packages/quote', requireAuth, requirePermission('createPackage'), async (req, res, next) => {
+    try {
+      const quote = await quotePackage(req.body);
+      res.status(200).json({ ok: true, quote });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/packages', requireAuth, requirePermission('createPackage'), async (req, res, next) => {
     try {
-      const data = await createPackage(req.body);
-      io.to(`package:${data.tracking_code}`).emit('package:created', data);
+      const data = await createPackage({ ...req.body, userId: req.user.id });
+      io.to(`package:${data.tracking_code}`).emit('package:created', toRoomStatus({ ...data, seq: data.status_seq }));
       res.status(201).json({ ok: true, package: data });
     } catch (error) {
       next(error);
     }
   });
 
-  app.get('/api/packages/:trackingCode', async (req, res, next) => {
+  app.post('/api/packages/labels', requireAuth, requirePermission('printLabels'), async (req, res, next) => {
     try {
+      const labels = await getLabels(req.body.trackingCodes, req.user);
+      res.attachment(`etiquetas-${new Date().toISOString().slice(0, 10)}.pdf`);
+      res.status(200).type('application/pdf').send(await renderLabelsPdf(labels));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post(
+    '/api/packages/import',
+    requireAuth,
+    requirePermission('createPackage'),
+    importUpload,
+    importText,
+    async (req, res, next) => {
+      try {
+        const csv = req.file ? req.file.buffer.toString('utf8') : typeof req.body === 'string' ? req.body : '';
+        const dryRun = ['1', 'true'].includes(String(req.query.dryRun || '').toLowerCase());
+        const report = await importPackages({ csv, userId: req.user.id, dryRun });
+        res.status(report.created ? 201 : 200).json({ ok: true, ...report });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.get('/api/packages', requireAuth, requirePermission('listPackages'), async (req, res, next) => {
+    try {
+      const data = await listPackages(req.query);
+      res.status(200).json({ ok: true, ...data });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/packages/export', requireAuth, requirePermission('listPackages'), async (req, res, next) => {
+    try {
+      const format = String(req.query.format || 'csv').toLowerCase();
+      if (!['csv', 'json'].includes(format)) {
+        throw new Error('format debe ser csv o json.');
+      }
+
+      const rows = await exportPackages(req.query);
+      const fileName = `packages-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.attachment(fileName);
+      if (format === 'json') {
+        const items = rows.map((row) => Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, row[column]])));
+        res.status(200).json(items);
+        return;
+      }
+      res.status(200).type('text/csv; charset=utf-8').send(toCsv(rows, EXPORT_COLUMNS));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/packages/:trackingCode', requireAuth, async (req, res, next) => {
+    try {
+      await requirePackageAccess(req.params.trackingCode, req.user);
       const data = await getPackageDetails(req.params.trackingCode);
       if (!data) {
         return res.status(404).json({ ok: false, error: 'Paquete no encontrado.' });
@@ -55,66 +285,309 @@ function buildApp(io) {
     }
   });
 
-  app.post('/api/packages/:trackingCode/messages', async (req, res, next) => {
+  app.post('/api/packages/:trackingCode/messages', requireAuth, async (req, res, next) => {
     try {
+      await requirePackageAccess(req.params.trackingCode, req.user);
       const payload = {
         trackingCode: req.params.trackingCode,
-        userId: req.body.userId,
+        userId: req.user.id,
         message: req.body.message,
       };
       const data = await addMessage(payload);
-      io.to(`package:${payload.trackingCode}`).emit('package:message', data);
+      io.to(`package:${data.trackingCode}`).emit('package:message', data);
       res.status(201).json({ ok: true, message: data });
     } catch (error) {
       next(error);
     }
   });
 
-  app.post('/api/packages/:trackingCode/location', async (req, res, next) => {
+  app.post(
+    '/api/packages/:trackingCode/location',
+    requireAuth,
+    requirePermission('addLocation'),
+    async (req, res, next) => {
+      try {
+        const payload = {
+          trackingCode: req.params.trackingCode,
+          userId: req.user.id,
+          latitude: req.body.latitude,
+          longitude: req.body.longitude,
+          address: req.body.address,
+          note: req.body.note,
+        };
+        const data = await addLocation(payload);
+        emitLocation(io, data);
+        res.status(201).json({ ok: true, location: data });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    '/api/packages/:trackingCode/status',
+    requireAuth,
+    requirePermission('changeStatus'),
+    async (req, res, next) => {
+      try {
+        const payload = {
+          trackingCode: req.params.trackingCode,
+          userId: req.user.id,
+          status: req.body.status,
+        };
+        const data = await changeStatus(payload);
+        emitStatusChange(io, data);
+        res.status(200).json({ ok: true, package: data });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    '/api/packages/:trackingCode/receive',
+    requireAuth,
+    requirePermission('markReceived'),
+    deliveryUpload,
+    async (req, res, next) => {
+      try {
+        const payload = {
+          trackingCode: req.params.trackingCode,
+          userId: req.user.id,
+          receivedByName: req.body.receivedByName,
+          receivedByDocument: req.body.receivedByDocument,
+          latitude: Number(req.body.latitude),
+          longitude: Number(req.body.longitude),
+          signature: uploadedFile(req.files, 'signature'),
+          photo: uploadedFile(req.files, 'photo'),
+        };
+        const data = await markReceived(payload);
+        emitStatusChange(io, data);
+        res.status(200).json({ ok: true, package: data });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.get('/api/packages/:trackingCode/label', requireAuth, requirePermission('printLabels'), async (req, res, next) => {
     try {
-      const payload = {
-        trackingCode: req.params.trackingCode,
-        userId: req.body.userId,
+      const format = String(req.query.format || 'pdf').toLowerCase();
+      if (!['pdf', 'png'].includes(format)) {
+        throw new Error('format debe ser pdf o png.');
+      }
+
+      const label = await getLabel(req.params.trackingCode, req.user);
+      if (!label) {
+        throw httpError(404, 'Paquete no encontrado.');
+      }
+      res.attachment(`etiqueta-${label.trackingCode}.${format}`);
+      if (format === 'png') {
+        res.status(200).type('image/png').send(await renderLabelPng(label));
+        return;
+      }
+      res.status(200).type('application/pdf').send(await renderLabelsPdf([label]));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/packages/:trackingCode/delivery/:kind', requireAuth, async (req, res, next) => {
+    try {
+      const { trackingCode, kind } = req.params;
+      if (!['signature', 'photo'].includes(kind)) {
+        throw httpError(404, 'Archivo de entrega no encontrado.');
+      }
+      await requirePackageAccess(trackingCode, req.user);
+      const file = await getDeliveryFile(trackingCode, kind);
+      if (!file) {
+        throw httpError(404, 'Archivo de entrega no encontrado.');
+      }
+      res.download(file, `${trackingCode}-${kind}${path.extname(file)}`);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/routes', requireAuth, requirePermission('planRoutes'), async (req, res, next) => {
+    try {
+      const route = await createRoute({
+        courier: req.body.courier,
+        date: req.body.date,
+        trackingCodes: req.body.trackingCodes,
+        userId: req.user.id,
+      });
+      res.status(201).json({ ok: true, route });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Un courier solo ve sus propias rutas.
+  app.get('/api/routes', requireAuth, requirePermission('viewRoutes'), async (req, res, next) => {
+    try {
+      const courier = req.user.role === 'courier' ? req.user.username : req.query.courier;
+      const routes = await listRoutes({ date: req.query.date, courier });
+      res.status(200).json({ ok: true, routes });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/routes/:routeId', requireAuth, requirePermission('viewRoutes'), async (req, res, next) => {
+    try {
+      const route = await getRoute(req.params.routeId);
+      if (!route || (req.user.role === 'courier' && route.courier_id !== req.user.id)) {
+        throw httpError(404, 'Ruta no encontrada.');
+      }
+      res.status(200).json({ ok: true, route });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/api/routes/:routeId/stops', requireAuth, requirePermission('planRoutes'), async (req, res, next) => {
+    try {
+      const route = await updateRouteStops({ routeId: req.params.routeId, trackingCodes: req.body.trackingCodes });
+      res.status(200).json({ ok: true, route });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/routes/:routeId/dispatch', requireAuth, requirePermission('planRoutes'), async (req, res, next) => {
+    try {
+      const data = await dispatchRoute({ routeId: req.params.routeId, userId: req.user.id });
+      data.packages.forEach((pkg) => emitStatusChange(io, pkg));
+      res.status(200).json({ ok: true, route: data.route });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/routes/:routeId/location', requireAuth, requirePermission('addLocation'), async (req, res, next) => {
+    try {
+      const data = await addRouteLocation({
+        routeId: req.params.routeId,
+        userId: req.user.id,
         latitude: req.body.latitude,
         longitude: req.body.longitude,
         address: req.body.address,
         note: req.body.note,
-      };
-      const data = await addLocation(payload);
-      io.to(`package:${payload.trackingCode}`).emit('package:location', data);
-      res.status(201).json({ ok: true, location: data });
+      });
+      emitRouteLocation(io, data);
+      res.status(201).json({ ok: true, ...data });
     } catch (error) {
       next(error);
     }
   });
 
-  app.post('/api/packages/:trackingCode/receive', async (req, res, next) => {
+  app.get('/api/invoices/:username/:month', requireAuth, requirePermission('viewInvoices'), async (req, res, next) => {
     try {
-      const payload = {
-        trackingCode: req.params.trackingCode,
-        userId: req.body.userId,
-      };
-      const data = await markReceived(payload);
-      io.to(`package:${payload.trackingCode}`).emit('package:received', data);
-      res.status(200).json({ ok: true, package: data });
+      const format = String(req.query.format || 'json').toLowerCase();
+      if (!['json', 'html', 'pdf'].includes(format)) {
+        throw new Error('format debe ser json, html o pdf.');
+      }
+
+      const invoice = await getMonthlyInvoice({
+        username: req.params.username,
+        month: req.params.month,
+        user: req.user,
+      });
+      if (format === 'json') {
+        res.status(200).json({ ok: true, invoice });
+        return;
+      }
+      if (format === 'html') {
+        res.status(200).type('html').send(renderInvoiceHtml(invoice));
+        return;
+      }
+      res.attachment(`${invoice.number}.pdf`);
+      res.status(200).type('application/pdf').send(await renderInvoicePdf(invoice));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/notifications/endpoints', requireAuth, async (req, res, next) => {
+    try {
+      const endpoints = await listEndpoints(req.user.id);
+      res.status(200).json({ ok: true, endpoints });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/notifications/endpoints', requireAuth, async (req, res, next) => {
+    try {
+      const endpoint = await createEndpoint({ userId: req.user.id, channel: req.body.channel, target: req.body.target });
+      res.status(201).json({ ok: true, endpoint });
     } catch (error) {
       next(error);
     }
   });
 
+  app.delete('/api/notifications/endpoints/:endpointId', requireAuth, async (req, res, next) => {
+    try {
+      await deactivateEndpoint({ userId: req.user.id, endpointId: req.params.endpointId });
+      res.status(200).json({ ok: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get(
+    '/api/notifications/dead-letter',
+    requireAuth,
+    requirePermission('manageNotifications'),
+    async (req, res, next) => {
+      try {
+        const items = await listDeadLetters(req.query);
+        res.status(200).json({ ok: true, items });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    '/api/notifications/:notificationId/retry',
+    requireAuth,
+    requirePermission('manageNotifications'),
+    async (req, res, next) => {
+      try {
+        const notification = await retryNotification(req.params.notificationId);
+        res.status(200).json({ ok: true, notification });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
   app.use((err, _req, res, _next) => {
-    const status = err.message.includes('no encontrado') ? 404 : 400;
+    const status = err.status || (err.message.includes('no encontrado') ? 404 : 400);
     res.status(status).json({ ok: false, error: err.message });
   });
 
   return app;
 }
 
-async function startServer({ port = 3000, host = '127.0.0.1' } = {}) {
+// Varias instancias comparten los rooms por el adaptador de Socket.IO (socketAdapter
+// recibe { type, bus } y por defecto usa COURIER_SOCKET_ADAPTER).
+async function startServer({ port = 3000, host = '127.0.0.1', socketAdapter: adapterOptions } = {}) {
   await initDatabase();
 
+  if (process.env.COURIER_ADMIN_USERNAME && process.env.COURIER_ADMIN_PASSWORD) {
+    await ensureAdmin({
+      username: process.env.COURIER_ADMIN_USERNAME,
+      password: process.env.COURIER_ADMIN_PASSWORD,
+    });
+  }
+
+  const socketAdapter = await createSocketAdapter(adapterOptions);
   const server = http.createServer();
   const io = new Server(server, {
+    adapter: socketAdapter.adapter,
     cors: {
       origin: '*',
       methods: ['GET', 'POST'],
@@ -124,17 +597,93 @@ async function startServer({ port = 3000, host = '127.0.0.1' } = {}) {
   const app = buildApp(io);
   server.on('request', app);
 
+  // Los clientes publicos solo pueden unirse a rooms existentes; cualquier otro
+  // evento emitido por ellos cierra la conexion.
+  io.of(PUBLIC_NAMESPACE).on('connection', (socket) => {
+    socket.onAny((eventName) => {
+      if (eventName !== 'join_package') socket.disconnect(true);
+    });
+
+    socket.on('join_package', async (payload) => {
+      const trackingCode = payload && payload.trackingCode;
+      if (!trackingCode) return;
+      let room = null;
+      try {
+        // Primero el room y despues la lectura: un cambio entre ambas llega como evento en
+        // lugar de perderse.
+        room = `package:${parseTrackingCode(trackingCode)}`;
+        socket.join(room);
+        const tracking = await getPublicTracking(trackingCode);
+        if (!tracking) {
+          socket.leave(room);
+          socket.emit('package:not_found', { trackingCode });
+          return;
+        }
+        socket.emit('package:joined', { trackingCode: tracking.tracking_code, tracking });
+      } catch (error) {
+        if (room) socket.leave(room);
+        const message = error.status === 400 ? error.message : 'No se pudo consultar el paquete.';
+        socket.emit('package:error', { trackingCode, error: message });
+      }
+    });
+  });
+
+  io.use(socketAuth);
+
   io.on('connection', (socket) => {
-    socket.on('join_package', ({ trackingCode }) => {
+    const { user } = socket.data;
+
+    // Con lastSeq el servidor reenvia, en orden y solo a este socket, los eventos del
+    // paquete posteriores a ese seq antes de confirmar la union al room. El socket entra al
+    // room antes de leer el historial, asi ningun evento cae entre la lectura y la union;
+    // uno emitido mientras se lee puede llegar dos veces (en vivo y en el reenvio) o antes
+    // que el reenvio, y el cliente lo descarta por seq.
+    socket.on('join_package', async (payload, callback) => {
+      const { trackingCode, lastSeq } = payload || {};
       if (!trackingCode) return;
-      socket.join(`package:${trackingCode}`);
-      socket.emit('package:joined', { trackingCode });
+      let room = null;
+      try {
+        const code = parseTrackingCode(trackingCode);
+        await requirePackageAccess(code, user);
+        room = `package:${code}`;
+        socket.join(room);
+        const replay = lastSeq === undefined || lastSeq === null
+          ? { trackingCode: code, lastSeq: await getLastSeq(code, user), truncated: false, events: [] }
+          : await getEventsSince(code, lastSeq, user);
+        if (!replay || replay.lastSeq === null) throw httpError(404, 'Paquete no encontrado.');
+
+        replay.events.forEach(([eventName, data]) => socket.emit(eventName, data));
+        const joined = {
+          trackingCode: code,
+          lastSeq: replay.lastSeq,
+          replayed: replay.events.length,
+          truncated: replay.truncated,
+        };
+        socket.emit('package:joined', joined);
+        if (callback) callback({ ok: true, ...joined });
+      } catch (error) {
+        if (room) socket.leave(room);
+        socket.emit('package:error', { trackingCode, error: error.message });
+        if (callback) callback({ ok: false, error: error.message });
+      }
+    });
+
+    socket.on('package_message_ack', async (payload, callback) => {
+      try {
+        await requirePackageAccess(payload && payload.trackingCode, user);
+        const data = await acknowledgeMessages({ ...payload, userId: user.id });
+        emitMessageReceipts(io, data);
+        if (callback) callback({ ok: true, receipts: data.receipts });
+      } catch (error) {
+        if (callback) callback({ ok: false, error: error.message });
+      }
     });
 
     socket.on('package_send_message', async (payload, callback) => {
       try {
-        const data = await addMessage(payload);
-        io.to(`package:${payload.trackingCode}`).emit('package:message', data);
+        await requirePackageAccess(payload && payload.trackingCode, user);
+        const data = await addMessage({ ...payload, userId: user.id });
+        io.to(`package:${data.trackingCode}`).emit('package:message', data);
         if (callback) callback({ ok: true, message: data });
       } catch (error) {
         if (callback) callback({ ok: false, error: error.message });
@@ -143,18 +692,47 @@ async function startServer({ port = 3000, host = '127.0.0.1' } = {}) {
 
     socket.on('package_update_location', async (payload, callback) => {
       try {
-        const data = await addLocation(payload);
-        io.to(`package:${payload.trackingCode}`).emit('package:location', data);
+        authorize(user, 'addLocation');
+        const data = await addLocation({ ...payload, userId: user.id });
+        emitLocation(io, data);
         if (callback) callback({ ok: true, location: data });
       } catch (error) {
         if (callback) callback({ ok: false, error: error.message });
       }
     });
 
+    socket.on('route_update_location', async (payload, callback) => {
+      try {
+        authorize(user, 'addLocation');
+        const data = await addRouteLocation({ ...payload, userId: user.id });
+        emitRouteLocation(io, data);
+        if (callback) callback({ ok: true, ...data });
+      } catch (error) {
+        if (callback) callback({ ok: false, error: error.message });
+      }
+    });
+
+    socket.on('package_change_status', async (payload, callback) => {
+      try {
+        authorize(user, 'changeStatus');
+        const data = await changeStatus({ ...payload, userId: user.id });
+        emitStatusChange(io, data);
+        if (callback) callback({ ok: true, package: data });
+      } catch (error) {
+        if (callback) callback({ ok: false, error: error.message });
+      }
+    });
+
     socket.on('package_mark_received', async (payload, callback) => {
       try {
-        const data = await markReceived(payload);
-        io.to(`package:${payload.trackingCode}`).emit('package:received', data);
+        authorize(user, 'markReceived');
+        const data = await markReceived({
+          ...payload,
+          userId: user.id,
+          signature: toBuffer(payload.signature),
+          photo: toBuffer(payload.photo),
+        });
+        emitStatusChange(io, data);
         if (callback) callback({ ok: true, package: data });
       } catch (error) {
         if (callback) callback({ ok: false, error: error.message });
@@ -166,7 +744,14 @@ async function startServer({ port = 3000, host = '127.0.0.1' } = {}) {
     server.listen(port, host, resolve);
   });
 
-  return { server, io };
+  const dispatcher = createNotificationDispatcher();
+  dispatcher.start();
+  server.on('close', () => {
+    dispatcher.stop();
+    socketAdapter.close().catch(() => {});
+  });
+
+  return { server, io, dispatcher };
 }
 
 if (require.main === module) {
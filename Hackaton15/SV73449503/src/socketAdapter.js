@@ -0,0 +1,81 @@
+const { EventEmitter } = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { createAdapter: createRedisAdapter } = require('@socket.io/redis-adapter');
+const { createClient } = require('redis');
+
+// COURIER_SOCKET_ADAPTER elige como se comparten los rooms entre instancias:
+// memory (por defecto, instancias dentro del mismo proceso) o redis (produccion,
+// cualquier servidor compatible con Redis en COURIER_REDIS_URL).
+const ADAPTER = process.env.COURIER_SOCKET_ADAPTER || 'memory';
+const REDIS_URL = process.env.COURIER_REDIS_URL || 'redis://127.0.0.1:6379';
+const REDIS_KEY = 'courier';
+
+// Bus en memoria que hace de Redis: los servidores Socket.IO creados en este proceso
+// publican y reciben por aqui.
+function createMemoryBus() {
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+  return bus;
+}
+
+const sharedBus = createMemoryBus();
+
+class InProcessAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus) {
+    super(nsp, {});
+    this.bus = bus;
+    this.channel = `${REDIS_KEY}#${nsp.name}#`;
+    this.responseChannel = `${this.channel}${this.uid}#`;
+    this.handleMessage = (message) => this.onMessage(message);
+    this.handleResponse = (response) => this.onResponse(response);
+    bus.on(this.channel, this.handleMessage);
+    bus.on(this.responseChannel, this.handleResponse);
+  }
+
+  // Se entrega en otro tick, como llegaria por la red.
+  doPublish(message) {
+    setImmediate(() => this.bus.emit(this.channel, message));
+    return Promise.resolve('');
+  }
+
+  doPublishResponse(requesterUid, response) {
+    setImmediate(() => this.bus.emit(`${this.channel}${requesterUid}#`, response));
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.bus.off(this.channel, this.handleMessage);
+    this.bus.off(this.responseChannel, this.handleResponse);
+  }
+}
+
+function createInProcessAdapter(bus = sharedBus) {
+  return function inProcessAdapter(nsp) {
+    return new InProcessAdapter(nsp, bus);
+  };
+}
+
+// Devuelve { adapter, close }: adapter va en las opciones de new Server() y close
+// libera las conexiones que haya abierto.
+async function createSocketAdapter({ type = ADAPTER, bus, redisUrl = REDIS_URL } = {}) {
+  if (type === 'memory') {
+    return { adapter: createInProcessAdapter(bus), close: async () => {} };
+  }
+  if (type === 'redis') {
+    const pubClient = createClient({ url: redisUrl });
+    const subClient = pubClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    return {
+      adapter: createRedisAdapter(pubClient, subClient, { key: REDIS_KEY }),
+      close: () => Promise.all([pubClient.close(), subClient.close()]),
+    };
+  }
+  throw new Error(`COURIER_SOCKET_ADAPTER invalido: ${type}. Usa: memory, redis.`);
+}
+
+module.exports = {
+  createMemoryBus,
+  createInProcessAdapter,
+  createSocketAdapter,
+};
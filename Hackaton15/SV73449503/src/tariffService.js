@@ -0,0 +1,188 @@
+const { get, all } = require('./db');
+const { httpError } = require('./errors');
+const { findPlaceInAddress } = require('./geo');
+const { CURRENCY, toCents, fromCents, volumetricWeightKg, priceShipment } = require('./pricing');
+
+const MAX_WEIGHT_KG = 70;
+const MAX_SIDE_CM = 300;
+const MAX_DECLARED_VALUE = 100000;
+const MAX_COD_AMOUNT = 10000;
+const POSTCODE_PATTERN = /^\d{5}$/;
+
+// Zonas, areas y bandas vigentes; se cargan una vez por cotizacion o importacion.
+async function loadTariffs() {
+  const zones = await all('SELECT id, code, name, extra_kg_cents FROM tariff_zones');
+  const areas = await all('SELECT zone_id, district, postcode_prefix FROM tariff_zone_areas');
+  const bands = await all(
+    'SELECT zone_id, max_weight_kg, price_cents FROM tariff_bands ORDER BY zone_id ASC, max_weight_kg ASC'
+  );
+  return {
+    zones: new Map(zones.map((zone) => [zone.id, zone])),
+    districts: areas.filter((area) => area.district).map((area) => ({ name: area.district, zoneId: area.zone_id })),
+    postcodes: areas
+      .filter((area) => area.postcode_prefix)
+      .sort((a, b) => b.postcode_prefix.length - a.postcode_prefix.length),
+    bands: new Map(zones.map((zone) => [zone.id, bands.filter((band) => band.zone_id === zone.id)])),
+  };
+}
+
+function optionalNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  return Number(value);
+}
+
+function checkRange(errors, name, value, { min = 0, max, unit, allowZero = false }) {
+  if (value === null) return;
+  const tooLow = allowZero ? value < min : value <= min;
+  if (!Number.isFinite(value) || tooLow || value > max) {
+    errors.push(`${name} debe ser ${allowZero ? 'mayor o igual a' : 'mayor a'} ${min} y hasta ${max} ${unit}.`);
+  }
+}
+
+// Valida los datos del envio (peso, medidas, valor declarado, COD y codigo postal).
+// Devuelve la lista de errores y el envio normalizado; los montos pasan a centimos.
+function parseShipment(input) {
+  const errors = [];
+  const weightKg = optionalNumber(input.weightKg);
+  const dimensions = {
+    lengthCm: optionalNumber(input.lengthCm),
+    widthCm: optionalNumber(input.widthCm),
+    heightCm: optionalNumber(input.heightCm),
+  };
+  const declaredValue = optionalNumber(input.declaredValue);
+  const codAmount = optionalNumber(input.codAmount);
+  const destinationPostcode = input.destinationPostcode ? String(input.destinationPostcode).trim() : null;
+
+  checkRange(errors, 'weightKg', weightKg, { max: MAX_WEIGHT_KG, unit: 'kg' });
+
+  const given = Object.values(dimensions).filter((value) => value !== null).length;
+  if (given && given < 3) errors.push('lengthCm, widthCm y heightCm se envian juntos.');
+  Object.entries(dimensions).forEach(([name, value]) => {
+    checkRange(errors, name, value, { max: MAX_SIDE_CM, unit: 'cm' });
+  });
+
+  checkRange(errors, 'declaredValue', declaredValue, { max: MAX_DECLARED_VALUE, unit: CURRENCY, allowZero: true });
+  checkRange(errors, 'codAmount', codAmount, { max: MAX_COD_AMOUNT, unit: CURRENCY, allowZero: true });
+  if (destinationPostcode && !POSTCODE_PATTERN.test(destinationPostcode)) {
+    errors.push('destinationPostcode debe tener 5 digitos.');
+  }
+
+  return {
+    errors,
+    shipment: {
+      weightKg,
+      ...dimensions,
+      declaredValueCents: toCents(declaredValue || 0),
+      codAmountCents: toCents(codAmount || 0),
+      destinationPostcode,
+    },
+  };
+}
+
+// El codigo postal manda (gana el prefijo mas largo); si no hay, se busca el distrito
+// en la direccion igual que en la geocodificacion.
+function findZone(tariffs, destinationAddress, destinationPostcode) {
+  const byPostcode = destinationPostcode
+    && tariffs.postcodes.find((area) => destinationPostcode.startsWith(area.postcode_prefix));
+  if (byPostcode) return tariffs.zones.get(byPostcode.zone_id);
+
+  const district = findPlaceInAddress(destinationAddress, tariffs.districts);
+  return district ? tariffs.zones.get(district.zoneId) : null;
+}
+
+function priceForZone(tariffs, zone, shipment) {
+  return { zone, ...shipment, ...priceShipment({ zone, bands: tariffs.bands.get(zone.id), ...shipment }) };
+}
+
+// Cotiza un envio ya validado con parseShipment.
+function quoteShipment(tariffs, destinationAddress, shipment) {
+  if (shipment.weightKg === null) throw httpError(400, 'weightKg es obligatorio.');
+  const zone = findZone(tariffs, destinationAddress, shipment.destinationPostcode);
+  if (!zone) {
+    throw httpError(400, 'El destino no esta en ninguna zona tarifaria: indica un distrito con cobertura o destinationPostcode.');
+  }
+  return priceForZone(tariffs, zone, shipment);
+}
+
+// Solo para la importacion CSV, que acepta el encabezado sin weight_kg: sin peso o sin zona
+// la fila se guarda sin precio (columnas de precio en NULL) y no entra en las facturas.
+function quoteShipmentIfPossible(tariffs, destinationAddress, shipment) {
+  const zone = shipment.weightKg === null ? null : findZone(tariffs, destinationAddress, shipment.destinationPostcode);
+  if (zone) return priceForZone(tariffs, zone, shipment);
+  return {
+    zone: null,
+    ...shipment,
+    chargeableKg: null,
+    shippingCents: null,
+    insuranceCents: null,
+    codFeeCents: null,
+    totalCents: null,
+  };
+}
+
+function toQuote(priced) {
+  return {
+    currency: CURRENCY,
+    zone: { code: priced.zone.code, name: priced.zone.name },
+    weight_kg: priced.weightKg,
+    volumetric_weight_kg: priced.volumetricKg,
+    chargeable_weight_kg: priced.chargeableKg,
+    declared_value: fromCents(priced.declaredValueCents),
+    cod_amount: fromCents(priced.codAmountCents),
+    shipping: fromCents(priced.shippingCents),
+    insurance: fromCents(priced.insuranceCents),
+    cod_fee: fromCents(priced.codFeeCents),
+    total: fromCents(priced.totalCents),
+  };
+}
+
+async function quotePackage(input) {
+  const { errors, shipment } = parseShipment(input);
+  if (errors.length) throw httpError(400, errors[0]);
+  if (!String(input.destinationAddress || '').trim()) {
+    throw httpError(400, 'destinationAddress es obligatorio.');
+  }
+  return toQuote(quoteShipment(await loadTariffs(), input.destinationAddress, shipment));
+}
+
+// Precio congelado en el paquete; null para paquetes sin precio (anteriores a las tarifas o
+// creados sin peso o fuera de las zonas).
+async function getPackagePricing(packageId) {
+  const row = await get(
+    `SELECT weight_kg, length_cm, width_cm, height_cm, declared_value_cents, cod_amount_cents,
+            destination_postcode, tariff_zone, chargeable_weight_kg,
+            shipping_cents, insurance_cents, cod_fee_cents, price_cents
+     FROM packages
+     WHERE id = ?`,
+    [packageId]
+  );
+  if (!row || row.price_cents === null) return null;
+
+  const dimensions = row.length_cm === null
+    ? null
+    : { length: row.length_cm, width: row.width_cm, height: row.height_cm };
+  return {
+    currency: CURRENCY,
+    zone: row.tariff_zone,
+    destination_postcode: row.destination_postcode,
+    weight_kg: row.weight_kg,
+    dimensions_cm: dimensions,
+    volumetric_weight_kg: volumetricWeightKg({ lengthCm: row.length_cm, widthCm: row.width_cm, heightCm: row.height_cm }),
+    chargeable_weight_kg: row.chargeable_weight_kg,
+    declared_value: fromCents(row.declared_value_cents),
+    cod_amount: fromCents(row.cod_amount_cents),
+    shipping: fromCents(row.shipping_cents),
+    insurance: fromCents(row.insurance_cents),
+    cod_fee: fromCents(row.cod_fee_cents),
+    total: fromCents(row.price_cents),
+  };
+}
+
+module.exports = {
+  loadTariffs,
+  parseShipment,
+  quoteShipment,
+  quoteShipmentIfPossible,
+  quotePackage,
+  getPackagePricing,
+};
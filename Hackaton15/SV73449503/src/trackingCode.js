@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+// Alfabeto Crockford base32: sin I, L, O ni U para evitar confusiones al dictar o tipear.
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const PREFIX = 'TRK-';
+const RANDOM_LENGTH = 7;
+const CODE_PATTERN = /^[0-9A-HJKMNP-TV-Z]{8}$/;
+// Codigos generados antes del digito verificador (TRK-<epoch ms>-<4 digitos>).
+const LEGACY_PATTERN = /^TRK-\d{13}-\d{4}$/;
+
+// Luhn mod N: detecta cualquier caracter cambiado y casi todas las transposiciones.
+function checkCharacter(payload) {
+  const base = ALPHABET.length;
+  let sum = 0;
+  for (let i = payload.length - 1, double = true; i >= 0; i -= 1, double = !double) {
+    let value = ALPHABET.indexOf(payload[i]);
+    if (double) {
+      value *= 2;
+      value = Math.floor(value / base) + (value % base);
+    }
+    sum += value;
+  }
+  return ALPHABET[(base - (sum % base)) % base];
+}
+
+function formatCode(code) {
+  return `${PREFIX}${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function makeTrackingCode() {
+  let payload = '';
+  for (let i = 0; i < RANDOM_LENGTH; i += 1) {
+    payload += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return formatCode(payload + checkCharacter(payload));
+}
+
+// Normaliza lo que escribe el cliente (minusculas, espacios, O/I/L) y valida el
+// digito verificador antes de consultar la base.
+function parseTrackingCode(input) {
+  const raw = String(input || '').trim().toUpperCase();
+  if (!raw) throw httpError(400, 'El codigo de seguimiento es obligatorio.');
+  if (LEGACY_PATTERN.test(raw)) return raw;
+
+  const compact = raw
+    .replace(/[\s-]/g, '')
+    .replace(/^TRK/, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (!CODE_PATTERN.test(compact)) {
+    throw httpError(400, 'Formato de codigo de seguimiento invalido (ejemplo: TRK-4F7K-2M9Y).');
+  }
+
+  const payload = compact.slice(0, RANDOM_LENGTH);
+  if (checkCharacter(payload) !== compact[RANDOM_LENGTH]) {
+    throw httpError(400, 'Posible error de tipeo en el codigo de seguimiento: el digito verificador no coincide.');
+  }
+  return formatCode(compact);
+}
+
+module.exports = {
+  makeTrackingCode,
+  parseTrackingCode,
+};
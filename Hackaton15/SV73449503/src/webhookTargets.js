@@ -0,0 +1,69 @@
+const dns = require('dns');
+const net = require('net');
+
+// Un webhook lo elige el comercio: sin este filtro el dispatcher haria POST a servicios
+// internos (metadata de la nube, base de datos, admin local) desde dentro de la red.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+// Hosts exactos que se aceptan aunque resuelvan a una red privada (desarrollo y pruebas).
+const ALLOWED_HOSTS = String(process.env.COURIER_WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+  return BLOCKED.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Se revisa al registrar el endpoint y otra vez antes de cada entrega, porque el DNS del
+// host puede cambiar despues del registro. Todas las direcciones deben ser publicas.
+async function assertPublicWebhookTarget(target) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch (_error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('target debe ser una URL http o https.');
+  }
+
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (ALLOWED_HOSTS.includes(host)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (_error) {
+    throw new Error(`No se pudo resolver el host del webhook (${host}).`);
+  }
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('target debe apuntar a una direccion publica, no a una red local o privada.');
+  }
+}
+
+module.exports = {
+  assertPublicWebhookTarget,
+};